@@ -1,14 +1,31 @@
-import { useCallback, useState, useEffect } from 'react';
+import { useCallback, useState, useEffect, useRef } from 'react';
 import { Header } from './components/Header/Header';
 import { MapCanvas } from './components/MapCanvas/MapCanvas';
 import { TileList, TileListContent } from './components/TileList/TileList';
 import { Sidebar } from './components/Sidebar/Sidebar';
 import { ProfileModal } from './components/ProfileModal/ProfileModal';
 import { AllianceModal } from './components/AllianceModal/AllianceModal';
+import { SharedPlanPrompt } from './components/SharedPlanPrompt/SharedPlanPrompt';
+import { PlanOutcomeReport } from './components/PlanOutcomeReport/PlanOutcomeReport';
+import { BackupPanel } from './components/BackupPanel/BackupPanel';
+import { MapExportModal } from './components/MapExport/MapExportModal';
+import { ReconciliationPanel } from './components/ReconciliationPanel/ReconciliationPanel';
 import { MobileDrawer } from './components/MobileDrawer/MobileDrawer';
 import { PlaybackOverlay } from './components/PlaybackOverlay/PlaybackOverlay';
+import { PlanComparisonOverlay } from './components/PlanComparison/PlanComparisonOverlay';
+import { DayChangesPanel } from './components/DayChanges/DayChangesPanel';
+import { TimelapseOverlay } from './components/Timelapse/TimelapseOverlay';
+import { AnnotationPanel } from './components/Annotations/AnnotationPanel';
 import { useMapEditor } from './hooks/useMapEditor';
 import { useCanvasControls } from './hooks/useCanvasControls';
+import { useAdjacencyMap } from './hooks/useAdjacencyMap';
+import { useClaimPreview } from './hooks/useClaimPreview';
+import { usePlanValidation } from './hooks/usePlanValidation';
+import { usePlanComparison } from './hooks/usePlanComparison';
+import { useDayChanges } from './hooks/useDayChanges';
+import { useSeasonTimelapse } from './hooks/useSeasonTimelapse';
+import { useTimelapseExport } from './hooks/useTimelapseExport';
+import { useAnnotations } from './hooks/useAnnotations';
 import { useAuth } from './contexts/AuthContext';
 import { useGameState } from './contexts/GameStateContext';
 import { usePlanner } from './contexts/PlannerContext';
@@ -16,9 +33,12 @@ import { useAlliance } from './contexts/AllianceContext';
 import { useTimeline } from './contexts/TimelineContext';
 import { useToast } from './contexts/ToastContext';
 
+// Territory display cycles through these from the header toggle
+const TERRITORY_MODES = ['off', 'outlines', 'names'];
+
 function App() {
   const { user } = useAuth();
-  const { tileClaims, loading: gameStateLoading, claimTile, clearTile, getTileClaim, isOwnTile } = useGameState();
+  const { tileClaims, loading: gameStateLoading, claimTile, clearTile, getTileClaim, isOwnTile, flashingTiles } = useGameState();
   const {
     isPlannerMode,
     plannedTileClaims,
@@ -28,29 +48,43 @@ function App() {
     planClaim,
     planClear,
     getPlannedTileClaim,
-    planningAlliance
+    planningAlliance,
+    comparison,
+    refreshSavedPlans
   } = usePlanner();
   const { alliance, isAdmin } = useAlliance();
   const { isViewingCurrentDay } = useTimeline();
   const { toast } = useToast();
   const isReadOnly = !user;
+  const timelapse = useSeasonTimelapse();
 
-  // Use playback claims during playback, otherwise planned claims in planner mode, otherwise normal claims
-  const displayClaims = isPlaying && playbackTileClaims
-    ? playbackTileClaims
-    : isPlannerMode
-      ? plannedTileClaims
-      : tileClaims;
+  // Use time-lapse claims while it runs, playback claims during playback,
+  // otherwise planned claims in planner mode, otherwise normal claims
+  const displayClaims = timelapse.currentClaims
+    ? timelapse.currentClaims
+    : isPlaying && playbackTileClaims
+      ? playbackTileClaims
+      : isPlannerMode
+        ? plannedTileClaims
+        : tileClaims;
   const {
     isLoading,
     tileGeometry,
     tiles,
     history,
     selectedTile,
+    selectedTileIds,
     getTileData,
     setTileData,
     clearTileData,
+    getTileVersions,
+    revertTile,
     selectTile,
+    toggleTileSelection,
+    selectTiles,
+    clearTileSelection,
+    updateTiles,
+    addCommentToTiles,
     getLikes,
     getLikeSummary,
     vote,
@@ -58,7 +92,11 @@ function App() {
     setActiveTab,
     tileFilter,
     setTileFilter,
-    getLabeledTiles
+    getLabeledTiles,
+    reloadWorkspace,
+    undo,
+    redo,
+    clearUndoHistory
   } = useMapEditor();
 
   const {
@@ -76,6 +114,45 @@ function App() {
     handleTouchEnd
   } = useCanvasControls(tileGeometry);
 
+  const adjacencyMap = useAdjacencyMap(tileGeometry);
+
+  // Claim preview: shade tiles the user's alliance can legally claim (live map only)
+  const [showClaimPreview, setShowClaimPreview] = useState(true);
+  const [showBackupPanel, setShowBackupPanel] = useState(false);
+  const [showMapExport, setShowMapExport] = useState(false);
+  const [showAnnotations, setShowAnnotations] = useState(true);
+  const [territoryMode, setTerritoryMode] = useState('outlines'); // 'off' | 'outlines' | 'names'
+  const [dayChangesSince, setDayChangesSince] = useState(null); // null (off) | 'previous' | day number
+  const claimPreview = useClaimPreview({
+    tileGeometry,
+    tiles,
+    adjacencyMap,
+    enabled: showClaimPreview && !isPlannerMode,
+  });
+
+  // Strict planner mode: rule violations per sequence step
+  const stepViolations = usePlanValidation({ tiles, adjacencyMap });
+
+  // Saved plan comparison: plan A on the main canvas, plan B beside it in split mode
+  const { comparisonView, comparisonStatus } = usePlanComparison({ tiles });
+  const isSplitComparison = comparisonView && comparison.mode === 'split';
+
+  // Changes since an earlier day only describe the real map, not planned or replayed claims
+  const dayChanges = useDayChanges(dayChangesSince);
+  const showDayChangesOnMap = dayChanges && displayClaims === tileClaims && !comparisonView;
+  const timelapseExport = useTimelapseExport({ tileGeometry, tiles });
+
+  // Alliance annotations are drawn on the live map or the open plan, not over comparisons or the time-lapse
+  const annotations = useAnnotations({ enabled: showAnnotations && !comparisonView && !timelapse.isOpen });
+  const handleAnnotationClick = useCallback(async (click) => {
+    const result = await annotations.placeAt(click);
+    if (!result.success) {
+      toast.error(result.error);
+    }
+  }, [annotations, toast]);
+  const comparisonContainerRef = useRef(null);
+  const comparisonStageRef = useRef(null);
+
   // Handle tile click from map
   const handleTileClick = useCallback((tileInfo) => {
     // Just select the tile - claim/unclaim actions are triggered from buttons
@@ -139,6 +216,8 @@ function App() {
           const result = await claimTile(selectedTile.id, isAdmin);
           if (!result.success) {
             toast.error(result.error || 'Failed to claim tile');
+          } else if (result.queued) {
+            toast.info('Offline: claim queued, it will be sent when you reconnect');
           }
         }
       } else if (canUnclaim) {
@@ -148,6 +227,8 @@ function App() {
           const result = await clearTile(selectedTile.id, isAdmin);
           if (!result.success) {
             toast.error(result.error || 'Failed to unclaim tile');
+          } else if (result.queued) {
+            toast.info('Offline: unclaim queued, it will be sent when you reconnect');
           }
         }
       }
@@ -161,6 +242,40 @@ function App() {
     claimTile, clearTile, planClaim, planClear, toast
   ]);
 
+  // Keyboard shortcuts: Ctrl+Z to undo, Ctrl+Shift+Z to redo map edits
+  useEffect(() => {
+    const handleKeyDown = async (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+      // Leave text fields their own undo
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.isContentEditable) return;
+
+      e.preventDefault();
+      const result = e.shiftKey ? await redo() : await undo();
+      if (!result.success) {
+        toast.error(`Could not ${e.shiftKey ? 'redo' : 'undo'}: ${result.error}`);
+      } else if (result.label) {
+        toast.info(`${e.shiftKey ? 'Redid' : 'Undid'}: ${result.label}`);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo, toast]);
+
+  // Keyboard shortcut: Escape drops a multi-tile selection
+  useEffect(() => {
+    if (selectedTileIds.size === 0) return;
+
+    const handleKeyDown = (e) => {
+      if (e.key !== 'Escape') return;
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+      clearTileSelection();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [selectedTileIds, clearTileSelection]);
+
   // Get current tile data and likes
   const currentTileData = selectedTile ? getTileData(selectedTile.id) : {};
   const currentLikes = selectedTile ? getLikes(selectedTile.id) : [];
@@ -181,18 +296,88 @@ function App() {
     <div className="w-full h-screen flex flex-col bg-discord-dark overflow-hidden">
       <ProfileModal />
       <AllianceModal />
-      <PlaybackOverlay />
-      <Header scale={scale} onZoom={zoom} />
+      <SharedPlanPrompt />
+      <PlanOutcomeReport tiles={tiles} />
+      <ReconciliationPanel />
+      <BackupPanel
+        isOpen={showBackupPanel}
+        onClose={() => setShowBackupPanel(false)}
+        onImported={async () => {
+          // Edits made before the import no longer describe the data on screen
+          clearUndoHistory();
+          await Promise.all([reloadWorkspace(), refreshSavedPlans()]);
+        }}
+      />
+      <MapExportModal
+        isOpen={showMapExport}
+        onClose={() => setShowMapExport(false)}
+        tileGeometry={tileGeometry}
+        tiles={tiles}
+        selectedTileIds={selectedTileIds}
+      />
+      <PlaybackOverlay stepViolations={stepViolations} />
+      <PlanComparisonOverlay comparisonView={comparisonView} comparisonStatus={comparisonStatus} />
+      <TimelapseOverlay timelapse={timelapse} timelapseExport={timelapseExport} />
+      {annotations.isActive && (
+        <AnnotationPanel
+          annotations={annotations}
+          selectedTileIds={selectedTileIds}
+          onClose={() => setShowAnnotations(false)}
+        />
+      )}
+      {!comparisonView && !timelapse.isOpen && (
+        <DayChangesPanel
+          dayChanges={dayChanges}
+          since={dayChangesSince}
+          onSinceChange={setDayChangesSince}
+          onClose={() => setDayChangesSince(null)}
+          onTileClick={(tileId) => handleTileListClick({ id: tileId })}
+          onTileHover={handleTileListHover}
+        />
+      )}
+      <Header
+        scale={scale}
+        onZoom={zoom}
+        showClaimPreview={showClaimPreview}
+        onToggleClaimPreview={() => setShowClaimPreview(prev => !prev)}
+        territoryMode={territoryMode}
+        showDayChanges={dayChangesSince !== null}
+        onToggleDayChanges={() => setDayChangesSince(prev => (prev === null ? 'previous' : null))}
+        onCycleTerritoryMode={() => setTerritoryMode(prev => TERRITORY_MODES[(TERRITORY_MODES.indexOf(prev) + 1) % TERRITORY_MODES.length])}
+        onOpenBackup={() => setShowBackupPanel(true)}
+        onOpenMapExport={() => setShowMapExport(true)}
+        showAnnotations={showAnnotations}
+        onToggleAnnotations={annotations.canAnnotate ? () => setShowAnnotations(prev => !prev) : undefined}
+        onOpenTimelapse={comparisonView ? undefined : timelapse.open}
+      />
 
       <div className="flex flex-1 overflow-hidden max-md:flex-col max-md:min-h-0">
         <MapCanvas
           tileGeometry={tileGeometry}
           tiles={tiles}
-          tileClaims={displayClaims}
+          tileClaims={comparisonView ? comparisonView.current.claimsA : displayClaims}
           selectedTile={selectedTile}
+          selectedTileIds={selectedTileIds}
           hoveredTileIds={hoveredTileIds}
-          playbackHighlightTileId={playbackHighlightTileId}
+          playbackHighlightTileId={timelapse.current?.tileId ?? playbackHighlightTileId}
+          flashingTiles={displayClaims === tileClaims && !comparisonView ? flashingTiles : null}
+          claimPreview={comparisonView || timelapse.isOpen ? null : claimPreview}
+          diffTiles={comparisonView?.current.diff}
+          diffMode={comparison?.mode}
+          dayChanges={showDayChangesOnMap ? dayChanges.changes : null}
+          adjacencyMap={adjacencyMap}
+          territoryMode={territoryMode}
+          annotations={annotations.isActive ? annotations.annotations : null}
+          annotationTool={annotations.isActive ? annotations.tool : null}
+          annotationColor={annotations.color}
+          annotationArrowFrom={annotations.arrowFromTileId}
+          onAnnotationClick={handleAnnotationClick}
+          caption={comparisonView && (isSplitComparison
+            ? `A: ${comparisonView.planA.name}`
+            : `A: ${comparisonView.planA.name} · tinted B: ${comparisonView.planB.name}`)}
           onTileClick={handleTileClick}
+          onTileToggle={toggleTileSelection}
+          onAreaSelect={selectTiles}
           scale={scale}
           position={position}
           isPanning={isPanning}
@@ -206,6 +391,35 @@ function App() {
           onTouchEnd={handleTouchEnd}
         />
 
+        {isSplitComparison && (
+          <MapCanvas
+            tileGeometry={tileGeometry}
+            tiles={tiles}
+            tileClaims={comparisonView.current.claimsB}
+            selectedTile={selectedTile}
+            selectedTileIds={selectedTileIds}
+            hoveredTileIds={hoveredTileIds}
+            diffTiles={comparisonView.current.diff}
+            diffMode="split"
+            adjacencyMap={adjacencyMap}
+            territoryMode={territoryMode}
+            caption={`B: ${comparisonView.planB.name}`}
+            onTileClick={handleTileClick}
+            onTileToggle={toggleTileSelection}
+            scale={scale}
+            position={position}
+            isPanning={isPanning}
+            containerRef={comparisonContainerRef}
+            stageRef={comparisonStageRef}
+            onPanStart={handlePanStart}
+            onPanMove={handlePanMove}
+            onPanEnd={handlePanEnd}
+            onTouchStart={handleTouchStart}
+            onTouchMove={handleTouchMove}
+            onTouchEnd={handleTouchEnd}
+          />
+        )}
+
         <TileList
           labeledTiles={labeledTiles}
           tileClaims={displayClaims}
@@ -219,12 +433,20 @@ function App() {
           selectedTile={selectedTile}
           tileData={currentTileData}
           tiles={tiles}
+          adjacencyMap={adjacencyMap}
           likes={currentLikes}
           likeSummary={currentLikeSummary}
           history={history}
+          stepViolations={stepViolations}
           activeTab={activeTab}
           onTabChange={setActiveTab}
           onVote={vote}
+          selectedTileIds={selectedTileIds}
+          onUpdateTiles={updateTiles}
+          onAddCommentToTiles={addCommentToTiles}
+          onClearSelection={clearTileSelection}
+          getTileVersions={getTileVersions}
+          onRevertTile={revertTile}
           isReadOnly={isReadOnly}
           isFullscreenMap={isFullscreenMap}
         />
@@ -2,7 +2,7 @@ import { useState } from 'react';
 import { useAlliance } from '../../contexts/AllianceContext';
 import { useToast } from '../../contexts/ToastContext';
 import { useTimeline } from '../../contexts/TimelineContext';
-import { useMapEditorService } from '../../di/index.js';
+import { useMapEditorService, useRuleset } from '../../di/index.js';
 import { supabase } from '../../lib/supabase.js';
 
 export function AdminPanel() {
@@ -16,6 +16,7 @@ export function AdminPanel() {
   const { toast } = useToast();
   const { currentDay, selectedDay } = useTimeline();
   const mapEditorService = useMapEditorService();
+  const ruleset = useRuleset();
 
   const [newAllianceName, setNewAllianceName] = useState('');
   const [isCreating, setIsCreating] = useState(false);
@@ -101,7 +102,7 @@ export function AdminPanel() {
 
       const movesUsed = error ? 0 : (count || 0);
 
-      // Get max moves setting (default 3)
+      // Get max moves setting (defaults to the ruleset's daily limit)
       const { data: settingsData } = await supabase
         .from('alliance_day_settings')
         .select('max_moves')
@@ -109,7 +110,7 @@ export function AdminPanel() {
         .eq('day', currentDay)
         .single();
 
-      const maxMoves = settingsData?.max_moves || 3;
+      const maxMoves = settingsData?.max_moves || ruleset.maxMovesPerDay;
 
       movesData[a.id] = {
         used: movesUsed,
@@ -309,7 +310,11 @@ export function AdminPanel() {
 
             <div className="space-y-3 mb-4">
               {allAlliances.map((a) => {
-                const movesData = editingMoves[a.id] || { used: 0, max: 3, available: 3 };
+                const movesData = editingMoves[a.id] || {
+                  used: 0,
+                  max: ruleset.maxMovesPerDay,
+                  available: ruleset.maxMovesPerDay,
+                };
                 return (
                   <div key={a.id} className="p-3 bg-discord-dark rounded-lg">
                     <div className="flex items-center gap-2 mb-2">
@@ -0,0 +1,160 @@
+import { useToast } from '../../contexts/ToastContext';
+import { ANNOTATION_COLORS } from '../../hooks/useAnnotations';
+import { MAX_ANNOTATION_TEXT_LENGTH } from '../../services/AnnotationService';
+
+const TOOLS = [
+  { id: 'arrow', label: '➜', title: 'Arrow: click the start tile, then the target tile' },
+  { id: 'rally', label: '⚑', title: 'Rally marker: click a tile' },
+  { id: 'text', label: 'T', title: 'Text note: type it below, then click the map' },
+];
+
+const TYPE_LABELS = {
+  arrow: 'Arrow',
+  zone: 'Zone',
+  text: 'Note',
+  rally: 'Rally',
+};
+
+function describeAnnotation(annotation) {
+  const tiles = annotation.tileIds.map(id => `L${id}`);
+  switch (annotation.type) {
+    case 'arrow':
+      return `${tiles[0]} → ${tiles[1]}`;
+    case 'zone':
+      return tiles.length > 4 ? `${tiles.slice(0, 4).join(', ')} +${tiles.length - 4}` : tiles.join(', ');
+    case 'rally':
+      return tiles[0];
+    default:
+      return '';
+  }
+}
+
+/**
+ * Floating toolbar for drawing tactical annotations, with the list of the
+ * alliance's annotations for the current day or plan
+ * @param {Object} props
+ * @param {ReturnType<typeof import('../../hooks/useAnnotations.js').useAnnotations>} props.annotations
+ * @param {Set<number>} props.selectedTileIds - Multi-tile selection, used for zones
+ * @param {() => void} props.onClose
+ */
+export function AnnotationPanel({ annotations, selectedTileIds, onClose }) {
+  const { toast } = useToast();
+  const {
+    scopeLabel, annotations: items, loading, tool, setTool, color, setColor,
+    draftText, setDraftText, arrowFromTileId, addZone, removeAnnotation,
+  } = annotations;
+
+  const handleAddZone = async () => {
+    const result = await addZone(selectedTileIds);
+    if (!result.success) toast.error(result.error);
+  };
+
+  const handleDelete = async (annotationId) => {
+    const result = await removeAnnotation(annotationId);
+    if (!result.success) toast.error('Failed to delete annotation');
+  };
+
+  let hint = 'Pick a tool to draw. Only your alliance sees these.';
+  if (tool === 'arrow') {
+    hint = arrowFromTileId === null
+      ? 'Click the tile the arrow starts from'
+      : `From L${arrowFromTileId}: click the target tile`;
+  } else if (tool === 'rally') {
+    hint = 'Click a tile to place a rally marker';
+  } else if (tool === 'text') {
+    hint = 'Type the note, then click where it goes';
+  }
+
+  return (
+    <div className="fixed top-20 left-4 z-40 w-[300px] max-w-[calc(100vw-2rem)] max-h-[60vh] flex flex-col bg-discord-gray/95 border border-discord-lighter-gray rounded-lg shadow-xl">
+      <div className="p-3 border-b border-discord-lighter-gray flex flex-col gap-2">
+        <div className="flex items-center justify-between">
+          <span className="text-sm font-semibold text-discord-text">
+            Annotations <span className="font-normal text-discord-text-muted">· {scopeLabel}</span>
+          </span>
+          <button
+            onClick={onClose}
+            className="text-discord-text-muted hover:text-red-400 transition-colors"
+            title="Hide annotations"
+          >
+            <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex items-center gap-1">
+          {TOOLS.map(option => (
+            <button
+              key={option.id}
+              className={`w-8 h-8 border-none rounded text-base cursor-pointer transition-colors duration-200 ${
+                tool === option.id
+                  ? 'bg-discord-blurple text-white'
+                  : 'bg-discord-lighter-gray text-discord-text hover:bg-discord-lightest-gray'
+              }`}
+              onClick={() => setTool(tool === option.id ? null : option.id)}
+              title={option.title}
+            >
+              {option.label}
+            </button>
+          ))}
+          <button
+            className="h-8 px-2 border-none rounded text-xs font-medium cursor-pointer transition-colors duration-200 bg-discord-lighter-gray text-discord-text hover:bg-discord-lightest-gray disabled:opacity-50 disabled:cursor-not-allowed"
+            onClick={handleAddZone}
+            disabled={selectedTileIds.size === 0}
+            title="Highlight the selected tiles as a zone"
+          >
+            Zone{selectedTileIds.size > 0 ? ` (${selectedTileIds.size})` : ''}
+          </button>
+          <div className="ml-auto flex items-center gap-1">
+            {ANNOTATION_COLORS.map(option => (
+              <button
+                key={option}
+                className={`w-4 h-4 rounded-full border-2 cursor-pointer ${color === option ? 'border-white' : 'border-transparent'}`}
+                style={{ backgroundColor: option }}
+                onClick={() => setColor(option)}
+                title="Annotation color"
+              />
+            ))}
+          </div>
+        </div>
+
+        <input
+          type="text"
+          value={draftText}
+          onChange={(e) => setDraftText(e.target.value)}
+          maxLength={MAX_ANNOTATION_TEXT_LENGTH}
+          placeholder={tool === 'text' ? 'Note text' : 'Label (optional)'}
+          className="px-2 py-1 bg-discord-dark border border-discord-lighter-gray rounded text-xs text-discord-text focus:outline-none focus:border-discord-blurple"
+        />
+        <p className="text-xs text-discord-text-muted">{hint}</p>
+      </div>
+
+      <div className="overflow-y-auto p-2 flex flex-col gap-0.5">
+        {loading ? (
+          <p className="px-1 text-xs text-discord-text-muted italic">Loading...</p>
+        ) : items.length === 0 ? (
+          <p className="px-1 text-xs text-discord-text-muted italic">No annotations yet</p>
+        ) : items.map(annotation => (
+          <div key={annotation.id} className="group flex items-center gap-2 px-1 py-0.5 rounded text-xs hover:bg-discord-lighter-gray">
+            <span
+              className="w-2.5 h-2.5 rounded-full border border-white/20 shrink-0"
+              style={{ backgroundColor: annotation.color }}
+            />
+            <span className="text-discord-text-secondary shrink-0">{TYPE_LABELS[annotation.type]}</span>
+            <span className="flex-1 min-w-0 truncate text-discord-text" title={`${annotation.text} (by ${annotation.createdBy})`}>
+              {[describeAnnotation(annotation), annotation.text].filter(Boolean).join(' · ')}
+            </span>
+            <button
+              className="opacity-0 group-hover:opacity-100 text-discord-text-muted hover:text-red-400 transition-opacity"
+              onClick={() => handleDelete(annotation.id)}
+              title="Delete annotation"
+            >
+              ×
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
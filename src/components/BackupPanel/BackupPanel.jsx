@@ -0,0 +1,241 @@
+import { useState } from 'react';
+import { useMapEditorService } from '../../di/index.js';
+import { useToast } from '../../contexts/ToastContext';
+import { parseBackupArchive } from '../../utils/workspaceBackup.js';
+
+const SECTIONS = [
+  { key: 'tiles', label: 'Tiles' },
+  { key: 'comments', label: 'Comments' },
+  { key: 'history', label: 'History' },
+  { key: 'likes', label: 'Votes' },
+  { key: 'plans', label: 'Saved plans' },
+];
+
+function downloadJson(data, filename) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Modal for exporting the whole workspace to a JSON backup and importing one back,
+ * either merged into or replacing the current data.
+ */
+export function BackupPanel({ isOpen, onClose, onImported }) {
+  const mapEditorService = useMapEditorService();
+  const { toast } = useToast();
+
+  const [isExporting, setIsExporting] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [fileName, setFileName] = useState('');
+  const [backup, setBackup] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [mode, setMode] = useState('merge');
+  const [onConflict, setOnConflict] = useState('keep');
+
+  if (!isOpen) return null;
+
+  const reset = () => {
+    setFileName('');
+    setBackup(null);
+    setPreview(null);
+    setErrors([]);
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const archive = await mapEditorService.exportWorkspace();
+      downloadJson(archive, `map-workspace-${archive.exportedAt.slice(0, 10)}.json`);
+      toast.success('Backup downloaded');
+    } catch (error) {
+      console.error('Error exporting workspace:', error);
+      toast.error('Failed to export backup');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    reset();
+    setFileName(file.name);
+
+    const parsed = parseBackupArchive(await file.text());
+    if (!parsed.valid) {
+      setErrors(parsed.errors);
+      return;
+    }
+
+    try {
+      setBackup(parsed);
+      setPreview(await mapEditorService.previewWorkspaceImport(parsed.data));
+    } catch (error) {
+      console.error('Error previewing backup:', error);
+      setErrors(['Could not compare the backup with the current workspace']);
+    }
+  };
+
+  const handleImport = async () => {
+    if (!backup) return;
+    if (mode === 'replace' && !confirm('Replace the current workspace with this backup? Everything not in the backup will be deleted.')) {
+      return;
+    }
+
+    setIsImporting(true);
+    try {
+      const counts = await mapEditorService.importWorkspace(backup.data, { mode, onConflict });
+      await onImported?.();
+      toast.success(`Imported backup: ${counts.tiles} tiles, ${counts.comments} comments, ${counts.plans} plans`);
+      handleClose();
+    } catch (error) {
+      console.error('Error importing workspace:', error);
+      toast.error(error.message || 'Failed to import backup');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const totalConflicts = preview
+    ? SECTIONS.reduce((sum, { key }) => sum + preview[key].conflicts, 0)
+    : 0;
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50 p-4">
+      <div className="bg-discord-gray rounded-lg shadow-xl max-w-lg w-full max-h-[85vh] flex flex-col">
+        <div className="p-6 pb-4 border-b border-discord-lighter-gray flex items-start justify-between gap-4">
+          <div>
+            <h2 className="text-xl font-bold text-discord-text mb-1">Workspace Backup</h2>
+            <p className="text-discord-text-secondary text-sm">
+              Tiles, comments, history, votes and saved plans in one file.
+            </p>
+          </div>
+          <button
+            className="text-discord-text-muted hover:text-discord-text bg-transparent border-none cursor-pointer text-xl leading-none"
+            onClick={handleClose}
+            title="Close"
+          >
+            ×
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex flex-col gap-6">
+          <section>
+            <h3 className="text-sm font-semibold text-discord-text mb-2">Export</h3>
+            <button
+              className="bg-discord-blurple text-white border-none px-4 py-2 rounded text-sm font-medium cursor-pointer transition-all duration-200 hover:bg-discord-blurple-hover disabled:opacity-50 disabled:cursor-not-allowed"
+              onClick={handleExport}
+              disabled={isExporting}
+            >
+              {isExporting ? 'Exporting...' : 'Download backup'}
+            </button>
+          </section>
+
+          <section>
+            <h3 className="text-sm font-semibold text-discord-text mb-2">Import</h3>
+            <label className="inline-block bg-discord-lighter-gray text-discord-text px-4 py-2 rounded text-sm font-medium cursor-pointer transition-all duration-200 hover:bg-discord-lightest-gray">
+              Choose backup file
+              <input type="file" accept="application/json,.json" className="hidden" onChange={handleFileChange} />
+            </label>
+            {fileName && <span className="ml-3 text-discord-text-muted text-xs">{fileName}</span>}
+
+            {errors.length > 0 && (
+              <ul className="mt-3 p-3 bg-red-500/10 border border-red-500/30 rounded text-sm text-red-400 list-disc list-inside">
+                {errors.slice(0, 5).map(error => <li key={error}>{error}</li>)}
+                {errors.length > 5 && <li>…and {errors.length - 5} more</li>}
+              </ul>
+            )}
+
+            {preview && (
+              <div className="mt-4">
+                {backup.exportedAt && (
+                  <p className="text-discord-text-muted text-xs mb-2">
+                    Exported {new Date(backup.exportedAt).toLocaleString()}
+                  </p>
+                )}
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-discord-text-muted text-xs text-left">
+                      <th className="font-medium pb-1">Data</th>
+                      <th className="font-medium pb-1 text-right">In backup</th>
+                      <th className="font-medium pb-1 text-right">New</th>
+                      <th className="font-medium pb-1 text-right">Same</th>
+                      <th className="font-medium pb-1 text-right">Conflicts</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {SECTIONS.map(({ key, label }) => (
+                      <tr key={key} className="text-discord-text-secondary">
+                        <td className="py-0.5">{label}</td>
+                        <td className="py-0.5 text-right">{preview[key].incoming}</td>
+                        <td className="py-0.5 text-right text-green-400">{preview[key].added}</td>
+                        <td className="py-0.5 text-right">{preview[key].identical}</td>
+                        <td className={`py-0.5 text-right ${preview[key].conflicts > 0 ? 'text-yellow-400' : ''}`}>
+                          {preview[key].conflicts}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                {preview.tileConflicts.length > 0 && (
+                  <p className="mt-2 text-discord-text-muted text-xs">
+                    Tiles that differ: {preview.tileConflicts.slice(0, 20).map(id => `#${id}`).join(', ')}
+                    {preview.tileConflicts.length > 20 && ` and ${preview.tileConflicts.length - 20} more`}
+                  </p>
+                )}
+                {preview.planConflicts.length > 0 && (
+                  <p className="mt-1 text-discord-text-muted text-xs">
+                    Plans that differ: {preview.planConflicts.join(', ')}
+                  </p>
+                )}
+
+                <div className="mt-4 flex flex-col gap-2 text-sm text-discord-text">
+                  <label className="flex items-center gap-2 cursor-pointer">
+                    <input type="radio" name="backup-mode" checked={mode === 'merge'} onChange={() => setMode('merge')} />
+                    Merge into the current workspace
+                  </label>
+                  {mode === 'merge' && totalConflicts > 0 && (
+                    <select
+                      className="ml-6 bg-discord-dark text-discord-text border border-discord-lighter-gray rounded px-2 py-1 text-sm"
+                      value={onConflict}
+                      onChange={(e) => setOnConflict(e.target.value)}
+                    >
+                      <option value="keep">On conflict, keep the current version</option>
+                      <option value="overwrite">On conflict, use the backup's version</option>
+                    </select>
+                  )}
+                  <label className="flex items-center gap-2 cursor-pointer">
+                    <input type="radio" name="backup-mode" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+                    Replace the current workspace
+                  </label>
+                </div>
+
+                <button
+                  className="mt-4 bg-discord-blurple text-white border-none px-4 py-2 rounded text-sm font-medium cursor-pointer transition-all duration-200 hover:bg-discord-blurple-hover disabled:opacity-50 disabled:cursor-not-allowed"
+                  onClick={handleImport}
+                  disabled={isImporting}
+                >
+                  {isImporting ? 'Importing...' : mode === 'replace' ? 'Replace workspace' : 'Merge backup'}
+                </button>
+              </div>
+            )}
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,153 @@
+import { useState } from 'react';
+import { useTimeline } from '../../contexts/TimelineContext';
+import { TILE_CHANGE_STYLES } from '../../utils/mapStateDiff.js';
+
+/**
+ * Floating list of what changed on the map since an earlier day, grouped by alliance
+ * @param {Object} props
+ * @param {ReturnType<typeof import('../../hooks/useDayChanges.js').useDayChanges>} props.dayChanges
+ * @param {'previous'|number} props.since - Current base day setting
+ * @param {(since: 'previous'|number) => void} props.onSinceChange
+ * @param {() => void} props.onClose
+ * @param {(tileId: number) => void} props.onTileClick
+ * @param {(tileIds: number[]|null) => void} props.onTileHover
+ */
+export function DayChangesPanel({ dayChanges, since, onSinceChange, onClose, onTileClick, onTileHover }) {
+  const { selectedDay } = useTimeline();
+  const [expanded, setExpanded] = useState(null); // allianceId
+
+  if (!dayChanges) return null;
+
+  const { baseDay, changes, groups, loading, error } = dayChanges;
+  const counts = { gained: 0, lost: 0, changed: 0 };
+  changes.forEach(change => {
+    counts[change.type]++;
+  });
+
+  const earlierDays = [];
+  for (let day = selectedDay - 1; day >= 1; day--) {
+    earlierDays.push(day);
+  }
+
+  const describeChange = (change, group) => {
+    if (change.type === 'changed') {
+      return change.after.allianceId === group.allianceId
+        ? `from ${change.before.allianceName || 'Unknown alliance'}`
+        : `to ${change.after.allianceName || 'Unknown alliance'}`;
+    }
+    return change.type === 'gained' ? 'was unclaimed' : 'now unclaimed';
+  };
+
+  return (
+    <div className="fixed bottom-4 left-4 z-40 w-[360px] max-w-[calc(100vw-2rem)] max-h-[60vh] flex flex-col bg-discord-gray/95 border border-discord-lighter-gray rounded-lg shadow-xl">
+      <div className="p-3 border-b border-discord-lighter-gray flex flex-col gap-2">
+        <div className="flex items-center justify-between">
+          <span className="text-sm font-semibold text-discord-text">Changes on Day {selectedDay}</span>
+          <button
+            onClick={onClose}
+            className="text-discord-text-muted hover:text-red-400 transition-colors"
+            title="Hide changes"
+          >
+            <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+        <label className="flex items-center gap-2 text-xs text-discord-text-secondary">
+          Since
+          <select
+            value={String(since)}
+            onChange={(e) => onSinceChange(e.target.value === 'previous' ? 'previous' : parseInt(e.target.value, 10))}
+            className="min-w-0 flex-1 px-2 py-1 bg-discord-dark border border-discord-lighter-gray rounded text-xs text-discord-text focus:outline-none focus:border-discord-blurple"
+          >
+            <option value="previous">Previous day</option>
+            {earlierDays.map(day => (
+              <option key={day} value={day}>End of Day {day}</option>
+            ))}
+          </select>
+        </label>
+        <div className="flex flex-wrap gap-x-3 gap-y-1 text-xs">
+          {Object.entries(TILE_CHANGE_STYLES).map(([type, style]) => (
+            <span key={type} className="flex items-center gap-1 text-discord-text-secondary">
+              <ChangeBadge type={type} />
+              {style.label} <span className="font-mono text-discord-text">{counts[type]}</span>
+            </span>
+          ))}
+        </div>
+      </div>
+
+      <div className="overflow-y-auto p-2">
+        {error ? (
+          <p className="text-xs text-red-400 p-1">{error}</p>
+        ) : loading ? (
+          <p className="text-xs text-discord-text-muted italic p-1">Loading Day {baseDay}...</p>
+        ) : groups.length === 0 ? (
+          <p className="text-xs text-discord-text-muted italic p-1">No tiles changed since Day {baseDay}</p>
+        ) : (
+          groups.map(group => {
+            const isExpanded = expanded === group.allianceId;
+            const groupChanges = [...group.gained, ...group.lost];
+            const net = group.gained.length - group.lost.length;
+            return (
+              <div key={group.allianceId} className="mb-1">
+                <button
+                  onClick={() => setExpanded(isExpanded ? null : group.allianceId)}
+                  onMouseEnter={() => onTileHover(groupChanges.map(change => change.tileId))}
+                  onMouseLeave={() => onTileHover(null)}
+                  className="w-full flex items-center gap-2 px-2 py-1.5 rounded bg-transparent border-none cursor-pointer text-left hover:bg-discord-dark"
+                >
+                  <span
+                    className="w-2.5 h-2.5 rounded-full border border-white/20 shrink-0"
+                    style={{ backgroundColor: group.color || '#666' }}
+                  />
+                  <span className="flex-1 truncate text-sm text-discord-text">{group.allianceName}</span>
+                  {group.gained.length > 0 && <span className="text-xs font-mono text-green-400">+{group.gained.length}</span>}
+                  {group.lost.length > 0 && <span className="text-xs font-mono text-red-400">−{group.lost.length}</span>}
+                  <span className={`text-xs font-mono w-8 text-right ${net > 0 ? 'text-green-400' : net < 0 ? 'text-red-400' : 'text-discord-text-muted'}`}>
+                    {net > 0 ? `+${net}` : net}
+                  </span>
+                </button>
+                {isExpanded && (
+                  <ul className="ml-6 mt-0.5 mb-1">
+                    {groupChanges.map(change => {
+                      const isGain = change.after?.allianceId === group.allianceId;
+                      return (
+                        <li key={change.tileId}>
+                          <button
+                            onClick={() => onTileClick(change.tileId)}
+                            onMouseEnter={() => onTileHover([change.tileId])}
+                            onMouseLeave={() => onTileHover(null)}
+                            className="w-full flex items-center gap-2 px-2 py-1 rounded bg-transparent border-none cursor-pointer text-left text-xs hover:bg-discord-dark"
+                          >
+                            <ChangeBadge type={change.type} />
+                            <span className={`font-semibold ${isGain ? 'text-green-400' : 'text-red-400'}`}>
+                              {isGain ? 'Took' : 'Lost'} L{change.tileId}
+                            </span>
+                            <span className="truncate text-discord-text-muted">{describeChange(change, group)}</span>
+                          </button>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                )}
+              </div>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+}
+
+function ChangeBadge({ type }) {
+  const style = TILE_CHANGE_STYLES[type];
+  return (
+    <span
+      className="inline-flex items-center justify-center w-4 h-4 rounded-full text-[10px] font-bold text-discord-not-quite-black shrink-0"
+      style={{ backgroundColor: style.color }}
+      title={style.label}
+    >
+      {style.badge}
+    </span>
+  );
+}
@@ -2,10 +2,18 @@ import { useState, useEffect } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { useProfile } from '../../contexts/ProfileContext';
 import { useTimeline } from '../../contexts/TimelineContext';
+import { useAlliance } from '../../contexts/AllianceContext';
 
-export function Header({ scale, onZoom }) {
+const TERRITORY_MODE_LABELS = {
+  off: 'Territories: Off',
+  outlines: 'Territories: On',
+  names: 'Territories: Names',
+};
+
+export function Header({ scale, onZoom, showClaimPreview, onToggleClaimPreview, territoryMode, onCycleTerritoryMode, showDayChanges, onToggleDayChanges, onOpenBackup, onOpenMapExport, onOpenTimelapse, showAnnotations, onToggleAnnotations }) {
   const { user, loading, signInWithDiscord, signOut, isSupabaseConfigured } = useAuth();
   const { displayName, setShowProfileModal } = useProfile();
+  const { alliance } = useAlliance();
   const {
     currentDay,
     selectedDay,
@@ -72,7 +80,7 @@ export function Header({ scale, onZoom }) {
         </div>
 
         {/* Auth - compact on mobile */}
-        {isSupabaseConfigured && (
+        {(isSupabaseConfigured || user) && (
           <div className="flex items-center gap-2">
             {loading ? (
               <span className="text-discord-text-muted text-sm">...</span>
@@ -133,6 +141,28 @@ export function Header({ scale, onZoom }) {
               Today
             </button>
           )}
+          {onToggleDayChanges && selectedDay > 1 && (
+            <button
+              className={`border-none h-8 px-3 rounded text-xs font-medium cursor-pointer transition-all duration-200 ${
+                showDayChanges
+                  ? 'bg-discord-yellow/20 text-discord-yellow hover:bg-discord-yellow/30'
+                  : 'bg-discord-lighter-gray text-discord-text hover:bg-discord-lightest-gray'
+              }`}
+              onClick={onToggleDayChanges}
+              title="Mark tiles gained, lost or taken since an earlier day"
+            >
+              Changes
+            </button>
+          )}
+          {onOpenTimelapse && currentDay > 1 && (
+            <button
+              className="bg-discord-lighter-gray text-discord-text border-none h-8 px-3 rounded text-xs font-medium cursor-pointer transition-all duration-200 hover:bg-discord-lightest-gray"
+              onClick={onOpenTimelapse}
+              title="Replay the season's map history"
+            >
+              Time-lapse
+            </button>
+          )}
           {isViewingCurrentDay && (
             <div className="flex flex-col items-center ml-2">
               <span className="text-xs text-discord-text-muted">Next day in</span>
@@ -141,6 +171,51 @@ export function Header({ scale, onZoom }) {
           )}
         </div>
 
+        {/* Claim Preview Toggle */}
+        {alliance && isViewingCurrentDay && (
+          <button
+            className={`border-none h-9 px-3 rounded text-sm font-medium cursor-pointer transition-all duration-200 ${
+              showClaimPreview
+                ? 'bg-green-500/20 text-green-400 hover:bg-green-500/30'
+                : 'bg-discord-lighter-gray text-discord-text hover:bg-discord-lightest-gray'
+            }`}
+            onClick={onToggleClaimPreview}
+            title="Shade tiles your alliance can claim right now"
+          >
+            {showClaimPreview ? 'Claimable: On' : 'Claimable: Off'}
+          </button>
+        )}
+
+        {/* Territory Outlines Toggle */}
+        {onCycleTerritoryMode && (
+          <button
+            className={`border-none h-9 px-3 rounded text-sm font-medium cursor-pointer transition-all duration-200 ${
+              territoryMode !== 'off'
+                ? 'bg-discord-blurple/20 text-discord-blurple hover:bg-discord-blurple/30'
+                : 'bg-discord-lighter-gray text-discord-text hover:bg-discord-lightest-gray'
+            }`}
+            onClick={onCycleTerritoryMode}
+            title="Outline alliance territories, optionally with alliance names"
+          >
+            {TERRITORY_MODE_LABELS[territoryMode]}
+          </button>
+        )}
+
+        {/* Alliance Annotations Toggle */}
+        {onToggleAnnotations && (
+          <button
+            className={`border-none h-9 px-3 rounded text-sm font-medium cursor-pointer transition-all duration-200 ${
+              showAnnotations
+                ? 'bg-discord-blurple/20 text-discord-blurple hover:bg-discord-blurple/30'
+                : 'bg-discord-lighter-gray text-discord-text hover:bg-discord-lightest-gray'
+            }`}
+            onClick={onToggleAnnotations}
+            title="Show your alliance's arrows, zones, notes and rally markers"
+          >
+            {showAnnotations ? 'Annotations: On' : 'Annotations: Off'}
+          </button>
+        )}
+
         {/* Zoom Controls */}
         <div className="flex items-center gap-2">
           <button
@@ -166,7 +241,29 @@ export function Header({ scale, onZoom }) {
             Reset
           </button>
         </div>
-        {isSupabaseConfigured && (
+
+        {/* Map Image Export */}
+        {onOpenMapExport && (
+          <button
+            className="bg-discord-lighter-gray text-discord-text border-none h-9 px-3 rounded text-sm font-medium cursor-pointer transition-all duration-200 hover:bg-discord-lightest-gray"
+            onClick={onOpenMapExport}
+            title="Download the map as a PNG or SVG image"
+          >
+            Export
+          </button>
+        )}
+
+        {/* Workspace Backup */}
+        {onOpenBackup && (
+          <button
+            className="bg-discord-lighter-gray text-discord-text border-none h-9 px-3 rounded text-sm font-medium cursor-pointer transition-all duration-200 hover:bg-discord-lightest-gray"
+            onClick={onOpenBackup}
+            title="Export or import a workspace backup"
+          >
+            Backup
+          </button>
+        )}
+        {(isSupabaseConfigured || user) && (
           <div className="flex items-center gap-3">
             {loading ? (
               <span className="text-discord-text-muted text-sm">...</span>
@@ -179,12 +276,14 @@ export function Header({ scale, onZoom }) {
                 >
                   {displayName}
                 </button>
-                <button
-                  className="bg-discord-lighter-gray text-discord-text border border-discord-lightest-gray px-4 py-2 rounded text-sm font-medium cursor-pointer transition-all duration-200 hover:bg-discord-lightest-gray"
-                  onClick={signOut}
-                >
-                  Sign Out
-                </button>
+                {isSupabaseConfigured && (
+                  <button
+                    className="bg-discord-lighter-gray text-discord-text border border-discord-lightest-gray px-4 py-2 rounded text-sm font-medium cursor-pointer transition-all duration-200 hover:bg-discord-lightest-gray"
+                    onClick={signOut}
+                  >
+                    Sign Out
+                  </button>
+                )}
               </>
             ) : (
               <button
@@ -0,0 +1,271 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { MapCanvas } from '../MapCanvas/MapCanvas';
+import { FetchTileGeometryRepository } from '../../data/localStorage/FetchTileGeometryRepository';
+import { getTileRenderData } from '../../utils/tileRenderData';
+
+const SCENARIOS = [
+  { id: 'pan', label: 'Pan', description: 'Pan back and forth across the map at 2x zoom' },
+  { id: 'zoom', label: 'Zoom', description: 'Zoom between 0.5x and 3x around the map centre' },
+  { id: 'playback', label: 'Playback', description: 'Step through claim history, one change per frame' },
+];
+
+const SCENARIO_DURATION_MS = 5000;
+const FRAME_BUDGET_MS = 1000 / 60;
+
+const ALLIANCE_COLORS = ['#e74c3c', '#3498db', '#2ecc71', '#f1c40f', '#9b59b6', '#e67e22', '#1abc9c', '#ec407a'];
+
+/**
+ * Deterministic pseudo-random generator so runs are comparable
+ * @param {number} seed
+ * @returns {() => number}
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+/**
+ * Build a claim history: one claim map per step, each differing from the
+ * previous one by a single tile changing owner
+ * @param {number[]} tileIds
+ * @param {number} steps
+ * @returns {Array<{claims: Map<number, {color: string}>, tileId: number}>}
+ */
+function buildClaimFrames(tileIds, steps) {
+  const random = createRandom(42);
+  const frames = [];
+  let claims = new Map();
+
+  for (let i = 0; i < steps; i++) {
+    const tileId = tileIds[Math.floor(random() * tileIds.length)];
+    claims = new Map(claims);
+    if (claims.has(tileId) && random() < 0.2) {
+      claims.delete(tileId);
+    } else {
+      claims.set(tileId, { color: ALLIANCE_COLORS[Math.floor(random() * ALLIANCE_COLORS.length)] });
+    }
+    frames.push({ claims, tileId });
+  }
+  return frames;
+}
+
+/**
+ * Summarize frame-to-frame intervals
+ * @param {number[]} deltas - Milliseconds between consecutive frames
+ */
+function summarizeFrames(deltas) {
+  const sorted = [...deltas].sort((a, b) => a - b);
+  const total = deltas.reduce((sum, delta) => sum + delta, 0);
+  const avg = total / deltas.length;
+  return {
+    frames: deltas.length,
+    avg,
+    p95: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+    max: sorted[sorted.length - 1],
+    fps: 1000 / avg,
+    // Frames that took more than one and a half 60Hz budgets count as dropped
+    dropped: deltas.filter(delta => delta > FRAME_BUDGET_MS * 1.5).length,
+  };
+}
+
+/**
+ * MapBenchmark renders the map canvas on its own and drives it through
+ * scripted pan, zoom and playback runs, measuring time between animation
+ * frames. Open it with `npm run benchmark`.
+ */
+export function MapBenchmark() {
+  const [tileGeometry, setTileGeometry] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [scale, setScale] = useState(1);
+  const [position, setPosition] = useState({ x: 0, y: 0 });
+  const [tileClaims, setTileClaims] = useState(new Map());
+  const [playbackTileId, setPlaybackTileId] = useState(null);
+  const [running, setRunning] = useState(null);
+  const [results, setResults] = useState([]);
+
+  const containerRef = useRef(null);
+  const stageRef = useRef(null);
+  const frameRef = useRef(null);
+
+  useEffect(() => {
+    new FetchTileGeometryRepository().load()
+      .then(geometry => {
+        getTileRenderData(geometry);
+        setTileGeometry(geometry);
+      })
+      .catch(error => setLoadError(error.message));
+  }, []);
+
+  useEffect(() => () => cancelAnimationFrame(frameRef.current), []);
+
+  const claimFrames = useMemo(
+    () => (tileGeometry ? buildClaimFrames(tileGeometry.tiles.map(tile => tile.id), 600) : []),
+    [tileGeometry]
+  );
+
+  // Numbered tiles, so label drawing is part of the measurement
+  const tiles = useMemo(() => new Map(
+    (tileGeometry?.tiles || []).map((tile, index) => [tile.id, { number: index % 12 + 1, icon: index % 5 === 0 ? '🏰' : '' }])
+  ), [tileGeometry]);
+
+  // A realistic starting state: the last playback frame, with most tiles claimed
+  const fullClaims = claimFrames[claimFrames.length - 1]?.claims;
+
+  const runScenario = useCallback((scenario) => new Promise((resolve) => {
+    const container = containerRef.current;
+    const width = container?.clientWidth || 800;
+    const height = container?.clientHeight || 600;
+    const mapWidth = tileGeometry.width;
+    const mapHeight = tileGeometry.height;
+
+    setRunning(scenario.id);
+    setPlaybackTileId(null);
+    setTileClaims(fullClaims || new Map());
+
+    const deltas = [];
+    let start = null;
+    let last = null;
+
+    const step = (now) => {
+      if (start === null) start = now;
+      if (last !== null) deltas.push(now - last);
+      last = now;
+
+      const elapsed = now - start;
+      const t = elapsed / SCENARIO_DURATION_MS;
+
+      if (scenario.id === 'pan') {
+        const panScale = 2;
+        const travel = mapWidth * panScale - width;
+        setScale(panScale);
+        setPosition({
+          x: -((Math.sin(t * Math.PI * 4) + 1) / 2) * Math.max(travel, 0),
+          y: (height - mapHeight * panScale) / 2,
+        });
+      } else if (scenario.id === 'zoom') {
+        const zoomScale = 0.5 + ((Math.sin(t * Math.PI * 4 - Math.PI / 2) + 1) / 2) * 2.5;
+        setScale(zoomScale);
+        setPosition({
+          x: width / 2 - (mapWidth / 2) * zoomScale,
+          y: height / 2 - (mapHeight / 2) * zoomScale,
+        });
+      } else {
+        const frame = claimFrames[deltas.length % claimFrames.length];
+        setTileClaims(frame.claims);
+        setPlaybackTileId(frame.tileId);
+      }
+
+      if (elapsed < SCENARIO_DURATION_MS) {
+        frameRef.current = requestAnimationFrame(step);
+      } else {
+        setRunning(null);
+        setPlaybackTileId(null);
+        resolve({ scenario: scenario.label, ...summarizeFrames(deltas) });
+      }
+    };
+
+    // Playback starts from an empty map, the way the timeline does
+    if (scenario.id === 'playback') {
+      setScale(1);
+      setPosition({ x: 0, y: 0 });
+      setTileClaims(new Map());
+    }
+    frameRef.current = requestAnimationFrame(step);
+  }), [tileGeometry, fullClaims, claimFrames]);
+
+  const handleRun = async (scenarios) => {
+    for (const scenario of scenarios) {
+      const result = await runScenario(scenario);
+      setResults(prev => [{ ...result, runAt: new Date().toLocaleTimeString() }, ...prev]);
+    }
+  };
+
+  const noop = useCallback(() => {}, []);
+
+  return (
+    <div className="flex flex-col h-screen bg-discord-dark text-discord-text">
+      <div className="flex flex-wrap items-center gap-2 p-3 border-b border-discord-lighter-gray">
+        <h1 className="text-base font-semibold mr-2">Map rendering benchmark</h1>
+        {SCENARIOS.map(scenario => (
+          <button
+            key={scenario.id}
+            onClick={() => handleRun([scenario])}
+            disabled={!tileGeometry || running !== null}
+            title={scenario.description}
+            className="px-3 py-1.5 border-none rounded text-sm font-medium cursor-pointer transition-all duration-200 bg-discord-lighter-gray text-discord-text hover:bg-discord-lightest-gray disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {running === scenario.id ? `${scenario.label}…` : scenario.label}
+          </button>
+        ))}
+        <button
+          onClick={() => handleRun(SCENARIOS)}
+          disabled={!tileGeometry || running !== null}
+          className="px-3 py-1.5 border-none rounded text-sm font-medium cursor-pointer transition-all duration-200 bg-discord-blurple text-white hover:bg-discord-blurple-hover disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Run all
+        </button>
+        {loadError && <span className="text-red-400 text-sm">Could not load tile geometry: {loadError}</span>}
+      </div>
+
+      <div className="flex flex-1 min-h-0 max-md:flex-col">
+        <MapCanvas
+          tileGeometry={tileGeometry}
+          tiles={tiles}
+          tileClaims={tileClaims}
+          selectedTile={null}
+          playbackHighlightTileId={playbackTileId}
+          onTileClick={noop}
+          scale={scale}
+          position={position}
+          isPanning={false}
+          containerRef={containerRef}
+          stageRef={stageRef}
+          onPanStart={noop}
+          onPanMove={noop}
+          onPanEnd={noop}
+        />
+
+        <div className="w-[360px] max-md:w-full shrink-0 overflow-y-auto p-3 border-l border-discord-lighter-gray">
+          <p className="text-xs text-discord-text-muted mb-3">
+            Each run lasts {SCENARIO_DURATION_MS / 1000}s. Frame times are the intervals between animation
+            frames; frames over {(FRAME_BUDGET_MS * 1.5).toFixed(0)}ms count as dropped.
+          </p>
+          {results.length === 0 ? (
+            <p className="text-sm text-discord-text-muted italic">No runs yet</p>
+          ) : (
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-discord-text-secondary">
+                  <th className="pb-1">Run</th>
+                  <th className="pb-1 text-right">Avg</th>
+                  <th className="pb-1 text-right">p95</th>
+                  <th className="pb-1 text-right">Max</th>
+                  <th className="pb-1 text-right">FPS</th>
+                  <th className="pb-1 text-right">Dropped</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.map((result, index) => (
+                  <tr key={index} className="border-t border-discord-lighter-gray">
+                    <td className="py-1">
+                      {result.scenario}
+                      <span className="block text-discord-text-muted">{result.runAt}</span>
+                    </td>
+                    <td className="py-1 text-right">{result.avg.toFixed(1)}ms</td>
+                    <td className="py-1 text-right">{result.p95.toFixed(1)}ms</td>
+                    <td className="py-1 text-right">{result.max.toFixed(1)}ms</td>
+                    <td className="py-1 text-right">{result.fps.toFixed(0)}</td>
+                    <td className="py-1 text-right">{result.dropped}/{result.frames}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
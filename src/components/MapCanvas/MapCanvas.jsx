@@ -1,16 +1,163 @@
-import { useCallback, useState, useEffect } from 'react';
-import { Stage, Layer, Line, Text, Group, Rect } from 'react-konva';
-import { polygonToPoints, calculatePolygonCentroid } from '../../utils/geometryUtils';
+import { memo, useCallback, useState, useEffect, useLayoutEffect, useRef, useMemo } from 'react';
+import { Stage, Layer, Line, Text, Group, Rect, Circle, Arrow, Label, Tag } from 'react-konva';
+import { polygonToPoints, rectToPolygon, getTilesInPolygon, getPolygonBounds } from '../../utils/geometryUtils';
+import { getTileRenderData } from '../../utils/tileRenderData';
+import { buildTerritories } from '../../utils/territoryUtils';
 import { getContrastingTextColor } from '../../utils/colorUtils';
+import { CLAIM_RULES } from '../../utils/claimRulesEngine';
+import { TILE_CHANGE_STYLES } from '../../utils/mapStateDiff';
+
+const SELECTION_TOOLS = [
+  { id: 'pan', label: '✋', title: 'Pan and click to select (shift/ctrl-click adds tiles)' },
+  { id: 'box', label: '▭', title: 'Box select (hold shift/ctrl to add)' },
+  { id: 'lasso', label: '➰', title: 'Lasso select (hold shift/ctrl to add)' },
+];
+
+// Drags shorter than this (in screen pixels) count as clicks
+const MIN_SELECTION_DRAG = 4;
+
+const DEFAULT_TILE_FILL = '#f8f9fa';
+
+// Tiles are drawn for this much extra screen space (in pixels) around the viewport,
+// and the culled area moves in steps of half of it, so small pans keep the same tiles
+const CULL_MARGIN_PX = 160;
+
+// Static layers are re-rasterized once content and zoom have been still this long
+const CACHE_SETTLE_MS = 150;
+
+// Largest bitmap (in pixels) a cached layer may use, to stay within mobile GPU limits
+const MAX_CACHE_PIXELS = 8_000_000;
+
+/**
+ * Rasterize a group of static shapes so pans only blit a bitmap
+ * @param {import('konva').default.Group} group
+ * @param {number} scale - Current stage scale
+ */
+function cacheGroup(group, scale) {
+  if (!group.getLayer() || group.getChildren().length === 0) {
+    group.clearCache();
+    return;
+  }
+
+  const rect = group.getClientRect({ skipTransform: true });
+  if (!rect.width || !rect.height) return;
+
+  const desired = scale * (window.devicePixelRatio || 1);
+  const pixelRatio = Math.min(desired, Math.sqrt(MAX_CACHE_PIXELS / (rect.width * rect.height)));
+  group.cache({ pixelRatio });
+  group.getLayer().batchDraw();
+}
+
+/**
+ * Keep a static group cached: drop the bitmap as soon as its content changes,
+ * and re-rasterize at the current zoom once things settle. While zooming the
+ * old bitmap is scaled rather than redrawn every frame.
+ * @param {React.RefObject} groupRef
+ * @param {number} scale
+ * @param {Object} content - Memoized values the group's children are drawn from; a new object means new content
+ */
+function useStaticCache(groupRef, scale, content) {
+  useLayoutEffect(() => {
+    groupRef.current?.clearCache();
+  }, [groupRef, content]);
+
+  useEffect(() => {
+    const group = groupRef.current;
+    if (!group) return;
+    const timer = setTimeout(() => cacheGroup(group, scale), CACHE_SETTLE_MS);
+    return () => clearTimeout(timer);
+  }, [groupRef, scale, content]);
+}
+
+// Hatch directions per day-change type: gained '/', lost '\', changed hands crosshatched
+const HATCH_DIRECTIONS = {
+  gained: ['up'],
+  lost: ['down'],
+  changed: ['up', 'down'],
+};
+const HATCH_SIZE = 8;
+const hatchPatterns = {};
+
+/**
+ * Tileable hatch image for a day-change type, created on first use
+ * @param {import('../../utils/mapStateDiff').TileChangeType} type
+ * @returns {HTMLCanvasElement}
+ */
+function getHatchPattern(type) {
+  if (!hatchPatterns[type]) {
+    const canvas = document.createElement('canvas');
+    canvas.width = HATCH_SIZE;
+    canvas.height = HATCH_SIZE;
+    const ctx = canvas.getContext('2d');
+    ctx.strokeStyle = TILE_CHANGE_STYLES[type].color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (const direction of HATCH_DIRECTIONS[type]) {
+      // The diagonal plus its wrapped corners, so neighbouring copies join up
+      for (const offset of [-HATCH_SIZE, 0, HATCH_SIZE]) {
+        if (direction === 'up') {
+          ctx.moveTo(offset, HATCH_SIZE);
+          ctx.lineTo(offset + HATCH_SIZE, 0);
+        } else {
+          ctx.moveTo(offset, 0);
+          ctx.lineTo(offset + HATCH_SIZE, HATCH_SIZE);
+        }
+      }
+    }
+    ctx.stroke();
+    hatchPatterns[type] = canvas;
+  }
+  return hatchPatterns[type];
+}
+
+// Highlight for a tile changed by a live update; fades out over its lifetime
+function FlashingTile({ points }) {
+  const lineRef = useRef(null);
+
+  useEffect(() => {
+    const tween = lineRef.current?.to({ opacity: 0, duration: 1.8 });
+    return () => tween?.destroy?.();
+  }, []);
+
+  return (
+    <Line
+      ref={lineRef}
+      points={points}
+      stroke="#ffffff"
+      strokeWidth={4}
+      fill="rgba(255, 255, 255, 0.45)"
+      closed={true}
+      listening={false}
+      shadowColor="#ffffff"
+      shadowBlur={12}
+    />
+  );
+}
 
 export function MapCanvas({
   tileGeometry,
   tiles,
   tileClaims,
   selectedTile,
+  selectedTileIds,
   hoveredTileIds,
   playbackHighlightTileId,
+  flashingTiles,
+  claimPreview,
+  diffTiles,
+  diffMode,
+  dayChanges,
+  adjacencyMap,
+  territoryMode = 'off',
+  annotations,
+  annotationTool,
+  annotationColor,
+  annotationArrowFrom = null,
+  onAnnotationClick,
+  caption,
   onTileClick,
+  onTileToggle,
+  onAreaSelect,
   scale,
   position,
   isPanning,
@@ -51,49 +198,175 @@ export function MapCanvas({
 
     return () => resizeObserver.disconnect();
   }, [containerRef]);
-  // Handle mouse events for panning
+
+  // Points, centroids, bounds and the spatial index are computed once per geometry
+  const renderData = useMemo(() => (tileGeometry ? getTileRenderData(tileGeometry) : null), [tileGeometry]);
+
+  // Viewport in map coordinates, widened by the cull margin and snapped to half-margin steps
+  const step = CULL_MARGIN_PX / 2 / scale;
+  const cullMinX = (Math.floor(-position.x / scale / step) - 2) * step;
+  const cullMinY = (Math.floor(-position.y / scale / step) - 2) * step;
+  const cullMaxX = (Math.ceil((dimensions.width - position.x) / scale / step) + 2) * step;
+  const cullMaxY = (Math.ceil((dimensions.height - position.y) / scale / step) + 2) * step;
+
+  // Tiles worth drawing; the array only changes identity when the set of tiles does
+  const previousVisible = useRef([]);
+  const visibleTiles = useMemo(() => {
+    if (!renderData) return [];
+    const found = renderData.index.search({ minX: cullMinX, minY: cullMinY, maxX: cullMaxX, maxY: cullMaxY });
+    const previous = previousVisible.current;
+    if (found.length === previous.length && found.every((tile, i) => tile === previous[i])) {
+      return previous;
+    }
+    previousVisible.current = found;
+    return found;
+  }, [renderData, cullMinX, cullMinY, cullMaxX, cullMaxY]);
+
+  // Alliance territories: adjacent same-alliance tiles merged behind one border
+  const territories = useMemo(() => (
+    renderData && territoryMode !== 'off' ? buildTerritories(renderData.byId, tileClaims, adjacencyMap) : []
+  ), [renderData, territoryMode, tileClaims, adjacencyMap]);
+
+  const tilesGroupRef = useRef(null);
+  const territoriesGroupRef = useRef(null);
+  const labelsGroupRef = useRef(null);
+  const territoryNamesGroupRef = useRef(null);
+  const tilesContent = useMemo(() => ({ visibleTiles, tileClaims }), [visibleTiles, tileClaims]);
+  const labelsContent = useMemo(() => ({ visibleTiles, tiles, tileClaims }), [visibleTiles, tiles, tileClaims]);
+  const territoryNamesContent = useMemo(() => ({ territories, territoryMode }), [territories, territoryMode]);
+  useStaticCache(tilesGroupRef, scale, tilesContent);
+  useStaticCache(territoriesGroupRef, scale, territories);
+  useStaticCache(labelsGroupRef, scale, labelsContent);
+  useStaticCache(territoryNamesGroupRef, scale, territoryNamesContent);
+
+  // Tile under the pointer (hit-tested against the spatial index), with the
+  // pointer's screen position while the claim preview tooltip needs it
+  const [hover, setHover] = useState(null); // {tileId, x, y}
+
+  // Box/lasso selection: the active tool, and the shape being drawn in map coordinates
+  const [selectionTool, setSelectionTool] = useState('pan');
+  const [selectionDraft, setSelectionDraft] = useState(null); // {tool, points, additive}
+  // The click that ends a selection drag shouldn't also select the tile under the pointer
+  const suppressClickRef = useRef(false);
+  const pointerDownRef = useRef(null);
+  const canSelectArea = !!onAreaSelect && selectionTool !== 'pan';
+
+  const hitTest = useCallback((stage) => {
+    const point = stage.getRelativePointerPosition();
+    return point && renderData ? renderData.index.hitTest(point) : null;
+  }, [renderData]);
+
+  // Handle mouse events for panning and area selection
   const handleMouseDown = useCallback((e) => {
     const evt = e.evt;
+    suppressClickRef.current = false;
+    pointerDownRef.current = { x: evt.clientX, y: evt.clientY };
 
-    // Middle mouse or shift+click always pans
-    if (evt.button === 1 || (evt.shiftKey && evt.button === 0)) {
+    // Middle mouse always pans
+    if (evt.button === 1) {
       onPanStart(evt.clientX, evt.clientY);
       return;
     }
 
-    // Left click on empty space (stage background) pans
-    const isClickOnTile = e.target !== e.currentTarget && e.target.getClassName() === 'Line';
-    const isClickOnLabel = e.target !== e.currentTarget &&
-      (e.target.getClassName() === 'Text' || e.target.getClassName() === 'Group');
-    // Check if clicking on a draggable element (label that can be repositioned)
-    const isClickOnDraggable = e.target.isDragging?.() || e.target.draggable?.() ||
-      (e.target.parent && e.target.parent.draggable?.());
-
-    console.log('MouseDown:', {
-      className: e.target.getClassName(),
-      isClickOnTile,
-      isClickOnLabel,
-      isClickOnDraggable,
-      parentDraggable: e.target.parent?.draggable?.()
-    });
+    if (canSelectArea && evt.button === 0) {
+      const point = e.target.getStage().getRelativePointerPosition();
+      if (point) {
+        setSelectionDraft({
+          tool: selectionTool,
+          points: [point],
+          additive: evt.shiftKey || evt.ctrlKey || evt.metaKey,
+        });
+      }
+      return;
+    }
 
-    if (evt.button === 0 && !isClickOnTile && !isClickOnLabel && !isClickOnDraggable) {
+    // Left click on empty space (off every tile) pans
+    if (evt.button === 0 && !hitTest(e.target.getStage())) {
       onPanStart(evt.clientX, evt.clientY);
     }
-  }, [onPanStart]);
+  }, [onPanStart, canSelectArea, selectionTool, hitTest]);
+
+  const handleClick = useCallback((e) => {
+    const evt = e.evt;
+    if (evt.button !== 0 || suppressClickRef.current) return;
+
+    const down = pointerDownRef.current;
+    if (down && Math.hypot(evt.clientX - down.x, evt.clientY - down.y) > MIN_SELECTION_DRAG) return;
+
+    const stage = e.target.getStage();
+    const hit = hitTest(stage);
+    // Annotation tools take clicks anywhere on the map, on a tile or not
+    if (annotationTool && onAnnotationClick) {
+      const point = stage.getRelativePointerPosition();
+      if (point) onAnnotationClick({ tileId: hit?.id ?? null, point });
+      return;
+    }
+    if (!hit) return;
+    if (onTileToggle && (evt.shiftKey || evt.ctrlKey || evt.metaKey)) {
+      onTileToggle(hit.tileInfo);
+    } else {
+      onTileClick(hit.tileInfo);
+    }
+  }, [hitTest, onTileClick, onTileToggle, annotationTool, onAnnotationClick]);
 
   const handleMouseMove = useCallback((e) => {
     if (isPanning) {
       onPanMove(e.evt.clientX, e.evt.clientY);
+      return;
     }
-  }, [isPanning, onPanMove]);
+
+    const stage = e.target.getStage();
+
+    if (selectionDraft) {
+      const point = stage.getRelativePointerPosition();
+      if (!point) return;
+      setSelectionDraft(prev => {
+        if (!prev) return prev;
+        if (prev.tool === 'box') {
+          return { ...prev, points: [prev.points[0], point] };
+        }
+        // Lasso: skip points too close to the last one to keep the path small
+        const last = prev.points[prev.points.length - 1];
+        if (Math.hypot(point.x - last.x, point.y - last.y) * scale < 2) return prev;
+        return { ...prev, points: [...prev.points, point] };
+      });
+      return;
+    }
+
+    const tileId = hitTest(stage)?.id ?? null;
+    // Only the claim preview tooltip follows the pointer; otherwise re-render just when the tile changes
+    const pointer = claimPreview && tileId !== null ? stage.getPointerPosition() : null;
+    setHover(prev => {
+      if (tileId === null) return null;
+      if (!pointer && prev?.tileId === tileId) return prev;
+      return { tileId, x: pointer?.x ?? 0, y: pointer?.y ?? 0 };
+    });
+  }, [isPanning, onPanMove, selectionDraft, scale, hitTest, claimPreview]);
+
+  const finishAreaSelection = useCallback(() => {
+    if (!selectionDraft) return;
+    setSelectionDraft(null);
+
+    const { tool, points, additive } = selectionDraft;
+    const bounds = getPolygonBounds(points);
+    const extent = Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY) * scale;
+    // Too small to be a drag: let the click select the tile as usual
+    if (extent < MIN_SELECTION_DRAG) return;
+
+    const polygon = tool === 'box' ? rectToPolygon(points[0], points[points.length - 1]) : points;
+    onAreaSelect(getTilesInPolygon(renderData.index.search(bounds), polygon), { additive });
+    suppressClickRef.current = true;
+  }, [selectionDraft, scale, onAreaSelect, renderData]);
 
   const handleMouseUp = useCallback(() => {
+    finishAreaSelection();
     onPanEnd();
-  }, [onPanEnd]);
+  }, [finishAreaSelection, onPanEnd]);
 
   const handleMouseLeave = useCallback(() => {
+    setSelectionDraft(null);
     onPanEnd();
+    setHover(null);
   }, [onPanEnd]);
 
   if (!tileGeometry) {
@@ -104,14 +377,48 @@ export function MapCanvas({
     );
   }
 
+  const { byId } = renderData;
+  const hoveredTile = hover && !isPanning ? byId.get(hover.tileId) : null;
+  const selectedRenderTile = selectedTile ? byId.get(selectedTile.id) : null;
+  const playbackTile = playbackHighlightTileId ? byId.get(playbackHighlightTileId) : null;
+  const arrowFromTile = annotationArrowFrom !== null ? byId.get(annotationArrowFrom) : null;
+
+  let cursor = 'default';
+  if (isPanning) cursor = 'grabbing';
+  else if (canSelectArea || annotationTool) cursor = 'crosshair';
+  else if (hoveredTile) cursor = 'pointer';
+
   return (
     <div
-      className="flex-1 flex justify-center items-center bg-discord-light-gray overflow-hidden max-md:flex-1 max-md:min-h-0 touch-none"
+      className="relative flex-1 flex justify-center items-center bg-discord-light-gray overflow-hidden max-md:flex-1 max-md:min-h-0 touch-none"
       ref={containerRef}
       onTouchStart={onTouchStart}
       onTouchMove={onTouchMove}
       onTouchEnd={onTouchEnd}
     >
+      {onAreaSelect && (
+        <div className="absolute top-2 right-2 z-10 flex gap-0.5 p-0.5 rounded bg-discord-not-quite-black/80">
+          {SELECTION_TOOLS.map(tool => (
+            <button
+              key={tool.id}
+              className={`w-8 h-8 border-none rounded text-base cursor-pointer transition-colors duration-200 ${
+                selectionTool === tool.id
+                  ? 'bg-discord-blurple text-white'
+                  : 'bg-transparent text-discord-text-muted hover:text-discord-text hover:bg-discord-lighter-gray'
+              }`}
+              onClick={() => setSelectionTool(tool.id)}
+              title={tool.title}
+            >
+              {tool.label}
+            </button>
+          ))}
+        </div>
+      )}
+      {caption && (
+        <div className="absolute top-2 left-2 z-10 pointer-events-none px-2 py-1 rounded bg-discord-not-quite-black/80 text-xs font-semibold text-discord-text">
+          {caption}
+        </div>
+      )}
       <Stage
         ref={stageRef}
         width={dimensions.width}
@@ -124,80 +431,160 @@ export function MapCanvas({
         onMouseMove={handleMouseMove}
         onMouseUp={handleMouseUp}
         onMouseLeave={handleMouseLeave}
-        style={{ cursor: isPanning ? 'grabbing' : 'default' }}
+        onClick={handleClick}
+        style={{ cursor }}
       >
         {/* Background Layer - covers actual tile area */}
-        <Layer>
+        <Layer listening={false}>
           <Rect
             x={0}
             y={0}
             width={685}
             height={560}
-            fill="#f8f9fa"
-            listening={false}
+            fill={DEFAULT_TILE_FILL}
           />
         </Layer>
 
-        {/* Map Layer - Tile shapes */}
-        <Layer>
-          {tileGeometry.tiles.map((tileInfo) => {
-            const tileData = tiles.get(tileInfo.id) || {};
-            const claim = tileClaims?.get(tileInfo.id);
-            const isSelected = selectedTile?.id === tileInfo.id;
-
-            return (
+        {/* Map Layer - Tile shapes (hit-testing uses the spatial index, so nothing here listens) */}
+        <Layer listening={false}>
+          <Group ref={tilesGroupRef}>
+            {visibleTiles.map((tile) => (
               <TileShape
-                key={tileInfo.id}
-                tileInfo={tileInfo}
-                tileData={tileData}
-                claim={claim}
-                isSelected={isSelected}
-                isPanning={isPanning}
-                onClick={() => !isPanning && onTileClick(tileInfo)}
+                key={tile.id}
+                points={tile.points}
+                fill={tileClaims?.get(tile.id)?.color || DEFAULT_TILE_FILL}
               />
-            );
-          })}
+            ))}
+          </Group>
+        </Layer>
+
+        {/* Territory Layer - thick alliance-colored border around each territory */}
+        <Layer listening={false}>
+          <Group ref={territoriesGroupRef}>
+            {territories.map((territory) => (
+              <TerritoryBorder key={territory.key} territory={territory} />
+            ))}
+          </Group>
         </Layer>
 
         {/* Highlight Layer */}
-        <Layer>
+        <Layer listening={false}>
+          {/* Hovered tile */}
+          {hoveredTile && (
+            <Line points={hoveredTile.points} fill="#e3e8f0" stroke="rgba(0, 0, 0, 0.15)" strokeWidth={1} closed={true} />
+          )}
+          {/* Claim preview - green for claimable, dimmed for unclaimed tiles that break a rule */}
+          {claimPreview && visibleTiles.map((tile) => {
+            const result = claimPreview.get(tile.id);
+            if (!result || result.rule === CLAIM_RULES.CLAIMED) return null;
+            return (
+              <Line
+                key={`preview-${tile.id}`}
+                points={tile.points}
+                fill={result.valid ? 'rgba(87, 242, 135, 0.35)' : 'rgba(32, 34, 37, 0.35)'}
+                stroke={result.valid ? '#57f287' : undefined}
+                strokeWidth={result.valid ? 2 : 0}
+                closed={true}
+              />
+            );
+          })}
+          {/* Plan comparison - dashed outline on tiles that differ; overlay mode also tints them with the second plan's owner */}
+          {diffTiles && visibleTiles.map((tile) => {
+            const difference = diffTiles.get(tile.id);
+            if (!difference) return null;
+            return (
+              <Group key={`diff-${tile.id}`}>
+                {diffMode === 'overlay' && (
+                  <Line
+                    points={tile.points}
+                    fill={difference.b?.color || DEFAULT_TILE_FILL}
+                    opacity={0.65}
+                    closed={true}
+                  />
+                )}
+                <Line
+                  points={tile.points}
+                  stroke="#f0b232"
+                  strokeWidth={3}
+                  dash={[6, 4]}
+                  closed={true}
+                />
+              </Group>
+            );
+          })}
+          {/* Day changes - hatched by change type: gained, lost, changed hands */}
+          {dayChanges && visibleTiles.map((tile) => {
+            const change = dayChanges.get(tile.id);
+            if (!change) return null;
+            return (
+              <Line
+                key={`change-${tile.id}`}
+                points={tile.points}
+                fillPatternImage={getHatchPattern(change.type)}
+                fillPatternRepeat="repeat"
+                stroke={TILE_CHANGE_STYLES[change.type].color}
+                strokeWidth={2}
+                closed={true}
+              />
+            );
+          })}
+          {/* Live updates - tiles someone else just changed flash white */}
+          {flashingTiles && [...flashingTiles].map(([tileId, flashId]) => {
+            const tile = byId.get(tileId);
+            if (!tile) return null;
+            return (
+              <FlashingTile key={`flash-${tileId}-${flashId}`} points={tile.points} />
+            );
+          })}
           {/* Playback highlight - yellow pulsing effect */}
-          {playbackHighlightTileId && tileGeometry.tiles.find(t => t.id === playbackHighlightTileId) && (
+          {playbackTile && (
             <Line
-              points={polygonToPoints(tileGeometry.tiles.find(t => t.id === playbackHighlightTileId).polygon)}
+              points={playbackTile.points}
               stroke="#facc15"
               strokeWidth={4}
               fill="rgba(250, 204, 21, 0.5)"
               closed={true}
-              listening={false}
             />
           )}
           {/* Hovered tiles highlight (from list) - cyan glow */}
           {hoveredTileIds && hoveredTileIds.map(tileId => {
-            const tile = tileGeometry.tiles.find(t => t.id === tileId);
+            const tile = byId.get(tileId);
             if (!tile) return null;
             return (
               <Line
                 key={`hover-${tileId}`}
-                points={polygonToPoints(tile.polygon)}
+                points={tile.points}
                 stroke="#22d3ee"
                 strokeWidth={3}
                 closed={true}
-                listening={false}
                 shadowColor="#22d3ee"
                 shadowBlur={12}
                 shadowOpacity={0.9}
               />
             );
           })}
+          {/* Multi-selection - blurple tint and outline */}
+          {selectedTileIds?.size > 0 && [...selectedTileIds].map((tileId) => {
+            const tile = byId.get(tileId);
+            if (!tile) return null;
+            return (
+              <Line
+                key={`selected-${tileId}`}
+                points={tile.points}
+                stroke="#5865f2"
+                strokeWidth={3}
+                fill="rgba(88, 101, 242, 0.3)"
+                closed={true}
+              />
+            );
+          })}
           {/* Selected tile highlight - yellow glow */}
-          {selectedTile && (
+          {selectedRenderTile && (
             <Line
-              points={polygonToPoints(selectedTile.polygon)}
+              points={selectedRenderTile.points}
               stroke="#fbbf24"
               strokeWidth={4}
               closed={true}
-              listening={false}
               shadowColor="#fbbf24"
               shadowBlur={15}
               shadowOpacity={0.8}
@@ -205,67 +592,413 @@ export function MapCanvas({
           )}
         </Layer>
 
+        {/* Annotation Zone Layer - alliance-drawn zones, under the tile numbers */}
+        {annotations?.length > 0 && (
+          <Layer listening={false}>
+            {annotations.map(annotation => (
+              annotation.type === 'zone' && (
+                <AnnotationZone key={annotation.id} annotation={annotation} byId={byId} />
+              )
+            ))}
+          </Layer>
+        )}
+
         {/* Text Layer - Numbers and icons */}
-        <Layer>
-          {tileGeometry.tiles.map((tileInfo) => {
-            const tileData = tiles.get(tileInfo.id) || {};
-            if (!tileData.number && tileData.number !== 0 && !tileData.icon) return null;
+        <Layer listening={false}>
+          <Group ref={labelsGroupRef}>
+            {visibleTiles.map((tile) => {
+              const tileData = tiles.get(tile.id);
+              if (!tileData || (!tileData.number && tileData.number !== 0 && !tileData.icon)) return null;
 
-            const claim = tileClaims?.get(tileInfo.id);
-            const centroid = calculatePolygonCentroid(tileInfo.polygon);
-            // Use claim color for text contrast if tile is claimed
-            const bgColor = claim?.color || '#f8f9fa';
-            const textColor = getContrastingTextColor(bgColor);
+              // Use claim color for text contrast if tile is claimed
+              const bgColor = tileClaims?.get(tile.id)?.color || DEFAULT_TILE_FILL;
 
+              return (
+                <TileLabel
+                  key={`label-${tile.id}`}
+                  tileData={tileData}
+                  centroid={tile.centroid}
+                  textColor={getContrastingTextColor(bgColor)}
+                />
+              );
+            })}
+          </Group>
+          {/* Day change badges sit above the tile number */}
+          {dayChanges && visibleTiles.map((tile) => {
+            const change = dayChanges.get(tile.id);
+            if (!change) return null;
             return (
-              <TileLabel
-                key={`label-${tileInfo.id}`}
-                tileData={tileData}
-                centroid={centroid}
-                textColor={textColor}
+              <ChangeBadge
+                key={`change-badge-${tile.id}`}
+                type={change.type}
+                x={tile.centroid.x + 14}
+                y={tile.centroid.y - 10}
               />
             );
           })}
+          <Group ref={territoryNamesGroupRef}>
+            {territoryMode === 'names' && territories.map((territory) => (
+              territory.allianceName && (
+                <TerritoryName
+                  key={`name-${territory.key}`}
+                  name={territory.allianceName}
+                  position={territory.labelPosition}
+                />
+              )
+            ))}
+          </Group>
         </Layer>
+
+        {/* Annotation Layer - arrows, rally markers and notes, plus the arrow being drawn */}
+        {(annotations?.length > 0 || arrowFromTile) && (
+          <Layer listening={false}>
+            {annotations?.map(annotation => {
+              if (annotation.type === 'arrow') {
+                return <AnnotationArrow key={annotation.id} annotation={annotation} byId={byId} />;
+              }
+              if (annotation.type === 'rally') {
+                return <RallyMarker key={annotation.id} annotation={annotation} byId={byId} />;
+              }
+              if (annotation.type === 'text') {
+                return <AnnotationNote key={annotation.id} annotation={annotation} />;
+              }
+              return null;
+            })}
+            {arrowFromTile && (
+              <>
+                <Line
+                  points={arrowFromTile.points}
+                  stroke={annotationColor}
+                  strokeWidth={3}
+                  dash={[6, 4]}
+                  closed={true}
+                />
+                {hoveredTile && hoveredTile !== arrowFromTile && (
+                  <Arrow
+                    points={getArrowPoints(arrowFromTile.centroid, hoveredTile.centroid)}
+                    stroke={annotationColor}
+                    fill={annotationColor}
+                    strokeWidth={ARROW_WIDTH}
+                    pointerLength={ARROW_HEAD}
+                    pointerWidth={ARROW_HEAD}
+                    dash={[10, 6]}
+                    opacity={0.7}
+                  />
+                )}
+              </>
+            )}
+          </Layer>
+        )}
+
+        {/* Selection Layer - box or lasso being drawn */}
+        {selectionDraft && (
+          <Layer listening={false}>
+            <Line
+              points={polygonToPoints(selectionDraft.tool === 'box'
+                ? rectToPolygon(selectionDraft.points[0], selectionDraft.points[selectionDraft.points.length - 1])
+                : selectionDraft.points)}
+              stroke="#5865f2"
+              strokeWidth={1.5}
+              strokeScaleEnabled={false}
+              dash={[6, 4]}
+              fill="rgba(88, 101, 242, 0.12)"
+              closed={true}
+            />
+          </Layer>
+        )}
       </Stage>
+
+      {/* Claim preview tooltip */}
+      {claimPreview && hover && claimPreview.get(hover.tileId) && (
+        <ClaimPreviewTooltip
+          result={claimPreview.get(hover.tileId)}
+          x={hover.x}
+          y={hover.y}
+        />
+      )}
     </div>
   );
 }
 
-function TileShape({ tileInfo, tileData, claim, isSelected, isPanning, onClick }) {
-  const points = polygonToPoints(tileInfo.polygon);
-  // Use claim's alliance color if tile is claimed, otherwise default background
-  const fillColor = claim?.color || '#f8f9fa';
-  const hasLabel = tileData.number !== undefined && tileData.number !== '';
+function ClaimPreviewTooltip({ result, x, y }) {
+  return (
+    <div
+      className="absolute z-10 pointer-events-none px-2.5 py-1.5 rounded bg-discord-not-quite-black/95 border border-discord-lighter-gray text-xs shadow-lg max-w-[240px]"
+      style={{ left: x + 14, top: y + 14 }}
+    >
+      {result.valid ? (
+        <span className="text-green-400 font-medium">Claimable</span>
+      ) : (
+        <span className="text-red-400">{result.error}</span>
+      )}
+    </div>
+  );
+}
+
+const ARROW_WIDTH = 4;
+const ARROW_HEAD = 12;
+// Arrows stop short of tile centers so they don't cover the tile numbers
+const ARROW_INSET = 12;
+const NOTE_WRAP_WIDTH = 180;
+
+/**
+ * Arrow points between two tile centers, pulled in at both ends
+ */
+function getArrowPoints(from, to) {
+  const length = Math.hypot(to.x - from.x, to.y - from.y);
+  const inset = Math.min(ARROW_INSET, length / 4);
+  const ux = (to.x - from.x) / (length || 1);
+  const uy = (to.y - from.y) / (length || 1);
+  return [from.x + ux * inset, from.y + uy * inset, to.x - ux * inset, to.y - uy * inset];
+}
+
+// Short dark label with the annotation's text, used on arrows and rally markers
+function AnnotationCaption({ x, y, text, color }) {
+  return (
+    <Label x={x} y={y}>
+      <Tag fill="rgba(32, 34, 37, 0.85)" stroke={color} strokeWidth={1} cornerRadius={3} />
+      <Text
+        text={text}
+        fontSize={12}
+        fontFamily="Arial"
+        fill="#ffffff"
+        padding={4}
+        width={text.length > 28 ? NOTE_WRAP_WIDTH : undefined}
+        perfectDrawEnabled={false}
+      />
+    </Label>
+  );
+}
+
+const AnnotationZone = memo(function AnnotationZone({ annotation, byId }) {
+  return (
+    <Group>
+      {annotation.tileIds.map(tileId => {
+        const tile = byId.get(tileId);
+        if (!tile) return null;
+        return (
+          <Line
+            key={tileId}
+            points={tile.points}
+            fill={annotation.color}
+            opacity={0.3}
+            closed={true}
+            perfectDrawEnabled={false}
+          />
+        );
+      })}
+      {annotation.tileIds.map(tileId => {
+        const tile = byId.get(tileId);
+        if (!tile) return null;
+        return (
+          <Line
+            key={`outline-${tileId}`}
+            points={tile.points}
+            stroke={annotation.color}
+            strokeWidth={2.5}
+            dash={[8, 4]}
+            closed={true}
+            perfectDrawEnabled={false}
+          />
+        );
+      })}
+      {annotation.text && byId.get(annotation.tileIds[0]) && (
+        <AnnotationCaption
+          x={byId.get(annotation.tileIds[0]).centroid.x - 20}
+          y={byId.get(annotation.tileIds[0]).centroid.y - 30}
+          text={annotation.text}
+          color={annotation.color}
+        />
+      )}
+    </Group>
+  );
+});
+
+const AnnotationArrow = memo(function AnnotationArrow({ annotation, byId }) {
+  const from = byId.get(annotation.tileIds[0]);
+  const to = byId.get(annotation.tileIds[1]);
+  if (!from || !to) return null;
+
+  const points = getArrowPoints(from.centroid, to.centroid);
+  return (
+    <Group>
+      <Arrow
+        points={points}
+        stroke={annotation.color}
+        fill={annotation.color}
+        strokeWidth={ARROW_WIDTH}
+        pointerLength={ARROW_HEAD}
+        pointerWidth={ARROW_HEAD}
+        lineCap="round"
+        shadowColor="#000000"
+        shadowBlur={4}
+        shadowOpacity={0.6}
+      />
+      {annotation.text && (
+        <AnnotationCaption
+          x={(points[0] + points[2]) / 2 + 6}
+          y={(points[1] + points[3]) / 2 + 6}
+          text={annotation.text}
+          color={annotation.color}
+        />
+      )}
+    </Group>
+  );
+});
+
+const RALLY_RADIUS = 10;
+
+const RallyMarker = memo(function RallyMarker({ annotation, byId }) {
+  const tile = byId.get(annotation.tileIds[0]);
+  if (!tile) return null;
 
+  // Sits above the tile number rather than on it
+  const x = tile.centroid.x;
+  const y = tile.centroid.y - 22;
+  return (
+    <Group>
+      <Group x={x} y={y}>
+        <Circle radius={RALLY_RADIUS} fill={annotation.color} stroke="#ffffff" strokeWidth={2} shadowColor="#000000" shadowBlur={4} shadowOpacity={0.6} />
+        <Text
+          x={-RALLY_RADIUS}
+          y={-RALLY_RADIUS}
+          width={RALLY_RADIUS * 2}
+          height={RALLY_RADIUS * 2}
+          text="⚑"
+          fontSize={13}
+          fontFamily="Arial"
+          fill="#202225"
+          align="center"
+          verticalAlign="middle"
+          perfectDrawEnabled={false}
+        />
+      </Group>
+      {annotation.text && (
+        <AnnotationCaption x={x + RALLY_RADIUS + 4} y={y - 10} text={annotation.text} color={annotation.color} />
+      )}
+    </Group>
+  );
+});
+
+const AnnotationNote = memo(function AnnotationNote({ annotation }) {
+  if (!annotation.position) return null;
+  return (
+    <Label x={annotation.position.x} y={annotation.position.y}>
+      <Tag fill="rgba(32, 34, 37, 0.9)" stroke={annotation.color} strokeWidth={2} cornerRadius={4} />
+      <Text
+        text={annotation.text}
+        fontSize={14}
+        fontFamily="Arial"
+        fontStyle="bold"
+        fill={annotation.color}
+        padding={6}
+        width={annotation.text.length > 28 ? NOTE_WRAP_WIDTH : undefined}
+        perfectDrawEnabled={false}
+      />
+    </Label>
+  );
+});
+
+// Memoized on the cached points array and fill, so only tiles whose owner changed re-render
+const TileShape = memo(function TileShape({ points, fill }) {
   return (
     <Line
       points={points}
-      fill={fillColor}
+      fill={fill}
       stroke="rgba(0, 0, 0, 0.15)"
       strokeWidth={1}
       closed={true}
-      listening={!(isSelected && hasLabel)}
-      onClick={onClick}
-      onMouseEnter={(e) => {
-        if (!isPanning) {
-          e.target.fill('#e3e8f0');
-          e.target.getLayer().batchDraw();
-          e.target.getStage().container().style.cursor = 'pointer';
-        }
-      }}
-      onMouseLeave={(e) => {
-        if (!isPanning) {
-          e.target.fill(fillColor);
-          e.target.getLayer().batchDraw();
-          e.target.getStage().container().style.cursor = 'default';
-        }
-      }}
+      perfectDrawEnabled={false}
     />
   );
-}
+});
+
+const BADGE_RADIUS = 7;
+
+const ChangeBadge = memo(function ChangeBadge({ type, x, y }) {
+  const style = TILE_CHANGE_STYLES[type];
+  return (
+    <Group x={x} y={y}>
+      <Circle radius={BADGE_RADIUS} fill={style.color} stroke="rgba(0, 0, 0, 0.6)" strokeWidth={1} />
+      <Text
+        x={-BADGE_RADIUS}
+        y={-BADGE_RADIUS}
+        width={BADGE_RADIUS * 2}
+        height={BADGE_RADIUS * 2}
+        text={style.badge}
+        fontSize={11}
+        fontFamily="Arial"
+        fontStyle="bold"
+        fill="#202225"
+        align="center"
+        verticalAlign="middle"
+        perfectDrawEnabled={false}
+      />
+    </Group>
+  );
+});
+
+const TERRITORY_NAME_WIDTH = 160;
+const TERRITORY_NAME_SIZE = 13;
+
+const TerritoryBorder = memo(function TerritoryBorder({ territory }) {
+  return (
+    <Group>
+      {/* Dark casing keeps the border readable against its own fill and similar neighbours */}
+      {territory.outlines.map((outline, i) => (
+        <Line
+          key={`casing-${i}`}
+          points={outline.points}
+          closed={outline.closed}
+          stroke="rgba(0, 0, 0, 0.55)"
+          strokeWidth={5}
+          lineJoin="round"
+          lineCap="round"
+          perfectDrawEnabled={false}
+        />
+      ))}
+      {territory.outlines.map((outline, i) => (
+        <Line
+          key={`border-${i}`}
+          points={outline.points}
+          closed={outline.closed}
+          stroke={territory.color}
+          strokeWidth={3}
+          lineJoin="round"
+          lineCap="round"
+          perfectDrawEnabled={false}
+        />
+      ))}
+    </Group>
+  );
+});
 
-function TileLabel({ tileData, centroid, textColor }) {
+const TerritoryName = memo(function TerritoryName({ name, position }) {
+  return (
+    // Sits just above the visual center, clear of tile numbers which are drawn downwards from it
+    <Text
+      x={position.x}
+      y={position.y}
+      width={TERRITORY_NAME_WIDTH}
+      offsetX={TERRITORY_NAME_WIDTH / 2}
+      offsetY={TERRITORY_NAME_SIZE * 1.5}
+      text={name}
+      fontSize={TERRITORY_NAME_SIZE}
+      fontFamily="Arial"
+      fontStyle="bold"
+      align="center"
+      wrap="none"
+      ellipsis={true}
+      fill="#ffffff"
+      stroke="rgba(0, 0, 0, 0.8)"
+      strokeWidth={3}
+      fillAfterStrokeEnabled={true}
+      perfectDrawEnabled={false}
+    />
+  );
+});
+
+const TileLabel = memo(function TileLabel({ tileData, centroid, textColor }) {
   const hasNumber = tileData.number !== undefined && tileData.number !== '';
   const hasIcon = !!tileData.icon;
 
@@ -278,7 +1011,6 @@ function TileLabel({ tileData, centroid, textColor }) {
     <Group
       x={labelX}
       y={labelY}
-      listening={false}
     >
       {hasNumber && (
         <Text
@@ -293,6 +1025,7 @@ function TileLabel({ tileData, centroid, textColor }) {
           offsetY={0}
           align="center"
           verticalAlign="middle"
+          perfectDrawEnabled={false}
         />
       )}
       {hasIcon && (
@@ -306,8 +1039,9 @@ function TileLabel({ tileData, centroid, textColor }) {
           offsetY={0}
           align="center"
           verticalAlign="middle"
+          perfectDrawEnabled={false}
         />
       )}
     </Group>
   );
-}
+});
@@ -0,0 +1,191 @@
+import { useState, useMemo } from 'react';
+import { useGameState } from '../../contexts/GameStateContext';
+import { usePlanner } from '../../contexts/PlannerContext';
+import { useTimeline } from '../../contexts/TimelineContext';
+import { useToast } from '../../contexts/ToastContext';
+import { diffMapStates } from '../../utils/mapStateDiff.js';
+import {
+  renderMapImage,
+  renderMapSvg,
+  measureMapImage,
+  buildClaimLegend,
+  canvasToPngBlob,
+  downloadBlob,
+} from '../../utils/mapImage.js';
+
+const SCALES = [1, 2, 4];
+
+/**
+ * Modal for downloading the whole map (or the selected tiles) as a PNG or
+ * SVG image with the day number and an alliance legend, regardless of the
+ * current pan and zoom.
+ * @param {Object} props
+ * @param {boolean} props.isOpen
+ * @param {() => void} props.onClose
+ * @param {import('../../data/interfaces.js').TileGeometry|null} props.tileGeometry
+ * @param {Map<number, import('../../data/interfaces.js').TileData>} props.tiles
+ * @param {Set<number>} props.selectedTileIds
+ */
+export function MapExportModal({ isOpen, onClose, tileGeometry, tiles, selectedTileIds }) {
+  const { tileClaims } = useGameState();
+  const { isPlannerMode, plannedTileClaims, planTitle } = usePlanner();
+  const { selectedDay } = useTimeline();
+  const { toast } = useToast();
+
+  const [format, setFormat] = useState('png');
+  const [scale, setScale] = useState(2);
+  const [includePlan, setIncludePlan] = useState(true);
+  const [selectionOnly, setSelectionOnly] = useState(false);
+  const [showLegend, setShowLegend] = useState(true);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const usePlan = isPlannerMode && includePlan;
+  const useSelection = selectionOnly && selectedTileIds.size > 0;
+
+  const options = useMemo(() => {
+    if (!isOpen || !tileGeometry) return null;
+
+    const claims = usePlan ? plannedTileClaims : tileClaims;
+    const tileIds = useSelection ? [...selectedTileIds] : undefined;
+    const subtitle = [
+      usePlan && (planTitle ? `Plan: ${planTitle}` : 'Including planned moves'),
+      useSelection && `${selectedTileIds.size} selected tiles`,
+    ].filter(Boolean).join(' · ');
+
+    return {
+      tileGeometry,
+      tileClaims: claims,
+      tiles,
+      tileIds,
+      markedTileIds: usePlan ? new Set(diffMapStates(tileClaims, plannedTileClaims).keys()) : undefined,
+      title: `Day ${selectedDay}`,
+      subtitle,
+      legend: showLegend ? buildClaimLegend(claims, tileIds) : undefined,
+      scale,
+    };
+  }, [isOpen, tileGeometry, tiles, tileClaims, plannedTileClaims, planTitle, selectedDay, selectedTileIds, usePlan, useSelection, showLegend, scale]);
+
+  // The SVG doubles as the preview, so what you see is what gets exported
+  const preview = useMemo(() => (options ? renderMapSvg({ ...options, scale: 1 }) : null), [options]);
+
+  if (!isOpen) return null;
+
+  const size = options ? measureMapImage(options) : null;
+  const filename = [
+    `map-day-${selectedDay}`,
+    usePlan && 'plan',
+    useSelection && 'selection',
+  ].filter(Boolean).join('-');
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      if (format === 'svg') {
+        downloadBlob(new Blob([renderMapSvg(options)], { type: 'image/svg+xml' }), `${filename}.svg`);
+      } else {
+        downloadBlob(await canvasToPngBlob(renderMapImage(options)), `${filename}.png`);
+      }
+      toast.success('Map image downloaded');
+    } catch (error) {
+      console.error('Error exporting map image:', error);
+      toast.error('Failed to export map image');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50 p-4">
+      <div className="bg-discord-gray rounded-lg shadow-xl max-w-2xl w-full max-h-[85vh] flex flex-col">
+        <div className="p-6 pb-4 border-b border-discord-lighter-gray flex items-start justify-between gap-4">
+          <div>
+            <h2 className="text-xl font-bold text-discord-text mb-1">Export Map Image</h2>
+            <p className="text-discord-text-secondary text-sm">
+              The full map with tile numbers, the day and an alliance legend, ready to share.
+            </p>
+          </div>
+          <button
+            className="text-discord-text-muted hover:text-discord-text bg-transparent border-none cursor-pointer text-xl leading-none"
+            onClick={onClose}
+            title="Close"
+          >
+            ×
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex flex-col gap-4">
+          {preview ? (
+            <img
+              src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(preview)}`}
+              alt="Export preview"
+              className="w-full max-h-[40vh] object-contain rounded border border-discord-lighter-gray"
+            />
+          ) : (
+            <p className="text-discord-text-muted text-sm italic">Map is still loading...</p>
+          )}
+
+          <div className="flex flex-wrap items-center gap-x-6 gap-y-3 text-sm text-discord-text">
+            <div className="flex items-center gap-3">
+              <label className="flex items-center gap-1.5 cursor-pointer">
+                <input type="radio" name="map-export-format" checked={format === 'png'} onChange={() => setFormat('png')} />
+                PNG
+              </label>
+              <label className="flex items-center gap-1.5 cursor-pointer">
+                <input type="radio" name="map-export-format" checked={format === 'svg'} onChange={() => setFormat('svg')} />
+                SVG (vector)
+              </label>
+            </div>
+
+            <label className="flex items-center gap-2">
+              Resolution
+              <select
+                className="bg-discord-dark text-discord-text border border-discord-lighter-gray rounded px-2 py-1 text-sm"
+                value={scale}
+                onChange={(e) => setScale(Number(e.target.value))}
+              >
+                {SCALES.map(option => (
+                  <option key={option} value={option}>{option}×</option>
+                ))}
+              </select>
+              {size && (
+                <span className="text-discord-text-muted text-xs">{size.width} × {size.height} px</span>
+              )}
+            </label>
+          </div>
+
+          <div className="flex flex-col gap-2 text-sm text-discord-text">
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input type="checkbox" checked={showLegend} onChange={(e) => setShowLegend(e.target.checked)} />
+              Alliance legend with tile counts
+            </label>
+            {isPlannerMode && (
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input type="checkbox" checked={includePlan} onChange={(e) => setIncludePlan(e.target.checked)} />
+                Include planned moves (changed tiles get a dashed outline)
+              </label>
+            )}
+            <label className={`flex items-center gap-2 ${selectedTileIds.size > 0 ? 'cursor-pointer' : 'opacity-50'}`}>
+              <input
+                type="checkbox"
+                checked={useSelection}
+                disabled={selectedTileIds.size === 0}
+                onChange={(e) => setSelectionOnly(e.target.checked)}
+              />
+              {selectedTileIds.size > 0
+                ? `Selected tiles only (${selectedTileIds.size})`
+                : 'Selected tiles only (select tiles on the map first)'}
+            </label>
+          </div>
+
+          <button
+            className="self-start bg-discord-blurple text-white border-none px-4 py-2 rounded text-sm font-medium cursor-pointer transition-all duration-200 hover:bg-discord-blurple-hover disabled:opacity-50 disabled:cursor-not-allowed"
+            onClick={handleExport}
+            disabled={!options || isExporting}
+          >
+            {isExporting ? 'Exporting...' : `Download ${format.toUpperCase()}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,188 @@
+import { usePlanner } from '../../contexts/PlannerContext';
+
+/**
+ * Floating controls and summary table for comparing two saved plans
+ * @param {Object} props
+ * @param {ReturnType<typeof import('../../hooks/usePlanComparison.js').usePlanComparison>['comparisonView']} props.comparisonView
+ * @param {ReturnType<typeof import('../../hooks/usePlanComparison.js').usePlanComparison>['comparisonStatus']} props.comparisonStatus
+ */
+export function PlanComparisonOverlay({ comparisonView, comparisonStatus }) {
+  const { comparison, savedPlans, updateComparison, stopComparison } = usePlanner();
+
+  if (!comparison || !comparisonStatus) return null;
+
+  const { planA, planB, error } = comparisonStatus;
+
+  // Only alliances either plan moves for; everyone else is identical in both
+  const allianceIds = [...new Set(
+    [...planA.sequence, ...planB.sequence]
+      .filter(item => item.type === 'move')
+      .map(item => item.allianceId)
+  )];
+
+  // Each side leaves out the other side's plan so A and B always differ
+  const renderPlanSelect = (value, key, otherId) => (
+    <select
+      value={value}
+      onChange={(e) => updateComparison({ [key]: e.target.value })}
+      className="min-w-0 flex-1 px-2 py-1 bg-discord-dark border border-discord-lighter-gray rounded text-xs text-discord-text focus:outline-none focus:border-discord-blurple"
+    >
+      {savedPlans.filter(plan => plan.id !== otherId).map(plan => (
+        <option key={plan.id} value={plan.id}>{plan.name}</option>
+      ))}
+    </select>
+  );
+
+  const renderCell = (entry, other) => {
+    const count = entry?.tileCount ?? 0;
+    const highest = entry?.highestNumber ?? 0;
+    const isBetter = count > (other?.tileCount ?? 0) || highest > (other?.highestNumber ?? 0);
+    return (
+      <td className={`px-2 py-1 text-right font-mono ${isBetter ? 'text-green-400' : 'text-discord-text'}`}>
+        {count}{highest > 0 && <span className="text-discord-text-muted"> · L{highest}</span>}
+      </td>
+    );
+  };
+
+  return (
+    <div className="fixed bottom-4 left-4 z-40 w-[420px] max-w-[calc(100vw-2rem)] max-h-[60vh] flex flex-col bg-discord-gray/95 border border-discord-lighter-gray rounded-lg shadow-xl">
+      <div className="p-3 border-b border-discord-lighter-gray flex flex-col gap-2">
+        <div className="flex items-center justify-between">
+          <span className="text-sm font-semibold text-discord-text">Compare Plans</span>
+          <button
+            onClick={stopComparison}
+            className="text-discord-text-muted hover:text-red-400 transition-colors"
+            title="Close comparison"
+          >
+            <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+        <div className="flex items-center gap-2 text-xs text-discord-text-secondary">
+          <span className="font-bold">A</span>
+          {renderPlanSelect(planA.id, 'planAId', planB.id)}
+          <span className="font-bold">B</span>
+          {renderPlanSelect(planB.id, 'planBId', planA.id)}
+        </div>
+        {comparisonView ? (
+          <ComparisonControls comparisonView={comparisonView} mode={comparison.mode} updateComparison={updateComparison} />
+        ) : (
+          <p className={`text-xs ${error ? 'text-red-400' : 'text-discord-text-muted italic'}`}>
+            {error || 'Loading starting map...'}
+          </p>
+        )}
+      </div>
+
+      {comparisonView && (
+        <ComparisonTable comparisonView={comparisonView} allianceIds={allianceIds} updateComparison={updateComparison} renderCell={renderCell} />
+      )}
+    </div>
+  );
+}
+
+function ComparisonControls({ comparisonView, mode: activeMode, updateComparison }) {
+  const { baseDay, days, dayIndex, current } = comparisonView;
+  return (
+    <>
+      <div className="flex items-center gap-2">
+        <div className="flex rounded overflow-hidden border border-discord-lighter-gray">
+          {['split', 'overlay'].map(mode => (
+            <button
+              key={mode}
+              onClick={() => updateComparison({ mode })}
+              className={`px-2 py-1 text-xs capitalize ${
+                activeMode === mode
+                  ? 'bg-discord-blurple text-white'
+                  : 'bg-discord-dark text-discord-text-muted hover:text-discord-text'
+              }`}
+            >
+              {mode}
+            </button>
+          ))}
+        </div>
+        <input
+          type="range"
+          min={0}
+          max={days.length - 1}
+          value={dayIndex}
+          onChange={(e) => updateComparison({ dayIndex: parseInt(e.target.value, 10) })}
+          disabled={days.length < 2}
+          className="flex-1"
+        />
+        <span className="text-xs text-discord-text font-medium w-14 text-right">Day {baseDay + dayIndex}</span>
+      </div>
+      <p className="text-xs text-discord-text-muted">
+        {current.diff.size} tile{current.diff.size !== 1 ? 's' : ''} differ on this day
+      </p>
+    </>
+  );
+}
+
+function ComparisonTable({ comparisonView, allianceIds, updateComparison, renderCell }) {
+  const { baseDay, days, dayIndex } = comparisonView;
+  return (
+    <div className="overflow-y-auto">
+      <table className="w-full text-xs">
+        <thead className="sticky top-0 bg-discord-gray">
+          <tr className="text-discord-text-muted">
+            <th className="px-2 py-1 text-left font-medium">Alliance</th>
+            <th className="px-2 py-1 text-right font-medium">A tiles</th>
+            <th className="px-2 py-1 text-right font-medium">B tiles</th>
+          </tr>
+        </thead>
+        <tbody>
+          {days.map((day, index) => (
+            <DayRows
+              key={index}
+              dayNumber={baseDay + index}
+              day={day}
+              allianceIds={allianceIds}
+              isCurrent={index === dayIndex}
+              onSelect={() => updateComparison({ dayIndex: index })}
+              renderCell={renderCell}
+            />
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function DayRows({ dayNumber, day, allianceIds, isCurrent, onSelect, renderCell }) {
+  return (
+    <>
+      <tr
+        onClick={onSelect}
+        className={`cursor-pointer ${isCurrent ? 'bg-discord-blurple/30' : 'bg-discord-dark/50 hover:bg-discord-dark'}`}
+      >
+        <td colSpan={3} className="px-2 py-1 font-semibold text-discord-blurple">
+          Day {dayNumber}
+          {day.diff.size > 0 && (
+            <span className="ml-2 font-normal text-yellow-400">{day.diff.size} differ</span>
+          )}
+        </td>
+      </tr>
+      {allianceIds.map(allianceId => {
+        const a = day.summaryA.get(allianceId);
+        const b = day.summaryB.get(allianceId);
+        const info = a || b;
+        return (
+          <tr key={allianceId} onClick={onSelect} className="cursor-pointer">
+            <td className="px-2 py-1">
+              <span className="flex items-center gap-1.5 text-discord-text">
+                <span
+                  className="w-2.5 h-2.5 rounded-full border border-white/20 shrink-0"
+                  style={{ backgroundColor: info?.color || '#666' }}
+                />
+                <span className="truncate">{info?.allianceName || 'Unknown'}</span>
+              </span>
+            </td>
+            {renderCell(a, b)}
+            {renderCell(b, a)}
+          </tr>
+        );
+      })}
+    </>
+  );
+}
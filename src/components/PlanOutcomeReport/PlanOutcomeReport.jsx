@@ -0,0 +1,132 @@
+import { usePlanner } from '../../contexts/PlannerContext';
+import { useAlliance } from '../../contexts/AllianceContext';
+import { usePlanOutcome } from '../../hooks/usePlanOutcome';
+import { OUTCOMES } from '../../utils/planOutcome.js';
+
+const OUTCOME_STYLES = {
+  [OUTCOMES.ON_SCHEDULE]: { label: 'On schedule', className: 'text-green-400', badge: 'bg-green-500/20 text-green-400' },
+  [OUTCOMES.LATE]: { label: 'Late', className: 'text-yellow-400', badge: 'bg-yellow-500/20 text-yellow-400' },
+  [OUTCOMES.TAKEN]: { label: 'Taken by another alliance', className: 'text-red-400', badge: 'bg-red-500/20 text-red-400' },
+  [OUTCOMES.MISSED]: { label: 'Never happened', className: 'text-discord-text-muted', badge: 'bg-discord-lighter-gray text-discord-text-secondary' },
+  [OUTCOMES.PENDING]: { label: 'Not played yet', className: 'text-discord-text-muted', badge: 'bg-discord-dark text-discord-text-muted' },
+};
+
+export function PlanOutcomeReport({ tiles }) {
+  const { outcomeReportPlanId, setOutcomeReportPlanId, savedPlans } = usePlanner();
+  const { allAlliances } = useAlliance();
+  const plan = savedPlans.find(p => p.id === outcomeReportPlanId) || null;
+  const { report, loading, error, lastFinishedDay } = usePlanOutcome(plan);
+
+  if (!plan) {
+    return null;
+  }
+
+  const getAllianceName = (allianceId) => (
+    allAlliances.find(a => a.id === allianceId)?.name
+      || plan.alliances.find(a => a.id === allianceId)?.name
+      || 'Unknown alliance'
+  );
+
+  const getTileLabel = (tileId) => {
+    const number = tiles.get(tileId)?.number;
+    return number ? `#${tileId} (L${number})` : `#${tileId}`;
+  };
+
+  const describe = (entry) => {
+    switch (entry.outcome) {
+      case OUTCOMES.LATE:
+        return `Claimed on Day ${entry.actualDay}, ${entry.actualDay - entry.plannedDay} day${entry.actualDay - entry.plannedDay !== 1 ? 's' : ''} late`;
+      case OUTCOMES.TAKEN:
+        return `${entry.actualOwner.allianceName || getAllianceName(entry.actualOwner.allianceId)} held it from Day ${entry.actualDay}`;
+      case OUTCOMES.ON_SCHEDULE:
+        return `Claimed on Day ${entry.actualDay}`;
+      case OUTCOMES.PENDING:
+        return `Day ${entry.plannedDay} hasn't finished`;
+      default:
+        return 'Never claimed';
+    }
+  };
+
+  // Group entries by planned day for display
+  const entriesByDay = new Map();
+  for (const entry of report?.entries || []) {
+    if (!entriesByDay.has(entry.plannedDay)) {
+      entriesByDay.set(entry.plannedDay, []);
+    }
+    entriesByDay.get(entry.plannedDay).push(entry);
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50 p-4">
+      <div className="bg-discord-gray rounded-lg shadow-xl max-w-lg w-full max-h-[85vh] flex flex-col">
+        <div className="p-6 pb-4 border-b border-discord-lighter-gray">
+          <div className="flex items-start justify-between gap-4">
+            <div className="min-w-0">
+              <h2 className="text-xl font-bold text-discord-text mb-1">Plan vs. Reality</h2>
+              <p className="text-discord-text-secondary text-sm truncate">{plan.name}</p>
+              {plan.baseDay && (
+                <p className="text-discord-text-muted text-xs">
+                  Planned from Day {plan.baseDay} · history through Day {lastFinishedDay}
+                </p>
+              )}
+            </div>
+            <button
+              onClick={() => setOutcomeReportPlanId(null)}
+              className="text-discord-text-muted hover:text-discord-text transition-colors"
+              title="Close"
+            >
+              <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          {report && (
+            <div className="flex flex-wrap gap-1.5 mt-3">
+              {Object.values(OUTCOMES)
+                .filter(outcome => report.counts[outcome] > 0)
+                .map(outcome => (
+                  <span key={outcome} className={`px-2 py-0.5 rounded text-xs font-medium ${OUTCOME_STYLES[outcome].badge}`}>
+                    {report.counts[outcome]} {OUTCOME_STYLES[outcome].label.toLowerCase()}
+                  </span>
+                ))}
+            </div>
+          )}
+        </div>
+
+        <div className="p-6 pt-4 overflow-y-auto">
+          {loading && (
+            <p className="text-discord-text-muted text-sm italic">Loading map history...</p>
+          )}
+
+          {error && (
+            <div className="p-2 rounded text-sm bg-red-500/20 border border-red-500/50 text-red-400">
+              {error}
+            </div>
+          )}
+
+          {report && report.entries.length === 0 && (
+            <p className="text-discord-text-muted text-sm italic">This plan has no claims to check.</p>
+          )}
+
+          {[...entriesByDay.entries()].map(([day, entries]) => (
+            <div key={day} className="mb-3">
+              <h3 className="text-xs font-semibold text-discord-blurple mb-1">Day {day}</h3>
+              <div className="flex flex-col gap-1">
+                {entries.map((entry, index) => (
+                  <div key={`${entry.tileId}-${index}`} className="flex items-center gap-2 py-1.5 px-2 rounded bg-discord-dark text-sm">
+                    <span className="text-discord-text font-mono shrink-0">{getTileLabel(entry.tileId)}</span>
+                    <span className="text-discord-text-muted text-xs truncate">{getAllianceName(entry.allianceId)}</span>
+                    <span className={`ml-auto text-xs text-right ${OUTCOME_STYLES[entry.outcome].className}`}>
+                      {describe(entry)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,19 +1,31 @@
-import { useMemo, useCallback } from 'react';
+import { useMemo } from 'react';
 import { usePlanner } from '../../contexts/PlannerContext';
-import { useAlliance } from '../../contexts/AllianceContext';
-import { useTimeline } from '../../contexts/TimelineContext';
+import { useRuleset } from '../../di/index.js';
+import { usePlaybackControls, PLAYBACK_SPEEDS } from '../../hooks/usePlaybackControls';
 import './PlaybackOverlay.css';
 
-export function PlaybackOverlay() {
+export function PlaybackOverlay({ stepViolations }) {
   const {
     isPlaying,
     playIndex,
     sequence,
-    setPlayIndex,
-    setIsPlaying,
+    planBaseDay,
+    getPlanAlliance,
   } = usePlanner();
-  const { allAlliances } = useAlliance();
-  const { currentDay } = useTimeline();
+  const ruleset = useRuleset();
+  const {
+    isAutoPlaying,
+    togglePlay,
+    speed,
+    setSpeed,
+    loop,
+    setLoop,
+    dayStarts,
+    currentDayIndex,
+    seek,
+    jumpToDay,
+    close,
+  } = usePlaybackControls();
 
   // Calculate all alliances involved and their move counts up to current playIndex
   const playbackInfo = useMemo(() => {
@@ -32,7 +44,7 @@ export function PlaybackOverlay() {
     });
 
     // Calculate current day and moves per alliance up to playIndex
-    let dayNumber = currentDay;
+    let dayNumber = planBaseDay;
     const movesPerAllianceThisDay = {};
 
     // Initialize all alliances with 0 moves
@@ -55,7 +67,7 @@ export function PlaybackOverlay() {
 
     // Build alliance info array with move counts
     const alliances = Array.from(allianceIds).map(id => {
-      const alliance = allAlliances.find(a => a.id === id);
+      const alliance = getPlanAlliance(id);
       return {
         id,
         name: alliance?.name || 'Unknown',
@@ -74,31 +86,17 @@ export function PlaybackOverlay() {
       alliances,
       currentAction: currentItem.type === 'move' ? currentItem.action : null,
     };
-  }, [isPlaying, playIndex, sequence, allAlliances, currentDay]);
-
-  // Step navigation handlers
-  const handlePrevStep = useCallback(() => {
-    if (playIndex > 0) {
-      setPlayIndex(playIndex - 1);
-    }
-  }, [playIndex, setPlayIndex]);
-
-  const handleNextStep = useCallback(() => {
-    if (playIndex < sequence.length - 1) {
-      setPlayIndex(playIndex + 1);
-    }
-  }, [playIndex, sequence.length, setPlayIndex]);
-
-  // Close playback overlay
-  const handleClose = useCallback(() => {
-    setIsPlaying(false);
-    setPlayIndex(-1);
-  }, [setIsPlaying, setPlayIndex]);
+  }, [isPlaying, playIndex, sequence, getPlanAlliance, planBaseDay]);
 
   if (!playbackInfo) {
     return null;
   }
 
+  // Rule broken by the current step (strict planner mode only)
+  const currentViolation = stepViolations?.[playIndex] && !stepViolations[playIndex].valid
+    ? stepViolations[playIndex]
+    : null;
+
   // Show new day overlay (in addition to the panel)
   const newDayOverlay = playbackInfo.isNewDay && (
     <div className="playback-new-day-overlay">
@@ -118,7 +116,7 @@ export function PlaybackOverlay() {
           <span className="playback-panel-title">Day {playbackInfo.dayNumber}</span>
           <button
             className="playback-close-btn"
-            onClick={handleClose}
+            onClick={close}
             title="Close playback"
           >
             <svg className="playback-close-icon" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -130,22 +128,37 @@ export function PlaybackOverlay() {
         <div className="playback-nav">
           <button
             className="playback-nav-btn"
-            onClick={handlePrevStep}
+            onClick={() => seek(playIndex - 1)}
             disabled={playIndex <= 0}
-            title="Previous step"
+            title="Previous step (←)"
           >
             <svg className="playback-nav-icon" fill="currentColor" viewBox="0 0 24 24">
               <path d="M15.41 7.41L14 6l-6 6 6 6 1.41-1.41L10.83 12z" />
             </svg>
           </button>
+          <button
+            className="playback-nav-btn playback-nav-btn--play"
+            onClick={togglePlay}
+            title={isAutoPlaying ? 'Pause (Space)' : 'Play (Space)'}
+          >
+            {isAutoPlaying ? (
+              <svg className="playback-nav-icon" fill="currentColor" viewBox="0 0 24 24">
+                <path d="M6 19h4V5H6v14zm8-14v14h4V5h-4z" />
+              </svg>
+            ) : (
+              <svg className="playback-nav-icon" fill="currentColor" viewBox="0 0 24 24">
+                <path d="M8 5v14l11-7z" />
+              </svg>
+            )}
+          </button>
           <span className="playback-step-counter">
             Step {playIndex + 1} / {sequence.length}
           </span>
           <button
             className="playback-nav-btn"
-            onClick={handleNextStep}
+            onClick={() => seek(playIndex + 1)}
             disabled={playIndex >= sequence.length - 1}
-            title="Next step"
+            title="Next step (→)"
           >
             <svg className="playback-nav-icon" fill="currentColor" viewBox="0 0 24 24">
               <path d="M8.59 16.59L10 18l6-6-6-6-1.41 1.41L13.17 12z" />
@@ -153,6 +166,66 @@ export function PlaybackOverlay() {
           </button>
         </div>
 
+        {/* Scrub bar with a marker at the start of each day */}
+        <div className="playback-scrub">
+          <div className="playback-scrub-track">
+            <input
+              type="range"
+              className="playback-scrub-input"
+              min={0}
+              max={Math.max(0, sequence.length - 1)}
+              value={playIndex}
+              onChange={(e) => seek(parseInt(e.target.value, 10))}
+              aria-label="Playback position"
+            />
+            {sequence.length > 1 && dayStarts.slice(1).map((index, day) => (
+              <button
+                key={index}
+                className="playback-day-marker"
+                style={{ left: `${(index / (sequence.length - 1)) * 100}%` }}
+                onClick={() => jumpToDay(day + 1)}
+                title={`Day ${planBaseDay + day + 1}`}
+              />
+            ))}
+          </div>
+          <div className="playback-options">
+            <select
+              className="playback-select"
+              value={currentDayIndex}
+              onChange={(e) => jumpToDay(parseInt(e.target.value, 10))}
+              title="Jump to day (Shift+←/→)"
+            >
+              {dayStarts.map((_, day) => (
+                <option key={day} value={day}>Day {planBaseDay + day}</option>
+              ))}
+            </select>
+            <select
+              className="playback-select"
+              value={speed}
+              onChange={(e) => setSpeed(parseFloat(e.target.value))}
+              title="Playback speed (+/-)"
+            >
+              {PLAYBACK_SPEEDS.map(option => (
+                <option key={option} value={option}>{option}×</option>
+              ))}
+            </select>
+            <button
+              className={`playback-loop-btn ${loop ? 'playback-loop-btn--active' : ''}`}
+              onClick={() => setLoop(prev => !prev)}
+              title="Loop (L)"
+            >
+              Loop
+            </button>
+          </div>
+        </div>
+
+        {currentViolation && (
+          <div className="playback-violation">
+            <span className="playback-violation-label">Rule broken</span>
+            <span className="playback-violation-text">{currentViolation.error}</span>
+          </div>
+        )}
+
         <div className="playback-alliances">
           {playbackInfo.alliances.map(alliance => (
             <div
@@ -168,7 +241,7 @@ export function PlaybackOverlay() {
               </div>
               <div className="playback-alliance-moves">
                 <div className="playback-moves-bar">
-                  {[1, 2, 3].map(i => (
+                  {Array.from({ length: ruleset.maxMovesPerDay }, (_, i) => i + 1).map(i => (
                     <div
                       key={i}
                       className={`playback-move-pip ${i <= alliance.movesThisDay ? 'playback-move-pip--filled' : ''}`}
@@ -176,7 +249,7 @@ export function PlaybackOverlay() {
                     />
                   ))}
                 </div>
-                <span className="playback-moves-text">{alliance.movesThisDay}/3</span>
+                <span className="playback-moves-text">{alliance.movesThisDay}/{ruleset.maxMovesPerDay}</span>
               </div>
               {alliance.isCurrentTurn && playbackInfo.currentAction && (
                 <span className={`playback-action-badge playback-action-badge--${playbackInfo.currentAction}`}>
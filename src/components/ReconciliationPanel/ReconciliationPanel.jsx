@@ -0,0 +1,179 @@
+import { useState, useEffect, useRef } from 'react';
+import { useOutbox } from '../../hooks/useOutbox';
+import { useToast } from '../../contexts/ToastContext';
+
+function describeEntry({ type, payload }) {
+  switch (type) {
+    case 'claim':
+      return `Claim tile #${payload.tileId} (Day ${payload.day})`;
+    case 'clear':
+      return `Unclaim tile #${payload.tileId} (Day ${payload.day})`;
+    case 'tileEdit':
+      if (payload.revertOf) {
+        return `Revert tile #${payload.tileId} to version from ${payload.revertOf}`;
+      }
+      return `Edit tile #${payload.tileId}${payload.data?.name ? ` "${payload.data.name}"` : ''}`;
+    case 'tileClear':
+      if (payload.revertOf) {
+        return `Revert tile #${payload.tileId} to version from ${payload.revertOf}`;
+      }
+      return `Clear tile #${payload.tileId}${payload.oldData?.name ? ` "${payload.oldData.name}"` : ''}`;
+    case 'labelMove':
+      return `Move label on tile #${payload.tileId}`;
+    case 'comment':
+      return `Comment on tile #${payload.tileId}: "${payload.text}"`;
+    case 'vote':
+      return `${payload.type === 'like' ? 'Like' : 'Dislike'} tile #${payload.tileId}`;
+    case 'removeVote':
+      return `Remove vote on tile #${payload.tileId}`;
+    default:
+      return type;
+  }
+}
+
+/**
+ * Status pill for queued offline writes, opening a panel where conflicts
+ * (writes the backend rejected on replay) can be retried or discarded.
+ */
+export function ReconciliationPanel() {
+  const { entries, pending, conflicts, isReplaying, replay, retry, discard, discardConflicts } = useOutbox();
+  const { toast } = useToast();
+  const [isOpen, setIsOpen] = useState(false);
+
+  // Announce replay results as the queue drains
+  const previousCounts = useRef({ pending: 0, conflicts: 0 });
+  useEffect(() => {
+    const previous = previousCounts.current;
+    if (conflicts.length > previous.conflicts) {
+      toast.warning(`${conflicts.length - previous.conflicts} queued change${conflicts.length - previous.conflicts !== 1 ? 's' : ''} could not be applied`);
+    } else if (previous.pending > 0 && pending.length === 0 && conflicts.length === 0) {
+      toast.success('All queued changes were sent');
+    }
+    previousCounts.current = { pending: pending.length, conflicts: conflicts.length };
+  }, [pending.length, conflicts.length, toast]);
+
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const handleRetry = async (entry, force = false) => {
+    const result = await retry(entry.id, { force });
+    if (result.remaining > 0) {
+      toast.info('Still offline, the change stays queued');
+    }
+  };
+
+  return (
+    <>
+      <button
+        className={`fixed bottom-4 left-4 z-40 flex items-center gap-2 px-3 py-2 rounded-full text-sm font-medium border-none cursor-pointer shadow-lg transition-all duration-200 ${
+          conflicts.length > 0
+            ? 'bg-yellow-500/90 text-black hover:bg-yellow-400'
+            : 'bg-discord-lighter-gray text-discord-text hover:bg-discord-lightest-gray'
+        }`}
+        onClick={() => setIsOpen(true)}
+        title="Changes waiting to be sent"
+      >
+        {isReplaying && <span className="animate-spin">⟳</span>}
+        {pending.length > 0 && <span>{pending.length} queued</span>}
+        {pending.length > 0 && conflicts.length > 0 && <span>·</span>}
+        {conflicts.length > 0 && <span>⚠ {conflicts.length} conflict{conflicts.length !== 1 ? 's' : ''}</span>}
+      </button>
+
+      {isOpen && (
+        <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50 p-4">
+          <div className="bg-discord-gray rounded-lg shadow-xl max-w-lg w-full max-h-[85vh] flex flex-col">
+            <div className="p-6 pb-4 border-b border-discord-lighter-gray flex items-start justify-between gap-4">
+              <div>
+                <h2 className="text-xl font-bold text-discord-text mb-1">Queued Changes</h2>
+                <p className="text-discord-text-secondary text-sm">
+                  Made while offline. Pending changes are sent in order when you reconnect.
+                </p>
+              </div>
+              <button
+                className="text-discord-text-muted hover:text-discord-text bg-transparent border-none cursor-pointer text-xl leading-none"
+                onClick={() => setIsOpen(false)}
+                title="Close"
+              >
+                ×
+              </button>
+            </div>
+
+            <div className="p-6 overflow-y-auto flex flex-col gap-2">
+              {entries.map(entry => (
+                <div
+                  key={entry.id}
+                  className={`p-3 rounded text-sm ${entry.status === 'conflict' ? 'bg-yellow-500/10 border border-yellow-500/30' : 'bg-discord-light-gray'}`}
+                >
+                  <div className="flex items-start justify-between gap-3">
+                    <div className="min-w-0">
+                      <div className="text-discord-text break-words">{describeEntry(entry)}</div>
+                      <div className="text-discord-text-muted text-[11px]">
+                        Queued {new Date(entry.createdAt).toLocaleString()}
+                        {entry.attempts > 0 && ` · ${entry.attempts} attempt${entry.attempts !== 1 ? 's' : ''}`}
+                      </div>
+                      {entry.error && <div className="text-yellow-400 text-xs mt-1">{entry.error}</div>}
+                    </div>
+                    <span className={`shrink-0 text-[10px] font-bold uppercase px-2 py-0.5 rounded ${
+                      entry.status === 'conflict' ? 'bg-yellow-500/20 text-yellow-400' : 'bg-discord-dark text-discord-text-muted'
+                    }`}>
+                      {entry.status}
+                    </span>
+                  </div>
+
+                  {entry.status === 'conflict' && (
+                    <div className="flex gap-2 mt-2">
+                      <button
+                        className="bg-discord-blurple text-white border-none px-3 py-1 rounded text-xs font-medium cursor-pointer hover:bg-discord-blurple-hover disabled:opacity-50"
+                        onClick={() => handleRetry(entry)}
+                        disabled={isReplaying}
+                      >
+                        Retry
+                      </button>
+                      {(entry.type === 'tileEdit' || entry.type === 'tileClear') && (
+                        <button
+                          className="bg-discord-lighter-gray text-discord-text border-none px-3 py-1 rounded text-xs font-medium cursor-pointer hover:bg-discord-lightest-gray disabled:opacity-50"
+                          onClick={() => handleRetry(entry, true)}
+                          disabled={isReplaying}
+                          title="Replace the other edit with yours"
+                        >
+                          Overwrite
+                        </button>
+                      )}
+                      <button
+                        className="bg-transparent text-red-400 border border-red-500/40 px-3 py-1 rounded text-xs font-medium cursor-pointer hover:bg-red-500/10"
+                        onClick={() => discard(entry.id)}
+                      >
+                        Discard
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            <div className="p-4 border-t border-discord-lighter-gray flex justify-end gap-2">
+              {conflicts.length > 1 && (
+                <button
+                  className="bg-transparent text-red-400 border border-red-500/40 px-4 py-2 rounded text-sm font-medium cursor-pointer hover:bg-red-500/10"
+                  onClick={discardConflicts}
+                >
+                  Discard all conflicts
+                </button>
+              )}
+              {pending.length > 0 && (
+                <button
+                  className="bg-discord-blurple text-white border-none px-4 py-2 rounded text-sm font-medium cursor-pointer hover:bg-discord-blurple-hover disabled:opacity-50"
+                  onClick={replay}
+                  disabled={isReplaying}
+                >
+                  {isReplaying ? 'Sending...' : 'Send now'}
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,67 @@
+import { useState } from 'react';
+import { usePlanner } from '../../contexts/PlannerContext';
+
+export function SharedPlanPrompt() {
+  const {
+    showSharedPlanPrompt,
+    planTitle,
+    planBaseDay,
+    sequence,
+    viewSharedPlan,
+    saveSharedPlanCopy,
+  } = usePlanner();
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  if (!showSharedPlanPrompt) {
+    return null;
+  }
+
+  const stepCount = sequence.filter(item => item.type === 'move').length;
+
+  const handleSaveCopy = async () => {
+    setError('');
+    setLoading(true);
+    const result = await saveSharedPlanCopy();
+    setLoading(false);
+
+    if (!result.success) {
+      setError(result.error || 'Failed to save plan');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50 p-4">
+      <div className="bg-discord-gray rounded-lg shadow-xl max-w-md w-full p-6">
+        <h2 className="text-xl font-bold text-discord-text mb-2">Shared Plan</h2>
+        <p className="text-discord-text-secondary text-sm mb-1">
+          {planTitle ? <strong>{planTitle}</strong> : 'Someone shared a plan with you.'}
+        </p>
+        <p className="text-discord-text-muted text-xs mb-4">
+          {stepCount} planned move{stepCount !== 1 ? 's' : ''}, made on Day {planBaseDay}
+        </p>
+
+        {error && (
+          <p className="mb-4 text-sm text-red-400">{error}</p>
+        )}
+
+        <div className="flex gap-2">
+          <button
+            onClick={viewSharedPlan}
+            disabled={loading}
+            className="flex-1 px-4 py-2.5 bg-discord-lighter-gray text-discord-text rounded text-sm font-medium hover:bg-discord-lightest-gray transition-colors disabled:opacity-50"
+          >
+            View Only
+          </button>
+          <button
+            onClick={handleSaveCopy}
+            disabled={loading}
+            className="flex-1 px-4 py-2.5 bg-discord-blurple text-white rounded text-sm font-medium hover:bg-discord-blurple-hover transition-colors disabled:opacity-50"
+          >
+            {loading ? 'Saving...' : 'Save a Copy'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+import { useState } from 'react';
+import { usePlanner } from '../../contexts/PlannerContext';
+import { useAutoPlan } from '../../hooks/useAutoPlan.js';
+import { DEFAULT_SCORE_WEIGHTS } from '../../utils/expansionOptimizer.js';
+
+const MAX_DAYS = 14;
+
+const WEIGHT_LABELS = {
+  highestNumber: 'Highest tile number',
+  totalTiles: 'Total tiles',
+  contiguity: 'Contiguous territory',
+  capExemptCapture: 'Cap-exempt tiles (#7)',
+};
+
+export function AutoPlanPanel({ tiles, adjacencyMap }) {
+  const { appendPlannedSteps, planningAlliance } = usePlanner();
+  const {
+    runAutoPlan,
+    cancelAutoPlan,
+    clearAutoPlan,
+    isRunning,
+    progress,
+    result,
+    error,
+  } = useAutoPlan({ tiles, adjacencyMap });
+
+  const [days, setDays] = useState(3);
+  const [weights, setWeights] = useState(DEFAULT_SCORE_WEIGHTS);
+  const [showWeights, setShowWeights] = useState(false);
+
+  const handleWeightChange = (key, value) => {
+    const parsed = parseFloat(value);
+    setWeights(prev => ({ ...prev, [key]: isNaN(parsed) ? 0 : parsed }));
+  };
+
+  const handleAddToPlan = () => {
+    if (!result) return;
+    appendPlannedSteps(result.steps);
+    clearAutoPlan();
+  };
+
+  return (
+    <div>
+      <h4 className="mb-2 text-sm font-semibold text-discord-text-secondary">Auto-Plan</h4>
+
+      <div className="flex items-center gap-2 mb-2">
+        <label className="text-xs text-discord-text-secondary" htmlFor="auto-plan-days">
+          Days
+        </label>
+        <input
+          id="auto-plan-days"
+          type="number"
+          min={1}
+          max={MAX_DAYS}
+          value={days}
+          onChange={(e) => setDays(Math.min(MAX_DAYS, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+          className="w-16 px-2 py-1 bg-discord-dark border border-discord-lighter-gray rounded text-sm text-discord-text focus:outline-none focus:border-discord-blurple"
+        />
+        <button
+          onClick={() => setShowWeights(prev => !prev)}
+          className="ml-auto text-xs text-discord-text-muted hover:text-discord-blurple transition-colors"
+        >
+          {showWeights ? 'Hide scoring' : 'Scoring…'}
+        </button>
+      </div>
+
+      {showWeights && (
+        <div className="mb-2 p-2 bg-discord-dark/50 rounded flex flex-col gap-1.5">
+          {Object.entries(WEIGHT_LABELS).map(([key, label]) => (
+            <label key={key} className="flex items-center justify-between gap-2 text-xs text-discord-text-secondary">
+              {label}
+              <input
+                type="number"
+                step="0.5"
+                value={weights[key]}
+                onChange={(e) => handleWeightChange(key, e.target.value)}
+                className="w-16 px-2 py-0.5 bg-discord-dark border border-discord-lighter-gray rounded text-xs text-discord-text focus:outline-none focus:border-discord-blurple"
+              />
+            </label>
+          ))}
+        </div>
+      )}
+
+      {isRunning ? (
+        <button
+          onClick={cancelAutoPlan}
+          className="w-full px-3 py-2 bg-red-500/20 text-red-400 rounded text-sm font-medium hover:bg-red-500/30 transition-colors"
+        >
+          Searching… {Math.round(progress * 100)}% (Cancel)
+        </button>
+      ) : (
+        <button
+          onClick={() => runAutoPlan({ days, weights })}
+          disabled={!planningAlliance || !adjacencyMap}
+          className="w-full px-3 py-2 bg-discord-blurple/20 text-discord-blurple rounded text-sm font-medium hover:bg-discord-blurple/30 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Find best {days}-day plan
+        </button>
+      )}
+
+      {error && (
+        <div className="mt-2 p-2 rounded text-xs bg-red-500/20 border border-red-500/50 text-red-400">
+          {error}
+        </div>
+      )}
+
+      {result && (
+        <div className="mt-2 p-2 rounded text-xs bg-discord-dark/50 text-discord-text">
+          {result.steps.length === 0 ? (
+            <span>No move improves on the current territory</span>
+          ) : (
+            <div className="flex items-center justify-between gap-2">
+              <span>
+                {result.claims} claim{result.claims !== 1 ? 's' : ''}
+                {result.clears > 0 && `, ${result.clears} unclaim${result.clears !== 1 ? 's' : ''}`}
+                {' '}· score {result.baseScore.score} → {result.score.score}
+                {result.score.highestNumber > 0 && ` · up to L${result.score.highestNumber}`}
+              </span>
+              <button
+                onClick={handleAddToPlan}
+                className="px-2 py-1 bg-green-500/20 text-green-400 rounded hover:bg-green-500/30 transition-colors shrink-0"
+              >
+                Add to plan
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
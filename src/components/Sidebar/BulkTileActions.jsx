@@ -0,0 +1,176 @@
+import { useState } from 'react';
+import { usePlanner } from '../../contexts/PlannerContext';
+import { useToast } from '../../contexts/ToastContext';
+
+const inputClassName = 'flex-1 min-w-0 px-3 py-2 border border-discord-lighter-gray rounded text-sm bg-discord-dark text-discord-text transition-colors duration-200 focus:outline-none focus:border-discord-blurple focus:ring-2 focus:ring-discord-blurple/20';
+const applyButtonClassName = 'shrink-0 px-3 py-2 border-none rounded text-sm font-medium cursor-pointer transition-all duration-200 bg-discord-lighter-gray text-discord-text hover:bg-discord-lightest-gray disabled:opacity-50 disabled:cursor-not-allowed';
+
+function describeResult(result, what) {
+  if (result.failed > 0) return { type: 'error', message: `${result.failed} tile${result.failed !== 1 ? 's' : ''} could not be updated` };
+  if (result.queued) return { type: 'info', message: `Offline: ${what} queued, it will be sent when you reconnect` };
+  return { type: 'success', message: what };
+}
+
+/**
+ * Actions for a multi-tile selection: set icon, color or name on every
+ * selected tile, plan claims/clears, or add the same comment to each.
+ */
+export function BulkTileActions({ selectedTileIds, onUpdateTiles, onAddComment, onClearSelection, isReadOnly = false, compact = false }) {
+  const { isPlannerMode, isViewOnly, planningAlliance, planClaimTiles, planClearTiles } = usePlanner();
+  const { toast } = useToast();
+  const [icon, setIcon] = useState('');
+  const [color, setColor] = useState('#5865f2');
+  const [name, setName] = useState('');
+  const [comment, setComment] = useState('');
+  const [isApplying, setIsApplying] = useState(false);
+
+  const count = selectedTileIds.size;
+
+  if (compact) {
+    return (
+      <div className="flex items-center justify-between gap-3">
+        <span className="text-discord-text text-sm font-semibold">{count} tiles selected</span>
+        <button
+          onClick={onClearSelection}
+          className="px-3 py-1.5 border-none rounded text-xs font-medium cursor-pointer bg-discord-lighter-gray text-discord-text"
+        >
+          Clear
+        </button>
+      </div>
+    );
+  }
+
+  const apply = async (changes, what) => {
+    setIsApplying(true);
+    const result = await onUpdateTiles(selectedTileIds, changes);
+    setIsApplying(false);
+    const { type, message } = describeResult(result, what);
+    toast[type](message);
+  };
+
+  const handleAddComment = async () => {
+    if (!comment.trim()) return;
+    setIsApplying(true);
+    const result = await onAddComment(selectedTileIds, comment);
+    setIsApplying(false);
+    const { type, message } = describeResult(result, `Comment added to ${count} tiles`);
+    toast[type](message);
+    if (result.success) setComment('');
+  };
+
+  const handlePlanClaim = () => {
+    const added = planClaimTiles(selectedTileIds);
+    toast.info(added > 0 ? `Planned ${added} claim${added !== 1 ? 's' : ''}` : 'All selected tiles are already claimed');
+  };
+
+  const handlePlanClear = () => {
+    const added = planClearTiles(selectedTileIds);
+    toast.info(added > 0 ? `Planned ${added} clear${added !== 1 ? 's' : ''}` : 'None of the selected tiles are claimed');
+  };
+
+  return (
+    <div className="p-4 pt-5 border-b border-discord-lighter-gray">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-base font-semibold text-discord-text">{count} Tiles Selected</h2>
+        <button
+          onClick={onClearSelection}
+          className="bg-transparent border-none text-discord-text-muted text-xs cursor-pointer hover:text-discord-text"
+        >
+          Clear selection
+        </button>
+      </div>
+
+      {isReadOnly ? (
+        <p className="text-discord-text-muted italic text-sm">Sign in with Discord to edit tiles</p>
+      ) : (
+        <>
+          <div className="mb-4">
+            <label className="block mb-1.5 font-medium text-sm text-discord-text-secondary">Icon:</label>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={icon}
+                onChange={(e) => setIcon(e.target.value)}
+                placeholder="Emoji, empty to remove"
+                className={inputClassName}
+              />
+              <button className={applyButtonClassName} disabled={isApplying} onClick={() => apply({ icon: icon.trim() }, `Icon set on ${count} tiles`)}>
+                Apply
+              </button>
+            </div>
+          </div>
+
+          <div className="mb-4">
+            <label className="block mb-1.5 font-medium text-sm text-discord-text-secondary">Color:</label>
+            <div className="flex gap-2">
+              <input
+                type="color"
+                value={color}
+                onChange={(e) => setColor(e.target.value)}
+                className="flex-1 h-9 p-0.5 border border-discord-lighter-gray rounded bg-discord-dark cursor-pointer"
+              />
+              <button className={applyButtonClassName} disabled={isApplying} onClick={() => apply({ color }, `Color set on ${count} tiles`)}>
+                Apply
+              </button>
+            </div>
+          </div>
+
+          <div className="mb-4">
+            <label className="block mb-1.5 font-medium text-sm text-discord-text-secondary">Name:</label>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Empty to remove"
+                className={inputClassName}
+              />
+              <button className={applyButtonClassName} disabled={isApplying} onClick={() => apply({ name: name.trim() }, `Name set on ${count} tiles`)}>
+                Apply
+              </button>
+            </div>
+          </div>
+
+          {isPlannerMode && !isViewOnly && (
+            <div className="mb-4">
+              <label className="block mb-1.5 font-medium text-sm text-discord-text-secondary">Plan:</label>
+              <div className="flex gap-2">
+                <button
+                  onClick={handlePlanClaim}
+                  disabled={!planningAlliance}
+                  className="flex-1 px-3 py-2 border-none rounded text-sm font-medium cursor-pointer transition-all duration-200 bg-discord-blurple text-white hover:bg-discord-blurple-hover disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Plan claims
+                </button>
+                <button
+                  onClick={handlePlanClear}
+                  className="flex-1 px-3 py-2 border-none rounded text-sm font-medium cursor-pointer transition-all duration-200 bg-red-500/80 text-white hover:bg-red-500"
+                >
+                  Plan clears
+                </button>
+              </div>
+            </div>
+          )}
+
+          <div>
+            <label className="block mb-1.5 font-medium text-sm text-discord-text-secondary">Shared comment:</label>
+            <textarea
+              placeholder="Added to every selected tile..."
+              rows="2"
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              className="w-full px-3 py-2 mb-2 border border-discord-lighter-gray rounded text-sm bg-discord-dark text-discord-text transition-colors duration-200 focus:outline-none focus:border-discord-blurple focus:ring-2 focus:ring-discord-blurple/20 font-inherit resize-y min-h-[50px]"
+            />
+            <button
+              onClick={handleAddComment}
+              disabled={isApplying || !comment.trim()}
+              className="w-full px-4 py-2 border-none rounded text-sm font-medium cursor-pointer transition-all duration-200 bg-discord-blurple text-white hover:bg-discord-blurple-hover disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Add to {count} tiles
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,3 +1,5 @@
+import { getTileFieldLabel } from '../../utils/tileHistory.js';
+
 export function HistoryPanel({ history }) {
   if (!history || history.length === 0) {
     return (
@@ -17,7 +19,11 @@ export function HistoryPanel({ history }) {
 }
 
 function HistoryItem({ item }) {
-  const { action, user, allianceName, allianceColor, tileId, timestamp } = item;
+  const { action, user, allianceName, allianceColor, tileId, timestamp, changes } = item;
+
+  if (changes) {
+    return <TileEditItem item={item} />;
+  }
 
   // Format: [Alliance] User claimed tile L1
   const actionVerb = action === 'claim' ? 'claimed' : 'unclaimed';
@@ -43,3 +49,18 @@ function HistoryItem({ item }) {
     </div>
   );
 }
+
+function TileEditItem({ item }) {
+  const { action, user, tileId, timestamp, changes } = item;
+  const fields = Object.keys(changes).map(getTileFieldLabel).join(', ');
+
+  return (
+    <div className="p-3 mb-2 last:mb-0 bg-discord-light-gray rounded text-sm">
+      <div className="text-discord-text-muted text-[11px] mb-1">{timestamp}</div>
+      <div className="text-discord-text-secondary">
+        {user ? `${user} ` : ''}<span className="font-semibold text-discord-text">{action.toLowerCase()}</span> tile L{tileId}
+        {fields && <span className="text-discord-text-muted"> · {fields}</span>}
+      </div>
+    </div>
+  );
+}
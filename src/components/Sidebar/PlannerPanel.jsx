@@ -1,17 +1,41 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect } from 'react';
 import { usePlanner } from '../../contexts/PlannerContext';
 import { useAlliance } from '../../contexts/AllianceContext';
 import { useTimeline } from '../../contexts/TimelineContext';
+import { useToast } from '../../contexts/ToastContext';
+import { useRuleset } from '../../di/index.js';
+import { useExpansionPath } from '../../hooks/useExpansionPath.js';
+import { AutoPlanPanel } from './AutoPlanPanel';
+import { SavedPlansPanel } from './SavedPlansPanel';
+import { PATH_FAILURES } from '../../utils/expansionPathFinder.js';
 
-export function PlannerPanel({ tiles }) {
+const PATH_FAILURE_MESSAGES = {
+  [PATH_FAILURES.TARGET_CLAIMED]: 'Tile is held by another alliance',
+  [PATH_FAILURES.UNREACHABLE]: 'No legal path reaches this tile',
+  [PATH_FAILURES.SEARCH_LIMIT]: 'Path is too long to compute',
+};
+
+export function PlannerPanel({ tiles, adjacencyMap, selectedTile, stepViolations }) {
   const {
     isPlannerMode,
     sequence,
     planningAlliance,
+    planBaseDay,
+    planTitle,
+    setPlanTitle,
+    planNotes,
+    setPlanNotes,
+    missingPlanAlliances,
+    getPlanAlliance,
+    isViewOnly,
+    saveSharedPlanCopy,
+    isStrictMode,
+    setIsStrictMode,
     enterPlannerMode,
     exitPlannerMode,
     selectPlannerAlliance,
     addNewDay,
+    appendPlannedSteps,
     removeSequenceItem,
     undoPlannedMove,
     clearPlannedMoves,
@@ -24,9 +48,19 @@ export function PlannerPanel({ tiles }) {
   } = usePlanner();
   const { alliance, allAlliances } = useAlliance();
   const { currentDay } = useTimeline();
+  const { toast } = useToast();
+  const ruleset = useRuleset();
   const [copied, setCopied] = useState(false);
+  const [pathResult, setPathResult] = useState(null);
+  const findPath = useExpansionPath({ tiles, adjacencyMap });
+  const selectedTileId = selectedTile?.id;
+
+  // A found path is only valid for the start state it was planned from
+  useEffect(() => {
+    setPathResult(null);
+  }, [sequence, planningAlliance, selectedTileId]);
 
-  // Start/Stop playback overlay (manual stepping only)
+  // Start/Stop playback overlay (autoplay and scrubbing live in the overlay)
   const handleStartPlayback = useCallback(() => {
     if (sequence.length === 0) return;
     setPlayIndex(0);
@@ -39,6 +73,25 @@ export function PlannerPanel({ tiles }) {
     setPlayIndex(-1);
   }, [setIsPlaying, setPlayIndex]);
 
+  const handleFindPath = () => {
+    if (!selectedTile) return;
+    const result = findPath(selectedTile.id);
+    setPathResult(result ? { ...result, targetTileId: selectedTile.id } : null);
+  };
+
+  const handleAddPath = () => {
+    if (!pathResult?.found) return;
+    appendPlannedSteps(pathResult.steps);
+    setPathResult(null);
+  };
+
+  const handleSaveSharedCopy = async () => {
+    const result = await saveSharedPlanCopy();
+    if (!result.success) {
+      toast.error(result.error || 'Failed to save plan');
+    }
+  };
+
   const handleCopyShareUrl = async () => {
     try {
       await navigator.clipboard.writeText(getShareUrl());
@@ -70,13 +123,14 @@ export function PlannerPanel({ tiles }) {
         >
           Enter Planner Mode
         </button>
+        <SavedPlansPanel />
       </div>
     );
   }
 
   // Get alliance info for display
   const getAllianceInfo = (allianceId) => {
-    return allAlliances.find(a => a.id === allianceId) || { name: 'Unknown', color: '#666' };
+    return getPlanAlliance(allianceId) || { name: 'Unknown', color: '#666' };
   };
 
   // Get tile level (number) for display
@@ -88,7 +142,7 @@ export function PlannerPanel({ tiles }) {
   // Count moves by day (split by new_day markers)
   // Start from current day, each new_day marker advances to the next day
   // Also track claims per alliance per day segment
-  const MAX_CLAIMS_PER_DAY = 3;
+  const MAX_CLAIMS_PER_DAY = ruleset.maxMovesPerDay;
 
   // First pass: identify day boundaries and count claims per alliance per day
   const dayBoundaries = [0]; // indices where new days start
@@ -101,7 +155,7 @@ export function PlannerPanel({ tiles }) {
   // Calculate claims per alliance for each day segment
   const claimsPerDayPerAlliance = {};
   let currentDayIdx = 0;
-  let currentDayNum = currentDay;
+  let currentDayNum = planBaseDay;
 
   sequence.forEach((item, index) => {
     if (item.type === 'new_day') {
@@ -120,7 +174,7 @@ export function PlannerPanel({ tiles }) {
   });
 
   // Build sequence with day info and claim counts
-  let dayNumber = currentDay;
+  let dayNumber = planBaseDay;
   let claimCountsForCurrentDay = {}; // track running counts per alliance for current day segment
   const sequenceWithDays = sequence.map((item, index) => {
     if (item.type === 'new_day') {
@@ -139,9 +193,13 @@ export function PlannerPanel({ tiles }) {
     }
     const allianceClaimsToday = claimCountsForCurrentDay[item.allianceId] || 0;
     const isOverLimit = item.action === 'claim' && allianceClaimsToday > MAX_CLAIMS_PER_DAY;
-    return { ...item, dayNumber: dayNumber, stepNumber: index + 1, isOverLimit };
+    // In strict mode, the rules engine result replaces the simple daily limit check
+    const violation = stepViolations?.[index] && !stepViolations[index].valid ? stepViolations[index] : null;
+    return { ...item, dayNumber: dayNumber, stepNumber: index + 1, isOverLimit, violation };
   });
 
+  const violationCount = sequenceWithDays.filter(item => item.violation).length;
+
   // Get the summary for the current (last) day segment
   const currentDaySummary = claimsPerDayPerAlliance[dayNumber] || {};
 
@@ -190,6 +248,52 @@ export function PlannerPanel({ tiles }) {
         </p>
       </div>
 
+      {isViewOnly && (
+        <div className="p-3 bg-discord-blurple/20 border border-discord-blurple/50 rounded-lg flex items-center justify-between gap-2">
+          <span className="text-xs text-discord-text-secondary">Viewing a shared plan. Save a copy to edit it.</span>
+          <button
+            onClick={handleSaveSharedCopy}
+            className="px-2 py-1 text-xs bg-discord-blurple text-white rounded hover:bg-discord-blurple-hover transition-colors shrink-0"
+          >
+            Save a Copy
+          </button>
+        </div>
+      )}
+
+      {/* Plan Details */}
+      <div className="flex flex-col gap-2">
+        <input
+          type="text"
+          value={planTitle}
+          onChange={(e) => setPlanTitle(e.target.value)}
+          placeholder="Plan title"
+          disabled={isViewOnly}
+          maxLength={80}
+          className="w-full px-3 py-2 bg-discord-dark border border-discord-lighter-gray rounded text-sm text-discord-text focus:outline-none focus:border-discord-blurple"
+        />
+        <textarea
+          value={planNotes}
+          onChange={(e) => setPlanNotes(e.target.value)}
+          placeholder="Notes (shared with the plan link)"
+          disabled={isViewOnly}
+          maxLength={500}
+          rows={2}
+          className="w-full px-3 py-2 bg-discord-dark border border-discord-lighter-gray rounded text-sm text-discord-text resize-y focus:outline-none focus:border-discord-blurple"
+        />
+        {planBaseDay !== currentDay && (
+          <p className="text-xs text-yellow-400">
+            This plan was made on Day {planBaseDay} (today is Day {currentDay}). The map may have changed since.
+          </p>
+        )}
+        {missingPlanAlliances.length > 0 && (
+          <p className="text-xs text-red-400">
+            {missingPlanAlliances.length === 1 ? 'An alliance' : `${missingPlanAlliances.length} alliances`} in this plan no longer
+            {missingPlanAlliances.length === 1 ? ' exists' : ' exist'}:{' '}
+            {missingPlanAlliances.map(a => a.name || 'Unnamed').join(', ')}
+          </p>
+        )}
+      </div>
+
       {/* Alliance Selector */}
       <div>
         <label className="block mb-1.5 text-xs font-medium text-discord-text-secondary">
@@ -220,6 +324,84 @@ export function PlannerPanel({ tiles }) {
         )}
       </div>
 
+      {/* Strict Rules Toggle */}
+      <div>
+        <label className="flex items-center gap-2 text-sm text-discord-text cursor-pointer select-none">
+          <input
+            type="checkbox"
+            checked={isStrictMode}
+            onChange={(e) => setIsStrictMode(e.target.checked)}
+            className="w-4 h-4 rounded border-discord-lighter-gray bg-discord-dark text-discord-blurple focus:ring-discord-blurple/20 cursor-pointer"
+          />
+          Enforce claiming rules
+        </label>
+        <p className="mt-1 text-xs text-discord-text-muted">
+          Checks adjacency, number progression, the tile cap and daily moves for every step.
+        </p>
+        {isStrictMode && sequence.length > 0 && (
+          <div className={`mt-2 p-2 rounded text-xs ${
+            violationCount > 0
+              ? 'bg-red-500/20 border border-red-500/50 text-red-400'
+              : 'bg-green-500/20 border border-green-500/50 text-green-400'
+          }`}>
+            {violationCount > 0
+              ? `${violationCount} step${violationCount !== 1 ? 's' : ''} break${violationCount === 1 ? 's' : ''} the rules`
+              : 'All steps follow the rules'}
+          </div>
+        )}
+      </div>
+
+      {!isViewOnly && (
+        <>
+          {/* Path Finder */}
+          <div>
+            <h4 className="mb-2 text-sm font-semibold text-discord-text-secondary">Path Finder</h4>
+            <button
+              onClick={handleFindPath}
+              disabled={!selectedTile || !adjacencyMap}
+              className="w-full px-3 py-2 bg-discord-blurple/20 text-discord-blurple rounded text-sm font-medium hover:bg-discord-blurple/30 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {selectedTile ? `Find path to L${getTileLevel(selectedTile.id)}` : 'Select a tile to find a path'}
+            </button>
+            {pathResult && (
+              <div className={`mt-2 p-2 rounded text-xs ${
+                pathResult.found
+                  ? 'bg-discord-dark/50 text-discord-text'
+                  : 'bg-red-500/20 border border-red-500/50 text-red-400'
+              }`}>
+                {pathResult.found ? (
+                  pathResult.steps.length === 0 ? (
+                    <span>{planningAlliance?.name} already holds this tile</span>
+                  ) : (
+                    <div className="flex items-center justify-between gap-2">
+                      <span>
+                        L{getTileLevel(pathResult.targetTileId)}: {pathResult.claims} claim{pathResult.claims !== 1 ? 's' : ''}
+                        {pathResult.clears > 0 && `, ${pathResult.clears} unclaim${pathResult.clears !== 1 ? 's' : ''}`}
+                        {' '}over {pathResult.days + 1} day{pathResult.days !== 0 ? 's' : ''}
+                      </span>
+                      <button
+                        onClick={handleAddPath}
+                        className="px-2 py-1 bg-green-500/20 text-green-400 rounded hover:bg-green-500/30 transition-colors shrink-0"
+                      >
+                        Add to plan
+                      </button>
+                    </div>
+                  )
+                ) : (
+                  PATH_FAILURE_MESSAGES[pathResult.reason]
+                )}
+              </div>
+            )}
+          </div>
+
+          {/* Auto-Plan */}
+          <AutoPlanPanel tiles={tiles} adjacencyMap={adjacencyMap} />
+        </>
+      )}
+
+      {/* Saved Plans */}
+      <SavedPlansPanel />
+
       {/* Sequencer */}
       <div>
         <div className="flex items-center justify-between mb-2">
@@ -228,7 +410,8 @@ export function PlannerPanel({ tiles }) {
           </h4>
           <button
             onClick={addNewDay}
-            className="px-2 py-1 text-xs bg-discord-blurple/20 text-discord-blurple rounded hover:bg-discord-blurple/30 transition-colors"
+            disabled={isViewOnly}
+            className="px-2 py-1 text-xs disabled:opacity-50 disabled:cursor-not-allowed bg-discord-blurple/20 text-discord-blurple rounded hover:bg-discord-blurple/30 transition-colors"
           >
             + New Day
           </button>
@@ -319,51 +502,58 @@ export function PlannerPanel({ tiles }) {
 
               const allianceInfo = getAllianceInfo(item.allianceId);
               const isClaim = item.action === 'claim';
+              const isFlagged = isStrictMode ? !!item.violation : item.isOverLimit;
+              const flagTitle = isStrictMode ? item.violation?.error : `Over daily limit (${MAX_CLAIMS_PER_DAY} claims max)`;
 
               return (
                 <div
                   key={item.id}
-                  className={`flex items-center justify-between py-2 px-3 rounded group transition-all duration-200 ${
+                  className={`flex flex-col py-2 px-3 rounded group transition-all duration-200 ${
                     isCurrentlyPlaying
                       ? 'bg-yellow-500/30 border-2 border-yellow-500 ring-2 ring-yellow-500/50'
-                      : item.isOverLimit
+                      : isFlagged
                         ? 'bg-red-500/20 border border-red-500/50'
                         : 'bg-discord-dark'
                   }`}
                 >
-                  <div className="flex items-center gap-2">
-                    <span className="text-discord-text-muted text-xs font-mono w-5">
-                      {index + 1}.
-                    </span>
-                    {item.isOverLimit && (
-                      <span className="text-red-400" title="Over daily limit (3 claims max)">
-                        <svg className="w-3.5 h-3.5" fill="currentColor" viewBox="0 0 20 20">
-                          <path fillRule="evenodd" d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
-                        </svg>
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center gap-2">
+                      <span className="text-discord-text-muted text-xs font-mono w-5">
+                        {index + 1}.
                       </span>
-                    )}
-                    <span
-                      className={`text-sm font-medium ${isClaim ? 'text-green-400' : 'text-red-400'}`}
+                      {isFlagged && (
+                        <span className="text-red-400" title={flagTitle}>
+                          <svg className="w-3.5 h-3.5" fill="currentColor" viewBox="0 0 20 20">
+                            <path fillRule="evenodd" d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+                          </svg>
+                        </span>
+                      )}
+                      <span
+                        className={`text-sm font-medium ${isClaim ? 'text-green-400' : 'text-red-400'}`}
+                      >
+                        {isClaim ? 'Claim' : 'Unclaim'}
+                      </span>
+                      <span className="text-discord-text text-sm font-semibold">
+                        L{getTileLevel(item.tileId)}
+                      </span>
+                      <span
+                        className="w-3 h-3 rounded-full border border-discord-lighter-gray"
+                        style={{ backgroundColor: allianceInfo.color }}
+                        title={allianceInfo.name}
+                      />
+                    </div>
+                    <button
+                      onClick={() => removeSequenceItem(item.id)}
+                      className="text-discord-text-muted hover:text-red-400 transition-colors opacity-0 group-hover:opacity-100"
                     >
-                      {isClaim ? 'Claim' : 'Unclaim'}
-                    </span>
-                    <span className="text-discord-text text-sm font-semibold">
-                      L{getTileLevel(item.tileId)}
-                    </span>
-                    <span
-                      className="w-3 h-3 rounded-full border border-discord-lighter-gray"
-                      style={{ backgroundColor: allianceInfo.color }}
-                      title={allianceInfo.name}
-                    />
+                      <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                      </svg>
+                    </button>
                   </div>
-                  <button
-                    onClick={() => removeSequenceItem(item.id)}
-                    className="text-discord-text-muted hover:text-red-400 transition-colors opacity-0 group-hover:opacity-100"
-                  >
-                    <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                    </svg>
-                  </button>
+                  {isStrictMode && item.violation && (
+                    <p className="mt-1 pl-7 text-xs text-red-400">{item.violation.error}</p>
+                  )}
                 </div>
               );
             })}
@@ -377,7 +567,8 @@ export function PlannerPanel({ tiles }) {
           <>
             <button
               onClick={undoPlannedMove}
-              className="px-3 py-2 bg-discord-lighter-gray text-discord-text rounded text-sm hover:bg-discord-lightest-gray transition-colors"
+              disabled={isViewOnly}
+              className="px-3 py-2 disabled:opacity-50 disabled:cursor-not-allowed bg-discord-lighter-gray text-discord-text rounded text-sm hover:bg-discord-lightest-gray transition-colors"
             >
               Undo Last Step
             </button>
@@ -389,7 +580,8 @@ export function PlannerPanel({ tiles }) {
             </button>
             <button
               onClick={clearPlannedMoves}
-              className="px-3 py-2 bg-red-500/20 text-red-400 rounded text-sm hover:bg-red-500/30 transition-colors"
+              disabled={isViewOnly}
+              className="px-3 py-2 disabled:opacity-50 disabled:cursor-not-allowed bg-red-500/20 text-red-400 rounded text-sm hover:bg-red-500/30 transition-colors"
             >
               Clear All
             </button>
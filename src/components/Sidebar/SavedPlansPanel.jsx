@@ -0,0 +1,187 @@
+import { useState } from 'react';
+import { usePlanner } from '../../contexts/PlannerContext';
+import { useToast } from '../../contexts/ToastContext';
+
+export function SavedPlansPanel() {
+  const {
+    isPlannerMode,
+    isViewOnly,
+    sequence,
+    savedPlans,
+    activePlanId,
+    saveCurrentPlan,
+    loadSavedPlan,
+    renameSavedPlan,
+    duplicateSavedPlan,
+    deleteSavedPlan,
+    comparison,
+    startComparison,
+    stopComparison,
+    setOutcomeReportPlanId,
+  } = usePlanner();
+  const { toast } = useToast();
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+
+  const handleSave = async (asCopy) => {
+    const result = await saveCurrentPlan({ asCopy });
+    if (result.success) {
+      toast.success(`Saved "${result.plan.name}"`);
+    } else {
+      toast.error(result.error || 'Failed to save plan');
+    }
+  };
+
+  const startRename = (plan) => {
+    setRenamingId(plan.id);
+    setRenameValue(plan.name);
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    if (!renameValue.trim()) return;
+    const result = await renameSavedPlan(renamingId, renameValue);
+    if (!result.success) {
+      toast.error(result.error || 'Failed to rename plan');
+    }
+    setRenamingId(null);
+  };
+
+  const handleDuplicate = async (planId) => {
+    const result = await duplicateSavedPlan(planId);
+    if (!result.success) {
+      toast.error(result.error || 'Failed to duplicate plan');
+    }
+  };
+
+  const handleDelete = async (plan) => {
+    if (!window.confirm(`Delete "${plan.name}"?`)) return;
+    const result = await deleteSavedPlan(plan.id);
+    if (!result.success) {
+      toast.error(result.error || 'Failed to delete plan');
+    }
+  };
+
+  // Compare the open plan (or the most recent one) against the next plan in the list
+  const handleCompare = () => {
+    const planA = savedPlans.find(plan => plan.id === activePlanId) || savedPlans[0];
+    const planB = savedPlans.find(plan => plan.id !== planA.id);
+    startComparison(planA.id, planB.id);
+  };
+
+  return (
+    <div>
+      <h4 className="mb-2 text-sm font-semibold text-discord-text-secondary">
+        Saved Plans ({savedPlans.length})
+      </h4>
+
+      {isPlannerMode && !isViewOnly && (
+        <div className="flex gap-2 mb-2">
+          <button
+            onClick={() => handleSave(false)}
+            disabled={sequence.length === 0}
+            className="flex-1 px-3 py-2 bg-discord-blurple/20 text-discord-blurple rounded text-sm font-medium hover:bg-discord-blurple/30 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {activePlanId ? 'Save' : 'Save Plan'}
+          </button>
+          {activePlanId && (
+            <button
+              onClick={() => handleSave(true)}
+              className="flex-1 px-3 py-2 bg-discord-lighter-gray text-discord-text rounded text-sm hover:bg-discord-lightest-gray transition-colors"
+            >
+              Save as New
+            </button>
+          )}
+        </div>
+      )}
+
+      {savedPlans.length === 0 ? (
+        <p className="text-discord-text-muted text-sm italic">No saved plans yet.</p>
+      ) : (
+        <div className="flex flex-col gap-1 max-h-48 overflow-y-auto">
+          {savedPlans.map((plan) => {
+            const moveCount = plan.sequence.filter(item => item.type === 'move').length;
+            const isActive = plan.id === activePlanId;
+
+            if (renamingId === plan.id) {
+              return (
+                <form key={plan.id} onSubmit={handleRename} className="flex gap-1">
+                  <input
+                    type="text"
+                    value={renameValue}
+                    onChange={(e) => setRenameValue(e.target.value)}
+                    onBlur={() => setRenamingId(null)}
+                    onKeyDown={(e) => e.key === 'Escape' && setRenamingId(null)}
+                    maxLength={80}
+                    autoFocus
+                    className="flex-1 px-2 py-1.5 bg-discord-dark border border-discord-blurple rounded text-sm text-discord-text focus:outline-none"
+                  />
+                </form>
+              );
+            }
+
+            return (
+              <div
+                key={plan.id}
+                className={`flex items-center gap-2 py-1.5 px-2 rounded group ${
+                  isActive ? 'bg-discord-blurple/20 border border-discord-blurple/30' : 'bg-discord-dark'
+                }`}
+              >
+                <button
+                  onClick={() => loadSavedPlan(plan)}
+                  className="flex-1 min-w-0 text-left"
+                  title="Open plan"
+                >
+                  <div className="text-sm text-discord-text truncate">{plan.name}</div>
+                  <div className="text-xs text-discord-text-muted">
+                    {moveCount} move{moveCount !== 1 ? 's' : ''}
+                    {plan.baseDay ? ` · Day ${plan.baseDay}` : ''}
+                  </div>
+                </button>
+                <div className="flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                  <button
+                    onClick={() => startRename(plan)}
+                    className="text-xs text-discord-text-muted hover:text-discord-blurple"
+                    title="Rename"
+                  >
+                    ✏️
+                  </button>
+                  <button
+                    onClick={() => setOutcomeReportPlanId(plan.id)}
+                    className="text-xs text-discord-text-muted hover:text-discord-blurple"
+                    title="Plan vs. reality report"
+                  >
+                    📊
+                  </button>
+                  <button
+                    onClick={() => handleDuplicate(plan.id)}
+                    className="text-xs text-discord-text-muted hover:text-discord-blurple"
+                    title="Duplicate"
+                  >
+                    📄
+                  </button>
+                  <button
+                    onClick={() => handleDelete(plan)}
+                    className="text-xs text-discord-text-muted hover:text-red-400"
+                    title="Delete"
+                  >
+                    🗑️
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {savedPlans.length >= 2 && (
+        <button
+          onClick={comparison ? stopComparison : handleCompare}
+          className="w-full mt-2 px-3 py-1.5 bg-discord-lighter-gray text-discord-text rounded text-sm hover:bg-discord-lightest-gray transition-colors"
+        >
+          {comparison ? 'Stop Comparing' : 'Compare Plans'}
+        </button>
+      )}
+    </div>
+  );
+}
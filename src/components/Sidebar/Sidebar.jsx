@@ -1,6 +1,7 @@
 import { useState } from 'react';
 import { TileEditor } from './TileEditor';
 import { HistoryPanel } from './HistoryPanel';
+import { TileVersionHistory } from './TileVersionHistory';
 import { LikeButton } from './LikeButton';
 import { LikeHistory } from './LikeHistory';
 import { MovesPanel } from './MovesPanel';
@@ -11,12 +12,20 @@ export function Sidebar({
   selectedTile,
   tileData,
   tiles,
+  adjacencyMap,
   likes,
   likeSummary,
   history,
+  stepViolations,
   activeTab,
   onTabChange,
   onVote,
+  selectedTileIds,
+  onUpdateTiles,
+  onAddCommentToTiles,
+  onClearSelection,
+  getTileVersions,
+  onRevertTile,
   isReadOnly = false,
   isFullscreenMap = false
 }) {
@@ -33,6 +42,18 @@ export function Sidebar({
           tileData={tileData}
           likeSummary={likeSummary}
           onVote={onVote}
+          selectedTileIds={selectedTileIds}
+          onUpdateTiles={onUpdateTiles}
+          onAddCommentToTiles={onAddCommentToTiles}
+          onClearSelection={onClearSelection}
+          isReadOnly={isReadOnly}
+        />
+        <TileVersionHistory
+          selectedTile={selectedTile}
+          tileData={tileData}
+          history={history}
+          getTileVersions={getTileVersions}
+          onRevert={onRevertTile}
           isReadOnly={isReadOnly}
         />
 
@@ -85,7 +106,12 @@ export function Sidebar({
           </div>
 
           <div className={activeTab === 'planner' ? 'block' : 'hidden'}>
-            <PlannerPanel tiles={tiles} />
+            <PlannerPanel
+              tiles={tiles}
+              adjacencyMap={adjacencyMap}
+              selectedTile={selectedTile}
+              stepViolations={stepViolations}
+            />
           </div>
 
           <div className={activeTab === 'likes' ? 'block' : 'hidden'}>
@@ -121,6 +147,10 @@ export function Sidebar({
             tileData={tileData}
             likeSummary={likeSummary}
             onVote={onVote}
+            selectedTileIds={selectedTileIds}
+            onUpdateTiles={onUpdateTiles}
+            onAddCommentToTiles={onAddCommentToTiles}
+            onClearSelection={onClearSelection}
             isReadOnly={isReadOnly}
             compact={true}
           />
@@ -194,7 +224,12 @@ export function Sidebar({
             </div>
 
             <div className={activeTab === 'planner' ? 'block' : 'hidden'}>
-              <PlannerPanel tiles={tiles} />
+              <PlannerPanel
+                tiles={tiles}
+                adjacencyMap={adjacencyMap}
+                selectedTile={selectedTile}
+                stepViolations={stepViolations}
+              />
             </div>
 
             <div className={activeTab === 'likes' ? 'block' : 'hidden'}>
@@ -1,11 +1,23 @@
 import { LikeButton } from './LikeButton';
+import { BulkTileActions } from './BulkTileActions';
 import { useGameState } from '../../contexts/GameStateContext';
 import { useAlliance } from '../../contexts/AllianceContext';
 import { useTimeline } from '../../contexts/TimelineContext';
 import { usePlanner } from '../../contexts/PlannerContext';
 import { useToast } from '../../contexts/ToastContext';
 
-export function TileEditor({ selectedTile, tileData, likeSummary, onVote, isReadOnly = false, compact = false }) {
+export function TileEditor({
+  selectedTile,
+  tileData,
+  likeSummary,
+  onVote,
+  selectedTileIds,
+  onUpdateTiles,
+  onAddCommentToTiles,
+  onClearSelection,
+  isReadOnly = false,
+  compact = false
+}) {
   const { claimTile, clearTile, getTileClaim, isOwnTile } = useGameState();
   const { alliance, isAdmin } = useAlliance();
   const { isViewingCurrentDay } = useTimeline();
@@ -34,6 +46,8 @@ export function TileEditor({ selectedTile, tileData, likeSummary, onVote, isRead
     const result = await claimTile(selectedTile.id, isAdmin);
     if (!result.success) {
       toast.error(result.error || 'Failed to claim tile');
+    } else if (result.queued) {
+      toast.info('Offline: claim queued, it will be sent when you reconnect');
     }
   };
 
@@ -49,9 +63,24 @@ export function TileEditor({ selectedTile, tileData, likeSummary, onVote, isRead
     const result = await clearTile(selectedTile.id, isAdmin);
     if (!result.success) {
       toast.error(result.error || 'Failed to unclaim tile');
+    } else if (result.queued) {
+      toast.info('Offline: unclaim queued, it will be sent when you reconnect');
     }
   };
 
+  if (selectedTileIds?.size > 1) {
+    return (
+      <BulkTileActions
+        selectedTileIds={selectedTileIds}
+        onUpdateTiles={onUpdateTiles}
+        onAddComment={onAddCommentToTiles}
+        onClearSelection={onClearSelection}
+        isReadOnly={isReadOnly}
+        compact={compact}
+      />
+    );
+  }
+
   if (!selectedTile) {
     if (compact) {
       return (
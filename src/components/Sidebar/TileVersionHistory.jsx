@@ -0,0 +1,122 @@
+import { useState, useEffect } from 'react';
+import { useToast } from '../../contexts/ToastContext';
+import { getTileFieldLabel, formatTileFieldValue, isSameTileData } from '../../utils/tileHistory.js';
+
+/**
+ * Timeline of a tile's recorded versions with a "revert to this version" action.
+ * Reloads whenever the global history changes so new edits and reverts appear.
+ */
+export function TileVersionHistory({ selectedTile, tileData, history, getTileVersions, onRevert, isReadOnly = false }) {
+  const { toast } = useToast();
+  const [versions, setVersions] = useState([]);
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [revertingIndex, setRevertingIndex] = useState(null);
+
+  const tileId = selectedTile?.id;
+
+  useEffect(() => {
+    if (tileId === undefined) {
+      setVersions([]);
+      return;
+    }
+
+    let cancelled = false;
+    getTileVersions(tileId)
+      .then(result => {
+        if (!cancelled) setVersions(result);
+      })
+      .catch(error => {
+        console.error('Error loading tile versions:', error);
+        if (!cancelled) setVersions([]);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [tileId, history, getTileVersions]);
+
+  if (!selectedTile) return null;
+
+  const handleRevert = async (version, index) => {
+    if (!confirm(`Revert tile L${tileData.number || tileId} to the version from ${version.timestamp}?`)) {
+      return;
+    }
+
+    setRevertingIndex(index);
+    const result = await onRevert(tileId, version);
+    setRevertingIndex(null);
+
+    if (!result.success) {
+      toast.error(result.error || 'Failed to revert tile');
+    } else if (result.queued) {
+      toast.info('Offline: revert queued, it will be sent when you reconnect');
+    } else {
+      toast.success('Tile reverted');
+    }
+  };
+
+  return (
+    <div className="p-4 border-b border-discord-lighter-gray">
+      <button
+        className="w-full flex items-center justify-between bg-transparent border-none p-0 cursor-pointer text-discord-text text-sm font-semibold"
+        onClick={() => setIsExpanded(!isExpanded)}
+      >
+        <span>Versions ({versions.length})</span>
+        <span className="text-discord-text-muted text-xs">{isExpanded ? '▲' : '▼'}</span>
+      </button>
+
+      {isExpanded && (
+        <div className="mt-3 max-h-[300px] overflow-y-auto">
+          {versions.length === 0 ? (
+            <p className="text-discord-text-muted italic text-sm">No edits recorded for this tile</p>
+          ) : (
+            <ol className="relative border-l border-discord-lighter-gray ml-1.5 pl-4 m-0 list-none">
+              {versions.map((version, index) => {
+                const isCurrent = isSameTileData(version.snapshot, tileData);
+                return (
+                  <li key={`${version.timestamp}-${index}`} className="mb-3 last:mb-0 relative">
+                    <span
+                      className={`absolute -left-[21px] top-1 w-2.5 h-2.5 rounded-full border border-discord-lighter-gray ${
+                        isCurrent ? 'bg-discord-blurple' : 'bg-discord-dark'
+                      }`}
+                    />
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="text-discord-text text-sm font-medium">{version.action}</span>
+                      <span className="text-discord-text-muted text-[11px] shrink-0">{version.timestamp}</span>
+                    </div>
+                    {version.user && (
+                      <div className="text-discord-text-muted text-[11px]">{version.user}</div>
+                    )}
+
+                    <ul className="mt-1 p-0 list-none text-xs">
+                      {Object.entries(version.changes).map(([field, { before, after }]) => (
+                        <li key={field} className="text-discord-text-secondary break-words">
+                          <span className="text-discord-text-muted">{getTileFieldLabel(field)}:</span>{' '}
+                          <span className="line-through opacity-60">{formatTileFieldValue(field, before)}</span>
+                          {' → '}
+                          <span>{formatTileFieldValue(field, after)}</span>
+                        </li>
+                      ))}
+                    </ul>
+
+                    {isCurrent ? (
+                      <span className="inline-block mt-1 text-[10px] font-bold uppercase text-discord-blurple">Current</span>
+                    ) : !isReadOnly && (
+                      <button
+                        className="mt-1.5 bg-discord-lighter-gray text-discord-text border-none px-2.5 py-1 rounded text-xs font-medium cursor-pointer hover:bg-discord-lightest-gray disabled:opacity-50 disabled:cursor-not-allowed"
+                        onClick={() => handleRevert(version, index)}
+                        disabled={revertingIndex !== null}
+                      >
+                        {revertingIndex === index ? 'Reverting...' : 'Revert to this version'}
+                      </button>
+                    )}
+                  </li>
+                );
+              })}
+            </ol>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,183 @@
+import { useMemo } from 'react';
+import { useToast } from '../../contexts/ToastContext';
+import { TIMELAPSE_SPEEDS } from '../../hooks/useSeasonTimelapse';
+
+const SPARKLINE_WIDTH = 120;
+const SPARKLINE_HEIGHT = 22;
+const MAX_SPARKLINES = 8;
+
+const buttonClassName = 'px-3 py-1.5 border-none rounded text-xs font-medium cursor-pointer transition-all duration-200 bg-discord-lighter-gray text-discord-text hover:bg-discord-lightest-gray disabled:opacity-50 disabled:cursor-not-allowed';
+
+/**
+ * Floating controls for the season time-lapse: day counter, scrubbing,
+ * per-alliance tile-count sparklines and image export
+ * @param {Object} props
+ * @param {ReturnType<typeof import('../../hooks/useSeasonTimelapse.js').useSeasonTimelapse>} props.timelapse
+ * @param {ReturnType<typeof import('../../hooks/useTimelapseExport.js').useTimelapseExport>} props.timelapseExport
+ */
+export function TimelapseOverlay({ timelapse, timelapseExport }) {
+  const { toast } = useToast();
+  const {
+    isOpen, close, loading, error, dayStates, frames, series,
+    index, current, currentClaims, isAutoPlaying, togglePlay, speed, setSpeed, seek,
+  } = timelapse;
+  const { exportPngFrames, exportGif, cancelExport, isExporting, progress } = timelapseExport;
+
+  // Tile counts for the frame on screen, which may be part-way through a day
+  const liveCounts = useMemo(() => {
+    const counts = new Map();
+    currentClaims?.forEach(claim => {
+      counts.set(claim.allianceId, (counts.get(claim.allianceId) || 0) + 1);
+    });
+    return counts;
+  }, [currentClaims]);
+
+  if (!isOpen) return null;
+
+  const lastDay = dayStates?.[dayStates.length - 1]?.day ?? 0;
+  const dayIndex = current ? dayStates.findIndex(state => state.day === current.day) : 0;
+  const changedClaim = current?.action === 'claim' ? current.claim : null;
+
+  const handleExport = async (exporter, what) => {
+    const result = await exporter(dayStates, frames, series, speed);
+    if (result.success) {
+      toast.success(`${what} downloaded`);
+    } else if (result.error !== 'Cancelled') {
+      toast.error(`Export failed: ${result.error}`);
+    }
+  };
+
+  return (
+    <div className="fixed bottom-4 left-4 z-40 w-[420px] max-w-[calc(100vw-2rem)] max-h-[70vh] flex flex-col bg-discord-gray/95 border border-discord-lighter-gray rounded-lg shadow-xl">
+      <div className="p-3 border-b border-discord-lighter-gray flex flex-col gap-2">
+        <div className="flex items-center justify-between">
+          <span className="text-sm font-semibold text-discord-text">Season Time-lapse</span>
+          <button
+            onClick={close}
+            className="text-discord-text-muted hover:text-red-400 transition-colors"
+            title="Close time-lapse (Esc)"
+          >
+            <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {error ? (
+          <p className="text-xs text-red-400">{error}</p>
+        ) : loading || !current ? (
+          <p className="text-xs text-discord-text-muted italic">Loading map history...</p>
+        ) : (
+          <>
+            <div className="flex items-baseline justify-between">
+              <span className="text-2xl font-bold text-discord-text">
+                Day {current.day}
+                <span className="text-sm font-normal text-discord-text-muted"> / {lastDay}</span>
+              </span>
+              <span className="text-xs text-discord-text-secondary truncate ml-2">
+                {current.tileId == null
+                  ? 'No changes'
+                  : changedClaim
+                    ? `L${current.tileId} claimed by ${changedClaim.allianceName || 'Unknown alliance'}`
+                    : `L${current.tileId} cleared`}
+              </span>
+            </div>
+            <div className="flex items-center gap-2">
+              <button className={buttonClassName} onClick={() => seek(index - 1)} disabled={index <= 0} title="Previous change (←)">
+                ◀
+              </button>
+              <button className={buttonClassName} onClick={togglePlay} title={isAutoPlaying ? 'Pause (Space)' : 'Play (Space)'}>
+                {isAutoPlaying ? '❚❚' : '▶'}
+              </button>
+              <button className={buttonClassName} onClick={() => seek(index + 1)} disabled={index >= frames.length - 1} title="Next change (→)">
+                ▶▶
+              </button>
+              <input
+                type="range"
+                min={0}
+                max={Math.max(0, frames.length - 1)}
+                value={index}
+                onChange={(e) => seek(parseInt(e.target.value, 10))}
+                className="flex-1"
+                aria-label="Time-lapse position"
+              />
+              <select
+                value={speed}
+                onChange={(e) => setSpeed(parseFloat(e.target.value))}
+                className="px-1 py-1 bg-discord-dark border border-discord-lighter-gray rounded text-xs text-discord-text focus:outline-none focus:border-discord-blurple"
+                title="Changes per second"
+              >
+                {TIMELAPSE_SPEEDS.map(option => (
+                  <option key={option} value={option}>{option}/s</option>
+                ))}
+              </select>
+            </div>
+          </>
+        )}
+      </div>
+
+      {current && (
+        <div className="overflow-y-auto p-3 flex flex-col gap-1.5">
+          {series.length === 0 && (
+            <p className="text-xs text-discord-text-muted italic">No tiles were claimed this season</p>
+          )}
+          {series.slice(0, MAX_SPARKLINES).map(entry => (
+            <div key={entry.allianceId} className="flex items-center gap-2 text-xs">
+              <span
+                className="w-2.5 h-2.5 rounded-full border border-white/20 shrink-0"
+                style={{ backgroundColor: entry.color || '#666' }}
+              />
+              <span className="flex-1 min-w-0 truncate text-discord-text">{entry.allianceName}</span>
+              <Sparkline counts={entry.counts} color={entry.color} markerIndex={dayIndex} />
+              <span className="w-8 text-right font-mono text-discord-text">{liveCounts.get(entry.allianceId) || 0}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {current && (
+        <div className="p-3 border-t border-discord-lighter-gray flex items-center gap-2">
+          {isExporting ? (
+            <>
+              <div className="flex-1 h-2 rounded bg-discord-dark overflow-hidden">
+                <div className="h-full bg-discord-blurple transition-all duration-200" style={{ width: `${Math.round(progress * 100)}%` }} />
+              </div>
+              <button className={buttonClassName} onClick={cancelExport}>Cancel</button>
+            </>
+          ) : (
+            <>
+              <span className="text-xs text-discord-text-muted mr-auto">Export the animation:</span>
+              <button className={buttonClassName} onClick={() => handleExport(exportPngFrames, 'PNG frames')} title="ZIP of one PNG per tile change">
+                PNG frames
+              </button>
+              <button className={buttonClassName} onClick={() => handleExport(exportGif, 'Animated GIF')} title="Looping GIF at the current speed, ready to post">
+                GIF
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Tile count per day as a small line chart, with the day on screen marked
+ */
+function Sparkline({ counts, color, markerIndex }) {
+  const max = Math.max(1, ...counts);
+  const step = counts.length > 1 ? SPARKLINE_WIDTH / (counts.length - 1) : 0;
+  const toY = (count) => SPARKLINE_HEIGHT - 1 - (count / max) * (SPARKLINE_HEIGHT - 2);
+  const points = counts.map((count, i) => `${(i * step).toFixed(1)},${toY(count).toFixed(1)}`).join(' ');
+  const markerX = markerIndex * step;
+
+  return (
+    <svg width={SPARKLINE_WIDTH} height={SPARKLINE_HEIGHT} className="shrink-0 overflow-visible">
+      <line x1={markerX} x2={markerX} y1={0} y2={SPARKLINE_HEIGHT} stroke="rgba(255, 255, 255, 0.25)" strokeWidth={1} />
+      <polyline points={points} fill="none" stroke={color || '#666'} strokeWidth={1.5} strokeLinejoin="round" />
+      {counts[markerIndex] !== undefined && (
+        <circle cx={markerX} cy={toY(counts[markerIndex])} r={2.5} fill={color || '#666'} />
+      )}
+    </svg>
+  );
+}
@@ -0,0 +1,108 @@
+/**
+ * Season ruleset configuration
+ *
+ * All season/server specific numbers (season start, move limits, tile cap) live in a
+ * single ruleset object loaded from JSON. Rulesets are stored in ./rulesets/*.json and
+ * selected at build time with VITE_RULESET (file name without extension).
+ */
+
+import defaultRuleset from './rulesets/default.json';
+
+/**
+ * @typedef {Object} Ruleset
+ * @property {string} id - Ruleset identifier (matches the JSON file name)
+ * @property {string} name - Human readable name
+ * @property {string} seasonStartDate - Date of Day 1 (YYYY-MM-DD, UTC)
+ * @property {number} dayRolloverHour - Hour (UTC) at which a new day starts
+ * @property {number} maxMovesPerDay - Claims each alliance can make per day
+ * @property {number} maxNumberedTiles - Maximum numbered tiles an alliance can hold
+ * @property {number[]} capExemptTileNumbers - Tile numbers that don't count toward the cap
+ */
+
+const rulesetFiles = import.meta.glob('./rulesets/*.json', { eager: true, import: 'default' });
+
+/**
+ * Validate a ruleset loaded from JSON and fill in missing fields from the default ruleset
+ * @param {Object} json - Parsed ruleset JSON
+ * @returns {Ruleset}
+ * @throws {Error} If a field has an invalid value
+ */
+export function createRuleset(json) {
+  const ruleset = {
+    ...defaultRuleset,
+    ...json,
+    capExemptTileNumbers: [...(json?.capExemptTileNumbers ?? defaultRuleset.capExemptTileNumbers)],
+  };
+
+  if (isNaN(new Date(`${ruleset.seasonStartDate}T00:00:00Z`).getTime())) {
+    throw new Error(`Invalid seasonStartDate in ruleset "${ruleset.id}": ${ruleset.seasonStartDate}`);
+  }
+  if (!Number.isInteger(ruleset.dayRolloverHour) || ruleset.dayRolloverHour < 0 || ruleset.dayRolloverHour > 23) {
+    throw new Error(`Invalid dayRolloverHour in ruleset "${ruleset.id}": ${ruleset.dayRolloverHour}`);
+  }
+  for (const key of ['maxMovesPerDay', 'maxNumberedTiles']) {
+    if (!Number.isInteger(ruleset[key]) || ruleset[key] < 1) {
+      throw new Error(`Invalid ${key} in ruleset "${ruleset.id}": ${ruleset[key]}`);
+    }
+  }
+
+  return Object.freeze(ruleset);
+}
+
+/**
+ * Get the ruleset selected for this build.
+ * VITE_SEASON_START_DATE and VITE_DAY_ROLLOVER_HOUR override the file values when set.
+ * @returns {Ruleset}
+ */
+export function getActiveRuleset() {
+  const rulesetId = import.meta.env.VITE_RULESET || 'default';
+  let json = rulesetFiles[`./rulesets/${rulesetId}.json`];
+  if (!json) {
+    console.warn(`Ruleset "${rulesetId}" not found, using default ruleset`);
+    json = defaultRuleset;
+  }
+
+  const overrides = {};
+  if (import.meta.env.VITE_SEASON_START_DATE) {
+    overrides.seasonStartDate = import.meta.env.VITE_SEASON_START_DATE.slice(0, 10);
+  }
+  if (import.meta.env.VITE_DAY_ROLLOVER_HOUR) {
+    overrides.dayRolloverHour = parseInt(import.meta.env.VITE_DAY_ROLLOVER_HOUR, 10);
+  }
+
+  return createRuleset({ ...json, ...overrides });
+}
+
+export const DEFAULT_RULESET = createRuleset(defaultRuleset);
+
+/**
+ * Get the moment Day 1 started
+ * @param {Ruleset} ruleset
+ * @returns {Date}
+ */
+export function getSeasonStart(ruleset) {
+  const hour = String(ruleset.dayRolloverHour).padStart(2, '0');
+  return new Date(`${ruleset.seasonStartDate}T${hour}:00:00Z`);
+}
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Game day number (Day 1 = season start) at a given moment
+ * @param {Ruleset} ruleset
+ * @param {Date} [now]
+ * @returns {number}
+ */
+export function getDayAt(ruleset, now = new Date()) {
+  return Math.floor((now.getTime() - getSeasonStart(ruleset).getTime()) / MS_PER_DAY) + 1;
+}
+
+/**
+ * Check if a tile number is exempt from the numbered tile cap
+ * @param {Ruleset} ruleset
+ * @param {number} tileNumber
+ * @returns {boolean}
+ */
+export function isCapExempt(ruleset, tileNumber) {
+  return ruleset.capExemptTileNumbers.includes(tileNumber);
+}
@@ -1,6 +1,6 @@
 import { createContext, useContext, useEffect, useState, useCallback } from 'react';
-import { supabase, isSupabaseConfigured } from '../lib/supabase';
 import { useAuth } from './AuthContext';
+import { useGameRepositories } from '../di/index.js';
 
 // Export the context so admin providers can use the same context object
 export const AllianceContext = createContext({});
@@ -52,6 +52,7 @@ const ALLIANCE_COLORS = [
 
 export function AllianceProvider({ children }) {
   const { user } = useAuth();
+  const { allianceRepository, profileRepository } = useGameRepositories();
   const [alliance, setAlliance] = useState(null);
   const [allAlliances, setAllAlliances] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -59,13 +60,13 @@ export function AllianceProvider({ children }) {
 
   // Load all alliances (for color mapping)
   useEffect(() => {
-    if (!isSupabaseConfigured || !supabase) return;
+    if (!allianceRepository) return;
     loadAlliances();
   }, []);
 
   // Load user's alliance when user changes
   useEffect(() => {
-    if (!isSupabaseConfigured || !supabase || !user) {
+    if (!allianceRepository || !profileRepository || !user) {
       setAlliance(null);
       setLoading(false);
       return;
@@ -76,17 +77,7 @@ export function AllianceProvider({ children }) {
 
   const loadAlliances = async () => {
     try {
-      const { data, error } = await supabase
-        .from('alliances')
-        .select('*')
-        .order('created_at', { ascending: true });
-
-      if (error) {
-        console.error('Error loading alliances:', error);
-        return;
-      }
-
-      setAllAlliances(data || []);
+      setAllAlliances(await allianceRepository.getAll());
     } catch (error) {
       console.error('Error loading alliances:', error);
     }
@@ -98,27 +89,12 @@ export function AllianceProvider({ children }) {
     setLoading(true);
     try {
       // Get user's profile with alliance
-      const { data: profile, error: profileError } = await supabase
-        .from('user_profiles')
-        .select('alliance_id')
-        .eq('id', user.id)
-        .single();
-
-      if (profileError && profileError.code !== 'PGRST116') {
-        console.error('Error loading profile:', profileError);
-      }
+      const profile = await profileRepository.get(user.id);
 
       if (profile?.alliance_id) {
         // Load alliance details
-        const { data: allianceData, error: allianceError } = await supabase
-          .from('alliances')
-          .select('*')
-          .eq('id', profile.alliance_id)
-          .single();
-
-        if (allianceError) {
-          console.error('Error loading alliance:', allianceError);
-        } else {
+        const allianceData = await allianceRepository.get(profile.alliance_id);
+        if (allianceData) {
           setAlliance(allianceData);
           setShowAllianceModal(false);
         }
@@ -143,32 +119,21 @@ export function AllianceProvider({ children }) {
     if (!user) return { success: false, error: 'Not authenticated' };
 
     try {
-      const { data, error } = await supabase.rpc('join_alliance', {
-        p_alliance_name: allianceName.trim()
-      });
-
-      if (error) {
-        console.error('Error joining alliance:', error);
-        return { success: false, error: error.message };
-      }
-
-      if (data?.error) {
-        return { success: false, error: data.error };
-      }
+      const joined = await allianceRepository.join(allianceName);
 
       // Set the alliance
-      setAlliance(data);
+      setAlliance(joined);
       setShowAllianceModal(false);
 
       // Reload all alliances to include new one
       await loadAlliances();
 
-      return { success: true, alliance: data };
+      return { success: true, alliance: joined };
     } catch (error) {
       console.error('Error joining alliance:', error);
       return { success: false, error: error.message };
     }
-  }, [user]);
+  }, [user, allianceRepository]);
 
   // Get alliance by ID
   const getAllianceById = useCallback((allianceId) => {
@@ -1,5 +1,6 @@
 import { createContext, useContext, useEffect, useState } from 'react'
 import { supabase, isSupabaseConfigured } from '../lib/supabase'
+import { LOCAL_USER } from '../lib/localUser'
 
 // Export the context so admin providers can use the same context object
 export const AuthContext = createContext({})
@@ -9,8 +10,9 @@ export function AuthProvider({ children }) {
   const [loading, setLoading] = useState(true)
 
   useEffect(() => {
-    // If Supabase is not configured, skip auth
+    // If Supabase is not configured, play locally as the local user
     if (!isSupabaseConfigured || !supabase) {
+      setUser(LOCAL_USER)
       setLoading(false)
       return
     }
@@ -1,32 +1,72 @@
-import { createContext, useContext, useState, useCallback, useEffect } from 'react';
-import { supabase, isSupabaseConfigured } from '../lib/supabase';
+import { createContext, useContext, useState, useCallback, useEffect, useRef } from 'react';
 import { useAuth } from './AuthContext';
 import { useAlliance } from './AllianceContext';
 import { useTimeline } from './TimelineContext';
 import { useProfile } from './ProfileContext';
-import { useMapEditorService } from '../di/index.js';
+import { useRuleset, useGameRepositories, useOutboxService } from '../di/index.js';
 
 const GameStateContext = createContext({});
 
+// How long a tile changed by someone else stays highlighted
+const TILE_FLASH_MS = 2000;
+// Coalesce bursts of realtime events (e.g. an admin claim replacing an owner) into one refetch
+const LIVE_REFRESH_DELAY_MS = 250;
+
+const isPendingMove = (entry) => entry.status === 'pending' && (entry.type === 'claim' || entry.type === 'clear');
+
+/**
+ * Show claims and clears still waiting in the outbox on top of the backend's map state
+ * @param {Map<number, Object>} claims - Map state from the backend
+ * @param {import('../data/interfaces.js').OutboxEntry[]} entries - Outbox queue, oldest first
+ * @param {number} day
+ * @returns {Map<number, Object>}
+ */
+function withPendingMoves(claims, entries, day) {
+  const result = new Map(claims);
+  for (const { type, payload, createdAt } of entries.filter(isPendingMove)) {
+    if (payload.day !== day) continue;
+    if (type === 'claim') {
+      result.set(payload.tileId, {
+        allianceId: payload.allianceId,
+        allianceName: payload.history?.allianceName,
+        color: payload.history?.allianceColor,
+        claimedAt: createdAt,
+      });
+    } else {
+      result.delete(payload.tileId);
+    }
+  }
+  return result;
+}
+
 export function GameStateProvider({ children }) {
   const { user } = useAuth();
   const { displayName } = useProfile();
   const { alliance, getAllianceColor, getAllianceName } = useAlliance();
   const { selectedDay, currentDay, isViewingCurrentDay } = useTimeline();
   const isViewingPastDay = selectedDay < currentDay;
-  const mapEditorService = useMapEditorService();
+  const outboxService = useOutboxService();
+  const { claimRepository, moveRepository, realtimeRepository } = useGameRepositories();
+  const ruleset = useRuleset();
 
   // Map state: tile claims for selected day
   const [tileClaims, setTileClaims] = useState(new Map()); // Map<tileId, {allianceId, allianceName, color}>
   const [loading, setLoading] = useState(true);
 
   // Move tracking
-  const [movesInfo, setMovesInfo] = useState({ movesUsed: 0, movesRemaining: 3, maxMoves: 3 });
+  const [movesInfo, setMovesInfo] = useState(() => ({
+    movesUsed: 0,
+    movesRemaining: ruleset.maxMovesPerDay,
+    maxMoves: ruleset.maxMovesPerDay,
+  }));
   const [userMoves, setUserMoves] = useState([]); // For undo
 
+  // Tiles that just changed from a live update: Map<tileId, flashId>
+  const [flashingTiles, setFlashingTiles] = useState(new Map());
+
   // Load tile claims when day changes
   useEffect(() => {
-    if (!isSupabaseConfigured || !supabase) {
+    if (!claimRepository) {
       setLoading(false);
       return;
     }
@@ -35,63 +75,58 @@ export function GameStateProvider({ children }) {
 
   // Load moves info when viewing current day
   useEffect(() => {
-    if (!isSupabaseConfigured || !supabase || !user || !isViewingCurrentDay) {
+    if (!moveRepository || !user || !isViewingCurrentDay) {
       return;
     }
     loadMovesInfo();
     loadUserMoves();
   }, [user, isViewingCurrentDay, selectedDay]);
 
-  const loadMapState = async (day) => {
-    setLoading(true);
-    try {
-      const { data, error } = await supabase.rpc('get_map_state', { p_day: day });
-
-      if (error) {
-        console.error('Error loading map state:', error);
-        setTileClaims(new Map());
-        return;
-      }
+  // Fetch tile claims for a day without touching the displayed map state
+  const fetchMapState = useCallback(async (day) => {
+    if (!claimRepository) {
+      return { success: false, error: 'Map state is not available' };
+    }
 
+    try {
+      const rows = await claimRepository.getMapState(day);
       const claims = new Map();
-      if (data) {
-        for (const claim of data) {
-          // Use getAllianceColor to ensure we get the right color from color_index if needed
-          const color = claim.alliance_color || getAllianceColor(claim.alliance_id);
-          claims.set(claim.tile_id, {
-            allianceId: claim.alliance_id,
-            allianceName: claim.alliance_name,
-            color: color,
-            claimedAt: claim.claimed_at,
-          });
-        }
+      for (const claim of rows) {
+        // Use getAllianceColor to ensure we get the right color from color_index if needed
+        claims.set(claim.tileId, {
+          allianceId: claim.allianceId,
+          allianceName: claim.allianceName,
+          color: claim.allianceColor || getAllianceColor(claim.allianceId),
+          claimedAt: claim.claimedAt,
+        });
       }
-      setTileClaims(claims);
+      return { success: true, claims };
     } catch (error) {
       console.error('Error loading map state:', error);
-      setTileClaims(new Map());
-    } finally {
-      setLoading(false);
+      return { success: false, error: error.message };
     }
+  }, [claimRepository, getAllianceColor]);
+
+  // Backend map state plus this device's queued moves, which it shows optimistically
+  const fetchDisplayedClaims = useCallback(async (day) => {
+    const [result, entries] = await Promise.all([fetchMapState(day), outboxService.getEntries()]);
+    return result.success ? { ...result, claims: withPendingMoves(result.claims, entries, day) } : result;
+  }, [fetchMapState, outboxService]);
+
+  const loadMapState = async (day) => {
+    setLoading(true);
+    const result = await fetchDisplayedClaims(day);
+    setTileClaims(result.success ? result.claims : new Map());
+    setLoading(false);
   };
 
   const loadMovesInfo = async () => {
     if (!user) return;
 
     try {
-      const { data, error } = await supabase.rpc('get_alliance_moves', { p_day: currentDay });
-
-      if (error) {
-        console.error('Error loading moves info:', error);
-        return;
-      }
-
-      if (data && !data.error) {
-        setMovesInfo({
-          movesUsed: data.moves_used,
-          movesRemaining: data.moves_remaining,
-          maxMoves: data.max_moves,
-        });
+      const info = await moveRepository.getAllianceMoves(currentDay);
+      if (info) {
+        setMovesInfo(info);
       }
     } catch (error) {
       console.error('Error loading moves info:', error);
@@ -102,14 +137,7 @@ export function GameStateProvider({ children }) {
     if (!user) return;
 
     try {
-      const { data, error } = await supabase.rpc('get_user_moves', { p_day: currentDay });
-
-      if (error) {
-        console.error('Error loading user moves:', error);
-        return;
-      }
-
-      setUserMoves(data || []);
+      setUserMoves(await moveRepository.getUserMoves(currentDay));
     } catch (error) {
       console.error('Error loading user moves:', error);
     }
@@ -126,25 +154,26 @@ export function GameStateProvider({ children }) {
     }
 
     try {
-      // For admin, pass the selected alliance ID and day so we can claim on their behalf
-      const { data, error } = await supabase.rpc('claim_tile', {
-        p_tile_id: tileId,
-        p_is_admin: isAdmin,
-        p_alliance_id: isAdmin ? alliance.id : null,
-        p_day: isAdmin ? selectedDay : null,
+      // For admin, pass the selected alliance ID and day so we can claim on their behalf.
+      // Queued instead of failing when offline; the outbox logs history once it's sent.
+      const allianceColor = alliance.color || getAllianceColor(alliance.id);
+      const { queued } = await outboxService.submit('claim', {
+        tileId,
+        isAdmin,
+        allianceId: alliance.id,
+        day: selectedDay,
+        history: {
+          tileId,
+          action: 'claim',
+          user: displayName || 'Unknown',
+          allianceName: alliance.name,
+          allianceColor: allianceColor,
+          day: selectedDay,
+          isAdjustment: isViewingPastDay,
+        },
       });
 
-      if (error) {
-        console.error('Error claiming tile:', error);
-        return { success: false, error: error.message };
-      }
-
-      if (data?.error) {
-        return { success: false, error: data.error };
-      }
-
       // Optimistic update - use getAllianceColor to ensure correct color from color_index
-      const allianceColor = alliance.color || getAllianceColor(alliance.id);
       setTileClaims(prev => {
         const newClaims = new Map(prev);
         newClaims.set(tileId, {
@@ -156,31 +185,18 @@ export function GameStateProvider({ children }) {
         return newClaims;
       });
 
-      // Log to history
-      try {
-        await mapEditorService.addClaimHistory({
-          tileId,
-          action: 'claim',
-          user: displayName || 'Unknown',
-          allianceName: alliance.name,
-          allianceColor: allianceColor,
-          day: selectedDay,
-          isAdjustment: isViewingPastDay,
-        });
-      } catch (historyError) {
-        console.error('Error logging claim history:', historyError);
-      }
-
       // Reload moves info
-      await loadMovesInfo();
-      await loadUserMoves();
+      if (!queued) {
+        await loadMovesInfo();
+        await loadUserMoves();
+      }
 
-      return { success: true };
+      return { success: true, queued };
     } catch (error) {
       console.error('Error claiming tile:', error);
       return { success: false, error: error.message };
     }
-  }, [user, alliance, isViewingCurrentDay, isViewingPastDay, selectedDay, displayName, mapEditorService, getAllianceColor]);
+  }, [user, alliance, isViewingCurrentDay, isViewingPastDay, selectedDay, displayName, outboxService, getAllianceColor]);
 
   // Clear a tile
   const clearTile = useCallback(async (tileId, isAdmin = false) => {
@@ -194,22 +210,23 @@ export function GameStateProvider({ children }) {
 
     try {
       // For admin, pass the selected alliance ID and day
-      const { data, error } = await supabase.rpc('clear_tile', {
-        p_tile_id: tileId,
-        p_is_admin: isAdmin,
-        p_alliance_id: isAdmin ? alliance.id : null,
-        p_day: isAdmin ? selectedDay : null,
+      const allianceColor = alliance.color || getAllianceColor(alliance.id);
+      const { queued } = await outboxService.submit('clear', {
+        tileId,
+        isAdmin,
+        allianceId: alliance.id,
+        day: selectedDay,
+        history: {
+          tileId,
+          action: 'unclaim',
+          user: displayName || 'Unknown',
+          allianceName: alliance.name,
+          allianceColor: allianceColor,
+          day: selectedDay,
+          isAdjustment: isViewingPastDay,
+        },
       });
 
-      if (error) {
-        console.error('Error clearing tile:', error);
-        return { success: false, error: error.message };
-      }
-
-      if (data?.error) {
-        return { success: false, error: data.error };
-      }
-
       // Optimistic update
       setTileClaims(prev => {
         const newClaims = new Map(prev);
@@ -217,31 +234,17 @@ export function GameStateProvider({ children }) {
         return newClaims;
       });
 
-      // Log to history
-      const allianceColor = alliance.color || getAllianceColor(alliance.id);
-      try {
-        await mapEditorService.addClaimHistory({
-          tileId,
-          action: 'unclaim',
-          user: displayName || 'Unknown',
-          allianceName: alliance.name,
-          allianceColor: allianceColor,
-          day: selectedDay,
-          isAdjustment: isViewingPastDay,
-        });
-      } catch (historyError) {
-        console.error('Error logging unclaim history:', historyError);
+      // Reload user moves (for undo)
+      if (!queued) {
+        await loadUserMoves();
       }
 
-      // Reload user moves (for undo) - skip for past day adjustments
-      await loadUserMoves();
-
-      return { success: true };
+      return { success: true, queued };
     } catch (error) {
       console.error('Error clearing tile:', error);
       return { success: false, error: error.message };
     }
-  }, [user, alliance, isViewingCurrentDay, isViewingPastDay, selectedDay, displayName, mapEditorService, getAllianceColor]);
+  }, [user, alliance, isViewingCurrentDay, isViewingPastDay, selectedDay, displayName, outboxService, getAllianceColor]);
 
   // Undo a move
   const undoMove = useCallback(async (moveId) => {
@@ -250,18 +253,7 @@ export function GameStateProvider({ children }) {
     }
 
     try {
-      const { data, error } = await supabase.rpc('undo_move', {
-        p_move_id: moveId,
-      });
-
-      if (error) {
-        console.error('Error undoing move:', error);
-        return { success: false, error: error.message };
-      }
-
-      if (data?.error) {
-        return { success: false, error: data.error };
-      }
+      await moveRepository.undoMove(moveId);
 
       // Reload everything
       await loadMapState(currentDay);
@@ -273,7 +265,125 @@ export function GameStateProvider({ children }) {
       console.error('Error undoing move:', error);
       return { success: false, error: error.message };
     }
-  }, [user, currentDay]);
+  }, [user, currentDay, moveRepository]);
+
+  // Latest values for the realtime handlers, which subscribe once
+  const liveRef = useRef({});
+  liveRef.current = { tileClaims, selectedDay, currentDay, user, alliance, fetchMapState, fetchDisplayedClaims, loadMovesInfo, loadUserMoves };
+
+  const flashTiles = useCallback((tileIds) => {
+    const flashId = Date.now();
+    setFlashingTiles(prev => {
+      const next = new Map(prev);
+      tileIds.forEach(tileId => next.set(tileId, flashId));
+      return next;
+    });
+    setTimeout(() => {
+      setFlashingTiles(prev => {
+        const next = new Map(prev);
+        tileIds.forEach(tileId => {
+          if (next.get(tileId) === flashId) next.delete(tileId);
+        });
+        return next;
+      });
+    }, TILE_FLASH_MS);
+  }, []);
+
+  // Live updates: patch the displayed claims and move budget when anyone changes them
+  useEffect(() => {
+    if (!realtimeRepository) return;
+
+    let claimsTimer = null;
+    let movesTimer = null;
+
+    const refreshClaims = async () => {
+      const day = liveRef.current.selectedDay;
+      const result = await liveRef.current.fetchDisplayedClaims(day);
+      // Ignore results for a day the user has since navigated away from
+      if (!result.success || liveRef.current.selectedDay !== day) return;
+
+      const previous = liveRef.current.tileClaims;
+      const changed = [];
+      result.claims.forEach((claim, tileId) => {
+        if (previous.get(tileId)?.allianceId !== claim.allianceId) changed.push(tileId);
+      });
+      previous.forEach((_, tileId) => {
+        if (!result.claims.has(tileId)) changed.push(tileId);
+      });
+
+      if (changed.length > 0) {
+        setTileClaims(result.claims);
+        flashTiles(changed);
+      }
+    };
+
+    const unsubscribe = realtimeRepository.subscribe((event) => {
+      const { selectedDay: viewedDay, currentDay: today, user: currentUser, alliance: ownAlliance } = liveRef.current;
+
+      if (event.type === 'claims' && (event.day === undefined || event.day <= viewedDay)) {
+        clearTimeout(claimsTimer);
+        claimsTimer = setTimeout(refreshClaims, LIVE_REFRESH_DELAY_MS);
+      }
+
+      if (
+        event.type === 'moves' && currentUser && moveRepository
+        && (event.day === undefined || event.day === today)
+        && (!event.allianceId || event.allianceId === ownAlliance?.id)
+      ) {
+        clearTimeout(movesTimer);
+        movesTimer = setTimeout(() => {
+          liveRef.current.loadMovesInfo();
+          liveRef.current.loadUserMoves();
+        }, LIVE_REFRESH_DELAY_MS);
+      }
+    });
+
+    return () => {
+      clearTimeout(claimsTimer);
+      clearTimeout(movesTimer);
+      unsubscribe();
+    };
+  }, [realtimeRepository, moveRepository, flashTiles]);
+
+  // Queued moves are shown before they are sent. Once one leaves the queue (sent, rejected
+  // as a conflict, or discarded) reload from the backend so the map and moves match it again.
+  useEffect(() => {
+    let refreshTimer = null;
+    let pendingIds = null;
+
+    const refreshAfterOutbox = async () => {
+      const day = liveRef.current.selectedDay;
+      const result = await liveRef.current.fetchDisplayedClaims(day);
+      if (result.success && liveRef.current.selectedDay === day) {
+        setTileClaims(result.claims);
+      }
+      if (moveRepository) {
+        liveRef.current.loadMovesInfo();
+        liveRef.current.loadUserMoves();
+      }
+    };
+
+    const checkQueue = async () => {
+      const entries = await outboxService.getEntries();
+      const ids = new Set(entries.filter(isPendingMove).map(entry => entry.id));
+      const settled = pendingIds !== null && [...pendingIds].some(id => !ids.has(id));
+      pendingIds = ids;
+      if (settled) {
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(refreshAfterOutbox, LIVE_REFRESH_DELAY_MS);
+      }
+    };
+
+    // Check one event at a time so an older read never overwrites a newer one
+    let checking = checkQueue();
+    const unsubscribe = outboxService.subscribe(() => {
+      checking = checking.then(checkQueue, checkQueue);
+    });
+    return () => {
+      clearTimeout(refreshTimer);
+      unsubscribe();
+    };
+  }, [outboxService, moveRepository]);
 
   // Get claim info for a tile
   const getTileClaim = useCallback((tileId) => {
@@ -315,6 +425,8 @@ export function GameStateProvider({ children }) {
     isOwnTile,
     getAllianceTiles,
     getOwnTiles,
+    fetchMapState,
+    flashingTiles,
     refreshMapState: () => loadMapState(selectedDay),
     refreshMoves: loadMovesInfo,
   };
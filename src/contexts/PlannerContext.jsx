@@ -1,56 +1,12 @@
-import { createContext, useContext, useState, useCallback, useMemo } from 'react';
+import { createContext, useContext, useState, useCallback, useMemo, useEffect } from 'react';
 import { useGameState } from './GameStateContext';
 import { useAlliance } from './AllianceContext';
+import { useTimeline } from './TimelineContext';
+import { usePlanLibraryService } from '../di/index.js';
+import { encodePlannerState, decodePlannerState } from '../utils/planEncoding.js';
 
 const PlannerContext = createContext({});
 
-/**
- * Encode planner state for URL sharing
- * Supports: claim (c), clear (x), new_day (d)
- */
-function encodePlannerState(sequence) {
-  if (sequence.length === 0) return '';
-
-  // Format: action:tileId:allianceId or d for new_day
-  // Use 'c' for claim, 'x' for clear (can't use first char since both start with 'c')
-  const encoded = sequence
-    .map(m => {
-      if (m.type === 'new_day') return 'd';
-      const actionCode = m.action === 'claim' ? 'c' : 'x';
-      return `${actionCode}:${m.tileId}:${m.allianceId}`;
-    })
-    .join(',');
-
-  return btoa(encoded);
-}
-
-/**
- * Decode planner state from URL
- */
-function decodePlannerState(encoded) {
-  if (!encoded) return [];
-
-  try {
-    const decoded = atob(encoded);
-    return decoded.split(',').map((part, index) => {
-      if (part === 'd') {
-        return { id: `day-${index}`, type: 'new_day' };
-      }
-      const [action, tileId, allianceId] = part.split(':');
-      return {
-        id: `move-${index}`,
-        type: 'move',
-        action: action === 'c' ? 'claim' : 'clear',
-        tileId: parseInt(tileId, 10),
-        allianceId,
-      };
-    });
-  } catch (e) {
-    console.error('Failed to decode planner state:', e);
-    return [];
-  }
-}
-
 /**
  * Get URL parameter
  */
@@ -80,28 +36,106 @@ function generateId() {
 export function PlannerProvider({ children }) {
   const { tileClaims } = useGameState();
   const { alliance, allAlliances } = useAlliance();
+  const { currentDay } = useTimeline();
+  const planLibraryService = usePlanLibraryService();
 
   // Planner mode state
   const [isPlannerMode, setIsPlannerMode] = useState(false);
   const [sequence, setSequence] = useState([]); // Array of {id, type, action?, tileId?, allianceId?}
   const [selectedPlannerAlliance, setSelectedPlannerAlliance] = useState(null);
 
+  // Plan metadata, carried in the share URL
+  const [planBaseDay, setPlanBaseDay] = useState(currentDay);
+  const [planTitle, setPlanTitle] = useState('');
+  const [planNotes, setPlanNotes] = useState('');
+  // Alliances as recorded in a loaded plan, used when an alliance no longer exists
+  const [planAlliances, setPlanAlliances] = useState([]);
+
+  // Saved plans library
+  const [savedPlans, setSavedPlans] = useState([]);
+  const [activePlanId, setActivePlanId] = useState(null); // Saved plan being edited, if any
+
+  // Comparison of two saved plans: {planAId, planBId, mode: 'split'|'overlay', dayIndex} or null
+  const [comparison, setComparison] = useState(null);
+
+  // Saved plan shown in the plan vs. reality report, if any
+  const [outcomeReportPlanId, setOutcomeReportPlanId] = useState(null);
+
+  // A plan opened from a shared link starts behind a "View Only / Save a Copy" prompt
+  const [showSharedPlanPrompt, setShowSharedPlanPrompt] = useState(false);
+  const [isViewOnly, setIsViewOnly] = useState(false);
+
+  // Strict mode replays the sequence through the claim rules and flags violations
+  const [isStrictMode, setIsStrictMode] = useState(false);
+
   // Playback state - shared so map can use it
   const [isPlaying, setIsPlaying] = useState(false);
   const [playIndex, setPlayIndex] = useState(-1);
 
   // Initialize from URL on first render
   useState(() => {
-    const encoded = getUrlParam('plan');
-    if (encoded) {
-      const decoded = decodePlannerState(encoded);
-      if (decoded.length > 0) {
-        setSequence(decoded);
-        setIsPlannerMode(true);
-      }
+    const decoded = decodePlannerState(getUrlParam('plan'));
+    if (decoded && (decoded.sequence.length > 0 || decoded.title || decoded.notes)) {
+      setSequence(decoded.sequence);
+      setPlanBaseDay(decoded.baseDay ?? currentDay);
+      setPlanTitle(decoded.title);
+      setPlanNotes(decoded.notes);
+      setPlanAlliances(decoded.alliances);
+      setIsPlannerMode(true);
+      setShowSharedPlanPrompt(true);
     }
   });
 
+  // Load the saved plans list
+  const refreshSavedPlans = useCallback(async () => {
+    try {
+      setSavedPlans(await planLibraryService.listPlans());
+    } catch (error) {
+      console.error('Error loading saved plans:', error);
+    }
+  }, [planLibraryService]);
+
+  useEffect(() => {
+    refreshSavedPlans();
+  }, [refreshSavedPlans]);
+
+  // Look up an alliance referenced by the plan: live data first, then the plan's own record
+  const getPlanAlliance = useCallback((allianceId) => {
+    return allAlliances.find(a => a.id === allianceId)
+      || planAlliances.find(a => a.id === allianceId)
+      || null;
+  }, [allAlliances, planAlliances]);
+
+  // Alliances used by the plan that no longer exist (only known once alliances have loaded)
+  const missingPlanAlliances = useMemo(() => {
+    if (allAlliances.length === 0) return [];
+    const missing = new Map();
+    for (const item of sequence) {
+      if (item.type !== 'move' || missing.has(item.allianceId)) continue;
+      if (allAlliances.some(a => a.id === item.allianceId)) continue;
+      const recorded = planAlliances.find(a => a.id === item.allianceId);
+      missing.set(item.allianceId, { id: item.allianceId, name: recorded?.name || '', color: recorded?.color || '' });
+    }
+    return [...missing.values()];
+  }, [sequence, allAlliances, planAlliances]);
+
+  // Encode the current plan with its metadata
+  const encodeCurrentPlan = useCallback(() => {
+    return encodePlannerState({
+      sequence,
+      baseDay: planBaseDay,
+      title: planTitle,
+      notes: planNotes,
+      alliances: [...allAlliances, ...planAlliances],
+    });
+  }, [sequence, planBaseDay, planTitle, planNotes, planAlliances, allAlliances]);
+
+  // Keep the URL in sync with the plan while planning
+  useEffect(() => {
+    if (!isPlannerMode) return;
+    setUrlParam('plan', encodeCurrentPlan() || null);
+  }, [isPlannerMode, encodeCurrentPlan]);
+
   // The alliance to use for planning (selected or user's own)
   const planningAlliance = selectedPlannerAlliance || alliance;
 
@@ -123,22 +157,20 @@ export function PlannerProvider({ children }) {
 
       if (item.action === 'claim') {
         // Find alliance details
-        const moveAlliance = allAlliances.find(a => a.id === item.allianceId);
-        if (moveAlliance) {
-          claims.set(item.tileId, {
-            allianceId: item.allianceId,
-            allianceName: moveAlliance.name,
-            color: moveAlliance.color,
-            isPlanned: true,
-          });
-        }
+        const moveAlliance = getPlanAlliance(item.allianceId);
+        claims.set(item.tileId, {
+          allianceId: item.allianceId,
+          allianceName: moveAlliance?.name || 'Unknown alliance',
+          color: moveAlliance?.color || '#666666',
+          isPlanned: true,
+        });
       } else if (item.action === 'clear') {
         claims.delete(item.tileId);
       }
     }
 
     return claims;
-  }, [isPlannerMode, tileClaims, sequence, allAlliances]);
+  }, [isPlannerMode, tileClaims, sequence, getPlanAlliance]);
 
   // Compute playback tile claims (only up to current playIndex)
   const playbackTileClaims = useMemo(() => {
@@ -153,22 +185,20 @@ export function PlannerProvider({ children }) {
       if (item.type !== 'move') continue;
 
       if (item.action === 'claim') {
-        const moveAlliance = allAlliances.find(a => a.id === item.allianceId);
-        if (moveAlliance) {
-          claims.set(item.tileId, {
-            allianceId: item.allianceId,
-            allianceName: moveAlliance.name,
-            color: moveAlliance.color,
-            isPlanned: true,
-          });
-        }
+        const moveAlliance = getPlanAlliance(item.allianceId);
+        claims.set(item.tileId, {
+          allianceId: item.allianceId,
+          allianceName: moveAlliance?.name || 'Unknown alliance',
+          color: moveAlliance?.color || '#666666',
+          isPlanned: true,
+        });
       } else if (item.action === 'clear') {
         claims.delete(item.tileId);
       }
     }
 
     return claims;
-  }, [isPlannerMode, isPlaying, playIndex, tileClaims, sequence, allAlliances]);
+  }, [isPlannerMode, isPlaying, playIndex, tileClaims, sequence, getPlanAlliance]);
 
   // Get the tile being highlighted during playback
   const playbackHighlightTileId = useMemo(() => {
@@ -182,14 +212,26 @@ export function PlannerProvider({ children }) {
     setIsPlannerMode(true);
     setSequence([]);
     setSelectedPlannerAlliance(null);
+    setPlanBaseDay(currentDay);
+    setPlanTitle('');
+    setPlanNotes('');
+    setPlanAlliances([]);
+    setActivePlanId(null);
+    setIsViewOnly(false);
     setUrlParam('plan', null);
-  }, []);
+  }, [currentDay]);
 
   // Exit planner mode
   const exitPlannerMode = useCallback(() => {
     setIsPlannerMode(false);
     setSequence([]);
     setSelectedPlannerAlliance(null);
+    setPlanTitle('');
+    setPlanNotes('');
+    setPlanAlliances([]);
+    setActivePlanId(null);
+    setIsViewOnly(false);
+    setShowSharedPlanPrompt(false);
     setUrlParam('plan', null);
   }, []);
 
@@ -201,85 +243,220 @@ export function PlannerProvider({ children }) {
 
   // Add a planned claim to the sequence
   const planClaim = useCallback((tileId) => {
-    if (!planningAlliance) return;
+    if (!planningAlliance || isViewOnly) return;
 
-    setSequence(prev => {
-      const newSequence = [...prev, {
-        id: generateId(),
-        type: 'move',
-        action: 'claim',
-        tileId,
-        allianceId: planningAlliance.id,
-      }];
-
-      setUrlParam('plan', encodePlannerState(newSequence));
-      return newSequence;
-    });
-  }, [planningAlliance]);
+    setSequence(prev => [...prev, {
+      id: generateId(),
+      type: 'move',
+      action: 'claim',
+      tileId,
+      allianceId: planningAlliance.id,
+    }]);
+  }, [planningAlliance, isViewOnly]);
 
   // Add a planned clear to the sequence
   const planClear = useCallback((tileId) => {
+    if (isViewOnly) return;
+
     // Get the current owner of the tile (could be from original claims or a previous planned claim)
     const currentClaim = plannedTileClaims.get(tileId);
     if (!currentClaim) return; // Nothing to clear
 
-    setSequence(prev => {
-      const newSequence = [...prev, {
+    setSequence(prev => [...prev, {
+      id: generateId(),
+      type: 'move',
+      action: 'clear',
+      tileId,
+      allianceId: currentClaim.allianceId,
+    }]);
+  }, [plannedTileClaims, isViewOnly]);
+
+  // Plan claims on several tiles at once, skipping tiles that are already claimed
+  const planClaimTiles = useCallback((tileIds) => {
+    if (!planningAlliance || isViewOnly) return 0;
+
+    const steps = [...tileIds]
+      .filter(tileId => !plannedTileClaims.has(tileId))
+      .map(tileId => ({
         id: generateId(),
         type: 'move',
-        action: 'clear',
+        action: 'claim',
         tileId,
-        allianceId: currentClaim.allianceId,
-      }];
+        allianceId: planningAlliance.id,
+      }));
+    if (steps.length > 0) {
+      setSequence(prev => [...prev, ...steps]);
+    }
+    return steps.length;
+  }, [planningAlliance, isViewOnly, plannedTileClaims]);
 
-      setUrlParam('plan', encodePlannerState(newSequence));
-      return newSequence;
-    });
-  }, [plannedTileClaims]);
+  // Plan clears on several tiles at once, skipping tiles nobody holds
+  const planClearTiles = useCallback((tileIds) => {
+    if (isViewOnly) return 0;
+
+    const steps = [...tileIds]
+      .filter(tileId => plannedTileClaims.has(tileId))
+      .map(tileId => ({
+        id: generateId(),
+        type: 'move',
+        action: 'clear',
+        tileId,
+        allianceId: plannedTileClaims.get(tileId).allianceId,
+      }));
+    if (steps.length > 0) {
+      setSequence(prev => [...prev, ...steps]);
+    }
+    return steps.length;
+  }, [plannedTileClaims, isViewOnly]);
 
   // Add a new day marker to the sequence
   const addNewDay = useCallback(() => {
-    setSequence(prev => {
-      const newSequence = [...prev, {
-        id: generateId(),
-        type: 'new_day',
-      }];
+    if (isViewOnly) return;
 
-      setUrlParam('plan', encodePlannerState(newSequence));
-      return newSequence;
-    });
-  }, []);
+    setSequence(prev => [...prev, {
+      id: generateId(),
+      type: 'new_day',
+    }]);
+  }, [isViewOnly]);
+
+  // Append several planned steps at once (e.g. a computed expansion path)
+  const appendPlannedSteps = useCallback((steps) => {
+    if (steps.length === 0 || isViewOnly) return;
+
+    setSequence(prev => [...prev, ...steps.map(step => ({ ...step, id: generateId() }))]);
+  }, [isViewOnly]);
 
   // Remove a specific item from the sequence
   const removeSequenceItem = useCallback((itemId) => {
-    setSequence(prev => {
-      const newSequence = prev.filter(item => item.id !== itemId);
-      setUrlParam('plan', encodePlannerState(newSequence));
-      return newSequence;
-    });
-  }, []);
+    if (isViewOnly) return;
+    setSequence(prev => prev.filter(item => item.id !== itemId));
+  }, [isViewOnly]);
 
   // Undo last sequence item
   const undoPlannedMove = useCallback(() => {
-    setSequence(prev => {
-      const newSequence = prev.slice(0, -1);
-      setUrlParam('plan', encodePlannerState(newSequence));
-      return newSequence;
-    });
-  }, []);
+    if (isViewOnly) return;
+    setSequence(prev => prev.slice(0, -1));
+  }, [isViewOnly]);
 
   // Clear all planned moves
   const clearPlannedMoves = useCallback(() => {
+    if (isViewOnly) return;
     setSequence([]);
-    setUrlParam('plan', null);
+  }, [isViewOnly]);
+
+  // Save the current plan to the library (overwrites the active plan unless asCopy)
+  const saveCurrentPlan = useCallback(async ({ asCopy = false } = {}) => {
+    try {
+      const saved = await planLibraryService.savePlan({
+        id: asCopy ? undefined : activePlanId || undefined,
+        name: planTitle.trim() || `Plan from Day ${planBaseDay}`,
+        notes: planNotes,
+        baseDay: planBaseDay,
+        sequence,
+        alliances: [...allAlliances, ...planAlliances],
+      });
+      setActivePlanId(saved.id);
+      setPlanTitle(saved.name);
+      await refreshSavedPlans();
+      return { success: true, plan: saved };
+    } catch (error) {
+      console.error('Error saving plan:', error);
+      return { success: false, error: error.message };
+    }
+  }, [planLibraryService, activePlanId, planTitle, planNotes, planBaseDay, sequence, allAlliances, planAlliances, refreshSavedPlans]);
+
+  // Open a saved plan for editing
+  const loadSavedPlan = useCallback((plan) => {
+    setSequence(plan.sequence.map(step => ({ ...step, id: generateId() })));
+    setPlanBaseDay(plan.baseDay ?? currentDay);
+    setPlanTitle(plan.name);
+    setPlanNotes(plan.notes || '');
+    setPlanAlliances(plan.alliances || []);
+    setActivePlanId(plan.id);
+    setSelectedPlannerAlliance(null);
+    setIsViewOnly(false);
+    setShowSharedPlanPrompt(false);
+    setIsPlannerMode(true);
+  }, [currentDay]);
+
+  const renameSavedPlan = useCallback(async (planId, name) => {
+    try {
+      const saved = await planLibraryService.renamePlan(planId, name);
+      if (planId === activePlanId) {
+        setPlanTitle(saved.name);
+      }
+      await refreshSavedPlans();
+      return { success: true, plan: saved };
+    } catch (error) {
+      console.error('Error renaming plan:', error);
+      return { success: false, error: error.message };
+    }
+  }, [planLibraryService, activePlanId, refreshSavedPlans]);
+
+  const duplicateSavedPlan = useCallback(async (planId) => {
+    try {
+      const saved = await planLibraryService.duplicatePlan(planId);
+      await refreshSavedPlans();
+      return { success: true, plan: saved };
+    } catch (error) {
+      console.error('Error duplicating plan:', error);
+      return { success: false, error: error.message };
+    }
+  }, [planLibraryService, refreshSavedPlans]);
+
+  const deleteSavedPlan = useCallback(async (planId) => {
+    try {
+      await planLibraryService.deletePlan(planId);
+      if (planId === activePlanId) {
+        setActivePlanId(null);
+      }
+      setComparison(prev => (prev && (prev.planAId === planId || prev.planBId === planId) ? null : prev));
+      setOutcomeReportPlanId(prev => (prev === planId ? null : prev));
+      await refreshSavedPlans();
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting plan:', error);
+      return { success: false, error: error.message };
+    }
+  }, [planLibraryService, activePlanId, refreshSavedPlans]);
+
+  // Compare two saved plans on the map
+  const startComparison = useCallback((planAId, planBId) => {
+    setIsPlaying(false);
+    setPlayIndex(-1);
+    setComparison(prev => ({ mode: prev?.mode || 'split', dayIndex: 0, planAId, planBId }));
   }, []);
 
+  const updateComparison = useCallback((changes) => {
+    setComparison(prev => (prev ? { ...prev, ...changes } : prev));
+  }, []);
+
+  const stopComparison = useCallback(() => {
+    setComparison(null);
+  }, []);
+
+  // Shared plan prompt: just look at the plan
+  const viewSharedPlan = useCallback(() => {
+    setIsViewOnly(true);
+    setShowSharedPlanPrompt(false);
+  }, []);
+
+  // Shared plan prompt: keep an editable copy in the library
+  const saveSharedPlanCopy = useCallback(async () => {
+    const result = await saveCurrentPlan({ asCopy: true });
+    if (result.success) {
+      setIsViewOnly(false);
+      setShowSharedPlanPrompt(false);
+    }
+    return result;
+  }, [saveCurrentPlan]);
+
   // Get share URL
   const getShareUrl = useCallback(() => {
     const url = new URL(window.location.href);
-    url.searchParams.set('plan', encodePlannerState(sequence));
+    url.searchParams.set('plan', encodeCurrentPlan());
     return url.toString();
-  }, [sequence]);
+  }, [encodeCurrentPlan]);
 
   // Check if a tile is planned (has a planned move)
   const isPlannedTile = useCallback((tileId) => {
@@ -298,12 +475,43 @@ export function PlannerProvider({ children }) {
     plannedTileClaims,
     planningAlliance,
     selectedPlannerAlliance,
+    planBaseDay,
+    planTitle,
+    setPlanTitle,
+    planNotes,
+    setPlanNotes,
+    missingPlanAlliances,
+    getPlanAlliance,
+    // Saved plans
+    savedPlans,
+    refreshSavedPlans,
+    activePlanId,
+    saveCurrentPlan,
+    loadSavedPlan,
+    renameSavedPlan,
+    duplicateSavedPlan,
+    deleteSavedPlan,
+    comparison,
+    startComparison,
+    updateComparison,
+    stopComparison,
+    outcomeReportPlanId,
+    setOutcomeReportPlanId,
+    isViewOnly,
+    showSharedPlanPrompt,
+    viewSharedPlan,
+    saveSharedPlanCopy,
+    isStrictMode,
+    setIsStrictMode,
     enterPlannerMode,
     exitPlannerMode,
     selectPlannerAlliance,
     planClaim,
     planClear,
+    planClaimTiles,
+    planClearTiles,
     addNewDay,
+    appendPlannedSteps,
     removeSequenceItem,
     undoPlannedMove,
     clearPlannedMoves,
@@ -1,42 +1,34 @@
 import { createContext, useContext, useEffect, useState, useCallback } from 'react';
-import { supabase, isSupabaseConfigured } from '../lib/supabase';
 import { useAuth } from './AuthContext';
+import { useGameRepositories } from '../di/index.js';
 
 // Export the context so admin providers can use the same context object
 export const ProfileContext = createContext({});
 
 export function ProfileProvider({ children }) {
   const { user } = useAuth();
+  const { profileRepository } = useGameRepositories();
   const [profile, setProfile] = useState(null);
   const [loading, setLoading] = useState(true);
   const [showProfileModal, setShowProfileModal] = useState(false);
 
   // Load profile when user changes
   useEffect(() => {
-    if (!isSupabaseConfigured || !supabase || !user) {
+    if (!profileRepository || !user) {
       setProfile(null);
       setLoading(false);
       return;
     }
 
     loadProfile();
-  }, [user]);
+  }, [user, profileRepository]);
 
   const loadProfile = async () => {
     if (!user) return;
 
     setLoading(true);
     try {
-      const { data, error } = await supabase
-        .from('user_profiles')
-        .select('*')
-        .eq('id', user.id)
-        .single();
-
-      if (error && error.code !== 'PGRST116') {
-        // PGRST116 = no rows returned, which is fine for new users
-        console.error('Error loading profile:', error);
-      }
+      const data = await profileRepository.get(user.id);
 
       if (data) {
         setProfile(data);
@@ -62,16 +54,7 @@ export function ProfileProvider({ children }) {
         nickname: nickname.trim(),
       };
 
-      const { data, error } = await supabase
-        .from('user_profiles')
-        .upsert(profileData, { onConflict: 'id' })
-        .select()
-        .single();
-
-      if (error) {
-        console.error('Error saving profile:', error);
-        return { success: false, error: error.message };
-      }
+      const data = await profileRepository.save(profileData);
 
       setProfile(data);
       setShowProfileModal(false);
@@ -80,7 +63,7 @@ export function ProfileProvider({ children }) {
       console.error('Error saving profile:', error);
       return { success: false, error: error.message };
     }
-  }, [user]);
+  }, [user, profileRepository]);
 
   // Get display name: [Alliance] Nickname
   const displayName = profile
@@ -1,4 +1,6 @@
 import { createContext, useContext, useState, useCallback, useMemo, useEffect } from 'react';
+import { useRuleset } from '../di/index.js';
+import { DEFAULT_RULESET, getSeasonStart, getDayAt } from '../config/ruleset.js';
 
 const TimelineContext = createContext({});
 
@@ -28,27 +30,24 @@ function saveSelectedDay(day) {
   }
 }
 
-// Season start date: Day 1 started at 2025-11-17 02:00 UTC
-const SEASON_START = new Date('2025-11-17T02:00:00Z');
 const MS_PER_DAY = 24 * 60 * 60 * 1000;
-const DAY_ROLLOVER_HOUR = 2; // 2 AM UTC
 
 /**
  * Calculate current day number based on season start
+ * @param {import('../config/ruleset.js').Ruleset} [ruleset] - Season start and rollover hour
  */
-export function getCurrentDay() {
-  const now = new Date();
-  const diff = now.getTime() - SEASON_START.getTime();
-  return Math.floor(diff / MS_PER_DAY) + 1;
+export function getCurrentDay(ruleset = DEFAULT_RULESET) {
+  return getDayAt(ruleset);
 }
 
 /**
  * Get time remaining until next day rollover
+ * @param {import('../config/ruleset.js').Ruleset} [ruleset] - Season start and rollover hour
  */
-export function getTimeUntilNextDay() {
+export function getTimeUntilNextDay(ruleset = DEFAULT_RULESET) {
   const now = new Date();
-  const currentDay = getCurrentDay();
-  const nextDayStart = new Date(SEASON_START.getTime() + (currentDay * MS_PER_DAY));
+  const currentDay = getCurrentDay(ruleset);
+  const nextDayStart = new Date(getSeasonStart(ruleset).getTime() + (currentDay * MS_PER_DAY));
   return nextDayStart.getTime() - now.getTime();
 }
 
@@ -69,7 +68,8 @@ export function formatTimeRemaining(ms) {
 }
 
 export function TimelineProvider({ children }) {
-  const currentDay = useMemo(() => getCurrentDay(), []);
+  const ruleset = useRuleset();
+  const currentDay = useMemo(() => getCurrentDay(ruleset), [ruleset]);
   const [selectedDay, setSelectedDay] = useState(() => loadSelectedDay(currentDay));
 
   // Save selected day to localStorage when it changes
@@ -103,6 +103,8 @@ export function TimelineProvider({ children }) {
     setSelectedDay(currentDay);
   }, [currentDay]);
 
+  const timeUntilNextDay = useCallback(() => getTimeUntilNextDay(ruleset), [ruleset]);
+
   const value = {
     currentDay,
     selectedDay,
@@ -113,7 +115,7 @@ export function TimelineProvider({ children }) {
     goToPreviousDay,
     goToNextDay,
     goToToday,
-    getTimeUntilNextDay,
+    getTimeUntilNextDay: timeUntilNextDay,
     formatTimeRemaining,
   };
 
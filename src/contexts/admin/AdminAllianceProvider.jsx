@@ -1,6 +1,6 @@
 import { useEffect, useState, useCallback } from 'react';
-import { supabase, isSupabaseConfigured } from '../../lib/supabase';
 import { useAuth } from '../AuthContext';
+import { useGameRepositories } from '../../di/index.js';
 
 // Import the context from the main AllianceContext file so useAlliance() works
 import { AllianceContext } from '../AllianceContext';
@@ -31,6 +31,7 @@ const ALLIANCE_COLORS = [
 
 export function AllianceProvider({ children }) {
   const { user } = useAuth();
+  const { allianceRepository } = useGameRepositories();
   const [alliance, setAlliance] = useState(null);
   const [allAlliances, setAllAlliances] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -38,7 +39,7 @@ export function AllianceProvider({ children }) {
 
   // Load all alliances on mount
   useEffect(() => {
-    if (!isSupabaseConfigured || !supabase) {
+    if (!allianceRepository) {
       setLoading(false);
       return;
     }
@@ -54,17 +55,8 @@ export function AllianceProvider({ children }) {
 
   const loadAlliances = async () => {
     try {
-      const { data, error } = await supabase
-        .from('alliances')
-        .select('*')
-        .order('name', { ascending: true });
-
-      if (error) {
-        console.error('Error loading alliances:', error);
-        return;
-      }
-
-      setAllAlliances(data || []);
+      const data = await allianceRepository.getAll();
+      setAllAlliances([...data].sort((a, b) => a.name.localeCompare(b.name)));
     } catch (error) {
       console.error('Error loading alliances:', error);
     } finally {
@@ -97,34 +89,16 @@ export function AllianceProvider({ children }) {
       }
 
       // Get the actual count from database to determine next color index
-      const { count, error: countError } = await supabase
-        .from('alliances')
-        .select('*', { count: 'exact', head: true });
-
-      if (countError) {
-        console.error('Error getting alliance count:', countError);
-        return { success: false, error: countError.message };
-      }
-
-      const nextColorIndex = (count || 0) % ALLIANCE_COLORS.length;
+      const count = await allianceRepository.count();
+      const nextColorIndex = count % ALLIANCE_COLORS.length;
       const nextColor = ALLIANCE_COLORS[nextColorIndex];
 
       // Direct insert - admin doesn't need to be associated with the alliance
-      const { data, error } = await supabase
-        .from('alliances')
-        .insert({
-          name: allianceName.trim(),
-          name_lowercase: nameLower,
-          color_index: nextColorIndex,
-          color: nextColor,
-        })
-        .select()
-        .single();
-
-      if (error) {
-        console.error('Error creating alliance:', error);
-        return { success: false, error: error.message };
-      }
+      const data = await allianceRepository.create({
+        name: allianceName,
+        colorIndex: nextColorIndex,
+        color: nextColor,
+      });
 
       // Add to local state and select it
       const updatedAlliances = [...allAlliances, data].sort((a, b) => a.name.localeCompare(b.name));
@@ -136,7 +110,7 @@ export function AllianceProvider({ children }) {
       console.error('Error creating alliance:', error);
       return { success: false, error: error.message };
     }
-  }, [allAlliances]);
+  }, [allAlliances, allianceRepository]);
 
   // Join alliance (same as regular, but admin can also create)
   const joinAlliance = useCallback(async (allianceName) => {
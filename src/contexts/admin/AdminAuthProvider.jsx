@@ -1,5 +1,6 @@
 import { useEffect, useState } from 'react';
 import { supabase, isSupabaseConfigured } from '../../lib/supabase';
+import { LOCAL_USER } from '../../lib/localUser';
 
 // Import the context from the main AuthContext file so useAuth() works
 import { AuthContext } from '../AuthContext';
@@ -9,8 +10,9 @@ export function AuthProvider({ children }) {
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
-    // If Supabase is not configured, skip auth
+    // If Supabase is not configured, play locally as the local user
     if (!isSupabaseConfigured || !supabase) {
+      setUser(LOCAL_USER);
       setLoading(false);
       return;
     }
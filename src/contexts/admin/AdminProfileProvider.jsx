@@ -1,19 +1,20 @@
 import { useEffect, useState, useCallback } from 'react';
-import { supabase, isSupabaseConfigured } from '../../lib/supabase';
 import { useAuth } from '../AuthContext';
+import { useGameRepositories } from '../../di/index.js';
 
 // Import the context from the main ProfileContext file so useProfile() works
 import { ProfileContext } from '../ProfileContext';
 
 export function ProfileProvider({ children }) {
   const { user } = useAuth();
+  const { profileRepository } = useGameRepositories();
   const [profile, setProfile] = useState(null);
   const [loading, setLoading] = useState(true);
   const [showProfileModal, setShowProfileModal] = useState(false);
 
   // Load profile when user changes
   useEffect(() => {
-    if (!isSupabaseConfigured || !supabase || !user) {
+    if (!profileRepository || !user) {
       setProfile(null);
       setLoading(false);
       return;
@@ -27,15 +28,7 @@ export function ProfileProvider({ children }) {
 
     setLoading(true);
     try {
-      const { data, error } = await supabase
-        .from('user_profiles')
-        .select('*')
-        .eq('id', user.id)
-        .single();
-
-      if (error && error.code !== 'PGRST116') {
-        console.error('Error loading profile:', error);
-      }
+      const data = await profileRepository.get(user.id);
 
       if (data) {
         setProfile(data);
@@ -61,16 +54,7 @@ export function ProfileProvider({ children }) {
         nickname: nickname.trim(),
       };
 
-      const { data, error } = await supabase
-        .from('user_profiles')
-        .upsert(profileData, { onConflict: 'id' })
-        .select()
-        .single();
-
-      if (error) {
-        console.error('Error saving profile:', error);
-        return { success: false, error: error.message };
-      }
+      const data = await profileRepository.save(profileData);
 
       setProfile(data);
       setShowProfileModal(false);
@@ -79,7 +63,7 @@ export function ProfileProvider({ children }) {
       console.error('Error saving profile:', error);
       return { success: false, error: error.message };
     }
-  }, [user]);
+  }, [user, profileRepository]);
 
   // Get display name with [ADMIN] prefix
   const displayName = profile
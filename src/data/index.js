@@ -14,3 +14,13 @@ export {
   LocalStorageHistoryRepository,
   FetchTileGeometryRepository
 } from './localStorage/index.js';
+
+// IndexedDB implementations
+export {
+  IndexedDBDatabase,
+  IndexedDBTileRepository,
+  IndexedDBCommentRepository,
+  IndexedDBHistoryRepository,
+  IndexedDBLikeRepository,
+  isIndexedDBAvailable
+} from './indexedDB/index.js';
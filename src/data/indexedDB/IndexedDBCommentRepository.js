@@ -0,0 +1,99 @@
+import { ICommentRepository } from '../interfaces.js';
+import { promisifyRequest, transactionDone } from './database.js';
+
+const STORE = 'comments';
+
+/**
+ * Strip the storage-only fields from a comment record
+ */
+function toComment({ id, tileId, ...comment }) {
+  return comment;
+}
+
+/**
+ * IndexedDB implementation of ICommentRepository. Each comment is its own
+ * record indexed by tileId; auto-increment keys keep them in posting order.
+ */
+export class IndexedDBCommentRepository extends ICommentRepository {
+  /**
+   * @param {import('./database.js').IndexedDBDatabase} database
+   */
+  constructor(database) {
+    super();
+    this._database = database;
+  }
+
+  async getAll() {
+    try {
+      const tx = await this._database.transaction(STORE);
+      const records = await promisifyRequest(tx.objectStore(STORE).getAll());
+
+      const comments = new Map();
+      for (const record of records) {
+        if (!comments.has(record.tileId)) {
+          comments.set(record.tileId, []);
+        }
+        comments.get(record.tileId).push(toComment(record));
+      }
+      return comments;
+    } catch (error) {
+      console.error('Error loading comments from IndexedDB:', error);
+      return new Map();
+    }
+  }
+
+  async _getRecordsForTile(tileId) {
+    const tx = await this._database.transaction(STORE);
+    const records = await promisifyRequest(tx.objectStore(STORE).index('tileId').getAll(tileId));
+    return records.sort((a, b) => a.id - b.id);
+  }
+
+  async getForTile(tileId) {
+    try {
+      const records = await this._getRecordsForTile(tileId);
+      return records.map(toComment);
+    } catch (error) {
+      console.error('Error loading tile comments from IndexedDB:', error);
+      return [];
+    }
+  }
+
+  async add(tileId, comment) {
+    const tx = await this._database.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).add({ ...comment, tileId });
+    await transactionDone(tx);
+  }
+
+  async delete(tileId, commentIndex) {
+    const records = await this._getRecordsForTile(tileId);
+    const record = records[commentIndex];
+    if (!record) return;
+
+    const tx = await this._database.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).delete(record.id);
+    await transactionDone(tx);
+  }
+
+  async saveAll(comments) {
+    const tx = await this._database.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    store.clear();
+    for (const [tileId, tileComments] of comments) {
+      for (const comment of tileComments) {
+        store.add({ ...comment, tileId });
+      }
+    }
+    await transactionDone(tx);
+  }
+
+  async importComments(comments) {
+    const tx = await this._database.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    for (const [tileId, tileComments] of comments) {
+      for (const comment of tileComments) {
+        store.add({ ...comment, tileId });
+      }
+    }
+    await transactionDone(tx);
+  }
+}
@@ -0,0 +1,123 @@
+import { IHistoryRepository } from '../interfaces.js';
+import { promisifyRequest, transactionDone } from './database.js';
+import { sortHistoryByTime } from '../../utils/workspaceBackup.js';
+
+const STORE = 'history';
+
+/**
+ * IndexedDB implementation of IHistoryRepository. Entries are stored oldest
+ * first under auto-increment keys and read back most recent first. Unlike the
+ * localStorage version there is no 50-entry cap.
+ */
+export class IndexedDBHistoryRepository extends IHistoryRepository {
+  /**
+   * @param {import('./database.js').IndexedDBDatabase} database
+   * @param {import('../localStorage/LocalEventBus.js').LocalEventBus} [eventBus] - Notified after changes
+   */
+  constructor(database, eventBus = null) {
+    super();
+    this._database = database;
+    this._eventBus = eventBus;
+  }
+
+  _publishChange() {
+    this._eventBus?.publish({ type: 'history' });
+  }
+
+  /**
+   * Read entries newest first from a store or index cursor
+   * @param {IDBRequest<IDBCursorWithValue>} request
+   * @param {number} [limit]
+   * @returns {Promise<import('../interfaces.js').HistoryEntry[]>}
+   * @private
+   */
+  _collect(request, limit) {
+    const entries = [];
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || (limit > 0 && entries.length >= limit)) {
+          resolve(entries);
+          return;
+        }
+        const { id, ...entry } = cursor.value;
+        entries.push(entry);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getAll(limit) {
+    try {
+      const tx = await this._database.transaction(STORE);
+      return await this._collect(tx.objectStore(STORE).openCursor(null, 'prev'), limit);
+    } catch (error) {
+      console.error('Error loading history from IndexedDB:', error);
+      return [];
+    }
+  }
+
+  async getForTile(tileId, limit) {
+    try {
+      const tx = await this._database.transaction(STORE);
+      // Index entries sharing a tileId are ordered by key, so 'prev' is newest first
+      const request = tx.objectStore(STORE).index('tileId').openCursor(IDBKeyRange.only(tileId), 'prev');
+      return await this._collect(request, limit);
+    } catch (error) {
+      console.error('Error loading tile history from IndexedDB:', error);
+      return [];
+    }
+  }
+
+  async add(entry) {
+    const tx = await this._database.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).add({ ...entry });
+    await transactionDone(tx);
+    this._publishChange();
+  }
+
+  async clear() {
+    const tx = await this._database.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).clear();
+    await transactionDone(tx);
+    this._publishChange();
+  }
+
+  async clearForDay(day) {
+    const tx = await this._database.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    const keys = await promisifyRequest(store.index('day').getAllKeys(day));
+    for (const key of keys) {
+      store.delete(key);
+    }
+    await transactionDone(tx);
+    this._publishChange();
+  }
+
+  async saveAll(entries) {
+    const tx = await this._database.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    store.clear();
+    // Entries arrive most recent first
+    for (const entry of [...entries].reverse()) {
+      store.add({ ...entry });
+    }
+    await transactionDone(tx);
+    this._publishChange();
+  }
+
+  async importEntries(entries) {
+    const tx = await this._database.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    // Keys give the order, so the store is rewritten with imported entries in time order
+    const stored = await promisifyRequest(store.getAll());
+    const existing = stored.reverse().map(({ id, ...entry }) => entry);
+    store.clear();
+    for (const entry of sortHistoryByTime(existing, entries).reverse()) {
+      store.add(entry);
+    }
+    await transactionDone(tx);
+    this._publishChange();
+  }
+}
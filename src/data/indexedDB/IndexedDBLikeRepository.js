@@ -0,0 +1,142 @@
+import { ILikeRepository } from '../interfaces.js';
+import { promisifyRequest, transactionDone } from './database.js';
+
+const STORE = 'likes';
+
+/**
+ * Strip the storage-only fields from a like record
+ */
+function toLike({ tileId, order, ...like }) {
+  return like;
+}
+
+/**
+ * IndexedDB implementation of ILikeRepository. One record per (tile, user)
+ * vote; `order` keeps votes most recent first while updates keep their slot.
+ */
+export class IndexedDBLikeRepository extends ILikeRepository {
+  /**
+   * @param {import('./database.js').IndexedDBDatabase} database
+   */
+  constructor(database) {
+    super();
+    this._database = database;
+  }
+
+  _generateId() {
+    return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  async getAll() {
+    try {
+      const tx = await this._database.transaction(STORE);
+      const records = await promisifyRequest(tx.objectStore(STORE).getAll());
+
+      const likes = new Map();
+      for (const record of records.sort((a, b) => b.order - a.order)) {
+        if (!likes.has(record.tileId)) {
+          likes.set(record.tileId, []);
+        }
+        likes.get(record.tileId).push(toLike(record));
+      }
+      return likes;
+    } catch (error) {
+      console.error('Error loading likes from IndexedDB:', error);
+      return new Map();
+    }
+  }
+
+  async getForTile(tileId) {
+    try {
+      const tx = await this._database.transaction(STORE);
+      const records = await promisifyRequest(tx.objectStore(STORE).index('tileId').getAll(tileId));
+      return records.sort((a, b) => b.order - a.order).map(toLike);
+    } catch (error) {
+      console.error('Error loading tile likes from IndexedDB:', error);
+      return [];
+    }
+  }
+
+  async getSummary(tileId, userId) {
+    const tileLikes = await this.getForTile(tileId);
+
+    let likes = 0;
+    let dislikes = 0;
+    let userVote = null;
+
+    for (const like of tileLikes) {
+      if (like.type === 'like') {
+        likes++;
+      } else if (like.type === 'dislike') {
+        dislikes++;
+      }
+      if (userId && like.userId === userId) {
+        userVote = like.type;
+      }
+    }
+
+    return { likes, dislikes, userVote };
+  }
+
+  async vote(tileId, type, user, userId) {
+    const tx = await this._database.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    const existing = await promisifyRequest(store.index('tileUser').get([tileId, userId]));
+
+    const now = new Date();
+    const like = {
+      id: existing ? existing.id : this._generateId(),
+      user,
+      userId,
+      type,
+      timestamp: now.toLocaleString(),
+      createdAt: now.toISOString()
+    };
+
+    store.put({ ...like, tileId, order: existing ? existing.order : Date.now() });
+    await transactionDone(tx);
+
+    return like;
+  }
+
+  async removeVote(tileId, userId) {
+    const tx = await this._database.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    const existing = await promisifyRequest(store.index('tileUser').get([tileId, userId]));
+    if (existing) {
+      store.delete(existing.id);
+    }
+    await transactionDone(tx);
+  }
+
+  async saveAll(likes) {
+    const tx = await this._database.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    store.clear();
+    for (const [tileId, tileLikes] of likes) {
+      // Lists are most recent first
+      tileLikes.forEach((like, index) => {
+        store.put({ ...like, id: like.id || this._generateId(), tileId, order: tileLikes.length - index });
+      });
+    }
+    await transactionDone(tx);
+  }
+
+  async importVotes(likes) {
+    const tx = await this._database.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    for (const [tileId, tileLikes] of likes) {
+      for (const like of tileLikes) {
+        // The tileUser index is unique, so a user's existing vote is updated in place
+        const existing = await promisifyRequest(store.index('tileUser').get([tileId, like.userId]));
+        store.put({
+          ...like,
+          id: existing ? existing.id : like.id || this._generateId(),
+          tileId,
+          order: existing ? existing.order : 0,
+        });
+      }
+    }
+    await transactionDone(tx);
+  }
+}
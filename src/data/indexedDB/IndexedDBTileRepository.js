@@ -0,0 +1,65 @@
+import { ITileRepository } from '../interfaces.js';
+import { promisifyRequest, transactionDone } from './database.js';
+
+const STORE = 'tiles';
+
+/**
+ * IndexedDB implementation of ITileRepository. One record per tile, keyed by tile ID.
+ */
+export class IndexedDBTileRepository extends ITileRepository {
+  /**
+   * @param {import('./database.js').IndexedDBDatabase} database
+   */
+  constructor(database) {
+    super();
+    this._database = database;
+  }
+
+  async getAll() {
+    try {
+      const tx = await this._database.transaction(STORE);
+      const store = tx.objectStore(STORE);
+      const [keys, values] = await Promise.all([
+        promisifyRequest(store.getAllKeys()),
+        promisifyRequest(store.getAll()),
+      ]);
+      return new Map(keys.map((tileId, i) => [tileId, values[i]]));
+    } catch (error) {
+      console.error('Error loading tiles from IndexedDB:', error);
+      return new Map();
+    }
+  }
+
+  async get(tileId) {
+    try {
+      const tx = await this._database.transaction(STORE);
+      const data = await promisifyRequest(tx.objectStore(STORE).get(tileId));
+      return data || null;
+    } catch (error) {
+      console.error('Error loading tile from IndexedDB:', error);
+      return null;
+    }
+  }
+
+  async save(tileId, data) {
+    const tx = await this._database.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).put({ ...data }, tileId);
+    await transactionDone(tx);
+  }
+
+  async delete(tileId) {
+    const tx = await this._database.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).delete(tileId);
+    await transactionDone(tx);
+  }
+
+  async saveAll(tiles) {
+    const tx = await this._database.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    store.clear();
+    for (const [tileId, data] of tiles) {
+      store.put({ ...data }, tileId);
+    }
+    await transactionDone(tx);
+  }
+}
@@ -0,0 +1,235 @@
+/**
+ * Shared IndexedDB database for the local repositories.
+ *
+ * Stores:
+ *   tiles     key: tileId                     value: TileData
+ *   comments  key: id (auto)  index: tileId   value: Comment + tileId
+ *   history   key: id (auto)  index: day, tileId
+ *   likes     key: id         index: tileId, [tileId, userId]
+ *
+ * The first open migrates the old whole-Map `mapEditor_*` localStorage keys
+ * into per-record rows, then removes those keys to free the quota.
+ */
+
+const DB_NAME = 'mapEditor';
+const DB_VERSION = 1;
+
+const LEGACY_KEYS = {
+  tiles: 'mapEditor_tiles',
+  comments: 'mapEditor_comments',
+  history: 'mapEditor_history',
+  likes: 'mapEditor_likes',
+};
+
+/**
+ * Whether this environment has IndexedDB
+ * @returns {boolean}
+ */
+export function isIndexedDBAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+export function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve when a transaction commits
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+export function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+function readLegacyKey(key) {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error(`Error reading ${key} for migration:`, error);
+    return null;
+  }
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Entries of a legacy whole-Map key: [tileId, value] pairs with a numeric tile ID
+function legacyTileEntries(stored) {
+  if (!Array.isArray(stored)) return [];
+  return stored.filter(entry => Array.isArray(entry) && entry.length === 2 && Number.isFinite(entry[0]));
+}
+
+/**
+ * Add a record without letting a failure (e.g. a unique index clash) abort
+ * the whole upgrade; the record is skipped instead
+ * @param {IDBRequest} request
+ * @param {string} store
+ */
+function skipOnError(request, store) {
+  request.onerror = (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    console.warn(`Skipped a ${store} record during migration:`, request.error);
+  };
+}
+
+/**
+ * Copy the legacy localStorage data into the freshly created stores.
+ * This runs inside the upgrade, where one failed write would abort it and
+ * leave the database unopenable, so malformed records are skipped.
+ * @param {IDBTransaction} transaction - The versionchange transaction
+ */
+function migrateFromLocalStorage(transaction) {
+  const tiles = transaction.objectStore('tiles');
+  for (const [tileId, data] of legacyTileEntries(readLegacyKey(LEGACY_KEYS.tiles))) {
+    if (isObject(data)) {
+      skipOnError(tiles.put(data, tileId), 'tiles');
+    }
+  }
+
+  const comments = transaction.objectStore('comments');
+  for (const [tileId, tileComments] of legacyTileEntries(readLegacyKey(LEGACY_KEYS.comments))) {
+    if (!Array.isArray(tileComments)) continue;
+    for (const comment of tileComments.filter(isObject)) {
+      skipOnError(comments.add({ ...comment, tileId }), 'comments');
+    }
+  }
+
+  // Stored most recent first; insert oldest first so auto IDs stay chronological
+  const history = readLegacyKey(LEGACY_KEYS.history);
+  if (Array.isArray(history)) {
+    const store = transaction.objectStore('history');
+    for (const entry of history.filter(isObject).reverse()) {
+      // Auto IDs are assigned by the store
+      const { id, ...record } = entry;
+      skipOnError(store.add(record), 'history');
+    }
+  }
+
+  // Stored most recent first per tile; `order` keeps that ordering.
+  // Only a user's first (latest) vote per tile is kept, as the tileUser index is unique.
+  const likes = transaction.objectStore('likes');
+  for (const [tileId, tileLikes] of legacyTileEntries(readLegacyKey(LEGACY_KEYS.likes))) {
+    if (!Array.isArray(tileLikes)) continue;
+    const voters = new Set();
+    const valid = tileLikes.filter(like => isObject(like) && like.userId && !voters.has(like.userId) && voters.add(like.userId));
+    valid.forEach((like, index) => {
+      const id = typeof like.id === 'string' && like.id ? like.id : `${tileId}-${like.userId}`;
+      skipOnError(likes.put({ ...like, id, tileId, order: valid.length - index }), 'likes');
+    });
+  }
+}
+
+function removeLegacyKeys() {
+  for (const key of Object.values(LEGACY_KEYS)) {
+    try {
+      localStorage.removeItem(key);
+    } catch (error) {
+      console.warn(`Failed to remove migrated ${key}:`, error);
+    }
+  }
+}
+
+/**
+ * Lazily opened connection shared by the IndexedDB repositories
+ */
+export class IndexedDBDatabase {
+  constructor(name = DB_NAME) {
+    this._name = name;
+    this._dbPromise = null;
+    this._availability = null;
+  }
+
+  /**
+   * Whether the database opens in this browser (private modes and failed
+   * upgrades can refuse it). Decided once, so a session never switches stores.
+   * @returns {Promise<boolean>}
+   */
+  isUsable() {
+    if (!this._availability) {
+      this._availability = this.open().then(
+        () => true,
+        (error) => {
+          console.warn('IndexedDB is unavailable, using localStorage instead:', error);
+          return false;
+        }
+      );
+    }
+    return this._availability;
+  }
+
+  /**
+   * Open (and on first use, create and migrate) the database
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (this._dbPromise) {
+      return this._dbPromise;
+    }
+
+    this._dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this._name, DB_VERSION);
+      let migrated = false;
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+
+        if (event.oldVersion < 1) {
+          db.createObjectStore('tiles');
+
+          const comments = db.createObjectStore('comments', { keyPath: 'id', autoIncrement: true });
+          comments.createIndex('tileId', 'tileId');
+
+          const history = db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+          history.createIndex('day', 'day');
+          history.createIndex('tileId', 'tileId');
+
+          const likes = db.createObjectStore('likes', { keyPath: 'id' });
+          likes.createIndex('tileId', 'tileId');
+          likes.createIndex('tileUser', ['tileId', 'userId'], { unique: true });
+
+          migrateFromLocalStorage(request.transaction);
+          migrated = true;
+        }
+      };
+
+      request.onsuccess = () => {
+        if (migrated) {
+          removeLegacyKeys();
+        }
+        resolve(request.result);
+      };
+      request.onerror = () => {
+        console.error('Error opening IndexedDB:', request.error);
+        this._dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return this._dbPromise;
+  }
+
+  /**
+   * Start a transaction
+   * @param {string|string[]} storeNames
+   * @param {IDBTransactionMode} [mode]
+   * @returns {Promise<IDBTransaction>}
+   */
+  async transaction(storeNames, mode = 'readonly') {
+    const db = await this.open();
+    return db.transaction(storeNames, mode);
+  }
+}
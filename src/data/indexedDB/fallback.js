@@ -0,0 +1,24 @@
+/**
+ * Use an IndexedDB repository while its database opens, and a localStorage
+ * repository with the same interface when it can't. Every public method
+ * waits for that decision, then calls the chosen repository.
+ * @template T
+ * @param {import('./database.js').IndexedDBDatabase} database
+ * @param {T} repository - IndexedDB repository
+ * @param {T} fallback - localStorage repository
+ * @returns {T}
+ */
+export function withLocalStorageFallback(database, repository, fallback) {
+  return new Proxy(repository, {
+    get(target, property) {
+      const value = target[property];
+      if (typeof value !== 'function' || typeof property !== 'string' || property.startsWith('_')) {
+        return value;
+      }
+      return async (...args) => {
+        const active = (await database.isUsable()) ? target : fallback;
+        return active[property](...args);
+      };
+    },
+  });
+}
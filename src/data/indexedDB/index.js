@@ -0,0 +1,6 @@
+export { IndexedDBDatabase, isIndexedDBAvailable } from './database.js';
+export { withLocalStorageFallback } from './fallback.js';
+export { IndexedDBTileRepository } from './IndexedDBTileRepository.js';
+export { IndexedDBCommentRepository } from './IndexedDBCommentRepository.js';
+export { IndexedDBHistoryRepository } from './IndexedDBHistoryRepository.js';
+export { IndexedDBLikeRepository } from './IndexedDBLikeRepository.js';
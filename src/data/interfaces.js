@@ -26,18 +26,24 @@
  * @property {string} user - Author of the comment
  * @property {string} text - Comment content
  * @property {string} timestamp - Formatted date/time
+ * @property {string} [createdAt] - ISO 8601 time, for sorting and backups
+ * @property {string|null} [userId] - Author's auth user ID, where the backend records it
  */
 
 /**
  * @typedef {Object} HistoryEntry
  * @property {string} timestamp - Formatted date/time
- * @property {string} action - 'claim' | 'unclaim'
+ * @property {string} [createdAt] - ISO 8601 time, for sorting and backups
+ * @property {string} action - 'claim' | 'unclaim' for claims; 'Created' | 'Updated' | 'Cleared' | 'Reverted' for tile edits
  * @property {string} details - Description of what changed (e.g., "claimed tile L1")
  * @property {string} [user] - User display name
+ * @property {string|null} [userId] - Author's auth user ID, where the backend records it
  * @property {string} [allianceName] - Alliance name
  * @property {string} [allianceColor] - Alliance color (hex)
  * @property {number} [tileId] - Tile ID
  * @property {number} [day] - Day number
+ * @property {Object<string, import('../utils/tileHistory.js').TileFieldChange>} [changes] - Tile edits: changed TileData fields
+ * @property {TileData|null} [snapshot] - Tile edits: the tile's full data after the edit (null when cleared)
  */
 
 /**
@@ -47,6 +53,7 @@
  * @property {string} userId - User ID from auth
  * @property {'like' | 'dislike'} type - Type of reaction
  * @property {string} timestamp - Formatted date/time
+ * @property {string} [createdAt] - ISO 8601 time, for sorting and backups
  */
 
 /**
@@ -63,6 +70,111 @@
  * @property {Array<{id: number, centerX: number, centerY: number, polygon: Array<{x: number, y: number}>}>} tiles
  */
 
+/**
+ * @typedef {Object} PlanStep
+ * @property {'move' | 'new_day'} type - Step type
+ * @property {'claim' | 'clear'} [action] - Move action
+ * @property {number} [tileId] - Tile ID (moves only)
+ * @property {string} [allianceId] - Alliance ID (moves only)
+ */
+
+/**
+ * @typedef {Object} SavedPlan
+ * @property {string} id - Unique identifier
+ * @property {string} name - Plan name
+ * @property {string} notes - Free-form notes
+ * @property {number|null} baseDay - Day the plan was made against
+ * @property {PlanStep[]} sequence - Planned steps
+ * @property {Array<{id: string, name: string, color: string}>} alliances - Alliances referenced by the plan
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+/**
+ * A tactical drawing on the map, shared with the author's alliance only
+ * @typedef {Object} Annotation
+ * @property {string} id - Unique identifier
+ * @property {string} allianceId - Alliance that can see it
+ * @property {number|null} day - Day it belongs to (null for plan annotations)
+ * @property {string|null} planId - Saved plan it belongs to (null for day annotations)
+ * @property {'arrow' | 'zone' | 'text' | 'rally'} type - What is drawn
+ * @property {number[]} tileIds - Arrow: [from, to]; zone: its tiles; rally: [tile]; text: []
+ * @property {{x: number, y: number}|null} position - Map position of a text note
+ * @property {string} text - Label or note
+ * @property {string} color - Hex color
+ * @property {string} createdBy - Author's display name
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} MapClaim
+ * @property {number} tileId - Claimed tile
+ * @property {string} allianceId - Owning alliance
+ * @property {string} allianceName - Owning alliance's name
+ * @property {string|null} allianceColor - Owning alliance's color, if stored
+ * @property {string} claimedAt - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} MovesInfo
+ * @property {number} movesUsed - Moves the alliance has used today
+ * @property {number} movesRemaining - Moves the alliance has left today
+ * @property {number} maxMoves - Daily move limit
+ */
+
+/**
+ * A move as stored (database column names)
+ * @typedef {Object} Move
+ * @property {string} id - Unique identifier
+ * @property {number} tile_id - Tile the move was made on
+ * @property {'claim' | 'clear'} action - Move action
+ * @property {boolean} undone - Whether the move was undone
+ * @property {string} created_at - ISO timestamp
+ */
+
+/**
+ * An alliance as stored (database column names, used as-is throughout the UI)
+ * @typedef {Object} Alliance
+ * @property {string} id - Unique identifier
+ * @property {string} name - Display name
+ * @property {string} name_lowercase - Lowercased name for matching
+ * @property {string} [color] - Hex color
+ * @property {number} [color_index] - Index into the alliance palette
+ * @property {string} created_at - ISO timestamp
+ */
+
+/**
+ * A user profile as stored (database column names, used as-is throughout the UI)
+ * @typedef {Object} UserProfile
+ * @property {string} id - Auth user ID
+ * @property {string} alliance_name - Alliance name the user typed
+ * @property {string} nickname - In-game nickname
+ * @property {string|null} alliance_id - Alliance the user has joined
+ */
+
+/**
+ * A change made by anyone, delivered by IRealtimeRepository
+ * @typedef {Object} GameEvent
+ * @property {'claims' | 'moves' | 'history'} type - What changed
+ * @property {number} [day] - Day the change applies to
+ * @property {number} [tileId] - Tile that changed (claims)
+ * @property {string} [allianceId] - Alliance whose moves changed (moves)
+ */
+
+/**
+ * A write waiting in the offline outbox
+ * @typedef {Object} OutboxEntry
+ * @property {string} id - Unique identifier
+ * @property {'claim' | 'clear' | 'tileEdit' | 'tileClear' | 'labelMove' | 'comment' | 'vote' | 'removeVote'} type - Operation
+ * @property {Object} payload - Arguments for the operation
+ * @property {'pending' | 'conflict'} status - Waiting to be sent, or rejected and waiting for the user
+ * @property {string|null} error - Why the entry conflicted
+ * @property {number} attempts - Times the entry was sent
+ * @property {boolean} [force] - Send even if the target changed since it was queued
+ * @property {string} createdAt - ISO timestamp
+ */
+
 export const DEFAULT_TILE_DATA = {
   number: '',
   name: '',
@@ -166,13 +278,23 @@ export class ICommentRepository {
   }
 
   /**
-   * Save all comments (bulk operation)
+   * Save all comments (bulk operation, replaces existing comments)
    * @param {Map<number, Comment[]>} comments
    * @returns {Promise<void>}
    */
   async saveAll(comments) {
     throw new Error('Not implemented');
   }
+
+  /**
+   * Add comments from a backup, keeping their authors and times.
+   * Existing comments are left alone.
+   * @param {Map<number, Comment[]>} comments
+   * @returns {Promise<void>}
+   */
+  async importComments(comments) {
+    throw new Error('Not implemented');
+  }
 }
 
 /**
@@ -182,13 +304,23 @@ export class ICommentRepository {
 export class IHistoryRepository {
   /**
    * Get all history entries
-   * @param {number} [limit] - Maximum entries to return
+   * @param {number} [limit] - Maximum entries to return; Infinity for every entry
    * @returns {Promise<HistoryEntry[]>}
    */
   async getAll(limit) {
     throw new Error('Not implemented');
   }
 
+  /**
+   * Get history entries for one tile, most recent first
+   * @param {number} tileId
+   * @param {number} [limit] - Maximum entries to return
+   * @returns {Promise<HistoryEntry[]>}
+   */
+  async getForTile(tileId, limit) {
+    throw new Error('Not implemented');
+  }
+
   /**
    * Add a history entry
    * @param {HistoryEntry} entry
@@ -216,13 +348,23 @@ export class IHistoryRepository {
   }
 
   /**
-   * Save all history entries (bulk operation)
-   * @param {HistoryEntry[]} entries
+   * Save all history entries (bulk operation, replaces existing history)
+   * @param {HistoryEntry[]} entries - Most recent first
    * @returns {Promise<void>}
    */
   async saveAll(entries) {
     throw new Error('Not implemented');
   }
+
+  /**
+   * Add entries from a backup, keeping their authors and times.
+   * Existing entries are left alone.
+   * @param {HistoryEntry[]} entries - Most recent first
+   * @returns {Promise<void>}
+   */
+  async importEntries(entries) {
+    throw new Error('Not implemented');
+  }
 }
 
 /**
@@ -292,4 +434,303 @@ export class ILikeRepository {
   async removeVote(tileId, userId) {
     throw new Error('Not implemented');
   }
+
+  /**
+   * Save all likes (bulk operation, replaces existing votes)
+   * @param {Map<number, Like[]>} likes
+   * @returns {Promise<void>}
+   */
+  async saveAll(likes) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Add or update votes from a backup, keeping their voters and times.
+   * A vote replaces the same user's vote on that tile; other votes are left alone.
+   * @param {Map<number, Like[]>} likes
+   * @returns {Promise<void>}
+   */
+  async importVotes(likes) {
+    throw new Error('Not implemented');
+  }
+}
+
+/**
+ * Interface for saved planner plans
+ * @interface IPlanRepository
+ */
+export class IPlanRepository {
+  /**
+   * Get all saved plans, most recently updated first
+   * @returns {Promise<SavedPlan[]>}
+   */
+  async getAll() {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Get a single plan by ID
+   * @param {string} planId
+   * @returns {Promise<SavedPlan|null>}
+   */
+  async get(planId) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Create or update a plan. Plans without an ID are created.
+   * @param {Omit<SavedPlan, 'id' | 'createdAt' | 'updatedAt'> & {id?: string}} plan
+   * @returns {Promise<SavedPlan>}
+   */
+  async save(plan) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Delete a plan
+   * @param {string} planId
+   * @returns {Promise<void>}
+   */
+  async delete(planId) {
+    throw new Error('Not implemented');
+  }
+}
+
+/**
+ * Interface for map annotations
+ * @interface IAnnotationRepository
+ */
+export class IAnnotationRepository {
+  /**
+   * Get an alliance's annotations for a day or a saved plan, oldest first
+   * @param {string} allianceId
+   * @param {{day?: number, planId?: string}} scope - Exactly one of day or planId
+   * @returns {Promise<Annotation[]>}
+   */
+  async getAll(allianceId, scope) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Create or update an annotation. Annotations without an ID are created.
+   * @param {Omit<Annotation, 'id' | 'createdAt' | 'updatedAt'> & {id?: string}} annotation
+   * @returns {Promise<Annotation>}
+   */
+  async save(annotation) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Delete an annotation
+   * @param {string} annotationId
+   * @returns {Promise<void>}
+   */
+  async delete(annotationId) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Delete every annotation on a saved plan, after the plan itself is deleted
+   * @param {string} planId
+   * @returns {Promise<void>}
+   */
+  async deleteForPlan(planId) {
+    throw new Error('Not implemented');
+  }
+}
+
+/**
+ * Interface for tile claims (the game map state)
+ * @interface IClaimRepository
+ */
+export class IClaimRepository {
+  /**
+   * Get every claim on the map at the end of a day
+   * @param {number} day
+   * @returns {Promise<MapClaim[]>}
+   * @throws {Error} When the map state can't be loaded
+   */
+  async getMapState(day) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Claim a tile for the current user's alliance (or, for admins, any alliance on any day)
+   * @param {Object} params
+   * @param {number} params.tileId
+   * @param {boolean} [params.isAdmin] - Admin claim bypassing the rules
+   * @param {string|null} [params.allianceId] - Alliance to claim for (admin only)
+   * @param {number|null} [params.day] - Day to claim on (admin only)
+   * @returns {Promise<void>}
+   * @throws {Error} When the claim is rejected
+   */
+  async claimTile({ tileId, isAdmin, allianceId, day }) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Clear a tile owned by the current user's alliance (or, for admins, any tile on any day)
+   * @param {Object} params
+   * @param {number} params.tileId
+   * @param {boolean} [params.isAdmin] - Admin clear bypassing the rules
+   * @param {string|null} [params.allianceId] - Alliance to clear for (admin only)
+   * @param {number|null} [params.day] - Day to clear on (admin only)
+   * @returns {Promise<void>}
+   * @throws {Error} When the clear is rejected
+   */
+  async clearTile({ tileId, isAdmin, allianceId, day }) {
+    throw new Error('Not implemented');
+  }
+}
+
+/**
+ * Interface for daily moves
+ * @interface IMoveRepository
+ */
+export class IMoveRepository {
+  /**
+   * Get the current user's alliance move budget for a day
+   * @param {number} day
+   * @returns {Promise<MovesInfo|null>} null when unavailable (e.g. no alliance)
+   */
+  async getAllianceMoves(day) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Get the moves the current user made on a day
+   * @param {number} day
+   * @returns {Promise<Move[]>}
+   */
+  async getUserMoves(day) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Undo one of the current user's moves
+   * @param {string} moveId
+   * @returns {Promise<void>}
+   * @throws {Error} When the move can't be undone
+   */
+  async undoMove(moveId) {
+    throw new Error('Not implemented');
+  }
+}
+
+/**
+ * Interface for alliances
+ * @interface IAllianceRepository
+ */
+export class IAllianceRepository {
+  /**
+   * Get all alliances, oldest first
+   * @returns {Promise<Alliance[]>}
+   */
+  async getAll() {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Get a single alliance by ID
+   * @param {string} allianceId
+   * @returns {Promise<Alliance|null>}
+   */
+  async get(allianceId) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Count all alliances
+   * @returns {Promise<number>}
+   * @throws {Error} When the count can't be loaded
+   */
+  async count() {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Add the current user to an alliance by name, creating it if needed
+   * @param {string} allianceName
+   * @returns {Promise<Alliance>}
+   * @throws {Error} When joining fails
+   */
+  async join(allianceName) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Create an alliance without joining it (admin only)
+   * @param {Object} alliance
+   * @param {string} alliance.name
+   * @param {number} alliance.colorIndex - Index into the alliance palette
+   * @param {string} alliance.color - Hex color
+   * @returns {Promise<Alliance>}
+   * @throws {Error} When creating fails
+   */
+  async create({ name, colorIndex, color }) {
+    throw new Error('Not implemented');
+  }
+}
+
+/**
+ * Interface for user profiles
+ * @interface IProfileRepository
+ */
+export class IProfileRepository {
+  /**
+   * Get a user's profile
+   * @param {string} userId
+   * @returns {Promise<UserProfile|null>} null when the user has no profile yet
+   */
+  async get(userId) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Create or update a user's profile
+   * @param {{id: string, alliance_name: string, nickname: string}} profile
+   * @returns {Promise<UserProfile>}
+   * @throws {Error} When saving fails
+   */
+  async save(profile) {
+    throw new Error('Not implemented');
+  }
+}
+
+/**
+ * Interface for live change notifications
+ * @interface IRealtimeRepository
+ */
+export class IRealtimeRepository {
+  /**
+   * Listen for claim, move and history changes
+   * @param {(event: GameEvent) => void} handler
+   * @returns {() => void} Unsubscribe function
+   */
+  subscribe(handler) {
+    throw new Error('Not implemented');
+  }
+}
+
+/**
+ * Interface for the offline write queue (always stored on this device)
+ * @interface IOutboxRepository
+ */
+export class IOutboxRepository {
+  /**
+   * Get queued entries, oldest first
+   * @returns {Promise<OutboxEntry[]>}
+   */
+  async getAll() {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Replace the queue
+   * @param {OutboxEntry[]} entries
+   * @returns {Promise<void>}
+   */
+  async saveAll(entries) {
+    throw new Error('Not implemented');
+  }
 }
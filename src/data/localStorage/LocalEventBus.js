@@ -0,0 +1,32 @@
+import { IRealtimeRepository } from '../interfaces.js';
+
+/**
+ * In-process stand-in for Supabase realtime when running offline.
+ * The local game store and history repositories publish to it after writes,
+ * so the UI reacts to local changes the same way it does to remote ones.
+ */
+export class LocalEventBus extends IRealtimeRepository {
+  constructor() {
+    super();
+    this._handlers = new Set();
+  }
+
+  subscribe(handler) {
+    this._handlers.add(handler);
+    return () => this._handlers.delete(handler);
+  }
+
+  /**
+   * Deliver an event to every subscriber
+   * @param {import('../interfaces.js').GameEvent} event
+   */
+  publish(event) {
+    for (const handler of [...this._handlers]) {
+      try {
+        handler(event);
+      } catch (error) {
+        console.error('Error in game event handler:', error);
+      }
+    }
+  }
+}
@@ -0,0 +1,347 @@
+import { validateClaim, validateClear } from '../../utils/claimRulesEngine.js';
+import { buildAdjacencyMap } from '../../utils/adjacencyUtils.js';
+import { LOCAL_USER } from '../../lib/localUser.js';
+
+const STORAGE_KEY = 'mapEditor_game';
+
+/**
+ * Local game backend shared by the localStorage claim, move, alliance and
+ * profile repositories. It emulates the Supabase game RPCs (claim_tile,
+ * clear_tile, undo_move, get_map_state, get_alliance_moves, get_user_moves,
+ * join_alliance) and enforces the rules with claimRulesEngine.
+ *
+ * Every move is kept in an append-only log; the map state for a day is the
+ * log replayed up to that day, so past days stay viewable and undo is just
+ * a flag on the move.
+ */
+export class LocalGameStore {
+  /**
+   * @param {Object} deps
+   * @param {import('../interfaces.js').ITileRepository} deps.tileRepository - Tile numbers for the rules
+   * @param {import('../interfaces.js').ITileGeometryRepository} deps.tileGeometryRepository - Geometry for adjacency
+   * @param {import('../../config/ruleset.js').Ruleset} deps.ruleset - Season ruleset
+   * @param {() => number} deps.getCurrentDay - Current game day
+   * @param {import('./LocalEventBus.js').LocalEventBus} [deps.eventBus] - Notified after claim and move changes
+   */
+  constructor({ tileRepository, tileGeometryRepository, ruleset, getCurrentDay, eventBus = null }) {
+    this._tileRepository = tileRepository;
+    this._tileGeometryRepository = tileGeometryRepository;
+    this._ruleset = ruleset;
+    this._getCurrentDay = getCurrentDay;
+    this._eventBus = eventBus;
+    this._cache = null;
+    this._adjacencyMap = null;
+  }
+
+  get userId() {
+    return LOCAL_USER.id;
+  }
+
+  _loadFromStorage() {
+    if (this._cache !== null) {
+      return this._cache;
+    }
+
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      const parsed = stored ? JSON.parse(stored) : {};
+      this._cache = {
+        alliances: parsed.alliances || [],
+        profiles: parsed.profiles || [],
+        moves: parsed.moves || [],
+      };
+    } catch (error) {
+      console.error('Error loading local game from localStorage:', error);
+      this._cache = { alliances: [], profiles: [], moves: [] };
+    }
+
+    return this._cache;
+  }
+
+  _saveToStorage(state) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+      this._cache = state;
+    } catch (error) {
+      console.error('Error saving local game to localStorage:', error);
+      throw error;
+    }
+  }
+
+  _update(changes) {
+    this._saveToStorage({ ...this._loadFromStorage(), ...changes });
+  }
+
+  _publishMoveChange(move) {
+    this._eventBus?.publish({ type: 'claims', day: move.day, tileId: move.tile_id });
+    this._eventBus?.publish({ type: 'moves', day: move.day, allianceId: move.alliance_id });
+  }
+
+  _generateId() {
+    return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  async _getAdjacencyMap() {
+    if (!this._adjacencyMap) {
+      const geometry = await this._tileGeometryRepository.load();
+      this._adjacencyMap = buildAdjacencyMap(geometry.tiles);
+    }
+    return this._adjacencyMap;
+  }
+
+  // Alliances
+
+  getAlliances() {
+    return [...this._loadFromStorage().alliances];
+  }
+
+  getAlliance(allianceId) {
+    return this._loadFromStorage().alliances.find(a => a.id === allianceId) || null;
+  }
+
+  /**
+   * Create an alliance. Without a color, AllianceContext picks one from its palette by color_index.
+   * @param {{name: string, colorIndex?: number, color?: string}} alliance
+   * @returns {import('../interfaces.js').Alliance}
+   */
+  createAlliance({ name, colorIndex, color }) {
+    const { alliances } = this._loadFromStorage();
+    const trimmed = name.trim();
+    if (!trimmed) {
+      throw new Error('Alliance name is required');
+    }
+    if (alliances.some(a => a.name_lowercase === trimmed.toLowerCase())) {
+      throw new Error('An alliance with that name already exists');
+    }
+
+    const alliance = {
+      id: this._generateId(),
+      name: trimmed,
+      name_lowercase: trimmed.toLowerCase(),
+      color_index: colorIndex ?? alliances.length,
+      color: color || null,
+      created_at: new Date().toISOString(),
+    };
+    this._update({ alliances: [...alliances, alliance] });
+    return alliance;
+  }
+
+  /**
+   * Join an alliance by name, creating it if needed (join_alliance)
+   * @param {string} allianceName
+   * @returns {import('../interfaces.js').Alliance}
+   */
+  joinAlliance(allianceName) {
+    const nameLower = allianceName.trim().toLowerCase();
+    const alliance = this._loadFromStorage().alliances.find(a => a.name_lowercase === nameLower)
+      || this.createAlliance({ name: allianceName });
+
+    const profile = this.getProfile(this.userId);
+    if (!profile) {
+      throw new Error('Set up your profile first');
+    }
+    this.saveProfile({ ...profile, alliance_id: alliance.id });
+    return alliance;
+  }
+
+  // Profiles
+
+  getProfile(userId) {
+    return this._loadFromStorage().profiles.find(p => p.id === userId) || null;
+  }
+
+  saveProfile(profile) {
+    const { profiles } = this._loadFromStorage();
+    const existing = profiles.find(p => p.id === profile.id);
+    const saved = { alliance_id: null, ...existing, ...profile };
+    this._update({
+      profiles: existing
+        ? profiles.map(p => (p.id === saved.id ? saved : p))
+        : [...profiles, saved],
+    });
+    return saved;
+  }
+
+  _getUserAllianceId() {
+    const allianceId = this.getProfile(this.userId)?.alliance_id;
+    if (!allianceId) {
+      throw new Error('You must join an alliance first');
+    }
+    return allianceId;
+  }
+
+  // Claims
+
+  /**
+   * Replay the move log up to the end of a day (get_map_state)
+   * @param {number} day
+   * @returns {Map<number, {allianceId: string, allianceName: string, allianceColor: string|null, claimedAt: string}>}
+   */
+  getClaimsForDay(day) {
+    const { moves, alliances } = this._loadFromStorage();
+    const claims = new Map();
+
+    const ordered = moves
+      .filter(move => !move.undone && move.day <= day)
+      .sort((a, b) => a.day - b.day || a.created_at.localeCompare(b.created_at));
+
+    for (const move of ordered) {
+      if (move.action === 'claim') {
+        const alliance = alliances.find(a => a.id === move.alliance_id);
+        claims.set(move.tile_id, {
+          allianceId: move.alliance_id,
+          allianceName: alliance?.name || 'Unknown alliance',
+          allianceColor: alliance?.color || null,
+          claimedAt: move.created_at,
+        });
+      } else if (claims.get(move.tile_id)?.allianceId === move.alliance_id) {
+        claims.delete(move.tile_id);
+      }
+    }
+
+    return claims;
+  }
+
+  _countClaimsUsed(allianceId, day) {
+    return this._loadFromStorage().moves.filter(move => (
+      move.alliance_id === allianceId && move.day === day && move.action === 'claim' && !move.undone
+    )).length;
+  }
+
+  _recordMove({ allianceId, day, tileId, action }) {
+    const move = {
+      id: this._generateId(),
+      alliance_id: allianceId,
+      user_id: this.userId,
+      day,
+      tile_id: tileId,
+      action,
+      created_at: new Date().toISOString(),
+      undone: false,
+      undone_at: null,
+    };
+    this._update({ moves: [...this._loadFromStorage().moves, move] });
+    this._publishMoveChange(move);
+    return move;
+  }
+
+  /**
+   * Claim a tile (claim_tile). Players claim for their alliance on the current day within the rules;
+   * admins claim for any alliance on any day.
+   */
+  async claimTile({ tileId, isAdmin = false, allianceId = null, day = null }) {
+    const claimDay = isAdmin && day ? day : this._getCurrentDay();
+    const claimAllianceId = isAdmin && allianceId ? allianceId : this._getUserAllianceId();
+
+    if (!isAdmin) {
+      const tileClaims = this.getClaimsForDay(claimDay);
+      const ownedTileIds = new Set();
+      tileClaims.forEach((claim, id) => {
+        if (claim.allianceId === claimAllianceId) ownedTileIds.add(id);
+      });
+      const allTileData = await this._tileRepository.getAll();
+
+      const result = validateClaim({
+        tileId,
+        tileData: allTileData.get(tileId),
+        ownedTileIds,
+        allTileData,
+        tileClaims,
+        adjacencyMap: await this._getAdjacencyMap(),
+        movesRemaining: this._ruleset.maxMovesPerDay - this._countClaimsUsed(claimAllianceId, claimDay),
+        ruleset: this._ruleset,
+      });
+      if (!result.valid) {
+        throw new Error(result.error);
+      }
+    } else {
+      // Admin claims replace whoever held the tile
+      const current = this.getClaimsForDay(claimDay).get(tileId);
+      if (current && current.allianceId !== claimAllianceId) {
+        this._recordMove({ allianceId: current.allianceId, day: claimDay, tileId, action: 'clear' });
+      }
+    }
+
+    this._recordMove({ allianceId: claimAllianceId, day: claimDay, tileId, action: 'claim' });
+  }
+
+  /**
+   * Clear a tile (clear_tile). Clears are free; players may only clear their own alliance's tiles.
+   */
+  async clearTile({ tileId, isAdmin = false, allianceId = null, day = null }) {
+    const clearDay = isAdmin && day ? day : this._getCurrentDay();
+    const tileClaims = this.getClaimsForDay(clearDay);
+    const userAllianceId = isAdmin ? allianceId : this._getUserAllianceId();
+
+    const result = validateClear({ tileId, tileClaims, userAllianceId, isAdmin });
+    if (!result.valid) {
+      throw new Error(result.error);
+    }
+
+    const owner = tileClaims.get(tileId);
+    if (!owner) {
+      throw new Error('Tile is not claimed');
+    }
+    this._recordMove({ allianceId: owner.allianceId, day: clearDay, tileId, action: 'clear' });
+  }
+
+  // Moves
+
+  /**
+   * Move budget for the user's alliance (get_alliance_moves)
+   * @param {number} day
+   * @returns {import('../interfaces.js').MovesInfo|null}
+   */
+  getAllianceMoves(day) {
+    const allianceId = this.getProfile(this.userId)?.alliance_id;
+    if (!allianceId) return null;
+
+    const movesUsed = this._countClaimsUsed(allianceId, day);
+    return {
+      movesUsed,
+      movesRemaining: Math.max(0, this._ruleset.maxMovesPerDay - movesUsed),
+      maxMoves: this._ruleset.maxMovesPerDay,
+    };
+  }
+
+  /**
+   * The user's own moves on a day, newest first (get_user_moves)
+   * @param {number} day
+   * @returns {import('../interfaces.js').Move[]}
+   */
+  getUserMoves(day) {
+    return this._loadFromStorage().moves
+      .filter(move => move.user_id === this.userId && move.day === day)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  /**
+   * Undo one of the user's moves from today (undo_move)
+   * @param {string} moveId
+   */
+  undoMove(moveId) {
+    const { moves } = this._loadFromStorage();
+    const move = moves.find(m => m.id === moveId);
+
+    if (!move || move.user_id !== this.userId) {
+      throw new Error('Move not found');
+    }
+    if (move.undone) {
+      throw new Error('Move was already undone');
+    }
+    if (move.day !== this._getCurrentDay()) {
+      throw new Error('Can only undo moves from today');
+    }
+
+    this._update({
+      moves: moves.map(m => (
+        m.id === moveId ? { ...m, undone: true, undone_at: new Date().toISOString() } : m
+      )),
+    });
+    this._publishMoveChange(move);
+  }
+
+  invalidateCache() {
+    this._cache = null;
+  }
+}
@@ -0,0 +1,34 @@
+import { IAllianceRepository } from '../interfaces.js';
+
+/**
+ * localStorage implementation of IAllianceRepository, backed by LocalGameStore
+ */
+export class LocalStorageAllianceRepository extends IAllianceRepository {
+  /**
+   * @param {import('./LocalGameStore.js').LocalGameStore} store
+   */
+  constructor(store) {
+    super();
+    this._store = store;
+  }
+
+  async getAll() {
+    return this._store.getAlliances();
+  }
+
+  async get(allianceId) {
+    return this._store.getAlliance(allianceId);
+  }
+
+  async count() {
+    return this._store.getAlliances().length;
+  }
+
+  async join(allianceName) {
+    return this._store.joinAlliance(allianceName);
+  }
+
+  async create(alliance) {
+    return this._store.createAlliance(alliance);
+  }
+}
@@ -0,0 +1,83 @@
+import { IAnnotationRepository } from '../interfaces.js';
+
+const STORAGE_KEY = 'mapEditor_annotations';
+
+/**
+ * localStorage implementation of IAnnotationRepository
+ */
+export class LocalStorageAnnotationRepository extends IAnnotationRepository {
+  constructor() {
+    super();
+    this._cache = null;
+  }
+
+  _loadFromStorage() {
+    if (this._cache !== null) {
+      return this._cache;
+    }
+
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      this._cache = stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error('Error loading annotations from localStorage:', error);
+      this._cache = [];
+    }
+
+    return this._cache;
+  }
+
+  _saveToStorage(annotations) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(annotations));
+      this._cache = annotations;
+    } catch (error) {
+      console.error('Error saving annotations to localStorage:', error);
+      throw error;
+    }
+  }
+
+  _generateId() {
+    return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  async getAll(allianceId, { day, planId } = {}) {
+    return this._loadFromStorage()
+      .filter(a => a.allianceId === allianceId && (planId ? a.planId === planId : a.day === day && !a.planId))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async save(annotation) {
+    const annotations = this._loadFromStorage();
+    const now = new Date().toISOString();
+    const existing = annotation.id ? annotations.find(a => a.id === annotation.id) : null;
+
+    const saved = {
+      ...annotation,
+      id: existing ? existing.id : this._generateId(),
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+    };
+
+    const newAnnotations = existing
+      ? annotations.map(a => (a.id === saved.id ? saved : a))
+      : [...annotations, saved];
+    this._saveToStorage(newAnnotations);
+
+    return saved;
+  }
+
+  async delete(annotationId) {
+    const annotations = this._loadFromStorage();
+    this._saveToStorage(annotations.filter(a => a.id !== annotationId));
+  }
+
+  async deleteForPlan(planId) {
+    const annotations = this._loadFromStorage();
+    this._saveToStorage(annotations.filter(a => a.planId !== planId));
+  }
+
+  invalidateCache() {
+    this._cache = null;
+  }
+}
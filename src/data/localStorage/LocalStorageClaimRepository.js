@@ -0,0 +1,26 @@
+import { IClaimRepository } from '../interfaces.js';
+
+/**
+ * localStorage implementation of IClaimRepository, backed by LocalGameStore
+ */
+export class LocalStorageClaimRepository extends IClaimRepository {
+  /**
+   * @param {import('./LocalGameStore.js').LocalGameStore} store
+   */
+  constructor(store) {
+    super();
+    this._store = store;
+  }
+
+  async getMapState(day) {
+    return [...this._store.getClaimsForDay(day)].map(([tileId, claim]) => ({ tileId, ...claim }));
+  }
+
+  async claimTile(params) {
+    await this._store.claimTile(params);
+  }
+
+  async clearTile(params) {
+    await this._store.clearTile(params);
+  }
+}
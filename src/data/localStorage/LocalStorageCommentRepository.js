@@ -85,6 +85,14 @@ export class LocalStorageCommentRepository extends ICommentRepository {
     this._saveToStorage(new Map(comments));
   }
 
+  async importComments(comments) {
+    const newComments = new Map(this._loadFromStorage());
+    for (const [tileId, tileComments] of comments) {
+      newComments.set(tileId, [...(newComments.get(tileId) || []), ...tileComments]);
+    }
+    this._saveToStorage(newComments);
+  }
+
   /**
    * Invalidate the cache (useful for testing or forced refresh)
    */
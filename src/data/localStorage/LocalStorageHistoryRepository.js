@@ -1,4 +1,5 @@
 import { IHistoryRepository } from '../interfaces.js';
+import { sortHistoryByTime } from '../../utils/workspaceBackup.js';
 
 const STORAGE_KEY = 'mapEditor_history';
 const MAX_HISTORY_ENTRIES = 50;
@@ -7,9 +8,13 @@ const MAX_HISTORY_ENTRIES = 50;
  * localStorage implementation of IHistoryRepository
  */
 export class LocalStorageHistoryRepository extends IHistoryRepository {
-  constructor() {
+  /**
+   * @param {import('./LocalEventBus.js').LocalEventBus} [eventBus] - Notified after changes
+   */
+  constructor(eventBus = null) {
     super();
     this._cache = null;
+    this._eventBus = eventBus;
   }
 
   _loadFromStorage() {
@@ -38,6 +43,7 @@ export class LocalStorageHistoryRepository extends IHistoryRepository {
       const limited = history.slice(0, MAX_HISTORY_ENTRIES);
       localStorage.setItem(STORAGE_KEY, JSON.stringify(limited));
       this._cache = limited;
+      this._eventBus?.publish({ type: 'history' });
     } catch (error) {
       console.error('Error saving history to localStorage:', error);
       throw error;
@@ -52,6 +58,11 @@ export class LocalStorageHistoryRepository extends IHistoryRepository {
     return [...history];
   }
 
+  async getForTile(tileId, limit) {
+    const entries = this._loadFromStorage().filter(entry => entry.tileId === tileId);
+    return limit && limit > 0 ? entries.slice(0, limit) : entries;
+  }
+
   async add(entry) {
     const history = this._loadFromStorage();
     // Add new entry at the beginning (most recent first)
@@ -67,6 +78,10 @@ export class LocalStorageHistoryRepository extends IHistoryRepository {
     this._saveToStorage([...entries]);
   }
 
+  async importEntries(entries) {
+    this._saveToStorage(sortHistoryByTime(this._loadFromStorage(), entries));
+  }
+
   /**
    * Invalidate the cache (useful for testing or forced refresh)
    */
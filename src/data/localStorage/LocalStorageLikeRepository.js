@@ -85,12 +85,14 @@ export class LocalStorageLikeRepository extends ILikeRepository {
     // Find existing vote by this user
     const existingIndex = tileLikes.findIndex(l => l.userId === userId);
 
+    const now = new Date();
     const like = {
       id: existingIndex >= 0 ? tileLikes[existingIndex].id : this._generateId(),
       user,
       userId,
       type,
-      timestamp: new Date().toLocaleString()
+      timestamp: now.toLocaleString(),
+      createdAt: now.toISOString()
     };
 
     if (existingIndex >= 0) {
@@ -123,6 +125,27 @@ export class LocalStorageLikeRepository extends ILikeRepository {
     this._saveToStorage(newLikes);
   }
 
+  async saveAll(likes) {
+    this._saveToStorage(new Map(likes));
+  }
+
+  async importVotes(likes) {
+    const newLikes = new Map(this._loadFromStorage());
+    for (const [tileId, tileLikes] of likes) {
+      const merged = [...(newLikes.get(tileId) || [])];
+      for (const like of tileLikes) {
+        const existingIndex = merged.findIndex(l => l.userId === like.userId);
+        if (existingIndex >= 0) {
+          merged[existingIndex] = like;
+        } else {
+          merged.push(like);
+        }
+      }
+      newLikes.set(tileId, merged);
+    }
+    this._saveToStorage(newLikes);
+  }
+
   invalidateCache() {
     this._cache = null;
   }
@@ -0,0 +1,26 @@
+import { IMoveRepository } from '../interfaces.js';
+
+/**
+ * localStorage implementation of IMoveRepository, backed by LocalGameStore
+ */
+export class LocalStorageMoveRepository extends IMoveRepository {
+  /**
+   * @param {import('./LocalGameStore.js').LocalGameStore} store
+   */
+  constructor(store) {
+    super();
+    this._store = store;
+  }
+
+  async getAllianceMoves(day) {
+    return this._store.getAllianceMoves(day);
+  }
+
+  async getUserMoves(day) {
+    return this._store.getUserMoves(day);
+  }
+
+  async undoMove(moveId) {
+    this._store.undoMove(moveId);
+  }
+}
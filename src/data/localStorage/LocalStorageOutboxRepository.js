@@ -0,0 +1,52 @@
+import { IOutboxRepository } from '../interfaces.js';
+
+const STORAGE_KEY = 'mapEditor_outbox';
+
+/**
+ * localStorage implementation of IOutboxRepository.
+ * Used with every backend so queued writes survive reloads while offline.
+ */
+export class LocalStorageOutboxRepository extends IOutboxRepository {
+  constructor() {
+    super();
+    this._cache = null;
+  }
+
+  _loadFromStorage() {
+    if (this._cache !== null) {
+      return this._cache;
+    }
+
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      this._cache = stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error('Error loading outbox from localStorage:', error);
+      this._cache = [];
+    }
+
+    return this._cache;
+  }
+
+  _saveToStorage(entries) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+      this._cache = entries;
+    } catch (error) {
+      console.error('Error saving outbox to localStorage:', error);
+      throw error;
+    }
+  }
+
+  async getAll() {
+    return [...this._loadFromStorage()];
+  }
+
+  async saveAll(entries) {
+    this._saveToStorage([...entries]);
+  }
+
+  invalidateCache() {
+    this._cache = null;
+  }
+}
@@ -0,0 +1,81 @@
+import { IPlanRepository } from '../interfaces.js';
+
+const STORAGE_KEY = 'mapEditor_plans';
+
+/**
+ * localStorage implementation of IPlanRepository
+ */
+export class LocalStoragePlanRepository extends IPlanRepository {
+  constructor() {
+    super();
+    this._cache = null;
+  }
+
+  _loadFromStorage() {
+    if (this._cache !== null) {
+      return this._cache;
+    }
+
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      this._cache = stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error('Error loading plans from localStorage:', error);
+      this._cache = [];
+    }
+
+    return this._cache;
+  }
+
+  _saveToStorage(plans) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(plans));
+      this._cache = plans;
+    } catch (error) {
+      console.error('Error saving plans to localStorage:', error);
+      throw error;
+    }
+  }
+
+  _generateId() {
+    return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  async getAll() {
+    return [...this._loadFromStorage()]
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  async get(planId) {
+    return this._loadFromStorage().find(p => p.id === planId) || null;
+  }
+
+  async save(plan) {
+    const plans = this._loadFromStorage();
+    const now = new Date().toISOString();
+    const existing = plan.id ? plans.find(p => p.id === plan.id) : null;
+
+    const saved = {
+      ...plan,
+      id: existing ? existing.id : this._generateId(),
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+    };
+
+    const newPlans = existing
+      ? plans.map(p => (p.id === saved.id ? saved : p))
+      : [...plans, saved];
+    this._saveToStorage(newPlans);
+
+    return saved;
+  }
+
+  async delete(planId) {
+    const plans = this._loadFromStorage();
+    this._saveToStorage(plans.filter(p => p.id !== planId));
+  }
+
+  invalidateCache() {
+    this._cache = null;
+  }
+}
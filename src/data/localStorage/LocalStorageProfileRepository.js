@@ -0,0 +1,22 @@
+import { IProfileRepository } from '../interfaces.js';
+
+/**
+ * localStorage implementation of IProfileRepository, backed by LocalGameStore
+ */
+export class LocalStorageProfileRepository extends IProfileRepository {
+  /**
+   * @param {import('./LocalGameStore.js').LocalGameStore} store
+   */
+  constructor(store) {
+    super();
+    this._store = store;
+  }
+
+  async get(userId) {
+    return this._store.getProfile(userId);
+  }
+
+  async save(profile) {
+    return this._store.saveProfile(profile);
+  }
+}
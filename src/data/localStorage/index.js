@@ -3,3 +3,12 @@ export { LocalStorageCommentRepository } from './LocalStorageCommentRepository.j
 export { LocalStorageHistoryRepository } from './LocalStorageHistoryRepository.js';
 export { LocalStorageLikeRepository } from './LocalStorageLikeRepository.js';
 export { FetchTileGeometryRepository } from './FetchTileGeometryRepository.js';
+export { LocalStoragePlanRepository } from './LocalStoragePlanRepository.js';
+export { LocalStorageAnnotationRepository } from './LocalStorageAnnotationRepository.js';
+export { LocalGameStore } from './LocalGameStore.js';
+export { LocalStorageClaimRepository } from './LocalStorageClaimRepository.js';
+export { LocalStorageMoveRepository } from './LocalStorageMoveRepository.js';
+export { LocalStorageAllianceRepository } from './LocalStorageAllianceRepository.js';
+export { LocalStorageProfileRepository } from './LocalStorageProfileRepository.js';
+export { LocalEventBus } from './LocalEventBus.js';
+export { LocalStorageOutboxRepository } from './LocalStorageOutboxRepository.js';
@@ -0,0 +1,86 @@
+import { IAllianceRepository } from '../interfaces.js';
+import { supabase } from '../../lib/supabase.js';
+
+/**
+ * Supabase implementation of IAllianceRepository
+ */
+export class SupabaseAllianceRepository extends IAllianceRepository {
+  async getAll() {
+    const { data, error } = await supabase
+      .from('alliances')
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Error loading alliances from Supabase:', error);
+      return [];
+    }
+
+    return data || [];
+  }
+
+  async get(allianceId) {
+    const { data, error } = await supabase
+      .from('alliances')
+      .select('*')
+      .eq('id', allianceId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error loading alliance from Supabase:', error);
+      return null;
+    }
+
+    return data;
+  }
+
+  async count() {
+    const { count, error } = await supabase
+      .from('alliances')
+      .select('*', { count: 'exact', head: true });
+
+    if (error) {
+      console.error('Error counting alliances in Supabase:', error);
+      throw error;
+    }
+
+    return count || 0;
+  }
+
+  async join(allianceName) {
+    const { data, error } = await supabase.rpc('join_alliance', {
+      p_alliance_name: allianceName.trim()
+    });
+
+    if (error) {
+      console.error('Error joining alliance in Supabase:', error);
+      throw error;
+    }
+
+    if (data?.error) {
+      throw new Error(data.error);
+    }
+
+    return data;
+  }
+
+  async create({ name, colorIndex, color }) {
+    const { data, error } = await supabase
+      .from('alliances')
+      .insert({
+        name: name.trim(),
+        name_lowercase: name.trim().toLowerCase(),
+        color_index: colorIndex,
+        color,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error creating alliance in Supabase:', error);
+      throw error;
+    }
+
+    return data;
+  }
+}
@@ -0,0 +1,87 @@
+import { IAnnotationRepository } from '../interfaces.js';
+import { supabase } from '../../lib/supabase.js';
+
+/**
+ * Supabase implementation of IAnnotationRepository
+ * Annotations are stored in the `annotations` table; row level security
+ * limits reads and writes to members of the annotation's alliance.
+ */
+export class SupabaseAnnotationRepository extends IAnnotationRepository {
+  _rowToAnnotation(row) {
+    return {
+      id: row.id,
+      allianceId: row.alliance_id,
+      day: row.day,
+      planId: row.plan_id,
+      type: row.type,
+      tileIds: row.tile_ids || [],
+      position: row.position,
+      text: row.text || '',
+      color: row.color,
+      createdBy: row.author_name || '',
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+
+  async getAll(allianceId, { day, planId } = {}) {
+    let query = supabase
+      .from('annotations')
+      .select('*')
+      .eq('alliance_id', allianceId);
+    query = planId ? query.eq('plan_id', planId) : query.eq('day', day).is('plan_id', null);
+
+    const { data, error } = await query.order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Error loading annotations from Supabase:', error);
+      return [];
+    }
+
+    return data.map(row => this._rowToAnnotation(row));
+  }
+
+  async save(annotation) {
+    const row = {
+      alliance_id: annotation.allianceId,
+      day: annotation.planId ? null : annotation.day,
+      plan_id: annotation.planId || null,
+      type: annotation.type,
+      tile_ids: annotation.tileIds,
+      position: annotation.position,
+      text: annotation.text,
+      color: annotation.color,
+      author_name: annotation.createdBy,
+      updated_at: new Date().toISOString(),
+    };
+
+    const query = annotation.id
+      ? supabase.from('annotations').update(row).eq('id', annotation.id)
+      : supabase.from('annotations').insert(row);
+
+    const { data, error } = await query.select().single();
+
+    if (error) {
+      console.error('Error saving annotation to Supabase:', error);
+      throw error;
+    }
+
+    return this._rowToAnnotation(data);
+  }
+
+  async delete(annotationId) {
+    const { error } = await supabase
+      .from('annotations')
+      .delete()
+      .eq('id', annotationId);
+
+    if (error) {
+      console.error('Error deleting annotation from Supabase:', error);
+      throw error;
+    }
+  }
+
+  async deleteForPlan(planId) {
+    // The plan_id foreign key cascades, so the plan's delete already removed them
+  }
+}
@@ -0,0 +1,56 @@
+import { IClaimRepository } from '../interfaces.js';
+import { supabase } from '../../lib/supabase.js';
+
+/**
+ * Supabase implementation of IClaimRepository
+ * Claims are read and written through the game RPCs, which enforce the rules server side.
+ */
+export class SupabaseClaimRepository extends IClaimRepository {
+  _rowToClaim(row) {
+    return {
+      tileId: row.tile_id,
+      allianceId: row.alliance_id,
+      allianceName: row.alliance_name,
+      allianceColor: row.alliance_color || null,
+      claimedAt: row.claimed_at,
+    };
+  }
+
+  async getMapState(day) {
+    const { data, error } = await supabase.rpc('get_map_state', { p_day: day });
+
+    if (error) {
+      console.error('Error loading map state from Supabase:', error);
+      throw error;
+    }
+
+    return (data || []).map(row => this._rowToClaim(row));
+  }
+
+  async _callMoveRpc(name, { tileId, isAdmin = false, allianceId = null, day = null }) {
+    const { data, error } = await supabase.rpc(name, {
+      p_tile_id: tileId,
+      p_is_admin: isAdmin,
+      p_alliance_id: isAdmin ? allianceId : null,
+      p_day: isAdmin ? day : null,
+    });
+
+    if (error) {
+      console.error(`Error calling ${name}:`, error);
+      throw error;
+    }
+
+    // Rule violations come back as {error} rather than a Postgres error
+    if (data?.error) {
+      throw new Error(data.error);
+    }
+  }
+
+  async claimTile(params) {
+    await this._callMoveRpc('claim_tile', params);
+  }
+
+  async clearTile(params) {
+    await this._callMoveRpc('clear_tile', params);
+  }
+}
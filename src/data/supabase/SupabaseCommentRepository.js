@@ -1,5 +1,7 @@
 import { ICommentRepository } from '../interfaces.js';
 import { supabase } from '../../lib/supabase.js';
+import { toCreatedAt } from './timestamps.js';
+import { fetchAllRows } from './pagination.js';
 
 /**
  * Supabase implementation of ICommentRepository
@@ -13,16 +15,19 @@ export class SupabaseCommentRepository extends ICommentRepository {
   _rowToComment(row) {
     return {
       user: row.user_name,
+      userId: row.user_id,
       text: row.text,
-      timestamp: new Date(row.created_at).toLocaleString()
+      timestamp: new Date(row.created_at).toLocaleString(),
+      createdAt: row.created_at
     };
   }
 
   async getAll() {
-    const { data, error } = await supabase
+    const { data, error } = await fetchAllRows(() => supabase
       .from('tile_comments')
       .select('*')
-      .order('created_at', { ascending: true });
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true }));
 
     if (error) {
       console.error('Error loading comments from Supabase:', error);
@@ -106,11 +111,46 @@ export class SupabaseCommentRepository extends ICommentRepository {
     }
   }
 
+  _commentRows(comments) {
+    const rows = [];
+    for (const [tileId, tileComments] of comments) {
+      for (const comment of tileComments) {
+        rows.push({
+          tile_id: tileId,
+          user_name: comment.user,
+          user_id: comment.userId ?? null,
+          text: comment.text,
+          ...toCreatedAt(comment)
+        });
+      }
+    }
+    return rows;
+  }
+
   async saveAll(comments) {
-    // This would require clearing all and re-inserting
-    // For now, just invalidate cache - this method is mainly for migration
-    console.warn('saveAll not fully implemented for Supabase comments');
+    // Clearing a shared table is left to the server so it happens in one transaction
+    const { error } = await supabase.rpc('replace_tile_comments', { records: this._commentRows(comments) });
+
+    this._cache = null;
+    if (error) {
+      console.error('Error saving comments to Supabase:', error);
+      throw error;
+    }
+  }
+
+  async importComments(comments) {
+    const rows = this._commentRows(comments);
+    if (rows.length === 0) return;
+
+    const { error } = await supabase
+      .from('tile_comments')
+      .insert(rows, { defaultToNull: false }); // Unparseable timestamps fall back to the column default
+
     this._cache = null;
+    if (error) {
+      console.error('Error importing comments to Supabase:', error);
+      throw error;
+    }
   }
 
   invalidateCache() {
@@ -1,10 +1,16 @@
 import { IHistoryRepository } from '../interfaces.js';
 import { supabase } from '../../lib/supabase.js';
+import { toCreatedAt } from './timestamps.js';
+import { fetchAllRows } from './pagination.js';
 
 const MAX_HISTORY_ENTRIES = 50;
 
 /**
  * Supabase implementation of IHistoryRepository
+ *
+ * Tile edit diffs are stored in two nullable jsonb columns on `history`:
+ * `changes` (changed fields) and `snapshot` (the tile's data after the edit).
+ * They are only written for tile edits, so claim history works without them.
  */
 export class SupabaseHistoryRepository extends IHistoryRepository {
   constructor() {
@@ -15,24 +21,34 @@ export class SupabaseHistoryRepository extends IHistoryRepository {
   _rowToEntry(row) {
     return {
       timestamp: new Date(row.created_at).toLocaleString(),
+      createdAt: row.created_at,
       action: row.action,
       details: row.details,
       user: row.user_name,
+      userId: row.user_id,
       allianceName: row.alliance_name,
       allianceColor: row.alliance_color,
       tileId: row.tile_id,
-      day: row.day
+      day: row.day,
+      ...(row.changes && { changes: row.changes, snapshot: row.snapshot ?? null })
     };
   }
 
-  async getAll(limit) {
-    const queryLimit = limit || MAX_HISTORY_ENTRIES;
+  _tileEditColumns(entry) {
+    return entry.changes ? { changes: entry.changes, snapshot: entry.snapshot ?? null } : {};
+  }
 
-    const { data, error } = await supabase
+  async getAll(limit) {
+    const query = () => supabase
       .from('history')
       .select('*')
       .order('created_at', { ascending: false })
-      .limit(queryLimit);
+      .order('id', { ascending: false });
+
+    // Responses are capped at one page, so reading everything takes several requests
+    const { data, error } = limit === Infinity
+      ? await fetchAllRows(query)
+      : await query().limit(limit || MAX_HISTORY_ENTRIES);
 
     if (error) {
       console.error('Error loading history from Supabase:', error);
@@ -44,6 +60,22 @@ export class SupabaseHistoryRepository extends IHistoryRepository {
     return [...entries];
   }
 
+  async getForTile(tileId, limit) {
+    const { data, error } = await supabase
+      .from('history')
+      .select('*')
+      .eq('tile_id', tileId)
+      .order('created_at', { ascending: false })
+      .limit(limit || MAX_HISTORY_ENTRIES);
+
+    if (error) {
+      console.error('Error loading tile history from Supabase:', error);
+      return [];
+    }
+
+    return data.map(row => this._rowToEntry(row));
+  }
+
   async add(entry) {
     const { data: { user } } = await supabase.auth.getUser();
 
@@ -57,7 +89,8 @@ export class SupabaseHistoryRepository extends IHistoryRepository {
         alliance_name: entry.allianceName || null,
         alliance_color: entry.allianceColor || null,
         tile_id: entry.tileId || null,
-        day: entry.day || null
+        day: entry.day || null,
+        ...this._tileEditColumns(entry)
       });
 
     if (error) {
@@ -98,11 +131,46 @@ export class SupabaseHistoryRepository extends IHistoryRepository {
     this._cache = null;
   }
 
+  _entryRows(entries) {
+    // Entries are most recent first; insert oldest first
+    return [...entries].reverse().map(entry => ({
+      action: entry.action,
+      details: entry.details,
+      user_id: entry.userId ?? null,
+      user_name: entry.user || 'Unknown',
+      alliance_name: entry.allianceName || null,
+      alliance_color: entry.allianceColor || null,
+      tile_id: entry.tileId || null,
+      day: entry.day || null,
+      ...this._tileEditColumns(entry),
+      ...toCreatedAt(entry)
+    }));
+  }
+
   async saveAll(entries) {
-    // This would require clearing all and re-inserting
-    // For now, just invalidate cache - this method is mainly for migration
-    console.warn('saveAll not fully implemented for Supabase history');
+    // Clearing a shared table is left to the server so it happens in one transaction
+    const { error } = await supabase.rpc('replace_history', { records: this._entryRows(entries) });
+
+    this._cache = null;
+    if (error) {
+      console.error('Error saving history to Supabase:', error);
+      throw error;
+    }
+  }
+
+  async importEntries(entries) {
+    const rows = this._entryRows(entries);
+    if (rows.length === 0) return;
+
+    const { error } = await supabase
+      .from('history')
+      .insert(rows, { defaultToNull: false }); // Unparseable timestamps fall back to the column default
+
     this._cache = null;
+    if (error) {
+      console.error('Error importing history to Supabase:', error);
+      throw error;
+    }
   }
 
   invalidateCache() {
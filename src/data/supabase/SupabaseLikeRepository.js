@@ -1,5 +1,7 @@
 import { ILikeRepository } from '../interfaces.js';
 import { supabase } from '../../lib/supabase.js';
+import { toCreatedAt } from './timestamps.js';
+import { fetchAllRows } from './pagination.js';
 
 /**
  * Supabase implementation of ILikeRepository
@@ -16,15 +18,17 @@ export class SupabaseLikeRepository extends ILikeRepository {
       user: row.user_name,
       userId: row.user_id,
       type: row.vote_type,
-      timestamp: new Date(row.created_at).toLocaleString()
+      timestamp: new Date(row.created_at).toLocaleString(),
+      createdAt: row.created_at
     };
   }
 
   async getAll() {
-    const { data, error } = await supabase
+    const { data, error } = await fetchAllRows(() => supabase
       .from('tile_likes')
       .select('*')
-      .order('created_at', { ascending: false });
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false }));
 
     if (error) {
       console.error('Error loading likes from Supabase:', error);
@@ -151,6 +155,61 @@ export class SupabaseLikeRepository extends ILikeRepository {
     this._cache = null;
   }
 
+  _likeRow(tileId, like) {
+    return {
+      tile_id: tileId,
+      user_name: like.user,
+      user_id: like.userId,
+      vote_type: like.type,
+      ...toCreatedAt(like)
+    };
+  }
+
+  async saveAll(likes) {
+    const rows = [];
+    for (const [tileId, tileLikes] of likes) {
+      for (const like of tileLikes) {
+        rows.push(this._likeRow(tileId, like));
+      }
+    }
+
+    // Clearing a shared table is left to the server so it happens in one transaction
+    const { error } = await supabase.rpc('replace_tile_likes', { records: rows });
+
+    this._cache = null;
+    if (error) {
+      console.error('Error saving likes to Supabase:', error);
+      throw error;
+    }
+  }
+
+  async importVotes(likes) {
+    for (const [tileId, tileLikes] of likes) {
+      for (const like of tileLikes) {
+        // One vote per user and tile, so an imported vote replaces the voter's current one
+        const { data: existing } = await supabase
+          .from('tile_likes')
+          .select('id')
+          .eq('tile_id', tileId)
+          .eq('user_id', like.userId)
+          .maybeSingle();
+
+        const row = this._likeRow(tileId, like);
+        const { error } = existing
+          ? await supabase.from('tile_likes').update(row).eq('id', existing.id)
+          : await supabase.from('tile_likes').insert(row, { defaultToNull: false });
+
+        if (error) {
+          console.error('Error importing vote to Supabase:', error);
+          this._cache = null;
+          throw error;
+        }
+      }
+    }
+
+    this._cache = null;
+  }
+
   invalidateCache() {
     this._cache = null;
   }
@@ -0,0 +1,50 @@
+import { IMoveRepository } from '../interfaces.js';
+import { supabase } from '../../lib/supabase.js';
+
+/**
+ * Supabase implementation of IMoveRepository
+ */
+export class SupabaseMoveRepository extends IMoveRepository {
+  async getAllianceMoves(day) {
+    const { data, error } = await supabase.rpc('get_alliance_moves', { p_day: day });
+
+    if (error) {
+      console.error('Error loading moves info from Supabase:', error);
+      return null;
+    }
+
+    if (!data || data.error) {
+      return null;
+    }
+
+    return {
+      movesUsed: data.moves_used,
+      movesRemaining: data.moves_remaining,
+      maxMoves: data.max_moves,
+    };
+  }
+
+  async getUserMoves(day) {
+    const { data, error } = await supabase.rpc('get_user_moves', { p_day: day });
+
+    if (error) {
+      console.error('Error loading user moves from Supabase:', error);
+      return [];
+    }
+
+    return data || [];
+  }
+
+  async undoMove(moveId) {
+    const { data, error } = await supabase.rpc('undo_move', { p_move_id: moveId });
+
+    if (error) {
+      console.error('Error undoing move in Supabase:', error);
+      throw error;
+    }
+
+    if (data?.error) {
+      throw new Error(data.error);
+    }
+  }
+}
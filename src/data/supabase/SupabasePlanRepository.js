@@ -0,0 +1,88 @@
+import { IPlanRepository } from '../interfaces.js';
+import { supabase } from '../../lib/supabase.js';
+
+/**
+ * Supabase implementation of IPlanRepository
+ * Plans are stored per user in the `plans` table; row level security limits
+ * each user to their own rows.
+ */
+export class SupabasePlanRepository extends IPlanRepository {
+  _rowToPlan(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      notes: row.notes || '',
+      baseDay: row.base_day,
+      sequence: row.sequence || [],
+      alliances: row.alliances || [],
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+
+  async getAll() {
+    const { data, error } = await supabase
+      .from('plans')
+      .select('*')
+      .order('updated_at', { ascending: false });
+
+    if (error) {
+      console.error('Error loading plans from Supabase:', error);
+      return [];
+    }
+
+    return data.map(row => this._rowToPlan(row));
+  }
+
+  async get(planId) {
+    const { data, error } = await supabase
+      .from('plans')
+      .select('*')
+      .eq('id', planId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error loading plan from Supabase:', error);
+      return null;
+    }
+
+    return data ? this._rowToPlan(data) : null;
+  }
+
+  async save(plan) {
+    // user_id is left to the column default (auth.uid()) so it can't be overridden
+    const row = {
+      name: plan.name,
+      notes: plan.notes || '',
+      base_day: plan.baseDay,
+      sequence: plan.sequence,
+      alliances: plan.alliances,
+      updated_at: new Date().toISOString(),
+    };
+
+    const query = plan.id
+      ? supabase.from('plans').update(row).eq('id', plan.id)
+      : supabase.from('plans').insert(row);
+
+    const { data, error } = await query.select().single();
+
+    if (error) {
+      console.error('Error saving plan to Supabase:', error);
+      throw error;
+    }
+
+    return this._rowToPlan(data);
+  }
+
+  async delete(planId) {
+    const { error } = await supabase
+      .from('plans')
+      .delete()
+      .eq('id', planId);
+
+    if (error) {
+      console.error('Error deleting plan from Supabase:', error);
+      throw error;
+    }
+  }
+}
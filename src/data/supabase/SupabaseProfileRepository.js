@@ -0,0 +1,37 @@
+import { IProfileRepository } from '../interfaces.js';
+import { supabase } from '../../lib/supabase.js';
+
+/**
+ * Supabase implementation of IProfileRepository
+ */
+export class SupabaseProfileRepository extends IProfileRepository {
+  async get(userId) {
+    const { data, error } = await supabase
+      .from('user_profiles')
+      .select('*')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error loading profile from Supabase:', error);
+      return null;
+    }
+
+    return data;
+  }
+
+  async save(profile) {
+    const { data, error } = await supabase
+      .from('user_profiles')
+      .upsert(profile, { onConflict: 'id' })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error saving profile to Supabase:', error);
+      throw error;
+    }
+
+    return data;
+  }
+}
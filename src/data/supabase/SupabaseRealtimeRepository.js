@@ -0,0 +1,62 @@
+import { IRealtimeRepository } from '../interfaces.js';
+import { supabase } from '../../lib/supabase.js';
+
+/**
+ * Supabase implementation of IRealtimeRepository.
+ * Listens to Postgres changes on tile_claims, daily_moves and history; those
+ * tables must be in the `supabase_realtime` publication (see docs/ALLIANCE_SYSTEM_SPEC.md §8.4).
+ */
+export class SupabaseRealtimeRepository extends IRealtimeRepository {
+  constructor() {
+    super();
+    this._handlers = new Set();
+    this._channel = null;
+  }
+
+  _emit(event) {
+    for (const handler of [...this._handlers]) {
+      try {
+        handler(event);
+      } catch (error) {
+        console.error('Error in game event handler:', error);
+      }
+    }
+  }
+
+  _open() {
+    // DELETE payloads only carry the primary key, so fields may be missing
+    this._channel = supabase
+      .channel('game-changes')
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'tile_claims' }, ({ new: row, old }) => {
+        const changed = row?.tile_id !== undefined ? row : old;
+        this._emit({ type: 'claims', day: changed?.day, tileId: changed?.tile_id });
+      })
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'daily_moves' }, ({ new: row, old }) => {
+        const changed = row?.day !== undefined ? row : old;
+        this._emit({ type: 'moves', day: changed?.day, allianceId: changed?.alliance_id });
+      })
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'history' }, ({ new: row }) => {
+        this._emit({ type: 'history', day: row?.day ?? undefined, tileId: row?.tile_id ?? undefined });
+      })
+      .subscribe((status, error) => {
+        if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+          console.error('Realtime subscription failed:', status, error);
+        }
+      });
+  }
+
+  subscribe(handler) {
+    this._handlers.add(handler);
+    if (!this._channel) {
+      this._open();
+    }
+
+    return () => {
+      this._handlers.delete(handler);
+      if (this._handlers.size === 0 && this._channel) {
+        supabase.removeChannel(this._channel);
+        this._channel = null;
+      }
+    };
+  }
+}
@@ -2,3 +2,10 @@ export { SupabaseTileRepository } from './SupabaseTileRepository.js';
 export { SupabaseCommentRepository } from './SupabaseCommentRepository.js';
 export { SupabaseHistoryRepository } from './SupabaseHistoryRepository.js';
 export { SupabaseLikeRepository } from './SupabaseLikeRepository.js';
+export { SupabasePlanRepository } from './SupabasePlanRepository.js';
+export { SupabaseAnnotationRepository } from './SupabaseAnnotationRepository.js';
+export { SupabaseClaimRepository } from './SupabaseClaimRepository.js';
+export { SupabaseMoveRepository } from './SupabaseMoveRepository.js';
+export { SupabaseAllianceRepository } from './SupabaseAllianceRepository.js';
+export { SupabaseProfileRepository } from './SupabaseProfileRepository.js';
+export { SupabaseRealtimeRepository } from './SupabaseRealtimeRepository.js';
@@ -0,0 +1,25 @@
+/**
+ * Rows per request. Supabase caps responses at 1000 rows by default, so a
+ * larger page would silently come back short.
+ */
+export const PAGE_SIZE = 1000;
+
+/**
+ * Read every row a query matches, one page at a time with `.range()`.
+ * The query needs a stable order so pages don't overlap or skip rows.
+ * @param {() => Object} buildQuery - Returns a fresh, ordered query builder for each page
+ * @returns {Promise<{data: Object[]|null, error: Object|null}>}
+ */
+export async function fetchAllRows(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) {
+      return { data: null, error };
+    }
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) {
+      return { data: rows, error: null };
+    }
+  }
+}
@@ -0,0 +1,12 @@
+/**
+ * Work out a record's `created_at` column value. Prefers the record's ISO
+ * `createdAt`; older records only have a display timestamp (as produced by
+ * toLocaleString), which is parsed as a fallback. Returns an empty object
+ * when neither gives a time so the column default applies instead.
+ * @param {{createdAt?: string, timestamp?: string}} record
+ * @returns {{created_at?: string}}
+ */
+export function toCreatedAt(record) {
+  const time = Date.parse(record.createdAt ?? '') || Date.parse(record.timestamp ?? '');
+  return Number.isNaN(time) ? {} : { created_at: new Date(time).toISOString() };
+}
@@ -1,19 +1,48 @@
 import { createContext, useContext, useMemo } from 'react';
 import { MapEditorService } from '../services/MapEditorService.js';
+import { PlanLibraryService } from '../services/PlanLibraryService.js';
+import { OutboxService } from '../services/OutboxService.js';
+import { AnnotationService } from '../services/AnnotationService.js';
 import {
   LocalStorageTileRepository,
   LocalStorageCommentRepository,
   LocalStorageHistoryRepository,
   LocalStorageLikeRepository,
+  LocalStoragePlanRepository,
+  LocalStorageAnnotationRepository,
+  LocalStorageClaimRepository,
+  LocalStorageMoveRepository,
+  LocalStorageAllianceRepository,
+  LocalStorageProfileRepository,
+  LocalGameStore,
+  LocalEventBus,
+  LocalStorageOutboxRepository,
   FetchTileGeometryRepository
 } from '../data/localStorage/index.js';
+import {
+  IndexedDBDatabase,
+  IndexedDBTileRepository,
+  IndexedDBCommentRepository,
+  IndexedDBHistoryRepository,
+  IndexedDBLikeRepository,
+  isIndexedDBAvailable,
+  withLocalStorageFallback
+} from '../data/indexedDB/index.js';
 import {
   SupabaseTileRepository,
   SupabaseCommentRepository,
   SupabaseHistoryRepository,
-  SupabaseLikeRepository
+  SupabaseLikeRepository,
+  SupabasePlanRepository,
+  SupabaseAnnotationRepository,
+  SupabaseClaimRepository,
+  SupabaseMoveRepository,
+  SupabaseAllianceRepository,
+  SupabaseProfileRepository,
+  SupabaseRealtimeRepository
 } from '../data/supabase/index.js';
 import { isSupabaseConfigured } from '../lib/supabase.js';
+import { getActiveRuleset, getDayAt } from '../config/ruleset.js';
 
 /**
  * Context for dependency injection of services
@@ -21,16 +50,65 @@ import { isSupabaseConfigured } from '../lib/supabase.js';
 const ServiceContext = createContext(null);
 
 /**
- * Create repositories using localStorage implementation (fallback when Supabase not configured)
+ * Create the tile, comment, history and like repositories for local use.
+ * IndexedDB is preferred (per-record writes, no 5MB quota); localStorage is
+ * the fallback where IndexedDB is unavailable or its database won't open.
+ * @param {LocalEventBus} eventBus - Notified after history changes
  * @returns {Object} Repository instances
  */
-function createLocalRepositories() {
+function createLocalContentRepositories(eventBus) {
+  if (isIndexedDBAvailable()) {
+    const database = new IndexedDBDatabase();
+    return {
+      tileRepository: withLocalStorageFallback(database, new IndexedDBTileRepository(database), new LocalStorageTileRepository()),
+      commentRepository: withLocalStorageFallback(database, new IndexedDBCommentRepository(database), new LocalStorageCommentRepository()),
+      historyRepository: withLocalStorageFallback(database, new IndexedDBHistoryRepository(database, eventBus), new LocalStorageHistoryRepository(eventBus)),
+      likeRepository: withLocalStorageFallback(database, new IndexedDBLikeRepository(database), new LocalStorageLikeRepository()),
+    };
+  }
+
   return {
     tileRepository: new LocalStorageTileRepository(),
     commentRepository: new LocalStorageCommentRepository(),
-    historyRepository: new LocalStorageHistoryRepository(),
+    historyRepository: new LocalStorageHistoryRepository(eventBus),
     likeRepository: new LocalStorageLikeRepository(),
-    tileGeometryRepository: new FetchTileGeometryRepository()
+  };
+}
+
+/**
+ * Create repositories using local browser storage (fallback when Supabase not configured)
+ * @returns {Object} Repository instances
+ */
+function createLocalRepositories() {
+  // Stands in for Supabase realtime: local writes are published in-process
+  const eventBus = new LocalEventBus();
+  const { tileRepository, commentRepository, historyRepository, likeRepository } = createLocalContentRepositories(eventBus);
+  const tileGeometryRepository = new FetchTileGeometryRepository();
+  const ruleset = getActiveRuleset();
+
+  // Local game backend: claims, moves, alliances and profiles share one store
+  const gameStore = new LocalGameStore({
+    tileRepository,
+    tileGeometryRepository,
+    ruleset,
+    getCurrentDay: () => getDayAt(ruleset),
+    eventBus,
+  });
+
+  return {
+    tileRepository,
+    commentRepository,
+    historyRepository,
+    likeRepository,
+    planRepository: new LocalStoragePlanRepository(),
+    annotationRepository: new LocalStorageAnnotationRepository(),
+    tileGeometryRepository,
+    claimRepository: new LocalStorageClaimRepository(gameStore),
+    moveRepository: new LocalStorageMoveRepository(gameStore),
+    allianceRepository: new LocalStorageAllianceRepository(gameStore),
+    profileRepository: new LocalStorageProfileRepository(gameStore),
+    realtimeRepository: eventBus,
+    outboxRepository: new LocalStorageOutboxRepository()
   };
 }
 
@@ -44,7 +122,15 @@ function createSupabaseRepositories() {
     commentRepository: new SupabaseCommentRepository(),
     historyRepository: new SupabaseHistoryRepository(),
     likeRepository: new SupabaseLikeRepository(),
-    tileGeometryRepository: new FetchTileGeometryRepository()
+    planRepository: new SupabasePlanRepository(),
+    annotationRepository: new SupabaseAnnotationRepository(),
+    tileGeometryRepository: new FetchTileGeometryRepository(),
+    claimRepository: new SupabaseClaimRepository(),
+    moveRepository: new SupabaseMoveRepository(),
+    allianceRepository: new SupabaseAllianceRepository(),
+    profileRepository: new SupabaseProfileRepository(),
+    realtimeRepository: new SupabaseRealtimeRepository(),
+    outboxRepository: new LocalStorageOutboxRepository()
   };
 }
 
@@ -55,9 +141,28 @@ function createSupabaseRepositories() {
  */
 function createDefaultServices(repositories) {
   const repos = repositories || createLocalRepositories();
+  const ruleset = getActiveRuleset();
+  const mapEditorService = new MapEditorService(repos);
+  const annotationRepository = repos.annotationRepository || new LocalStorageAnnotationRepository();
 
   return {
-    mapEditorService: new MapEditorService(repos),
+    mapEditorService,
+    outboxService: new OutboxService({
+      outboxRepository: repos.outboxRepository || new LocalStorageOutboxRepository(),
+      mapEditorService,
+      claimRepository: repos.claimRepository || null,
+      getCurrentDay: () => getDayAt(ruleset),
+    }),
+    planLibraryService: new PlanLibraryService({ planRepository: repos.planRepository, annotationRepository }),
+    annotationService: new AnnotationService({ annotationRepository }),
+    gameRepositories: {
+      claimRepository: repos.claimRepository || null,
+      moveRepository: repos.moveRepository || null,
+      allianceRepository: repos.allianceRepository || null,
+      profileRepository: repos.profileRepository || null,
+      realtimeRepository: repos.realtimeRepository || null,
+    },
+    ruleset,
     // Add more services here as needed
   };
 }
@@ -116,6 +221,57 @@ export function useMapEditorService() {
   return mapEditorService;
 }
 
+/**
+ * Hook to access the PlanLibraryService
+ * @returns {PlanLibraryService}
+ */
+export function usePlanLibraryService() {
+  const { planLibraryService } = useServices();
+  return planLibraryService;
+}
+
+/**
+ * Hook to access the AnnotationService
+ * @returns {AnnotationService}
+ */
+export function useAnnotationService() {
+  const { annotationService } = useServices();
+  return annotationService;
+}
+
+/**
+ * Hook to access the game layer repositories (claims, moves, alliances, profiles, live updates)
+ * @returns {{
+ *   claimRepository: import('../data/interfaces.js').IClaimRepository|null,
+ *   moveRepository: import('../data/interfaces.js').IMoveRepository|null,
+ *   allianceRepository: import('../data/interfaces.js').IAllianceRepository|null,
+ *   profileRepository: import('../data/interfaces.js').IProfileRepository|null,
+ *   realtimeRepository: import('../data/interfaces.js').IRealtimeRepository|null
+ * }}
+ */
+export function useGameRepositories() {
+  const { gameRepositories } = useServices();
+  return gameRepositories;
+}
+
+/**
+ * Hook to access the OutboxService (offline write queue)
+ * @returns {OutboxService}
+ */
+export function useOutboxService() {
+  const { outboxService } = useServices();
+  return outboxService;
+}
+
+/**
+ * Hook to access the active season ruleset
+ * @returns {import('../config/ruleset.js').Ruleset}
+ */
+export function useRuleset() {
+  const { ruleset } = useServices();
+  return ruleset;
+}
+
 /**
  * Factory function to create a complete DI container
  * Useful for testing or custom configurations
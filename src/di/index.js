@@ -2,5 +2,10 @@ export {
   ServiceProvider,
   useServices,
   useMapEditorService,
+  usePlanLibraryService,
+  useAnnotationService,
+  useGameRepositories,
+  useOutboxService,
+  useRuleset,
   createDIContainer
 } from './ServiceContext.jsx';
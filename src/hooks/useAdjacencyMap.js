@@ -0,0 +1,14 @@
+import { useMemo } from 'react';
+import { buildAdjacencyMap } from '../utils/adjacencyUtils.js';
+
+/**
+ * Build the tile adjacency map once per geometry load
+ * @param {import('../data/interfaces.js').TileGeometry|null} tileGeometry
+ * @returns {Map<number, Set<number>>|null}
+ */
+export function useAdjacencyMap(tileGeometry) {
+  return useMemo(() => {
+    if (!tileGeometry) return null;
+    return buildAdjacencyMap(tileGeometry.tiles);
+  }, [tileGeometry]);
+}
@@ -0,0 +1,159 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAnnotationService } from '../di/index.js';
+import { useAlliance } from '../contexts/AllianceContext';
+import { useProfile } from '../contexts/ProfileContext';
+import { usePlanner } from '../contexts/PlannerContext';
+import { useTimeline } from '../contexts/TimelineContext';
+
+export const ANNOTATION_COLORS = ['#ed4245', '#fee75c', '#57f287', '#5865f2', '#ffffff'];
+
+/**
+ * The alliance's tactical annotations for what is on screen, and the tool
+ * used to draw new ones. Annotations belong to the active saved plan while
+ * one is open in planner mode, otherwise to the selected day.
+ *
+ * Drawing: arrow tool - click the start tile, then the target tile (click the
+ * start tile again to cancel); rally tool - click a tile; text tool - type the
+ * note, then click where it goes. Zones are made from the multi-tile selection.
+ *
+ * @param {Object} params
+ * @param {boolean} params.enabled - Load annotations (the layer is shown)
+ */
+export function useAnnotations({ enabled }) {
+  const annotationService = useAnnotationService();
+  const { alliance } = useAlliance();
+  const { displayName } = useProfile();
+  const { isPlannerMode, activePlanId, savedPlans } = usePlanner();
+  const { selectedDay } = useTimeline();
+
+  const [annotations, setAnnotations] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [tool, setTool] = useState(null); // null | 'arrow' | 'rally' | 'text'
+  const [color, setColor] = useState(ANNOTATION_COLORS[0]);
+  const [draftText, setDraftText] = useState('');
+  const [arrowFromTileId, setArrowFromTileId] = useState(null);
+
+  const allianceId = alliance?.id ?? null;
+  const planId = isPlannerMode ? activePlanId : null;
+  const isActive = enabled && !!allianceId;
+
+  const scopeLabel = planId
+    ? `Plan: ${savedPlans.find(plan => plan.id === planId)?.name || 'untitled'}`
+    : `Day ${selectedDay}`;
+
+  useEffect(() => {
+    if (!isActive) {
+      setAnnotations([]);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    annotationService.listAnnotations(allianceId, planId ? { planId } : { day: selectedDay })
+      .then((loaded) => {
+        if (!cancelled) setAnnotations(loaded);
+      })
+      .catch((error) => {
+        console.error('Error loading annotations:', error);
+        if (!cancelled) setAnnotations([]);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isActive, annotationService, allianceId, planId, selectedDay]);
+
+  // A half-drawn arrow doesn't survive switching tools or what is on screen
+  useEffect(() => {
+    setArrowFromTileId(null);
+  }, [tool, planId, selectedDay]);
+
+  useEffect(() => {
+    if (!isActive) setTool(null);
+  }, [isActive]);
+
+  const addAnnotation = useCallback(async ({ type, tileIds, position, text = draftText }) => {
+    try {
+      const annotation = await annotationService.addAnnotation({
+        allianceId,
+        scope: planId ? { planId } : { day: selectedDay },
+        type,
+        tileIds,
+        position,
+        text,
+        color,
+        createdBy: displayName,
+      });
+      setAnnotations(prev => [...prev, annotation]);
+      setDraftText('');
+      return { success: true, annotation };
+    } catch (error) {
+      console.error('Error adding annotation:', error);
+      return { success: false, error: error.message };
+    }
+  }, [annotationService, allianceId, planId, selectedDay, color, displayName, draftText]);
+
+  const removeAnnotation = useCallback(async (annotationId) => {
+    try {
+      await annotationService.deleteAnnotation(annotationId);
+      setAnnotations(prev => prev.filter(a => a.id !== annotationId));
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting annotation:', error);
+      return { success: false, error: error.message };
+    }
+  }, [annotationService]);
+
+  /**
+   * Place the active tool at a map click
+   * @param {{tileId: number|null, point: {x: number, y: number}}} click
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  const placeAt = useCallback(async ({ tileId, point }) => {
+    if (tool === 'text') {
+      return addAnnotation({ type: 'text', position: point });
+    }
+    if (tileId === null) return { success: true };
+
+    if (tool === 'rally') {
+      return addAnnotation({ type: 'rally', tileIds: [tileId] });
+    }
+    if (tool === 'arrow') {
+      if (arrowFromTileId === null) {
+        setArrowFromTileId(tileId);
+        return { success: true };
+      }
+      setArrowFromTileId(null);
+      if (arrowFromTileId === tileId) return { success: true };
+      return addAnnotation({ type: 'arrow', tileIds: [arrowFromTileId, tileId] });
+    }
+    return { success: true };
+  }, [tool, arrowFromTileId, addAnnotation]);
+
+  /**
+   * Highlight a set of tiles as a zone
+   * @param {Iterable<number>} tileIds
+   */
+  const addZone = useCallback((tileIds) => addAnnotation({ type: 'zone', tileIds: [...tileIds] }), [addAnnotation]);
+
+  return {
+    canAnnotate: !!allianceId,
+    isActive,
+    scopeLabel,
+    annotations,
+    loading,
+    tool,
+    setTool,
+    color,
+    setColor,
+    draftText,
+    setDraftText,
+    arrowFromTileId,
+    placeAt,
+    addZone,
+    removeAnnotation,
+  };
+}
@@ -0,0 +1,98 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { useRuleset } from '../di/index.js';
+import { usePlanStartState } from './usePlanStartState.js';
+
+/**
+ * Run the expansion optimizer in a Web Worker for the planning alliance,
+ * starting from where the current plan leaves off
+ *
+ * @param {Object} params
+ * @param {Map<number, import('../data/interfaces.js').TileData>} params.tiles - Tile data (numbers)
+ * @param {Map<number, Set<number>>|null} params.adjacencyMap
+ * @returns {{
+ *   runAutoPlan: (options: {days: number, weights: Object}) => void,
+ *   cancelAutoPlan: () => void,
+ *   clearAutoPlan: () => void,
+ *   isRunning: boolean,
+ *   progress: number,
+ *   result: Object|null,
+ *   error: string|null
+ * }}
+ */
+export function useAutoPlan({ tiles, adjacencyMap }) {
+  const { allianceId, claims, movesRemaining } = usePlanStartState();
+  const ruleset = useRuleset();
+  const workerRef = useRef(null);
+
+  const [isRunning, setIsRunning] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const stopWorker = useCallback(() => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+  }, []);
+
+  // Don't leave a search running after the planner unmounts
+  useEffect(() => stopWorker, [stopWorker]);
+
+  const runAutoPlan = useCallback(({ days, weights }) => {
+    if (!allianceId || !adjacencyMap) return;
+
+    stopWorker();
+    const worker = new Worker(new URL('../workers/autoPlan.worker.js', import.meta.url), { type: 'module' });
+    workerRef.current = worker;
+
+    setIsRunning(true);
+    setProgress(0);
+    setResult(null);
+    setError(null);
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+      if (message.type === 'progress') {
+        setProgress(message.progress);
+        return;
+      }
+      if (message.type === 'result') {
+        setResult(message.result);
+      } else {
+        setError(message.error);
+      }
+      setIsRunning(false);
+      stopWorker();
+    };
+
+    worker.onerror = (event) => {
+      console.error('Auto-plan worker error:', event);
+      setError(event.message || 'Auto-plan failed');
+      setIsRunning(false);
+      stopWorker();
+    };
+
+    worker.postMessage({
+      allianceId,
+      tileClaims: claims,
+      allTileData: tiles,
+      adjacencyMap,
+      tileIds: [...adjacencyMap.keys()],
+      days,
+      movesRemaining,
+      ruleset: { ...ruleset },
+      weights,
+    });
+  }, [allianceId, adjacencyMap, claims, tiles, movesRemaining, ruleset, stopWorker]);
+
+  const cancelAutoPlan = useCallback(() => {
+    stopWorker();
+    setIsRunning(false);
+  }, [stopWorker]);
+
+  const clearAutoPlan = useCallback(() => {
+    setResult(null);
+    setError(null);
+  }, []);
+
+  return { runAutoPlan, cancelAutoPlan, clearAutoPlan, isRunning, progress, result, error };
+}
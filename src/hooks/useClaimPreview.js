@@ -0,0 +1,48 @@
+import { useMemo } from 'react';
+import { useGameState } from '../contexts/GameStateContext';
+import { useAlliance } from '../contexts/AllianceContext';
+import { useTimeline } from '../contexts/TimelineContext';
+import { useRuleset } from '../di/index.js';
+import { evaluateClaims } from '../utils/claimRulesEngine.js';
+
+/**
+ * Compute which tiles the user's alliance can legally claim right now.
+ * Runs the same rules the claim_tile RPC enforces, client-side, from the
+ * loaded tile claims and moves info.
+ *
+ * @param {Object} params
+ * @param {import('../data/interfaces.js').TileGeometry|null} params.tileGeometry
+ * @param {Map<number, import('../data/interfaces.js').TileData>} params.tiles - Tile data (numbers)
+ * @param {Map<number, Set<number>>|null} params.adjacencyMap
+ * @param {boolean} params.enabled - Whether the preview is switched on
+ * @returns {Map<number, {valid: boolean, error: string|null, rule: string|null}>|null}
+ */
+export function useClaimPreview({ tileGeometry, tiles, adjacencyMap, enabled }) {
+  const { tileClaims, movesInfo } = useGameState();
+  const { alliance, isAdmin } = useAlliance();
+  const { isViewingCurrentDay } = useTimeline();
+  const ruleset = useRuleset();
+
+  return useMemo(() => {
+    // Admins bypass the rules, and past days can't be claimed on anyway
+    if (!enabled || !alliance || isAdmin || !isViewingCurrentDay) return null;
+    if (!tileGeometry || !adjacencyMap) return null;
+
+    const ownedTileIds = new Set();
+    tileClaims.forEach((claim, tileId) => {
+      if (claim.allianceId === alliance.id) {
+        ownedTileIds.add(tileId);
+      }
+    });
+
+    return evaluateClaims({
+      ownedTileIds,
+      allTiles: tileGeometry.tiles,
+      allTileData: tiles,
+      tileClaims,
+      adjacencyMap,
+      movesRemaining: movesInfo.movesRemaining,
+      ruleset,
+    });
+  }, [enabled, alliance, isAdmin, isViewingCurrentDay, tileGeometry, adjacencyMap, tileClaims, tiles, movesInfo, ruleset]);
+}
@@ -0,0 +1,65 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useGameState } from '../contexts/GameStateContext';
+import { useTimeline } from '../contexts/TimelineContext';
+import { diffMapStates, groupChangesByAlliance } from '../utils/mapStateDiff.js';
+
+/**
+ * Changes on the map between an earlier day and the selected day
+ *
+ * @param {'previous'|number|null} since - 'previous' follows the day before the
+ *   selected one as it changes; a number pins the base day; null turns the diff off
+ * @returns {{baseDay: number, changes: Map<number, import('../utils/mapStateDiff.js').TileChange>, groups: Array, loading: boolean, error: string|null}|null}
+ *   null when off or when there is no earlier day to compare with
+ */
+export function useDayChanges(since) {
+  const { tileClaims, loading: mapLoading, fetchMapState } = useGameState();
+  const { selectedDay } = useTimeline();
+  const [baseClaims, setBaseClaims] = useState(null); // {day, claims}
+  const [error, setError] = useState(null);
+
+  const baseDay = since === null
+    ? null
+    : since === 'previous' ? selectedDay - 1 : Math.min(since, selectedDay - 1);
+  const isActive = baseDay !== null && baseDay >= 1;
+
+  useEffect(() => {
+    setError(null);
+    if (!isActive) {
+      setBaseClaims(null);
+      return;
+    }
+
+    let cancelled = false;
+    fetchMapState(baseDay).then((result) => {
+      if (cancelled) return;
+      if (result.success) {
+        setBaseClaims({ day: baseDay, claims: result.claims });
+      } else {
+        setBaseClaims(null);
+        setError(result.error || `Failed to load day ${baseDay}`);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isActive, baseDay, fetchMapState]);
+
+  const isLoaded = baseClaims?.day === baseDay && !mapLoading;
+
+  const changes = useMemo(
+    () => (isLoaded ? diffMapStates(baseClaims.claims, tileClaims) : new Map()),
+    [isLoaded, baseClaims, tileClaims]
+  );
+  const groups = useMemo(() => groupChangesByAlliance(changes), [changes]);
+
+  if (!isActive) return null;
+
+  return {
+    baseDay,
+    changes,
+    groups,
+    loading: !isLoaded && !error,
+    error,
+  };
+}
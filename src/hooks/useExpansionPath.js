@@ -0,0 +1,32 @@
+import { useCallback } from 'react';
+import { useRuleset } from '../di/index.js';
+import { usePlanStartState } from './usePlanStartState.js';
+import { findExpansionPath } from '../utils/expansionPathFinder.js';
+
+/**
+ * Find the shortest legal path for the planning alliance to a target tile,
+ * starting from where the current plan leaves off
+ *
+ * @param {Object} params
+ * @param {Map<number, import('../data/interfaces.js').TileData>} params.tiles - Tile data (numbers)
+ * @param {Map<number, Set<number>>|null} params.adjacencyMap
+ * @returns {(targetTileId: number) => ReturnType<typeof findExpansionPath>|null} Finder, null result when planning isn't possible
+ */
+export function useExpansionPath({ tiles, adjacencyMap }) {
+  const { allianceId, claims, movesRemaining } = usePlanStartState();
+  const ruleset = useRuleset();
+
+  return useCallback((targetTileId) => {
+    if (!allianceId || !adjacencyMap) return null;
+
+    return findExpansionPath({
+      targetTileId,
+      allianceId,
+      tileClaims: claims,
+      allTileData: tiles,
+      adjacencyMap,
+      movesRemaining,
+      ruleset,
+    });
+  }, [allianceId, adjacencyMap, claims, tiles, movesRemaining, ruleset]);
+}
@@ -1,11 +1,14 @@
-import { useState, useCallback, useEffect } from 'react';
-import { useMapEditorService } from '../di/index.js';
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { useMapEditorService, useGameRepositories, useOutboxService } from '../di/index.js';
+import { CommandStack } from '../services/CommandStack.js';
 import { DEFAULT_TILE_DATA } from '../data/interfaces.js';
 import { useAuth } from '../contexts/AuthContext.jsx';
 import { useProfile } from '../contexts/ProfileContext.jsx';
 
 export function useMapEditor() {
   const mapEditorService = useMapEditorService();
+  const { realtimeRepository } = useGameRepositories();
+  const outboxService = useOutboxService();
   const { user } = useAuth();
   const { displayName } = useProfile();
 
@@ -22,11 +25,31 @@ export function useMapEditor() {
 
   // Selection state
   const [selectedTile, setSelectedTile] = useState(null);
+  // Multi-selection; only populated while more than one tile is selected
+  const [selectedTileIds, setSelectedTileIds] = useState(() => new Set());
 
   // UI state
   const [activeTab, setActiveTab] = useState('moves');
   const [tileFilter, setTileFilter] = useState('');
 
+  // Undo/redo for this session's edits
+  const [commandStack] = useState(() => new CommandStack());
+  const [undoState, setUndoState] = useState({ canUndo: false, canRedo: false, undoLabel: null, redoLabel: null });
+
+  useEffect(() => {
+    return commandStack.subscribe(() => {
+      setUndoState({
+        canUndo: commandStack.canUndo,
+        canRedo: commandStack.canRedo,
+        undoLabel: commandStack.undoLabel,
+        redoLabel: commandStack.redoLabel
+      });
+    });
+  }, [commandStack]);
+
+  // Recorded commands run later, so they go through the latest actions rather than stale closures
+  const latest = useRef({});
+
   // Load initial data from persistence layer
   useEffect(() => {
     async function loadInitialData() {
@@ -57,13 +80,58 @@ export function useMapEditor() {
     loadInitialData();
   }, [mapEditorService]);
 
+  // Keep the history panel live as anyone claims, clears or edits
+  useEffect(() => {
+    if (!realtimeRepository) return;
+
+    let timer = null;
+    const unsubscribe = realtimeRepository.subscribe((event) => {
+      if (event.type !== 'history') return;
+      clearTimeout(timer);
+      timer = setTimeout(async () => {
+        setHistory(await mapEditorService.getHistory());
+      }, 250);
+    });
+
+    return () => {
+      clearTimeout(timer);
+      unsubscribe();
+    };
+  }, [realtimeRepository, mapEditorService]);
+
+  // Reload tiles, comments, likes and history (e.g. after a workspace import)
+  const reloadWorkspace = useCallback(async () => {
+    const [tilesData, commentsData, likesData, historyData] = await Promise.all([
+      mapEditorService.getAllTiles(),
+      mapEditorService.getAllComments(),
+      mapEditorService.getAllLikes(),
+      mapEditorService.getHistory()
+    ]);
+
+    setTiles(tilesData);
+    setComments(commentsData);
+    setLikes(likesData);
+    setHistory(historyData);
+  }, [mapEditorService]);
+
+  // Pick up queued edits, comments and votes once the outbox has sent them
+  useEffect(() => {
+    return outboxService.subscribe((event) => {
+      if (event.type === 'replayed' && !['claim', 'clear'].includes(event.entry.type)) {
+        reloadWorkspace();
+      }
+    });
+  }, [outboxService, reloadWorkspace]);
+
   // Get tile data by ID
   const getTileData = useCallback((tileId) => {
     return tiles.get(tileId) || { ...DEFAULT_TILE_DATA };
   }, [tiles]);
 
   // Set tile data (persists to storage)
-  const setTileData = useCallback(async (tileId, data) => {
+  // Pass revertOf (a version's timestamp) when restoring a previous version,
+  // and the undo scope when called from an undo, redo or batch
+  const setTileData = useCallback(async (tileId, data, { revertOf, scope } = {}) => {
     const oldData = tiles.get(tileId) || { ...DEFAULT_TILE_DATA };
 
     // Optimistic update
@@ -74,12 +142,24 @@ export function useMapEditor() {
     });
 
     try {
-      // Persist to storage
-      await mapEditorService.saveTileData(tileId, data, oldData);
+      // Persist to storage (queued while offline)
+      const payload = revertOf ? { tileId, data, oldData, revertOf } : { tileId, data, oldData };
+      const { queued } = await outboxService.submit('tileEdit', payload);
 
       // Refresh history from storage
-      const updatedHistory = await mapEditorService.getHistory();
-      setHistory(updatedHistory);
+      if (!queued) {
+        const updatedHistory = await mapEditorService.getHistory();
+        setHistory(updatedHistory);
+      }
+
+      const before = tiles.has(tileId) ? oldData : null;
+      const after = { ...data };
+      commandStack.record({
+        label: `${revertOf ? 'Revert' : 'Edit'} tile L${tileId}`,
+        undo: (applyScope) => latest.current.applyTileVersion(tileId, before, applyScope),
+        redo: (applyScope) => latest.current.applyTileVersion(tileId, after, applyScope)
+      }, scope);
+      return { success: true, queued };
     } catch (error) {
       console.error('Error saving tile data:', error);
       // Rollback on error
@@ -92,13 +172,14 @@ export function useMapEditor() {
         }
         return newTiles;
       });
+      return { success: false, error: error.message };
     }
-  }, [tiles, mapEditorService]);
+  }, [tiles, mapEditorService, outboxService, commandStack]);
 
   // Clear tile data (persists to storage)
-  const clearTileData = useCallback(async (tileId) => {
+  const clearTileData = useCallback(async (tileId, { revertOf, scope } = {}) => {
     const oldData = tiles.get(tileId);
-    if (!oldData) return;
+    if (!oldData) return { success: true, queued: false };
 
     // Optimistic update
     setTiles(prev => {
@@ -108,12 +189,22 @@ export function useMapEditor() {
     });
 
     try {
-      // Persist to storage
-      await mapEditorService.clearTileData(tileId);
+      // Persist to storage (queued while offline)
+      const payload = revertOf ? { tileId, oldData, revertOf } : { tileId, oldData };
+      const { queued } = await outboxService.submit('tileClear', payload);
 
       // Refresh history from storage
-      const updatedHistory = await mapEditorService.getHistory();
-      setHistory(updatedHistory);
+      if (!queued) {
+        const updatedHistory = await mapEditorService.getHistory();
+        setHistory(updatedHistory);
+      }
+
+      commandStack.record({
+        label: `Clear tile L${tileId}`,
+        undo: (applyScope) => latest.current.applyTileVersion(tileId, oldData, applyScope),
+        redo: (applyScope) => latest.current.applyTileVersion(tileId, null, applyScope)
+      }, scope);
+      return { success: true, queued };
     } catch (error) {
       console.error('Error clearing tile data:', error);
       // Rollback on error
@@ -124,17 +215,33 @@ export function useMapEditor() {
           return newTiles;
         });
       }
+      return { success: false, error: error.message };
     }
-  }, [tiles, mapEditorService]);
+  }, [tiles, mapEditorService, outboxService, commandStack]);
+
+  // Get a tile's recorded versions, most recent first
+  const getTileVersions = useCallback(async (tileId) => {
+    return mapEditorService.getTileVersions(tileId);
+  }, [mapEditorService]);
+
+  // Restore a tile to one of its recorded versions; the revert is itself recorded in history
+  const revertTile = useCallback(async (tileId, version) => {
+    if (version.snapshot) {
+      return setTileData(tileId, version.snapshot, { revertOf: version.timestamp });
+    }
+    return clearTileData(tileId, { revertOf: version.timestamp });
+  }, [setTileData, clearTileData]);
 
   // Add comment to tile (persists to storage)
-  const addComment = useCallback(async (tileId, text) => {
-    if (!text.trim()) return;
+  const addComment = useCallback(async (tileId, text, { scope } = {}) => {
+    if (!text.trim()) return { success: false, error: 'Comment is empty' };
 
+    const now = new Date();
     const comment = {
       user: currentUser,
       text: text.trim(),
-      timestamp: new Date().toLocaleString()
+      timestamp: now.toLocaleString(),
+      createdAt: now.toISOString()
     };
 
     // Optimistic update
@@ -146,8 +253,18 @@ export function useMapEditor() {
     });
 
     try {
-      // Persist to storage
-      await mapEditorService.addComment(tileId, text, currentUser);
+      // Persist to storage (queued while offline)
+      const { queued } = await outboxService.submit('comment', { tileId, text, user: currentUser });
+
+      // A queued comment isn't stored yet, so there is nothing to delete on undo
+      if (!queued) {
+        commandStack.record({
+          label: `Add comment on tile L${tileId}`,
+          undo: () => latest.current.removeComment(tileId, comment),
+          redo: () => latest.current.restoreComment(tileId, comment)
+        }, scope);
+      }
+      return { success: true, queued };
     } catch (error) {
       console.error('Error adding comment:', error);
       // Rollback on error
@@ -157,8 +274,70 @@ export function useMapEditor() {
         newComments.set(tileId, tileComments.slice(0, -1));
         return newComments;
       });
+      return { success: false, error: error.message };
+    }
+  }, [currentUser, outboxService, commandStack]);
+
+  // Delete a comment from a tile (persists to storage)
+  const deleteComment = useCallback(async (tileId, commentIndex) => {
+    const tileComments = comments.get(tileId) || [];
+    const comment = tileComments[commentIndex];
+    if (!comment) return { success: false, error: 'Comment not found' };
+
+    // Optimistic update
+    setComments(prev => {
+      const newComments = new Map(prev);
+      newComments.set(tileId, (newComments.get(tileId) || []).filter((_, index) => index !== commentIndex));
+      return newComments;
+    });
+
+    try {
+      await mapEditorService.deleteComment(tileId, commentIndex);
+
+      commandStack.record({
+        label: `Delete comment on tile L${tileId}`,
+        undo: () => latest.current.restoreComment(tileId, comment),
+        redo: () => latest.current.removeComment(tileId, comment)
+      });
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      // Rollback on error
+      setComments(prev => {
+        const newComments = new Map(prev);
+        newComments.set(tileId, tileComments);
+        return newComments;
+      });
+      return { success: false, error: error.message };
+    }
+  }, [comments, mapEditorService, commandStack]);
+
+  // Put a deleted comment back (used by undo/redo)
+  const restoreComment = useCallback(async (tileId, comment) => {
+    await mapEditorService.restoreComment(tileId, comment);
+    setComments(prev => {
+      const newComments = new Map(prev);
+      newComments.set(tileId, [...(newComments.get(tileId) || []), comment]);
+      return newComments;
+    });
+  }, [mapEditorService]);
+
+  // Delete the latest comment matching this one's author and text (used by undo/redo)
+  const removeComment = useCallback(async (tileId, comment) => {
+    const tileComments = comments.get(tileId) || [];
+    let index = tileComments.length - 1;
+    while (index >= 0 && (tileComments[index].user !== comment.user || tileComments[index].text !== comment.text)) {
+      index--;
+    }
+    if (index < 0) {
+      throw new Error('The comment no longer exists');
     }
-  }, [currentUser, mapEditorService]);
+
+    const result = await deleteComment(tileId, index);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+  }, [comments, deleteComment]);
 
   // Get comments for tile
   const getComments = useCallback((tileId) => {
@@ -212,7 +391,7 @@ export function useMapEditor() {
       });
 
       try {
-        await mapEditorService.removeVote(tileId, user.id);
+        await outboxService.submit('removeVote', { tileId, userId: user.id });
       } catch (error) {
         console.error('Error removing vote:', error);
         // Refresh likes on error
@@ -221,12 +400,14 @@ export function useMapEditor() {
       }
     } else {
       // Add or change vote
+      const now = new Date();
       const newLike = {
-        id: `temp-${Date.now()}`,
+        id: `temp-${now.getTime()}`,
         user: currentUser,
         userId: user.id,
         type,
-        timestamp: new Date().toLocaleString()
+        timestamp: now.toLocaleString(),
+        createdAt: now.toISOString()
       };
 
       // Optimistic update
@@ -247,7 +428,7 @@ export function useMapEditor() {
       });
 
       try {
-        await mapEditorService.vote(tileId, type, currentUser, user.id);
+        await outboxService.submit('vote', { tileId, type, user: currentUser, userId: user.id });
       } catch (error) {
         console.error('Error voting:', error);
         // Refresh likes on error
@@ -255,7 +436,7 @@ export function useMapEditor() {
         setLikes(updatedLikes);
       }
     }
-  }, [user, currentUser, mapEditorService, getLikeSummary]);
+  }, [user, currentUser, mapEditorService, outboxService, getLikeSummary]);
 
   // Get filtered and sorted labeled tiles
   const getLabeledTiles = useCallback(() => {
@@ -265,10 +446,55 @@ export function useMapEditor() {
   // Select a tile
   const selectTile = useCallback((tileInfo) => {
     setSelectedTile(tileInfo);
+    setSelectedTileIds(new Set());
+  }, []);
+
+  // Apply a selection: one tile becomes the single selection, several become a multi-selection
+  const applySelection = useCallback((tileIds) => {
+    if (tileIds.size > 1) {
+      setSelectedTile(null);
+      setSelectedTileIds(tileIds);
+      return;
+    }
+
+    const [tileId] = tileIds;
+    setSelectedTile(tileId !== undefined ? tileGeometry?.tiles.find(t => t.id === tileId) || null : null);
+    setSelectedTileIds(new Set());
+  }, [tileGeometry]);
+
+  // Tiles currently selected, whether one or many
+  const getSelectedTileIds = useCallback(() => {
+    if (selectedTileIds.size > 0) return new Set(selectedTileIds);
+    return new Set(selectedTile ? [selectedTile.id] : []);
+  }, [selectedTile, selectedTileIds]);
+
+  // Add a tile to the selection, or remove it if already selected (shift/ctrl-click)
+  const toggleTileSelection = useCallback((tileInfo) => {
+    const tileIds = getSelectedTileIds();
+    if (tileIds.has(tileInfo.id)) {
+      tileIds.delete(tileInfo.id);
+    } else {
+      tileIds.add(tileInfo.id);
+    }
+    applySelection(tileIds);
+  }, [getSelectedTileIds, applySelection]);
+
+  // Select the tiles inside a box or lasso, optionally adding to the current selection
+  const selectTiles = useCallback((tileIds, { additive = false } = {}) => {
+    const selection = additive ? getSelectedTileIds() : new Set();
+    for (const tileId of tileIds) {
+      selection.add(tileId);
+    }
+    applySelection(selection);
+  }, [getSelectedTileIds, applySelection]);
+
+  // Drop the multi-selection
+  const clearTileSelection = useCallback(() => {
+    setSelectedTileIds(new Set());
   }, []);
 
   // Move label offset (persists to storage, no history entry)
-  const moveLabelOffset = useCallback(async (tileId, newOffset) => {
+  const moveLabelOffset = useCallback(async (tileId, newOffset, { scope } = {}) => {
     const oldData = tiles.get(tileId) || { ...DEFAULT_TILE_DATA };
     const newData = { ...oldData, labelOffset: newOffset };
 
@@ -280,8 +506,16 @@ export function useMapEditor() {
     });
 
     try {
-      // Persist to storage (silent save, no history)
-      await mapEditorService.saveTileDataSilent(tileId, newData);
+      // Persist to storage (silent save, no history; queued while offline)
+      const { queued } = await outboxService.submit('labelMove', { tileId, labelOffset: newOffset });
+
+      const oldOffset = oldData.labelOffset ?? null;
+      commandStack.record({
+        label: `Move label on tile L${tileId}`,
+        undo: (applyScope) => latest.current.applyLabelOffset(tileId, oldOffset, applyScope),
+        redo: (applyScope) => latest.current.applyLabelOffset(tileId, newOffset, applyScope)
+      }, scope);
+      return { success: true, queued };
     } catch (error) {
       console.error('Error saving label offset:', error);
       // Rollback on error
@@ -290,8 +524,91 @@ export function useMapEditor() {
         newTiles.set(tileId, oldData);
         return newTiles;
       });
+      return { success: false, error: error.message };
+    }
+  }, [tiles, outboxService, commandStack]);
+
+  // Apply a recorded tile state for undo/redo; null means the tile had no data
+  latest.current = {
+    applyTileVersion: async (tileId, data, scope) => {
+      const result = data ? await setTileData(tileId, data, { scope }) : await clearTileData(tileId, { scope });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+    },
+    applyLabelOffset: async (tileId, offset, scope) => {
+      const result = await moveLabelOffset(tileId, offset, { scope });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+    },
+    restoreComment,
+    removeComment
+  };
+
+  // Group several edits (e.g. a multi-tile operation) into one undo step;
+  // fn receives the batch's scope and passes it to each edit
+  const batchEdits = useCallback((label, fn, scope) => {
+    return commandStack.batch(label, fn, scope);
+  }, [commandStack]);
+
+  // Reverse the latest edit
+  const undo = useCallback(async () => {
+    try {
+      const label = await commandStack.undo();
+      return { success: true, label };
+    } catch (error) {
+      console.error('Error undoing edit:', error);
+      return { success: false, error: error.message };
     }
-  }, [tiles, mapEditorService]);
+  }, [commandStack]);
+
+  // Reapply the latest undone edit
+  const redo = useCallback(async () => {
+    try {
+      const label = await commandStack.redo();
+      return { success: true, label };
+    } catch (error) {
+      console.error('Error redoing edit:', error);
+      return { success: false, error: error.message };
+    }
+  }, [commandStack]);
+
+  // Apply the same field changes (e.g. icon, color, name) to several tiles as one undo step
+  const updateTiles = useCallback((tileIds, changes) => {
+    const ids = [...tileIds];
+    return batchEdits(`Edit ${ids.length} tiles`, async (scope) => {
+      let failed = 0;
+      let queued = false;
+      for (const tileId of ids) {
+        const current = tiles.get(tileId) || { ...DEFAULT_TILE_DATA };
+        const result = await setTileData(tileId, { ...current, ...changes }, { scope });
+        if (!result.success) failed++;
+        queued = queued || !!result.queued;
+      }
+      return { success: failed === 0, failed, queued };
+    });
+  }, [tiles, setTileData, batchEdits]);
+
+  // Add the same comment to several tiles as one undo step
+  const addCommentToTiles = useCallback((tileIds, text) => {
+    const ids = [...tileIds];
+    return batchEdits(`Comment on ${ids.length} tiles`, async (scope) => {
+      let failed = 0;
+      let queued = false;
+      for (const tileId of ids) {
+        const result = await addComment(tileId, text, { scope });
+        if (!result.success) failed++;
+        queued = queued || !!result.queued;
+      }
+      return { success: failed === 0, failed, queued };
+    });
+  }, [addComment, batchEdits]);
+
+  // Forget undo history (e.g. after the workspace was replaced by an import)
+  const clearUndoHistory = useCallback(() => {
+    commandStack.clear();
+  }, [commandStack]);
 
   return {
     // Loading state
@@ -302,16 +619,33 @@ export function useMapEditor() {
     tiles,
     history,
     selectedTile,
+    selectedTileIds,
 
     // Actions
     getTileData,
     setTileData,
     clearTileData,
+    getTileVersions,
+    revertTile,
     selectTile,
+    toggleTileSelection,
+    selectTiles,
+    clearTileSelection,
+    updateTiles,
     moveLabelOffset,
+    reloadWorkspace,
+
+    // Undo/redo
+    undo,
+    redo,
+    batchEdits,
+    clearUndoHistory,
+    ...undoState,
 
     // Comments
     addComment,
+    addCommentToTiles,
+    deleteComment,
     getComments,
 
     // Likes
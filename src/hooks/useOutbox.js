@@ -0,0 +1,78 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useOutboxService } from '../di/index.js';
+
+// While writes are queued, try again this often in case the `online` event never fires
+const RETRY_INTERVAL_MS = 30000;
+
+/**
+ * Queued offline writes, kept in sync with the OutboxService and replayed
+ * automatically when the browser comes back online.
+ * @returns {{
+ *   entries: import('../data/interfaces.js').OutboxEntry[],
+ *   pending: import('../data/interfaces.js').OutboxEntry[],
+ *   conflicts: import('../data/interfaces.js').OutboxEntry[],
+ *   isReplaying: boolean,
+ *   replay: () => Promise<{sent: number, conflicts: number, remaining: number}>,
+ *   retry: (entryId: string, options?: {force?: boolean}) => Promise<{sent: number, conflicts: number, remaining: number}>,
+ *   discard: (entryId: string) => Promise<void>,
+ *   discardConflicts: () => Promise<void>
+ * }}
+ */
+export function useOutbox() {
+  const outboxService = useOutboxService();
+  const [entries, setEntries] = useState([]);
+  const [isReplaying, setIsReplaying] = useState(false);
+
+  useEffect(() => {
+    const load = async () => setEntries(await outboxService.getEntries());
+    load();
+    return outboxService.subscribe((event) => {
+      if (event.type === 'changed') load();
+    });
+  }, [outboxService]);
+
+  const withReplaying = useCallback(async (run) => {
+    setIsReplaying(true);
+    try {
+      return await run();
+    } finally {
+      setIsReplaying(false);
+    }
+  }, []);
+
+  const replay = useCallback(
+    () => withReplaying(() => outboxService.replay()),
+    [outboxService, withReplaying]
+  );
+
+  const retry = useCallback(
+    (entryId, options) => withReplaying(() => outboxService.retry(entryId, options)),
+    [outboxService, withReplaying]
+  );
+
+  const discard = useCallback((entryId) => outboxService.discard(entryId), [outboxService]);
+  const discardConflicts = useCallback(() => outboxService.discardConflicts(), [outboxService]);
+
+  const pending = entries.filter(entry => entry.status === 'pending');
+  const conflicts = entries.filter(entry => entry.status === 'conflict');
+  const hasPending = pending.length > 0;
+
+  // Replay on reconnect, and periodically while anything is waiting
+  useEffect(() => {
+    if (!hasPending) return;
+
+    const tryReplay = () => {
+      if (navigator.onLine !== false) replay();
+    };
+
+    tryReplay();
+    window.addEventListener('online', tryReplay);
+    const interval = setInterval(tryReplay, RETRY_INTERVAL_MS);
+    return () => {
+      window.removeEventListener('online', tryReplay);
+      clearInterval(interval);
+    };
+  }, [hasPending, replay]);
+
+  return { entries, pending, conflicts, isReplaying, replay, retry, discard, discardConflicts };
+}
@@ -0,0 +1,97 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useGameState } from '../contexts/GameStateContext';
+import { useAlliance } from '../contexts/AllianceContext';
+import { usePlanner } from '../contexts/PlannerContext';
+import { useTimeline } from '../contexts/TimelineContext';
+import { useRuleset } from '../di/index.js';
+import { comparePlans } from '../utils/planComparison.js';
+
+/**
+ * Day-by-day comparison of the two saved plans selected in PlannerContext,
+ * both replayed from the map state of the day they were planned from.
+ * Plans made from different days have different starting maps, so they
+ * aren't compared.
+ *
+ * @param {Object} params
+ * @param {Map<number, import('../data/interfaces.js').TileData>} params.tiles - Tile data (numbers)
+ * @returns {{
+ *   comparisonView: {planA: Object, planB: Object, baseDay: number, days: Array, dayIndex: number, current: Object}|null,
+ *   comparisonStatus: {planA: Object, planB: Object, loading: boolean, error: string|null}|null
+ * }} comparisonView is null until both plans can be shown; comparisonStatus is null when not comparing
+ */
+export function usePlanComparison({ tiles }) {
+  const { fetchMapState } = useGameState();
+  const { allAlliances } = useAlliance();
+  const { comparison, savedPlans } = usePlanner();
+  const { currentDay } = useTimeline();
+  const ruleset = useRuleset();
+
+  const planA = comparison && savedPlans.find(p => p.id === comparison.planAId);
+  const planB = comparison && savedPlans.find(p => p.id === comparison.planBId);
+  const baseDayA = planA ? planA.baseDay ?? currentDay : null;
+  const baseDayB = planB ? planB.baseDay ?? currentDay : null;
+  const baseDay = baseDayA !== null && baseDayA === baseDayB ? baseDayA : null;
+
+  const [base, setBase] = useState(null); // {day, claims}
+  const [loadError, setLoadError] = useState(null);
+
+  useEffect(() => {
+    if (baseDay === null) return;
+
+    let cancelled = false;
+    setLoadError(null);
+    fetchMapState(baseDay).then((result) => {
+      if (cancelled) return;
+      if (result.success) {
+        setBase({ day: baseDay, claims: result.claims });
+      } else {
+        setLoadError(result.error || `Failed to load Day ${baseDay}`);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [baseDay, fetchMapState]);
+
+  const baseClaims = base && base.day === baseDay ? base.claims : null;
+
+  const days = useMemo(() => {
+    if (!planA || !planB || !baseClaims) return null;
+
+    // Live alliances first, then the names/colors recorded in either plan
+    const known = [...allAlliances, ...planA.alliances, ...planB.alliances];
+    const getAlliance = (allianceId) => known.find(a => a.id === allianceId) || null;
+
+    return comparePlans({
+      baseClaims,
+      sequenceA: planA.sequence,
+      sequenceB: planB.sequence,
+      allTileData: tiles,
+      getAlliance,
+      ruleset,
+    });
+  }, [planA, planB, allAlliances, baseClaims, tiles, ruleset]);
+
+  if (!planA || !planB) {
+    return { comparisonView: null, comparisonStatus: null };
+  }
+
+  let error = null;
+  if (baseDay === null) {
+    error = `These plans start from different days (Day ${baseDayA} and Day ${baseDayB}). Pick two plans made from the same day.`;
+  } else if (loadError) {
+    error = loadError;
+  }
+
+  const comparisonStatus = { planA, planB, loading: !error && !days, error };
+  if (error || !days) {
+    return { comparisonView: null, comparisonStatus };
+  }
+
+  const dayIndex = Math.min(comparison.dayIndex, days.length - 1);
+  return {
+    comparisonView: { planA, planB, baseDay, days, dayIndex, current: days[dayIndex] },
+    comparisonStatus,
+  };
+}
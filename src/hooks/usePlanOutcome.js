@@ -0,0 +1,70 @@
+import { useState, useEffect } from 'react';
+import { useGameState } from '../contexts/GameStateContext';
+import { useTimeline } from '../contexts/TimelineContext';
+import { evaluatePlanOutcome, getPlanDays } from '../utils/planOutcome.js';
+
+// Extra days after a plan ends that still count a claim as "late" rather than missed
+const LATE_WINDOW_DAYS = 3;
+
+/**
+ * Load the real map state for every day a saved plan covered and evaluate
+ * the plan against it
+ *
+ * @param {import('../data/interfaces.js').SavedPlan|null} plan - Plan to report on
+ * @returns {{report: ReturnType<typeof evaluatePlanOutcome>|null, loading: boolean, error: string|null, lastFinishedDay: number}}
+ */
+export function usePlanOutcome(plan) {
+  const { fetchMapState } = useGameState();
+  const { currentDay } = useTimeline();
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Today is still being played, so only earlier days are final
+  const lastFinishedDay = currentDay - 1;
+
+  useEffect(() => {
+    setReport(null);
+    setError(null);
+    setLoading(false);
+    if (!plan) return;
+
+    if (!plan.baseDay) {
+      setError('This plan has no start day, so it can\'t be checked against history');
+      return;
+    }
+
+    const planDays = getPlanDays(plan.sequence, plan.baseDay);
+    const lastDay = Math.min(planDays[planDays.length - 1] + LATE_WINDOW_DAYS, lastFinishedDay);
+    const days = [];
+    for (let day = plan.baseDay; day <= lastDay; day++) {
+      days.push(day);
+    }
+
+    let cancelled = false;
+    setLoading(true);
+
+    Promise.all(days.map(day => fetchMapState(day))).then((results) => {
+      if (cancelled) return;
+      const failed = results.find(result => !result.success);
+      if (failed) {
+        setError(failed.error || 'Failed to load map history');
+      } else {
+        const mapStates = new Map(days.map((day, index) => [day, results[index].claims]));
+        setReport(evaluatePlanOutcome({
+          sequence: plan.sequence,
+          baseDay: plan.baseDay,
+          mapStates,
+          lastFinishedDay,
+        }));
+      }
+      setLoading(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [plan, fetchMapState, lastFinishedDay]);
+
+  return { report, loading, error, lastFinishedDay };
+}
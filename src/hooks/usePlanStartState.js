@@ -0,0 +1,43 @@
+import { useMemo } from 'react';
+import { useGameState } from '../contexts/GameStateContext';
+import { useAlliance } from '../contexts/AllianceContext';
+import { useTimeline } from '../contexts/TimelineContext';
+import { usePlanner } from '../contexts/PlannerContext';
+import { useRuleset } from '../di/index.js';
+
+/**
+ * Where the current plan leaves the planning alliance: the claims after every
+ * planned step, and how many claims it still has on the plan's last day
+ * @returns {{allianceId: string|null, claims: Map, movesRemaining: number}}
+ */
+export function usePlanStartState() {
+  const { movesInfo } = useGameState();
+  const { alliance } = useAlliance();
+  const { isViewingCurrentDay } = useTimeline();
+  const { sequence, plannedTileClaims, planningAlliance } = usePlanner();
+  const ruleset = useRuleset();
+
+  return useMemo(() => {
+    if (!planningAlliance) {
+      return { allianceId: null, claims: plannedTileClaims, movesRemaining: ruleset.maxMovesPerDay };
+    }
+
+    // Claims the planning alliance already spends on the plan's last day
+    const lastDayStart = sequence.findLastIndex(item => item.type === 'new_day') + 1;
+    let movesUsed = sequence
+      .slice(lastDayStart)
+      .filter(item => item.action === 'claim' && item.allianceId === planningAlliance.id)
+      .length;
+
+    // Still on today: count the moves our alliance has already made
+    if (lastDayStart === 0 && planningAlliance.id === alliance?.id && isViewingCurrentDay) {
+      movesUsed += movesInfo.movesUsed;
+    }
+
+    return {
+      allianceId: planningAlliance.id,
+      claims: plannedTileClaims,
+      movesRemaining: Math.max(0, ruleset.maxMovesPerDay - movesUsed),
+    };
+  }, [planningAlliance, sequence, alliance, isViewingCurrentDay, movesInfo, plannedTileClaims, ruleset]);
+}
@@ -0,0 +1,41 @@
+import { useMemo } from 'react';
+import { useGameState } from '../contexts/GameStateContext';
+import { useAlliance } from '../contexts/AllianceContext';
+import { useTimeline } from '../contexts/TimelineContext';
+import { usePlanner } from '../contexts/PlannerContext';
+import { useRuleset } from '../di/index.js';
+import { validatePlanSequence } from '../utils/planValidation.js';
+
+/**
+ * Per-step rule violations for the planner sequence, when strict mode is on
+ * @param {Object} params
+ * @param {Map<number, import('../data/interfaces.js').TileData>} params.tiles - Tile data (numbers)
+ * @param {Map<number, Set<number>>|null} params.adjacencyMap
+ * @returns {Array<Object|null>|null} Results parallel to the sequence, or null when strict mode is off
+ */
+export function usePlanValidation({ tiles, adjacencyMap }) {
+  const { tileClaims, movesInfo } = useGameState();
+  const { alliance, allAlliances } = useAlliance();
+  const { isViewingCurrentDay } = useTimeline();
+  const { isPlannerMode, isStrictMode, sequence } = usePlanner();
+  const ruleset = useRuleset();
+
+  return useMemo(() => {
+    if (!isPlannerMode || !isStrictMode || !adjacencyMap) return null;
+
+    // Only the user's own alliance has a known move count for today
+    const initialMovesUsed = alliance && isViewingCurrentDay
+      ? { [alliance.id]: movesInfo.movesUsed }
+      : {};
+
+    return validatePlanSequence({
+      sequence,
+      baseClaims: tileClaims,
+      allTileData: tiles,
+      adjacencyMap,
+      allAlliances,
+      initialMovesUsed,
+      ruleset,
+    });
+  }, [isPlannerMode, isStrictMode, adjacencyMap, alliance, isViewingCurrentDay, movesInfo, sequence, tileClaims, tiles, allAlliances, ruleset]);
+}
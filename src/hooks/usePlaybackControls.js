@@ -0,0 +1,164 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { usePlanner } from '../contexts/PlannerContext';
+
+export const PLAYBACK_SPEEDS = [0.5, 1, 2, 4, 8]; // Steps per second
+
+// New-day steps stay on screen longer so the day banner can be read
+const NEW_DAY_HOLD_FACTOR = 2.5;
+
+/**
+ * Autoplay, speed, loop, day jumping and keyboard shortcuts for plan playback.
+ * Drives PlannerContext's playIndex, so playbackTileClaims / playbackHighlightTileId
+ * follow along as usual.
+ *
+ * Keys: Space play/pause, ←/→ step, Shift+←/→ previous/next day,
+ * Home/End first/last step, +/- speed, L loop, Esc close
+ */
+export function usePlaybackControls() {
+  const { isPlaying, playIndex, sequence, setPlayIndex, setIsPlaying } = usePlanner();
+  const [isAutoPlaying, setIsAutoPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [loop, setLoop] = useState(false);
+
+  const lastIndex = sequence.length - 1;
+
+  // Index of the first step of each day (day 0 starts at 0, later days at their new_day marker)
+  const dayStarts = useMemo(() => {
+    const starts = [0];
+    sequence.forEach((item, index) => {
+      if (item.type === 'new_day') starts.push(index);
+    });
+    return starts;
+  }, [sequence]);
+
+  const currentDayIndex = useMemo(() => {
+    let day = 0;
+    while (day + 1 < dayStarts.length && dayStarts[day + 1] <= playIndex) day++;
+    return day;
+  }, [dayStarts, playIndex]);
+
+  // Stop autoplay whenever playback closes
+  useEffect(() => {
+    if (!isPlaying) setIsAutoPlaying(false);
+  }, [isPlaying]);
+
+  // Advance one step per tick while autoplaying
+  useEffect(() => {
+    if (!isPlaying || !isAutoPlaying) return;
+
+    const atEnd = playIndex >= lastIndex;
+    if (atEnd && !loop) {
+      setIsAutoPlaying(false);
+      return;
+    }
+
+    const hold = sequence[playIndex]?.type === 'new_day' ? NEW_DAY_HOLD_FACTOR : 1;
+    const timer = setTimeout(() => {
+      setPlayIndex(atEnd ? 0 : playIndex + 1);
+    }, (1000 / speed) * hold);
+
+    return () => clearTimeout(timer);
+  }, [isPlaying, isAutoPlaying, playIndex, lastIndex, loop, speed, sequence, setPlayIndex]);
+
+  const seek = useCallback((index) => {
+    setPlayIndex(Math.max(0, Math.min(lastIndex, index)));
+  }, [lastIndex, setPlayIndex]);
+
+  const jumpToDay = useCallback((dayIndex) => {
+    const clamped = Math.max(0, Math.min(dayStarts.length - 1, dayIndex));
+    seek(dayStarts[clamped]);
+  }, [dayStarts, seek]);
+
+  const togglePlay = useCallback(() => {
+    // Playing from the last step starts over
+    if (!isAutoPlaying && playIndex >= lastIndex) {
+      setPlayIndex(0);
+    }
+    setIsAutoPlaying(prev => !prev);
+  }, [isAutoPlaying, playIndex, lastIndex, setPlayIndex]);
+
+  const changeSpeed = useCallback((direction) => {
+    setSpeed(prev => {
+      const index = PLAYBACK_SPEEDS.indexOf(prev) + direction;
+      return PLAYBACK_SPEEDS[Math.max(0, Math.min(PLAYBACK_SPEEDS.length - 1, index))];
+    });
+  }, []);
+
+  const close = useCallback(() => {
+    setIsPlaying(false);
+    setPlayIndex(-1);
+  }, [setIsPlaying, setPlayIndex]);
+
+  // Keyboard shortcuts while playback is open
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    const handleKeyDown = (e) => {
+      const tag = e.target.tagName;
+      if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+      // Leave browser shortcuts (address bar, zoom) alone
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+      switch (e.key) {
+        case ' ':
+          togglePlay();
+          break;
+        case 'ArrowLeft':
+          if (e.shiftKey) {
+            // Go to the start of this day, or the previous day if already there
+            jumpToDay(playIndex === dayStarts[currentDayIndex] ? currentDayIndex - 1 : currentDayIndex);
+          } else {
+            seek(playIndex - 1);
+          }
+          break;
+        case 'ArrowRight':
+          if (e.shiftKey) {
+            jumpToDay(currentDayIndex + 1);
+          } else {
+            seek(playIndex + 1);
+          }
+          break;
+        case 'Home':
+          seek(0);
+          break;
+        case 'End':
+          seek(lastIndex);
+          break;
+        case '+':
+        case '=':
+          changeSpeed(1);
+          break;
+        case '-':
+          changeSpeed(-1);
+          break;
+        case 'l':
+        case 'L':
+          setLoop(prev => !prev);
+          break;
+        case 'Escape':
+          close();
+          break;
+        default:
+          return;
+      }
+      e.preventDefault();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isPlaying, playIndex, lastIndex, dayStarts, currentDayIndex, togglePlay, jumpToDay, seek, changeSpeed, close]);
+
+  return {
+    isAutoPlaying,
+    togglePlay,
+    speed,
+    setSpeed,
+    loop,
+    setLoop,
+    dayStarts,
+    currentDayIndex,
+    seek,
+    jumpToDay,
+    close,
+  };
+}
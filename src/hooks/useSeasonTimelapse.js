@@ -0,0 +1,186 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { useGameState } from '../contexts/GameStateContext';
+import { useTimeline } from '../contexts/TimelineContext';
+import { buildTimelapseFrames, getTimelapseClaims, getAllianceTileSeries } from '../utils/seasonTimelapse.js';
+
+export const TIMELAPSE_SPEEDS = [2, 5, 10, 20, 50]; // Tile changes per second
+
+// The last change of each day stays on screen longer so day boundaries register
+export const DAY_END_HOLD_FACTOR = 4;
+
+/**
+ * Load the real map state for every day of the season and play it back as a
+ * time-lapse, one tile change per frame.
+ *
+ * Keys while open: Space play/pause, ←/→ step, Shift+←/→ previous/next day,
+ * Home/End first/last frame, Esc close
+ *
+ * @returns {{
+ *   isOpen: boolean, open: () => void, close: () => void,
+ *   loading: boolean, error: string|null,
+ *   dayStates: Array<{day: number, claims: Map}>|null,
+ *   frames: import('../utils/seasonTimelapse.js').TimelapseFrame[],
+ *   series: ReturnType<typeof getAllianceTileSeries>,
+ *   index: number, current: import('../utils/seasonTimelapse.js').TimelapseFrame|null,
+ *   currentClaims: Map<number, Object>|null,
+ *   isAutoPlaying: boolean, togglePlay: () => void,
+ *   speed: number, setSpeed: (speed: number) => void,
+ *   seek: (index: number) => void, jumpToDay: (day: number) => void
+ * }}
+ */
+export function useSeasonTimelapse() {
+  const { fetchMapState } = useGameState();
+  const { currentDay } = useTimeline();
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [dayStates, setDayStates] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [index, setIndex] = useState(0);
+  const [isAutoPlaying, setIsAutoPlaying] = useState(false);
+  const [speed, setSpeed] = useState(10);
+
+  // Reload every time it opens so today's claims are included
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const days = [];
+    for (let day = 1; day <= currentDay; day++) {
+      days.push(day);
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    setDayStates(null);
+    setIndex(0);
+
+    Promise.all(days.map(day => fetchMapState(day))).then((results) => {
+      if (cancelled) return;
+      const failed = results.find(result => !result.success);
+      if (failed) {
+        setError(failed.error || 'Failed to load map history');
+      } else {
+        setDayStates(days.map((day, i) => ({ day, claims: results[i].claims })));
+        setIsAutoPlaying(true);
+      }
+      setLoading(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, currentDay, fetchMapState]);
+
+  const frames = useMemo(() => (dayStates ? buildTimelapseFrames(dayStates) : []), [dayStates]);
+  const series = useMemo(() => (dayStates ? getAllianceTileSeries(dayStates) : []), [dayStates]);
+  const lastIndex = frames.length - 1;
+  const currentIndex = Math.min(index, Math.max(lastIndex, 0));
+  const current = isOpen && frames.length > 0 ? frames[currentIndex] : null;
+  // Map state for the frame on screen, rebuilt from the day's starting state
+  const currentClaims = useMemo(
+    () => (current ? getTimelapseClaims(dayStates, frames, currentIndex) : null),
+    [current, dayStates, frames, currentIndex]
+  );
+
+  useEffect(() => {
+    if (!isOpen || !isAutoPlaying || !current) return;
+
+    if (index >= lastIndex) {
+      setIsAutoPlaying(false);
+      return;
+    }
+
+    const hold = current.isDayEnd ? DAY_END_HOLD_FACTOR : 1;
+    const timer = setTimeout(() => setIndex(index + 1), (1000 / speed) * hold);
+    return () => clearTimeout(timer);
+  }, [isOpen, isAutoPlaying, current, index, lastIndex, speed]);
+
+  const open = useCallback(() => setIsOpen(true), []);
+
+  const close = useCallback(() => {
+    setIsOpen(false);
+    setIsAutoPlaying(false);
+  }, []);
+
+  const seek = useCallback((target) => {
+    setIndex(Math.max(0, Math.min(lastIndex, target)));
+  }, [lastIndex]);
+
+  const jumpToDay = useCallback((day) => {
+    const target = frames.findIndex(frame => frame.day >= day);
+    seek(target === -1 ? lastIndex : target);
+  }, [frames, lastIndex, seek]);
+
+  const togglePlay = useCallback(() => {
+    // Playing from the last frame starts over
+    if (!isAutoPlaying && index >= lastIndex) {
+      setIndex(0);
+    }
+    setIsAutoPlaying(prev => !prev);
+  }, [isAutoPlaying, index, lastIndex]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleKeyDown = (e) => {
+      const tag = e.target.tagName;
+      if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+
+      switch (e.key) {
+        case ' ':
+          togglePlay();
+          break;
+        case 'ArrowLeft':
+          if (e.shiftKey) {
+            jumpToDay((current?.day ?? 1) - 1);
+          } else {
+            seek(index - 1);
+          }
+          break;
+        case 'ArrowRight':
+          if (e.shiftKey) {
+            jumpToDay((current?.day ?? 0) + 1);
+          } else {
+            seek(index + 1);
+          }
+          break;
+        case 'Home':
+          seek(0);
+          break;
+        case 'End':
+          seek(lastIndex);
+          break;
+        case 'Escape':
+          close();
+          break;
+        default:
+          return;
+      }
+      e.preventDefault();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, index, lastIndex, current, togglePlay, jumpToDay, seek, close]);
+
+  return {
+    isOpen,
+    open,
+    close,
+    loading,
+    error,
+    dayStates,
+    frames,
+    series,
+    index: currentIndex,
+    current,
+    currentClaims,
+    isAutoPlaying,
+    togglePlay,
+    speed,
+    setSpeed,
+    seek,
+    jumpToDay,
+  };
+}
@@ -0,0 +1,167 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { renderMapImage, canvasToPngBlob, downloadBlob, MAP_IMAGE_COLORS } from '../utils/mapImage.js';
+import { createZipArchive } from '../utils/zipArchive.js';
+import { buildGifPalette } from '../utils/gifEncoder.js';
+import { getTimelapseClaims } from '../utils/seasonTimelapse.js';
+import { DAY_END_HOLD_FACTOR } from './useSeasonTimelapse.js';
+
+// The final map stays up at least this long before the GIF loops
+const LOOP_PAUSE_MS = 3000;
+const LEGEND_SIZE = 8;
+
+// Tile label colors from getContrastingTextColor, kept exact in GIF palettes
+const LABEL_COLORS = ['#1e40af', '#1e3a5f', '#ffffff'];
+
+/**
+ * Wait for a worker message of one type
+ */
+function waitForMessage(worker, type) {
+  return new Promise((resolve, reject) => {
+    worker.onmessage = (event) => {
+      if (event.data.type === type) {
+        resolve(event.data);
+      } else if (event.data.type === 'error') {
+        reject(new Error(event.data.error));
+      }
+    };
+    worker.onerror = (event) => reject(new Error(event.message || 'GIF encoding failed'));
+  });
+}
+
+/**
+ * Export a season time-lapse as PNG frames (zipped) or an animated GIF, with
+ * the same frames the overlay plays: one tile change each. The GIF is encoded
+ * in a Web Worker, one frame at a time, so only a single frame's pixels are
+ * held in memory.
+ *
+ * @param {Object} params
+ * @param {import('../data/interfaces.js').TileGeometry|null} params.tileGeometry
+ * @param {Map<number, import('../data/interfaces.js').TileData>} params.tiles - Tile data (numbers)
+ */
+export function useTimelapseExport({ tileGeometry, tiles }) {
+  const [isExporting, setIsExporting] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+  const cancelledRef = useRef(false);
+
+  const stopWorker = useCallback(() => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+  }, []);
+
+  useEffect(() => stopWorker, [stopWorker]);
+
+  const renderFrame = useCallback((dayStates, frames, index, series) => {
+    const { day } = frames[index];
+    const claims = getTimelapseClaims(dayStates, frames, index);
+    return renderMapImage({
+      tileGeometry,
+      tileClaims: claims,
+      tiles,
+      title: `Day ${day}`,
+      subtitle: 'Season time-lapse',
+      legend: series.slice(0, LEGEND_SIZE).map(entry => ({
+        label: entry.allianceName,
+        color: entry.color,
+        value: [...claims.values()].filter(claim => claim.allianceId === entry.allianceId).length,
+      })),
+    });
+  }, [tileGeometry, tiles]);
+
+  const run = useCallback(async (task) => {
+    cancelledRef.current = false;
+    setIsExporting(true);
+    setProgress(0);
+    setError(null);
+    try {
+      await task();
+      return { success: true };
+    } catch (err) {
+      if (cancelledRef.current) return { success: false, error: 'Cancelled' };
+      console.error('Time-lapse export failed:', err);
+      setError(err.message);
+      return { success: false, error: err.message };
+    } finally {
+      stopWorker();
+      setIsExporting(false);
+    }
+  }, [stopWorker]);
+
+  /**
+   * Download a ZIP of PNG images, one per time-lapse frame
+   * @param {Array<{day: number, claims: Map<number, Object>}>} dayStates - End-of-day map states
+   * @param {import('../utils/seasonTimelapse.js').TimelapseFrame[]} frames - From buildTimelapseFrames(dayStates)
+   * @param {Array} series - Alliance tile series, for the legend
+   */
+  const exportPngFrames = useCallback((dayStates, frames, series) => run(async () => {
+    const files = [];
+
+    for (let i = 0; i < frames.length; i++) {
+      if (cancelledRef.current) throw new Error('Cancelled');
+      const blob = await canvasToPngBlob(renderFrame(dayStates, frames, i, series));
+      files.push({
+        name: `frame-${String(i + 1).padStart(5, '0')}-day-${String(frames[i].day).padStart(3, '0')}.png`,
+        data: new Uint8Array(await blob.arrayBuffer()),
+      });
+      setProgress((i + 1) / frames.length);
+    }
+
+    downloadBlob(createZipArchive(files), 'season-timelapse-frames.zip');
+  }), [run, renderFrame]);
+
+  /**
+   * Download an animated GIF of the time-lapse, timed like on-screen playback
+   * @param {Array<{day: number, claims: Map<number, Object>}>} dayStates - End-of-day map states
+   * @param {import('../utils/seasonTimelapse.js').TimelapseFrame[]} frames - From buildTimelapseFrames(dayStates)
+   * @param {Array} series - Alliance tile series, for the legend and palette
+   * @param {number} speed - Tile changes per second
+   */
+  const exportGif = useCallback((dayStates, frames, series, speed) => run(async () => {
+    if (frames.length === 0) throw new Error('Nothing to export');
+
+    // The last frame has the most claims, so its colors make a good palette sample
+    const sample = renderFrame(dayStates, frames, frames.length - 1, series);
+    const { width, height } = sample;
+    const palette = buildGifPalette(
+      [sample.getContext('2d').getImageData(0, 0, width, height).data],
+      [
+        ...series.map(entry => entry.color),
+        MAP_IMAGE_COLORS.background,
+        MAP_IMAGE_COLORS.tile,
+        MAP_IMAGE_COLORS.text,
+        MAP_IMAGE_COLORS.mutedText,
+        ...LABEL_COLORS,
+      ]
+    );
+
+    const worker = new Worker(new URL('../workers/gifEncode.worker.js', import.meta.url), { type: 'module' });
+    workerRef.current = worker;
+    worker.postMessage({ type: 'start', width, height, palette });
+
+    for (let i = 0; i < frames.length; i++) {
+      if (cancelledRef.current) throw new Error('Cancelled');
+      const canvas = renderFrame(dayStates, frames, i, series);
+      const pixels = canvas.getContext('2d').getImageData(0, 0, width, height).data.buffer;
+      const frameDelay = (1000 / speed) * (frames[i].isDayEnd ? DAY_END_HOLD_FACTOR : 1);
+      const delay = i === frames.length - 1 ? Math.max(frameDelay, LOOP_PAUSE_MS) : frameDelay;
+      const done = waitForMessage(worker, 'frame-done');
+      worker.postMessage({ type: 'frame', pixels, delay }, [pixels]);
+      await done;
+      setProgress((i + 1) / (frames.length + 1));
+    }
+
+    const result = waitForMessage(worker, 'result');
+    worker.postMessage({ type: 'finish' });
+    const { bytes } = await result;
+    setProgress(1);
+    downloadBlob(new Blob([bytes], { type: 'image/gif' }), 'season-timelapse.gif');
+  }), [run, renderFrame]);
+
+  // Takes effect after the frame in progress, so a pending worker reply is never dropped
+  const cancelExport = useCallback(() => {
+    cancelledRef.current = true;
+  }, []);
+
+  return { exportPngFrames, exportGif, cancelExport, isExporting, progress, error };
+}
@@ -0,0 +1,8 @@
+// Stand-in user for local game mode (no Supabase). Everything on this device
+// is played as this user; profiles and alliances are stored in localStorage.
+export const LOCAL_USER = {
+  id: 'local-user',
+  email: null,
+  user_metadata: { full_name: 'Local Player' },
+  isLocal: true,
+}
@@ -0,0 +1,94 @@
+/**
+ * AnnotationService manages tactical map annotations (arrows, zones, text
+ * notes and rally markers). It checks each annotation has what its type
+ * needs before it is stored, and scopes everything to one alliance.
+ */
+
+export const ANNOTATION_TYPES = ['arrow', 'zone', 'text', 'rally'];
+
+export const MAX_ANNOTATION_TEXT_LENGTH = 200;
+
+export class AnnotationService {
+  /**
+   * @param {Object} repositories - Injected repositories
+   * @param {import('../data/interfaces.js').IAnnotationRepository} repositories.annotationRepository
+   */
+  constructor({ annotationRepository }) {
+    this._annotationRepository = annotationRepository;
+  }
+
+  /**
+   * List an alliance's annotations for a day or a saved plan
+   * @param {string} allianceId
+   * @param {{day?: number, planId?: string}} scope
+   * @returns {Promise<import('../data/interfaces.js').Annotation[]>}
+   */
+  async listAnnotations(allianceId, scope) {
+    return this._annotationRepository.getAll(allianceId, scope);
+  }
+
+  /**
+   * Create an annotation
+   * @param {Object} annotation
+   * @param {string} annotation.allianceId - Alliance that can see it
+   * @param {{day?: number, planId?: string}} annotation.scope - Day or saved plan it belongs to
+   * @param {'arrow' | 'zone' | 'text' | 'rally'} annotation.type
+   * @param {number[]} [annotation.tileIds]
+   * @param {{x: number, y: number}} [annotation.position] - Text notes only
+   * @param {string} [annotation.text]
+   * @param {string} annotation.color
+   * @param {string} annotation.createdBy - Author's display name
+   * @returns {Promise<import('../data/interfaces.js').Annotation>}
+   */
+  async addAnnotation({ allianceId, scope, type, tileIds = [], position = null, text = '', color, createdBy }) {
+    if (!allianceId) {
+      throw new Error('Join an alliance to annotate the map');
+    }
+    if (!scope?.planId && !Number.isInteger(scope?.day)) {
+      throw new Error('Annotations need a day or a saved plan');
+    }
+    if (!ANNOTATION_TYPES.includes(type)) {
+      throw new Error(`Unknown annotation type: ${type}`);
+    }
+
+    const trimmedText = text.trim();
+    if (trimmedText.length > MAX_ANNOTATION_TEXT_LENGTH) {
+      throw new Error(`Annotation text is limited to ${MAX_ANNOTATION_TEXT_LENGTH} characters`);
+    }
+
+    const uniqueTileIds = [...new Set(tileIds)];
+    if (type === 'arrow' && (tileIds.length !== 2 || tileIds[0] === tileIds[1])) {
+      throw new Error('An arrow needs two different tiles');
+    }
+    if (type === 'zone' && uniqueTileIds.length === 0) {
+      throw new Error('A zone needs at least one tile');
+    }
+    if (type === 'rally' && tileIds.length !== 1) {
+      throw new Error('A rally marker goes on one tile');
+    }
+    if (type === 'text' && (!trimmedText || !position)) {
+      throw new Error('A text note needs text and a position');
+    }
+
+    return this._annotationRepository.save({
+      allianceId,
+      day: scope.planId ? null : scope.day,
+      planId: scope.planId || null,
+      type,
+      tileIds: type === 'zone' ? uniqueTileIds : type === 'text' ? [] : tileIds,
+      position: type === 'text' ? { x: Math.round(position.x), y: Math.round(position.y) } : null,
+      text: trimmedText,
+      color,
+      createdBy: createdBy || 'Unknown',
+    });
+  }
+
+  /**
+   * Delete an annotation
+   * @param {string} annotationId
+   * @returns {Promise<void>}
+   */
+  async deleteAnnotation(annotationId) {
+    await this._annotationRepository.delete(annotationId);
+  }
+}
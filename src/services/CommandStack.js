@@ -0,0 +1,183 @@
+const DEFAULT_LIMIT = 100;
+
+/**
+ * Where an edit is being made: inside a batch() (its commands are collected
+ * there) or while undoing or redoing a step (nothing is recorded). Edits made
+ * without a scope are recorded as steps of their own.
+ * @typedef {{commands: Command[]} | {applying: true}} CommandScope
+ */
+
+/**
+ * @typedef {Object} Command
+ * @property {string} label - Shown to the user, e.g. "Edit tile L12"
+ * @property {(scope: CommandScope) => Promise<void>} undo - Pass the scope on to the edits it makes
+ * @property {(scope: CommandScope) => Promise<void>} redo - Pass the scope on to the edits it makes
+ */
+
+/**
+ * CommandStack keeps the session's undo and redo history for map edits.
+ *
+ * Edits record a command describing how to reverse and reapply them. Undo,
+ * redo and batch() hand a scope to the code they run, which passes it back
+ * to record(); that ties each recording to the operation that caused it, so
+ * unrelated edits made while an async undo or batch is in flight are still
+ * recorded as their own steps. Edits made with an undo or redo's scope are
+ * not recorded, so the same edit functions can apply both directions.
+ * Commands recorded with a batch's scope become a single undo step.
+ */
+export class CommandStack {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Maximum undo steps kept
+   */
+  constructor({ limit = DEFAULT_LIMIT } = {}) {
+    this._limit = limit;
+    this._undoStack = [];
+    this._redoStack = [];
+    this._queue = Promise.resolve();
+    this._listeners = new Set();
+  }
+
+  /**
+   * Listen for stack changes
+   * @param {() => void} listener
+   * @returns {() => void} Unsubscribe function
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  _notify() {
+    for (const listener of [...this._listeners]) {
+      listener();
+    }
+  }
+
+  get canUndo() {
+    return this._undoStack.length > 0;
+  }
+
+  get canRedo() {
+    return this._redoStack.length > 0;
+  }
+
+  /** @returns {string|null} Label of the step undo() would reverse */
+  get undoLabel() {
+    return this._undoStack[this._undoStack.length - 1]?.label ?? null;
+  }
+
+  /** @returns {string|null} Label of the step redo() would reapply */
+  get redoLabel() {
+    return this._redoStack[this._redoStack.length - 1]?.label ?? null;
+  }
+
+  /**
+   * Record an edit that has just been applied. Clears the redo stack.
+   * @param {Command} command
+   * @param {CommandScope} [scope] - Scope the edit was made in, if any
+   */
+  record(command, scope) {
+    if (scope?.applying) return;
+
+    if (scope?.commands) {
+      scope.commands.push(command);
+      return;
+    }
+
+    this._undoStack.push(command);
+    if (this._undoStack.length > this._limit) {
+      this._undoStack.shift();
+    }
+    this._redoStack = [];
+    this._notify();
+  }
+
+  /**
+   * Run several edits as one undo step. A batch started within another
+   * scope (a nested batch, or an undo or redo) joins that scope.
+   * @template T
+   * @param {string} label
+   * @param {(scope: CommandScope) => Promise<T>} fn - Performs the edits, passing the scope to each
+   * @param {CommandScope} [scope] - Scope the batch itself runs in, if any
+   * @returns {Promise<T>}
+   */
+  async batch(label, fn, scope) {
+    if (scope) {
+      return fn(scope);
+    }
+
+    const commands = [];
+    try {
+      return await fn({ commands });
+    } finally {
+      if (commands.length === 1) {
+        this.record({ ...commands[0], label });
+      } else if (commands.length > 1) {
+        this.record({
+          label,
+          undo: async (applyScope) => {
+            for (const command of [...commands].reverse()) {
+              await command.undo(applyScope);
+            }
+          },
+          redo: async (applyScope) => {
+            for (const command of commands) {
+              await command.redo(applyScope);
+            }
+          },
+        });
+      }
+    }
+  }
+
+  /**
+   * Reverse the most recent step
+   * @returns {Promise<string|null>} Label of the undone step, or null if there was nothing to undo
+   * @throws {Error} When the step could not be reversed; it stays on the undo stack
+   */
+  undo() {
+    return this._enqueue(() => this._move(this._undoStack, this._redoStack, 'undo'));
+  }
+
+  /**
+   * Reapply the most recently undone step
+   * @returns {Promise<string|null>} Label of the redone step, or null if there was nothing to redo
+   * @throws {Error} When the step could not be reapplied; it stays on the redo stack
+   */
+  redo() {
+    return this._enqueue(() => this._move(this._redoStack, this._undoStack, 'redo'));
+  }
+
+  /**
+   * Forget all steps
+   */
+  clear() {
+    this._undoStack = [];
+    this._redoStack = [];
+    this._notify();
+  }
+
+  // Key presses can arrive faster than edits persist; apply steps one at a time
+  _enqueue(operation) {
+    const run = this._queue.then(operation);
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  async _move(from, to, direction) {
+    const command = from.pop();
+    if (!command) return null;
+
+    try {
+      await command[direction]({ applying: true });
+      to.push(command);
+      return command.label;
+    } catch (error) {
+      from.push(command);
+      throw error;
+    } finally {
+      this._notify();
+    }
+  }
+}
@@ -1,4 +1,7 @@
 import { DEFAULT_TILE_DATA } from '../data/interfaces.js';
+import { createBackupArchive, previewBackupImport, mergeBackup } from '../utils/workspaceBackup.js';
+import { diffTileData, isEmptyTileData, getTileFieldLabel } from '../utils/tileHistory.js';
+import { getTileRenderData } from '../utils/tileRenderData.js';
 
 /**
  * MapEditorService handles all business logic for the map editor.
@@ -12,13 +15,15 @@ export class MapEditorService {
    * @param {import('../data/interfaces.js').IHistoryRepository} repositories.historyRepository
    * @param {import('../data/interfaces.js').ITileGeometryRepository} repositories.tileGeometryRepository
    * @param {import('../data/interfaces.js').ILikeRepository} repositories.likeRepository
+   * @param {import('../data/interfaces.js').IPlanRepository} [repositories.planRepository] - Included in backups
    */
-  constructor({ tileRepository, commentRepository, historyRepository, tileGeometryRepository, likeRepository }) {
+  constructor({ tileRepository, commentRepository, historyRepository, tileGeometryRepository, likeRepository, planRepository }) {
     this._tileRepository = tileRepository;
     this._commentRepository = commentRepository;
     this._historyRepository = historyRepository;
     this._tileGeometryRepository = tileGeometryRepository;
     this._likeRepository = likeRepository;
+    this._planRepository = planRepository || null;
   }
 
   // ============================================
@@ -26,11 +31,14 @@ export class MapEditorService {
   // ============================================
 
   /**
-   * Load tile geometry data
+   * Load tile geometry data. Per-tile render data (points, centroids, bounds,
+   * spatial index) is computed here once so the map's first draw doesn't pay for it.
    * @returns {Promise<import('../data/interfaces.js').TileGeometry>}
    */
   async loadTileGeometry() {
-    return this._tileGeometryRepository.load();
+    const geometry = await this._tileGeometryRepository.load();
+    getTileRenderData(geometry);
+    return geometry;
   }
 
   // ============================================
@@ -60,28 +68,32 @@ export class MapEditorService {
    * @param {number} tileId
    * @param {import('../data/interfaces.js').TileData} newData
    * @param {import('../data/interfaces.js').TileData} [oldData] - Previous data for history
+   * @param {Object} [options]
+   * @param {string} [options.revertOf] - Timestamp of the version being restored, recorded as a revert
    * @returns {Promise<void>}
    */
-  async saveTileData(tileId, newData, oldData) {
+  async saveTileData(tileId, newData, oldData, { revertOf } = {}) {
     // Get old data if not provided
     if (!oldData) {
       oldData = await this.getTileData(tileId);
     }
 
     await this._tileRepository.save(tileId, newData);
-    await this._addHistoryEntry(tileId, oldData, newData);
+    await this._addHistoryEntry(tileId, oldData, newData, { revertOf });
   }
 
   /**
    * Clear tile data and record history
    * @param {number} tileId
+   * @param {Object} [options]
+   * @param {string} [options.revertOf] - Timestamp of the (empty) version being restored, recorded as a revert
    * @returns {Promise<void>}
    */
-  async clearTileData(tileId) {
+  async clearTileData(tileId, { revertOf } = {}) {
     const oldData = await this._tileRepository.get(tileId);
     if (oldData) {
       await this._tileRepository.delete(tileId);
-      await this._addHistoryEntry(tileId, oldData, null);
+      await this._addHistoryEntry(tileId, oldData, null, { revertOf });
     }
   }
 
@@ -161,10 +173,12 @@ export class MapEditorService {
   async addComment(tileId, text, user) {
     if (!text.trim()) return null;
 
+    const now = new Date();
     const comment = {
       user,
       text: text.trim(),
-      timestamp: new Date().toLocaleString()
+      timestamp: now.toLocaleString(),
+      createdAt: now.toISOString()
     };
 
     await this._commentRepository.add(tileId, comment);
@@ -181,6 +195,16 @@ export class MapEditorService {
     await this._commentRepository.delete(tileId, commentIndex);
   }
 
+  /**
+   * Put back a previously deleted comment (appended after the tile's current comments)
+   * @param {number} tileId
+   * @param {import('../data/interfaces.js').Comment} comment
+   * @returns {Promise<void>}
+   */
+  async restoreComment(tileId, comment) {
+    await this._commentRepository.add(tileId, { ...comment });
+  }
+
   // ============================================
   // History Operations
   // ============================================
@@ -227,7 +251,10 @@ export class MapEditorService {
     const actionText = action === 'claim' ? 'claimed' : 'unclaimed';
     const adjustmentText = isAdjustment ? ` (Day ${day} adjustment)` : '';
     const details = `${actionText} tile L${tileId}${adjustmentText}`;
+    const now = new Date();
     const entry = {
+      timestamp: now.toLocaleString(),
+      createdAt: now.toISOString(),
       action: isAdjustment ? `${action} (adj)` : action,
       details,
       user,
@@ -241,21 +268,41 @@ export class MapEditorService {
   }
 
   /**
-   * Add a history entry based on tile changes
+   * Get the recorded versions of a tile (its edit history), most recent first.
+   * Each version's snapshot is the tile's full data after that edit.
+   * @param {number} tileId
+   * @param {number} [limit] - Maximum versions to return
+   * @returns {Promise<import('../data/interfaces.js').HistoryEntry[]>}
+   */
+  async getTileVersions(tileId, limit) {
+    const entries = await this._historyRepository.getForTile(tileId, limit);
+    // Claims share the tile's history but aren't tile versions
+    return entries.filter(entry => entry.changes);
+  }
+
+  /**
+   * Add a history entry based on tile changes, with a before/after diff and
+   * a snapshot of the resulting data
    * @param {number} tileId
    * @param {import('../data/interfaces.js').TileData} oldData
    * @param {import('../data/interfaces.js').TileData|null} newData
+   * @param {Object} [options]
+   * @param {string} [options.revertOf] - Timestamp of the version being restored
    * @returns {Promise<import('../data/interfaces.js').HistoryEntry>}
    * @private
    */
-  async _addHistoryEntry(tileId, oldData, newData) {
-    const timestamp = new Date().toLocaleString();
+  async _addHistoryEntry(tileId, oldData, newData, { revertOf } = {}) {
+    const now = new Date();
+    const timestamp = now.toLocaleString();
+    const before = isEmptyTileData(oldData) ? null : oldData;
+    const changes = diffTileData(before, newData);
     let action = '';
     let details = '';
 
-    const isOldEmpty = !oldData || Object.keys(oldData).every(k => !oldData[k]);
-
-    if (isOldEmpty && newData) {
+    if (revertOf) {
+      action = 'Reverted';
+      details = `Tile ${tileId}: restored version from ${revertOf}`;
+    } else if (!before && newData) {
       action = 'Created';
       details = `Tile ${tileId}: ${newData.name || 'Unnamed'}`;
     } else if (!newData) {
@@ -263,16 +310,19 @@ export class MapEditorService {
       details = `Tile ${tileId}: ${oldData?.name || 'Unnamed'}`;
     } else {
       action = 'Updated';
-      const changes = [];
-      if (oldData.number !== newData.number) changes.push('number');
-      if (oldData.name !== newData.name) changes.push('name');
-      if (oldData.icon !== newData.icon) changes.push('icon');
-      if (oldData.color !== newData.color) changes.push('color');
-      if (oldData.comments !== newData.comments) changes.push('comments');
-      details = `Tile ${tileId}: ${changes.join(', ') || 'no changes'}`;
+      const fields = Object.keys(changes).map(field => getTileFieldLabel(field).toLowerCase());
+      details = `Tile ${tileId}: ${fields.join(', ') || 'no changes'}`;
     }
 
-    const entry = { timestamp, action, details };
+    const entry = {
+      timestamp,
+      createdAt: now.toISOString(),
+      action,
+      details,
+      tileId,
+      changes,
+      snapshot: newData ? { ...newData } : null
+    };
     await this._historyRepository.add(entry);
     return entry;
   }
@@ -329,4 +379,90 @@ export class MapEditorService {
   async removeVote(tileId, userId) {
     return this._likeRepository.removeVote(tileId, userId);
   }
+
+  // ============================================
+  // Workspace Backup
+  // ============================================
+
+  /**
+   * Read the whole workspace from the repositories
+   * @returns {Promise<import('../utils/workspaceBackup.js').WorkspaceData>}
+   * @private
+   */
+  async _loadWorkspace() {
+    const [tiles, comments, history, likes, plans] = await Promise.all([
+      this._tileRepository.getAll(),
+      this._commentRepository.getAll(),
+      this._historyRepository.getAll(Infinity),
+      this._likeRepository.getAll(),
+      this._planRepository ? this._planRepository.getAll() : [],
+    ]);
+    return { tiles, comments, history, likes, plans };
+  }
+
+  /**
+   * Export tiles, comments, history, likes and saved plans as one archive
+   * @returns {Promise<Object>} JSON-serializable backup archive
+   */
+  async exportWorkspace() {
+    return createBackupArchive(await this._loadWorkspace());
+  }
+
+  /**
+   * Compare a parsed backup with the current workspace without changing anything
+   * @param {import('../utils/workspaceBackup.js').WorkspaceData} backup - From parseBackupArchive
+   * @returns {Promise<ReturnType<typeof previewBackupImport>>}
+   */
+  async previewWorkspaceImport(backup) {
+    return previewBackupImport(await this._loadWorkspace(), backup);
+  }
+
+  /**
+   * Import a parsed backup into the current repositories
+   * @param {import('../utils/workspaceBackup.js').WorkspaceData} backup - From parseBackupArchive
+   * @param {Object} options
+   * @param {'merge'|'replace'} options.mode - Merge into or replace the current workspace
+   * @param {'keep'|'overwrite'} [options.onConflict] - For merges, which side wins when a record differs
+   * @returns {Promise<{tiles: number, comments: number, history: number, likes: number, plans: number}>} Resulting record counts
+   */
+  async importWorkspace(backup, { mode, onConflict = 'keep' }) {
+    const current = await this._loadWorkspace();
+    const result = mergeBackup(current, backup, { mode, onConflict });
+
+    // saveAll upserts on some backends, so remove tiles that shouldn't survive first
+    for (const tileId of current.tiles.keys()) {
+      if (!result.tiles.has(tileId)) {
+        await this._tileRepository.delete(tileId);
+      }
+    }
+    await this._tileRepository.saveAll(result.tiles);
+    if (result.added) {
+      // Merging only adds records, so other users' rows are never rewritten
+      await this._commentRepository.importComments(result.added.comments);
+      await this._historyRepository.importEntries(result.added.history);
+      await this._likeRepository.importVotes(result.added.likes);
+    } else {
+      await this._commentRepository.saveAll(result.comments);
+      await this._historyRepository.saveAll(result.history);
+      await this._likeRepository.saveAll(result.likes);
+    }
+
+    if (this._planRepository) {
+      for (const planId of result.planDeletes) {
+        await this._planRepository.delete(planId);
+      }
+      for (const plan of result.planUpserts) {
+        await this._planRepository.save(plan);
+      }
+    }
+
+    const countValues = (map) => Array.from(map.values()).reduce((sum, list) => sum + list.length, 0);
+    return {
+      tiles: result.tiles.size,
+      comments: countValues(result.comments),
+      history: result.history.length,
+      likes: countValues(result.likes),
+      plans: this._planRepository ? (await this._planRepository.getAll()).length : 0,
+    };
+  }
 }
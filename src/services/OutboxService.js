@@ -0,0 +1,254 @@
+import { isNetworkError } from '../utils/networkErrors.js';
+
+/**
+ * OutboxService sends claims, clears, tile edits, label moves, comments and votes, and
+ * queues them on this device when the backend can't be reached.
+ *
+ * Queued writes are replayed oldest first once connectivity returns. A write
+ * the backend rejects on replay (tile taken meanwhile, moves used up, tile
+ * edited by someone else, the day ended) is kept as a conflict for the user
+ * to retry or discard rather than dropped.
+ */
+export class OutboxService {
+  /**
+   * @param {Object} deps
+   * @param {import('../data/interfaces.js').IOutboxRepository} deps.outboxRepository
+   * @param {import('./MapEditorService.js').MapEditorService} deps.mapEditorService
+   * @param {import('../data/interfaces.js').IClaimRepository|null} deps.claimRepository
+   * @param {() => number} deps.getCurrentDay - Current game day
+   */
+  constructor({ outboxRepository, mapEditorService, claimRepository, getCurrentDay }) {
+    this._outboxRepository = outboxRepository;
+    this._mapEditorService = mapEditorService;
+    this._claimRepository = claimRepository;
+    this._getCurrentDay = getCurrentDay;
+    this._listeners = new Set();
+    this._replaying = null;
+  }
+
+  /**
+   * Listen for queue changes and replayed entries
+   * @param {(event: {type: 'changed'} | {type: 'replayed', entry: import('../data/interfaces.js').OutboxEntry}) => void} listener
+   * @returns {() => void} Unsubscribe function
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  _notify(event) {
+    for (const listener of [...this._listeners]) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Error in outbox listener:', error);
+      }
+    }
+  }
+
+  _generateId() {
+    return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  async _save(entries) {
+    await this._outboxRepository.saveAll(entries);
+    this._notify({ type: 'changed' });
+  }
+
+  /**
+   * Get queued entries, oldest first
+   * @returns {Promise<import('../data/interfaces.js').OutboxEntry[]>}
+   */
+  async getEntries() {
+    return this._outboxRepository.getAll();
+  }
+
+  /**
+   * Perform a write now, or queue it if the backend is unreachable.
+   * While earlier writes are still pending, new ones queue behind them to keep their order.
+   * @param {import('../data/interfaces.js').OutboxEntry['type']} type
+   * @param {Object} payload
+   * @returns {Promise<{queued: boolean}>}
+   * @throws {Error} When the backend rejects the write
+   */
+  async submit(type, payload) {
+    const entries = await this._outboxRepository.getAll();
+    const hasPending = entries.some(entry => entry.status === 'pending');
+
+    if (!hasPending) {
+      try {
+        await this._execute({ type, payload }, { replaying: false });
+        return { queued: false };
+      } catch (error) {
+        if (!isNetworkError(error)) {
+          throw error;
+        }
+      }
+    }
+
+    await this._save([...entries, {
+      id: this._generateId(),
+      type,
+      payload,
+      status: 'pending',
+      error: null,
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+    }]);
+    return { queued: true };
+  }
+
+  /**
+   * Send pending entries in order. Stops at the first network failure so later
+   * writes never overtake earlier ones.
+   * @returns {Promise<{sent: number, conflicts: number, remaining: number}>}
+   */
+  async replay() {
+    if (!this._replaying) {
+      this._replaying = this._replayPending().finally(() => {
+        this._replaying = null;
+      });
+    }
+    return this._replaying;
+  }
+
+  async _replayPending() {
+    let sent = 0;
+    let conflicts = 0;
+
+    for (;;) {
+      const entries = await this._outboxRepository.getAll();
+      const entry = entries.find(e => e.status === 'pending');
+      if (!entry) break;
+
+      try {
+        await this._execute(entry, { replaying: true });
+        await this._save(entries.filter(e => e.id !== entry.id));
+        this._notify({ type: 'replayed', entry });
+        sent++;
+      } catch (error) {
+        if (isNetworkError(error)) {
+          await this._save(entries.map(e => (e.id === entry.id ? { ...e, attempts: e.attempts + 1 } : e)));
+          break;
+        }
+        await this._save(entries.map(e => (
+          e.id === entry.id
+            ? { ...e, status: 'conflict', error: error.message, attempts: e.attempts + 1, force: false }
+            : e
+        )));
+        conflicts++;
+      }
+    }
+
+    const remaining = (await this._outboxRepository.getAll()).filter(e => e.status === 'pending').length;
+    return { sent, conflicts, remaining };
+  }
+
+  /**
+   * Put a conflicted entry back in the queue and replay
+   * @param {string} entryId
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Skip the "changed since queued" check (tile edits)
+   * @returns {Promise<{sent: number, conflicts: number, remaining: number}>}
+   */
+  async retry(entryId, { force = false } = {}) {
+    const entries = await this._outboxRepository.getAll();
+    await this._save(entries.map(e => (
+      e.id === entryId ? { ...e, status: 'pending', error: null, force } : e
+    )));
+    return this.replay();
+  }
+
+  /**
+   * Drop an entry without sending it
+   * @param {string} entryId
+   * @returns {Promise<void>}
+   */
+  async discard(entryId) {
+    const entries = await this._outboxRepository.getAll();
+    await this._save(entries.filter(e => e.id !== entryId));
+  }
+
+  /**
+   * Drop every conflicted entry
+   * @returns {Promise<void>}
+   */
+  async discardConflicts() {
+    const entries = await this._outboxRepository.getAll();
+    await this._save(entries.filter(e => e.status !== 'conflict'));
+  }
+
+  /**
+   * Send one write to the backend
+   * @param {{type: string, payload: Object, force?: boolean}} entry
+   * @param {{replaying: boolean}} options
+   * @private
+   */
+  async _execute({ type, payload, force = false }, { replaying }) {
+    switch (type) {
+      case 'claim':
+      case 'clear': {
+        if (!this._claimRepository) {
+          throw new Error('Claims are not available');
+        }
+        // Player moves always land on the current day, so a move queued yesterday would count against today
+        if (replaying && !payload.isAdmin && payload.day !== this._getCurrentDay()) {
+          throw new Error(`Day ${payload.day} ended before this move could be sent`);
+        }
+        const { history, ...params } = payload;
+        if (type === 'claim') {
+          await this._claimRepository.claimTile(params);
+        } else {
+          await this._claimRepository.clearTile(params);
+        }
+        if (history) {
+          try {
+            await this._mapEditorService.addClaimHistory(history);
+          } catch (historyError) {
+            console.error(`Error logging ${type} history:`, historyError);
+          }
+        }
+        return;
+      }
+
+      case 'tileEdit':
+      case 'tileClear': {
+        const { tileId, data, oldData, revertOf } = payload;
+        if (replaying && !force) {
+          const current = await this._mapEditorService.getTileData(tileId);
+          if (JSON.stringify(current) !== JSON.stringify({ ...current, ...oldData })) {
+            throw new Error('Tile was edited by someone else while you were offline');
+          }
+        }
+        if (type === 'tileEdit') {
+          await this._mapEditorService.saveTileData(tileId, data, oldData, { revertOf });
+        } else {
+          await this._mapEditorService.clearTileData(tileId, { revertOf });
+        }
+        return;
+      }
+
+      case 'labelMove': {
+        // Only the offset is applied, so edits made meanwhile to the rest of the tile survive
+        const current = await this._mapEditorService.getTileData(payload.tileId);
+        await this._mapEditorService.saveTileDataSilent(payload.tileId, { ...current, labelOffset: payload.labelOffset });
+        return;
+      }
+
+      case 'comment':
+        await this._mapEditorService.addComment(payload.tileId, payload.text, payload.user);
+        return;
+
+      case 'vote':
+        await this._mapEditorService.vote(payload.tileId, payload.type, payload.user, payload.userId);
+        return;
+
+      case 'removeVote':
+        await this._mapEditorService.removeVote(payload.tileId, payload.userId);
+        return;
+
+      default:
+        throw new Error(`Unknown outbox operation: ${type}`);
+    }
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * PlanLibraryService manages the user's saved planner plans.
+ * It normalizes planner sequences before they're stored and provides
+ * the save / rename / duplicate / delete operations used by the UI.
+ */
+export class PlanLibraryService {
+  /**
+   * @param {Object} repositories - Injected repositories
+   * @param {import('../data/interfaces.js').IPlanRepository} repositories.planRepository
+   * @param {import('../data/interfaces.js').IAnnotationRepository} repositories.annotationRepository
+   */
+  constructor({ planRepository, annotationRepository }) {
+    this._planRepository = planRepository;
+    this._annotationRepository = annotationRepository;
+  }
+
+  /**
+   * Strip UI-only fields (like React keys) from planner steps
+   * @param {Array} sequence
+   * @returns {import('../data/interfaces.js').PlanStep[]}
+   */
+  _normalizeSequence(sequence) {
+    return sequence.map(item => (
+      item.type === 'new_day'
+        ? { type: 'new_day' }
+        : { type: 'move', action: item.action, tileId: item.tileId, allianceId: item.allianceId }
+    ));
+  }
+
+  /**
+   * Keep only the alliances the sequence refers to
+   * @param {Array} sequence
+   * @param {Array<{id: string, name?: string, color?: string}>} alliances
+   * @returns {Array<{id: string, name: string, color: string}>}
+   */
+  _referencedAlliances(sequence, alliances) {
+    const ids = new Set(sequence.filter(item => item.type === 'move').map(item => item.allianceId));
+    const result = [];
+    for (const id of ids) {
+      const known = alliances.find(a => a.id === id);
+      result.push({ id, name: known?.name || '', color: known?.color || '' });
+    }
+    return result;
+  }
+
+  /**
+   * List saved plans, most recently updated first
+   * @returns {Promise<import('../data/interfaces.js').SavedPlan[]>}
+   */
+  async listPlans() {
+    return this._planRepository.getAll();
+  }
+
+  /**
+   * Get a saved plan
+   * @param {string} planId
+   * @returns {Promise<import('../data/interfaces.js').SavedPlan|null>}
+   */
+  async getPlan(planId) {
+    return this._planRepository.get(planId);
+  }
+
+  /**
+   * Save a plan. Pass an ID to overwrite an existing plan, omit it to create one.
+   * @param {Object} plan
+   * @param {string} [plan.id] - Existing plan ID
+   * @param {string} plan.name - Plan name
+   * @param {string} [plan.notes] - Notes
+   * @param {number|null} plan.baseDay - Day the plan was made against
+   * @param {Array} plan.sequence - Planner sequence
+   * @param {Array} [plan.alliances] - Known alliances, used to record names/colors
+   * @returns {Promise<import('../data/interfaces.js').SavedPlan>}
+   */
+  async savePlan({ id, name, notes = '', baseDay, sequence, alliances = [] }) {
+    const trimmedName = name?.trim();
+    if (!trimmedName) {
+      throw new Error('Plan name is required');
+    }
+
+    return this._planRepository.save({
+      id,
+      name: trimmedName,
+      notes,
+      baseDay: baseDay ?? null,
+      sequence: this._normalizeSequence(sequence),
+      alliances: this._referencedAlliances(sequence, alliances),
+    });
+  }
+
+  /**
+   * Rename a saved plan
+   * @param {string} planId
+   * @param {string} name
+   * @returns {Promise<import('../data/interfaces.js').SavedPlan>}
+   */
+  async renamePlan(planId, name) {
+    const plan = await this._planRepository.get(planId);
+    if (!plan) {
+      throw new Error('Plan not found');
+    }
+    return this.savePlan({ ...plan, name });
+  }
+
+  /**
+   * Save a copy of an existing plan under a new name
+   * @param {string} planId
+   * @returns {Promise<import('../data/interfaces.js').SavedPlan>}
+   */
+  async duplicatePlan(planId) {
+    const plan = await this._planRepository.get(planId);
+    if (!plan) {
+      throw new Error('Plan not found');
+    }
+    return this.savePlan({ ...plan, id: undefined, name: `${plan.name} (copy)` });
+  }
+
+  /**
+   * Delete a saved plan and its annotations
+   * @param {string} planId
+   * @returns {Promise<void>}
+   */
+  async deletePlan(planId) {
+    await this._planRepository.delete(planId);
+    await this._annotationRepository.deleteForPlan(planId);
+  }
+}
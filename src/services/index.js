@@ -1 +1,2 @@
 export { MapEditorService } from './MapEditorService.js';
+export { CommandStack } from './CommandStack.js';
@@ -31,6 +31,44 @@ function segmentsAreAdjacent(seg1Start, seg1End, seg2Start, seg2End, threshold =
   return false;
 }
 
+/**
+ * Distance from a point to a line segment
+ */
+function distanceToSegment(point, segStart, segEnd) {
+  const dx = segEnd.x - segStart.x;
+  const dy = segEnd.y - segStart.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((point.x - segStart.x) * dx + (point.y - segStart.y) * dy) / lengthSq));
+  return distance(point, { x: segStart.x + t * dx, y: segStart.y + t * dy });
+}
+
+/**
+ * Check if a polygon edge is shared with another polygon: either it matches one of
+ * the other polygon's edges, or it runs along the other polygon's boundary (traced
+ * neighbours rarely place their vertices at the same spots along a common border)
+ * @param {{x: number, y: number}} start - Edge start
+ * @param {{x: number, y: number}} end - Edge end
+ * @param {Array<{x: number, y: number}>} polygon - The other polygon
+ * @param {number} [threshold] - Maximum distance in map units
+ * @returns {boolean}
+ */
+export function isSharedEdge(start, end, polygon, threshold = 5) {
+  const midpoint = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+  for (let i = 0; i < polygon.length; i++) {
+    const next = (i + 1) % polygon.length;
+    if (segmentsAreAdjacent(start, end, polygon[i], polygon[next], threshold)) {
+      return true;
+    }
+  }
+
+  const isNearBoundary = (point) => polygon.some((vertex, i) =>
+    distanceToSegment(point, vertex, polygon[(i + 1) % polygon.length]) < threshold
+  );
+  return isNearBoundary(start) && isNearBoundary(end) && isNearBoundary(midpoint);
+}
+
 /**
  * Check if two polygons share an edge (are adjacent)
  */
@@ -3,10 +3,19 @@
  */
 
 import { isAdjacentToOwned } from './adjacencyUtils.js';
+import { DEFAULT_RULESET, isCapExempt } from '../config/ruleset.js';
 
-// Constants
-const MAX_NUMBERED_TILES = 6;
-const SPECIAL_TILE_NUMBER = 7; // Tile #7 doesn't count toward limit
+/**
+ * Rule identifiers attached to failed validations, so the UI can tell
+ * which rule was broken without parsing the error message
+ */
+export const CLAIM_RULES = {
+  MOVES: 'moves',
+  CLAIMED: 'claimed',
+  CAP: 'cap',
+  PROGRESSION: 'progression',
+  ADJACENCY: 'adjacency',
+};
 
 /**
  * Validate if a tile can be claimed by an alliance
@@ -19,7 +28,8 @@ const SPECIAL_TILE_NUMBER = 7; // Tile #7 doesn't count toward limit
  * @param {Map} adjacencyMap - The adjacency map
  * @param {number} movesRemaining - Number of moves remaining for the day
  * @param {boolean} isAdmin - Whether the user is an admin
- * @returns {Object} { valid: boolean, error: string | null }
+ * @param {import('../config/ruleset.js').Ruleset} [ruleset] - Season ruleset (tile cap, exempt numbers)
+ * @returns {Object} { valid: boolean, error: string | null, rule: string | null }
  */
 export function validateClaim({
   tileId,
@@ -30,32 +40,37 @@ export function validateClaim({
   adjacencyMap,
   movesRemaining,
   isAdmin = false,
+  ruleset = DEFAULT_RULESET,
 }) {
   // Admin bypasses all rules
   if (isAdmin) {
-    return { valid: true, error: null };
+    return { valid: true, error: null, rule: null };
   }
 
   // Check if moves remaining
   if (movesRemaining <= 0) {
-    return { valid: false, error: 'No moves remaining for today' };
+    return { valid: false, error: 'No moves remaining for today', rule: CLAIM_RULES.MOVES };
   }
 
   // Check if tile is already claimed by the same alliance
   const existingClaim = tileClaims.get(tileId);
   if (existingClaim) {
-    return { valid: false, error: `Tile already claimed by ${existingClaim.allianceName}` };
+    return { valid: false, error: `Tile already claimed by ${existingClaim.allianceName}`, rule: CLAIM_RULES.CLAIMED };
   }
 
   // Get tile number (might be undefined or empty string)
   const tileNumber = parseInt(tileData?.number, 10);
   const hasNumber = !isNaN(tileNumber) && tileNumber > 0;
 
-  // Check tile limit (only for numbered tiles, excluding #7)
-  if (hasNumber && tileNumber !== SPECIAL_TILE_NUMBER) {
-    const ownedNumberedTiles = countNumberedTiles(ownedTileIds, allTileData);
-    if (ownedNumberedTiles >= MAX_NUMBERED_TILES) {
-      return { valid: false, error: `Maximum of ${MAX_NUMBERED_TILES} numbered tiles reached (tile #7 doesn't count)` };
+  // Check tile limit (only for numbered tiles, excluding cap-exempt numbers like #7)
+  if (hasNumber && !isCapExempt(ruleset, tileNumber)) {
+    const ownedNumberedTiles = countNumberedTiles(ownedTileIds, allTileData, ruleset);
+    if (ownedNumberedTiles >= ruleset.maxNumberedTiles) {
+      return {
+        valid: false,
+        error: `Maximum of ${ruleset.maxNumberedTiles} numbered tiles reached${formatExemptNote(ruleset)}`,
+        rule: CLAIM_RULES.CAP,
+      };
     }
   }
 
@@ -64,18 +79,22 @@ export function validateClaim({
     const previousNumber = tileNumber - 1;
     const hasPreviousNumber = hasNumberedTile(ownedTileIds, allTileData, previousNumber);
     if (!hasPreviousNumber) {
-      return { valid: false, error: `Must own a tile numbered ${previousNumber} before claiming tile #${tileNumber}` };
+      return {
+        valid: false,
+        error: `Must own a tile numbered ${previousNumber} before claiming tile #${tileNumber}`,
+        rule: CLAIM_RULES.PROGRESSION,
+      };
     }
   }
 
   // Check adjacency rule (only if alliance owns at least one tile)
   if (ownedTileIds.size > 0) {
     if (!isAdjacentToOwned(tileId, ownedTileIds, adjacencyMap)) {
-      return { valid: false, error: 'Tile must be adjacent to an existing territory' };
+      return { valid: false, error: 'Tile must be adjacent to an existing territory', rule: CLAIM_RULES.ADJACENCY };
     }
   }
 
-  return { valid: true, error: null };
+  return { valid: true, error: null, rule: null };
 }
 
 /**
@@ -114,23 +133,36 @@ export function validateClear({
 }
 
 /**
- * Count how many numbered tiles (excluding #7) an alliance owns
+ * Count how many numbered tiles (excluding cap-exempt numbers) an alliance owns
  * @param {Set} ownedTileIds - Set of tile IDs owned by the alliance
  * @param {Map} allTileData - Map of all tile data
+ * @param {import('../config/ruleset.js').Ruleset} [ruleset] - Season ruleset
  * @returns {number}
  */
-function countNumberedTiles(ownedTileIds, allTileData) {
+export function countNumberedTiles(ownedTileIds, allTileData, ruleset = DEFAULT_RULESET) {
   let count = 0;
   for (const tileId of ownedTileIds) {
     const data = allTileData.get(tileId);
     const tileNumber = parseInt(data?.number, 10);
-    if (!isNaN(tileNumber) && tileNumber > 0 && tileNumber !== SPECIAL_TILE_NUMBER) {
+    if (!isNaN(tileNumber) && tileNumber > 0 && !isCapExempt(ruleset, tileNumber)) {
       count++;
     }
   }
   return count;
 }
 
+/**
+ * Describe which tile numbers don't count toward the cap, for error messages
+ * @param {import('../config/ruleset.js').Ruleset} ruleset
+ * @returns {string}
+ */
+function formatExemptNote(ruleset) {
+  const exempt = ruleset.capExemptTileNumbers;
+  if (exempt.length === 0) return '';
+  const list = exempt.map(n => `#${n}`).join(', ');
+  return ` (tile ${list} ${exempt.length === 1 ? "doesn't" : "don't"} count)`;
+}
+
 /**
  * Check if alliance owns a tile with a specific number
  * @param {Set} ownedTileIds - Set of tile IDs owned by the alliance
@@ -159,6 +191,7 @@ function hasNumberedTile(ownedTileIds, allTileData, targetNumber) {
  * @param {Map} adjacencyMap - Adjacency map
  * @param {number} movesRemaining - Moves remaining
  * @param {boolean} isAdmin - Admin mode
+ * @param {import('../config/ruleset.js').Ruleset} [ruleset] - Season ruleset
  * @returns {Set} Set of claimable tile IDs
  */
 export function getClaimableTiles({
@@ -169,6 +202,7 @@ export function getClaimableTiles({
   adjacencyMap,
   movesRemaining,
   isAdmin = false,
+  ruleset = DEFAULT_RULESET,
 }) {
   const claimable = new Set();
 
@@ -185,6 +219,7 @@ export function getClaimableTiles({
       adjacencyMap,
       movesRemaining,
       isAdmin,
+      ruleset,
     });
 
     if (result.valid) {
@@ -194,3 +229,38 @@ export function getClaimableTiles({
 
   return claimable;
 }
+
+/**
+ * Evaluate every tile for an alliance and keep the validation result for each,
+ * so callers can show why a tile cannot be claimed (not just whether it can)
+ * @param {Object} params - Same parameters as getClaimableTiles
+ * @returns {Map} Map<tileId, { valid: boolean, error: string | null, rule: string | null }>
+ */
+export function evaluateClaims({
+  ownedTileIds,
+  allTiles,
+  allTileData,
+  tileClaims,
+  adjacencyMap,
+  movesRemaining,
+  isAdmin = false,
+  ruleset = DEFAULT_RULESET,
+}) {
+  const results = new Map();
+
+  for (const tile of allTiles) {
+    results.set(tile.id, validateClaim({
+      tileId: tile.id,
+      tileData: allTileData.get(tile.id),
+      ownedTileIds,
+      allTileData,
+      tileClaims,
+      adjacencyMap,
+      movesRemaining,
+      isAdmin,
+      ruleset,
+    }));
+  }
+
+  return results;
+}
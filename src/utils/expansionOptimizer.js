@@ -0,0 +1,279 @@
+/**
+ * Multi-day expansion optimizer: searches for the best sequence of claims/clears
+ * an alliance can make over the next few days under the ruleset
+ */
+
+import { validateClaim, CLAIM_RULES } from './claimRulesEngine.js';
+import { DEFAULT_RULESET, isCapExempt } from '../config/ruleset.js';
+
+/**
+ * Default weights for each scoring term
+ */
+export const DEFAULT_SCORE_WEIGHTS = {
+  highestNumber: 10, // Highest tile number held
+  totalTiles: 1, // Every tile held
+  contiguity: 2, // Tiles in the largest connected block of territory
+  capExemptCapture: 15, // Each cap-exempt tile held (#7 by default)
+};
+
+const DEFAULT_BEAM_WIDTH = 40;
+
+/**
+ * Read a tile's number, or null when it has none
+ * @param {Map} allTileData
+ * @param {number} tileId
+ * @returns {number|null}
+ */
+function getTileNumber(allTileData, tileId) {
+  const tileNumber = parseInt(allTileData.get(tileId)?.number, 10);
+  return !isNaN(tileNumber) && tileNumber > 0 ? tileNumber : null;
+}
+
+/**
+ * Size of the largest connected block of owned tiles
+ * @param {Set<number>} ownedTileIds
+ * @param {Map<number, Set<number>>} adjacencyMap
+ * @returns {number}
+ */
+function largestComponentSize(ownedTileIds, adjacencyMap) {
+  const seen = new Set();
+  let largest = 0;
+
+  for (const start of ownedTileIds) {
+    if (seen.has(start)) continue;
+    seen.add(start);
+    const stack = [start];
+    let size = 0;
+    while (stack.length > 0) {
+      const tileId = stack.pop();
+      size++;
+      for (const neighbor of adjacencyMap.get(tileId) || []) {
+        if (ownedTileIds.has(neighbor) && !seen.has(neighbor)) {
+          seen.add(neighbor);
+          stack.push(neighbor);
+        }
+      }
+    }
+    largest = Math.max(largest, size);
+  }
+
+  return largest;
+}
+
+/**
+ * Score a territory with the configured weights
+ * @param {Object} params
+ * @param {Set<number>} params.ownedTileIds - Tiles held by the alliance
+ * @param {Map} params.allTileData - Map of all tile data (tileId -> tileData)
+ * @param {Map<number, Set<number>>} params.adjacencyMap - The adjacency map
+ * @param {import('../config/ruleset.js').Ruleset} [params.ruleset] - Season ruleset
+ * @param {Object} [params.weights] - Weights per term, see DEFAULT_SCORE_WEIGHTS
+ * @returns {{score: number, highestNumber: number, totalTiles: number, contiguity: number, capExemptCapture: number}}
+ */
+export function scoreTerritory({
+  ownedTileIds,
+  allTileData,
+  adjacencyMap,
+  ruleset = DEFAULT_RULESET,
+  weights = DEFAULT_SCORE_WEIGHTS,
+}) {
+  let highestNumber = 0;
+  let capExemptCapture = 0;
+  for (const tileId of ownedTileIds) {
+    const tileNumber = getTileNumber(allTileData, tileId);
+    if (tileNumber === null) continue;
+    if (isCapExempt(ruleset, tileNumber)) {
+      capExemptCapture++;
+    } else {
+      highestNumber = Math.max(highestNumber, tileNumber);
+    }
+  }
+
+  const terms = {
+    highestNumber,
+    totalTiles: ownedTileIds.size,
+    contiguity: largestComponentSize(ownedTileIds, adjacencyMap),
+    capExemptCapture,
+  };
+
+  const score = Object.keys(DEFAULT_SCORE_WEIGHTS)
+    .reduce((sum, key) => sum + (weights[key] ?? 0) * terms[key], 0);
+
+  return { score, ...terms };
+}
+
+/**
+ * Stable key for a set of owned tiles
+ * @param {Set<number>} ownedTileIds
+ * @returns {string}
+ */
+function stateKey(ownedTileIds) {
+  return [...ownedTileIds].sort((a, b) => a - b).join(',');
+}
+
+/**
+ * Search for the best N-day expansion for an alliance.
+ *
+ * Beam search over territory states, one claim at a time. Each claim may be
+ * preceded by clearing one of the alliance's capped tiles when the tile cap is
+ * full. Other alliances' claims are treated as fixed. A state may also stop
+ * claiming early, so the result is never worse than doing nothing.
+ *
+ * @param {Object} params
+ * @param {string} params.allianceId - Alliance to plan for
+ * @param {Map} params.tileClaims - Current claims (tileId -> {allianceId, ...})
+ * @param {Map} params.allTileData - Map of all tile data (tileId -> tileData)
+ * @param {Map<number, Set<number>>} params.adjacencyMap - The adjacency map
+ * @param {Array<number>} params.tileIds - Every tile ID on the map
+ * @param {number} params.days - Number of days to plan (including the first)
+ * @param {number} [params.movesRemaining] - Claims left on the first day (defaults to a full day)
+ * @param {import('../config/ruleset.js').Ruleset} [params.ruleset] - Season ruleset
+ * @param {Object} [params.weights] - Score weights, see DEFAULT_SCORE_WEIGHTS
+ * @param {number} [params.beamWidth] - States kept after each claim
+ * @param {(progress: number) => void} [params.onProgress] - Called with 0..1 after each claim step
+ * @returns {{steps: Array, claims: number, clears: number, score: Object, baseScore: Object}}
+ *   steps are planner items ({type: 'move'|'new_day', action?, tileId?, allianceId?})
+ */
+export function optimizeExpansion({
+  allianceId,
+  tileClaims,
+  allTileData,
+  adjacencyMap,
+  tileIds,
+  days,
+  movesRemaining,
+  ruleset = DEFAULT_RULESET,
+  weights = DEFAULT_SCORE_WEIGHTS,
+  beamWidth = DEFAULT_BEAM_WIDTH,
+  onProgress,
+}) {
+  const startOwned = new Set();
+  const blockedClaims = new Map();
+  tileClaims.forEach((claim, tileId) => {
+    if (claim.allianceId === allianceId) {
+      startOwned.add(tileId);
+    } else {
+      blockedClaims.set(tileId, claim);
+    }
+  });
+
+  const score = (owned) => scoreTerritory({ ownedTileIds: owned, allTileData, adjacencyMap, ruleset, weights });
+
+  const isClaimable = (tileId, owned) => validateClaim({
+    tileId,
+    tileData: allTileData.get(tileId),
+    ownedTileIds: owned,
+    allTileData,
+    tileClaims: blockedClaims,
+    adjacencyMap,
+    movesRemaining: 1,
+    ruleset,
+  });
+
+  const isCapped = (tileId) => {
+    const tileNumber = getTileNumber(allTileData, tileId);
+    return tileNumber !== null && !isCapExempt(ruleset, tileNumber);
+  };
+
+  const candidatesFor = (owned) => {
+    if (owned.size === 0) {
+      return tileIds.filter(tileId => !blockedClaims.has(tileId));
+    }
+    const candidates = new Set();
+    for (const tileId of owned) {
+      for (const neighbor of adjacencyMap.get(tileId) || []) {
+        if (!owned.has(neighbor) && !blockedClaims.has(neighbor)) {
+          candidates.add(neighbor);
+        }
+      }
+    }
+    return [...candidates];
+  };
+
+  // Claim slots per day: whatever is left today, then full days
+  const firstDayMoves = Math.max(0, movesRemaining ?? ruleset.maxMovesPerDay);
+  const slots = [];
+  for (let day = 0; day < days; day++) {
+    const moves = day === 0 ? firstDayMoves : ruleset.maxMovesPerDay;
+    for (let i = 0; i < moves; i++) slots.push(day);
+  }
+
+  const baseScore = score(startOwned);
+  let beam = [{ owned: startOwned, score: baseScore, actions: [] }];
+  let best = beam[0];
+
+  slots.forEach((day, slotIndex) => {
+    const next = new Map();
+    const consider = (state) => {
+      const key = stateKey(state.owned);
+      const existing = next.get(key);
+      // Same territory: keep the cheaper route (fewer actions)
+      if (!existing || state.actions.length < existing.actions.length) {
+        next.set(key, state);
+      }
+    };
+
+    for (const state of beam) {
+      // Stopping early is always allowed
+      consider(state);
+
+      for (const tileId of candidatesFor(state.owned)) {
+        const clearOptions = [];
+        const result = isClaimable(tileId, state.owned);
+        if (result.valid) {
+          clearOptions.push(null);
+        } else if (result.rule === CLAIM_RULES.CAP) {
+          for (const ownedId of state.owned) {
+            if (!isCapped(ownedId)) continue;
+            const reduced = new Set(state.owned);
+            reduced.delete(ownedId);
+            if (isClaimable(tileId, reduced).valid) {
+              clearOptions.push(ownedId);
+            }
+          }
+        }
+
+        for (const clearId of clearOptions) {
+          const owned = new Set(state.owned);
+          const actions = [...state.actions];
+          if (clearId !== null) {
+            owned.delete(clearId);
+            actions.push({ action: 'clear', tileId: clearId, day });
+          }
+          owned.add(tileId);
+          actions.push({ action: 'claim', tileId, day });
+          consider({ owned, score: score(owned), actions });
+        }
+      }
+    }
+
+    beam = [...next.values()]
+      .sort((a, b) => b.score.score - a.score.score || a.actions.length - b.actions.length)
+      .slice(0, beamWidth);
+
+    if (beam[0].score.score > best.score.score) {
+      best = beam[0];
+    }
+
+    onProgress?.((slotIndex + 1) / slots.length);
+  });
+
+  // Lay the chosen actions out by day, with a new_day marker between days
+  const steps = [];
+  let currentDay = 0;
+  for (const { action, tileId, day } of best.actions) {
+    while (currentDay < day) {
+      steps.push({ type: 'new_day' });
+      currentDay++;
+    }
+    steps.push({ type: 'move', action, tileId, allianceId });
+  }
+
+  return {
+    steps,
+    claims: best.actions.filter(a => a.action === 'claim').length,
+    clears: best.actions.filter(a => a.action === 'clear').length,
+    score: best.score,
+    baseScore,
+  };
+}
@@ -0,0 +1,320 @@
+/**
+ * Shortest legal expansion path from an alliance's territory to a target tile
+ */
+
+import { validateClaim, CLAIM_RULES } from './claimRulesEngine.js';
+import { DEFAULT_RULESET, isCapExempt } from '../config/ruleset.js';
+
+// Upper bound on explored territory states, keeps the search responsive on large maps
+const DEFAULT_MAX_EXPANSIONS = 20000;
+
+/**
+ * Reasons a path could not be found
+ */
+export const PATH_FAILURES = {
+  TARGET_CLAIMED: 'target_claimed',
+  UNREACHABLE: 'unreachable',
+  SEARCH_LIMIT: 'search_limit',
+};
+
+/**
+ * Minimal binary min-heap keyed by a numeric priority
+ */
+class PriorityQueue {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(value, priority) {
+    this.items.push({ value, priority });
+    let i = this.items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.items[parent].priority <= this.items[i].priority) break;
+      [this.items[parent], this.items[i]] = [this.items[i], this.items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const top = this.items[0];
+    const last = this.items.pop();
+    if (this.items.length > 0) {
+      this.items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < this.items.length && this.items[left].priority < this.items[smallest].priority) smallest = left;
+        if (right < this.items.length && this.items[right].priority < this.items[smallest].priority) smallest = right;
+        if (smallest === i) break;
+        [this.items[smallest], this.items[i]] = [this.items[i], this.items[smallest]];
+        i = smallest;
+      }
+    }
+    return top.value;
+  }
+}
+
+/**
+ * Tile distance (in claims) from every reachable tile to the target, walking
+ * only over tiles that aren't held by other alliances
+ * @param {number} targetTileId
+ * @param {Map<number, Set<number>>} adjacencyMap
+ * @param {Map} blockedClaims - Claims held by other alliances
+ * @returns {Map<number, number>}
+ */
+function buildDistanceMap(targetTileId, adjacencyMap, blockedClaims) {
+  const distances = new Map([[targetTileId, 0]]);
+  const queue = [targetTileId];
+  for (let head = 0; head < queue.length; head++) {
+    const tileId = queue[head];
+    const distance = distances.get(tileId);
+    for (const neighbor of adjacencyMap.get(tileId) || []) {
+      if (distances.has(neighbor)) continue;
+      distances.set(neighbor, distance + 1);
+      // Other alliances' tiles can be stood next to but not walked through
+      if (!blockedClaims.has(neighbor)) {
+        queue.push(neighbor);
+      }
+    }
+  }
+  return distances;
+}
+
+/**
+ * Stable key for a set of owned tiles
+ * @param {Set<number>} ownedTileIds
+ * @returns {string}
+ */
+function stateKey(ownedTileIds) {
+  return [...ownedTileIds].sort((a, b) => a - b).join(',');
+}
+
+/**
+ * Turn a list of claims/clears into planner steps, inserting new_day markers
+ * whenever the daily claim allowance runs out. Clears don't use moves.
+ * @param {Array<{action: string, tileId: number}>} actions
+ * @param {string} allianceId
+ * @param {number} movesRemaining - Claims left on the first day
+ * @param {number} maxMovesPerDay
+ * @returns {{steps: Array, days: number}}
+ */
+export function scheduleActions(actions, allianceId, movesRemaining, maxMovesPerDay) {
+  const steps = [];
+  let remaining = movesRemaining;
+  let days = 0;
+
+  for (const action of actions) {
+    if (action.action === 'claim') {
+      if (remaining <= 0) {
+        steps.push({ type: 'new_day' });
+        days++;
+        remaining = maxMovesPerDay;
+      }
+      remaining--;
+    }
+    steps.push({ type: 'move', action: action.action, tileId: action.tileId, allianceId });
+  }
+
+  return { steps, days };
+}
+
+/**
+ * Find the minimum sequence of legal claims that takes an alliance from its
+ * current territory to a target tile. Clears of the alliance's own numbered
+ * tiles are allowed when the tile cap blocks the next claim.
+ *
+ * Searches territory states with A*, where the cost is the number of claims and
+ * the heuristic is the walking distance from the nearest owned tile to the target.
+ *
+ * @param {Object} params
+ * @param {number} params.targetTileId - Tile to reach
+ * @param {string} params.allianceId - Alliance expanding
+ * @param {Map} params.tileClaims - Current claims (tileId -> {allianceId, ...})
+ * @param {Map} params.allTileData - Map of all tile data (tileId -> tileData)
+ * @param {Map<number, Set<number>>} params.adjacencyMap - The adjacency map
+ * @param {number} [params.movesRemaining] - Claims left today (defaults to a full day)
+ * @param {import('../config/ruleset.js').Ruleset} [params.ruleset] - Season ruleset
+ * @param {number} [params.maxExpansions] - Search budget in explored states
+ * @returns {{found: boolean, steps: Array, claims: number, clears: number, days: number, reason: string|null}}
+ *   steps are planner items ({type: 'move'|'new_day', action?, tileId?, allianceId?}); days counts new_day markers
+ */
+export function findExpansionPath({
+  targetTileId,
+  allianceId,
+  tileClaims,
+  allTileData,
+  adjacencyMap,
+  movesRemaining,
+  ruleset = DEFAULT_RULESET,
+  maxExpansions = DEFAULT_MAX_EXPANSIONS,
+}) {
+  const notFound = (reason) => ({ found: false, steps: [], claims: 0, clears: 0, days: 0, reason });
+
+  const startOwned = new Set();
+  const blockedClaims = new Map();
+  tileClaims.forEach((claim, tileId) => {
+    if (claim.allianceId === allianceId) {
+      startOwned.add(tileId);
+    } else {
+      blockedClaims.set(tileId, claim);
+    }
+  });
+
+  if (startOwned.has(targetTileId)) {
+    return { found: true, steps: [], claims: 0, clears: 0, days: 0, reason: null };
+  }
+  if (blockedClaims.has(targetTileId)) {
+    return notFound(PATH_FAILURES.TARGET_CLAIMED);
+  }
+
+  const distances = buildDistanceMap(targetTileId, adjacencyMap, blockedClaims);
+
+  // Lower bound on claims still needed from a territory state
+  const heuristic = (owned) => {
+    if (owned.size === 0) return 1;
+    let best = Infinity;
+    for (const tileId of owned) {
+      const distance = distances.get(tileId);
+      if (distance !== undefined && distance < best) best = distance;
+    }
+    return best;
+  };
+
+  const startHeuristic = heuristic(startOwned);
+  if (startHeuristic === Infinity) {
+    return notFound(PATH_FAILURES.UNREACHABLE);
+  }
+
+  // Candidate tiles are those the alliance could walk onto: neighbors of its
+  // territory, or anywhere on the map when it holds nothing yet
+  const candidatesFor = (owned) => {
+    if (owned.size === 0) {
+      return [...distances.keys()].filter(tileId => !blockedClaims.has(tileId));
+    }
+    const candidates = new Set();
+    for (const tileId of owned) {
+      for (const neighbor of adjacencyMap.get(tileId) || []) {
+        if (!owned.has(neighbor) && !blockedClaims.has(neighbor) && distances.has(neighbor)) {
+          candidates.add(neighbor);
+        }
+      }
+    }
+    return [...candidates];
+  };
+
+  const isClaimable = (tileId, owned) => validateClaim({
+    tileId,
+    tileData: allTileData.get(tileId),
+    ownedTileIds: owned,
+    allTileData,
+    tileClaims: blockedClaims,
+    adjacencyMap,
+    movesRemaining: 1,
+    ruleset,
+  });
+
+  const isCapped = (tileId) => {
+    const tileNumber = parseInt(allTileData.get(tileId)?.number, 10);
+    return !isNaN(tileNumber) && tileNumber > 0 && !isCapExempt(ruleset, tileNumber);
+  };
+
+  const start = { owned: startOwned, cost: 0, clears: 0, parent: null, actions: [] };
+  const bestCost = new Map([[stateKey(startOwned), 0]]);
+  const queue = new PriorityQueue();
+  // Ties prefer deeper states (higher cost), then fewer clears
+  const priority = (node, h) => (node.cost + h) * 1e6 - node.cost * 1e3 + node.clears;
+  queue.push(start, priority(start, startHeuristic));
+
+  let expansions = 0;
+  while (queue.size > 0) {
+    const node = queue.pop();
+    if (node.owned.has(targetTileId)) {
+      return buildResult(node, allianceId, movesRemaining, ruleset);
+    }
+    if (bestCost.get(stateKey(node.owned)) < node.cost) continue;
+    if (++expansions > maxExpansions) {
+      return notFound(PATH_FAILURES.SEARCH_LIMIT);
+    }
+
+    for (const tileId of candidatesFor(node.owned)) {
+      const successors = [];
+      const result = isClaimable(tileId, node.owned);
+
+      if (result.valid) {
+        successors.push({ clearId: null });
+      } else if (result.rule === CLAIM_RULES.CAP) {
+        // Free a cap slot by dropping one of our capped tiles first
+        for (const ownedId of node.owned) {
+          if (!isCapped(ownedId)) continue;
+          const reduced = new Set(node.owned);
+          reduced.delete(ownedId);
+          if (isClaimable(tileId, reduced).valid) {
+            successors.push({ clearId: ownedId });
+          }
+        }
+      }
+
+      for (const { clearId } of successors) {
+        const owned = new Set(node.owned);
+        const actions = [];
+        if (clearId !== null) {
+          owned.delete(clearId);
+          actions.push({ action: 'clear', tileId: clearId });
+        }
+        owned.add(tileId);
+        actions.push({ action: 'claim', tileId });
+
+        const child = {
+          owned,
+          cost: node.cost + 1,
+          clears: node.clears + (clearId !== null ? 1 : 0),
+          parent: node,
+          actions,
+        };
+        const key = stateKey(owned);
+        const known = bestCost.get(key);
+        if (known !== undefined && known <= child.cost) continue;
+        bestCost.set(key, child.cost);
+
+        const h = heuristic(owned);
+        if (h === Infinity) continue;
+        queue.push(child, priority(child, h));
+      }
+    }
+  }
+
+  return notFound(PATH_FAILURES.UNREACHABLE);
+}
+
+/**
+ * Walk back from the goal node and schedule its actions into days
+ */
+function buildResult(goal, allianceId, movesRemaining, ruleset) {
+  const chain = [];
+  for (let node = goal; node.parent; node = node.parent) {
+    chain.unshift(...node.actions);
+  }
+
+  const { steps, days } = scheduleActions(
+    chain,
+    allianceId,
+    movesRemaining ?? ruleset.maxMovesPerDay,
+    ruleset.maxMovesPerDay
+  );
+
+  return {
+    found: true,
+    steps,
+    claims: goal.cost,
+    clears: goal.clears,
+    days,
+    reason: null,
+  };
+}
@@ -24,6 +24,69 @@ export function calculatePolygonCentroid(polygon) {
   return { x: cx, y: cy };
 }
 
+/**
+ * Calculate the (unsigned) area of a polygon using the shoelace formula
+ * @param {Array<{x: number, y: number}>} polygon - Array of polygon vertices
+ * @returns {number}
+ */
+export function calculatePolygonArea(polygon) {
+  let area = 0;
+  const n = polygon.length;
+
+  for (let i = 0; i < n; i++) {
+    const j = (i + 1) % n;
+    area += polygon[i].x * polygon[j].y - polygon[j].x * polygon[i].y;
+  }
+
+  return Math.abs(area / 2);
+}
+
+/**
+ * Find the point inside a polygon farthest from its edges (pole of inaccessibility).
+ * Unlike the centroid it always lies inside the shape, which makes it the better
+ * spot for a label on concave or elongated polygons.
+ * @param {Array<{x: number, y: number}>} polygon - Array of polygon vertices
+ * @param {number} [precision] - Stop refining once cells are this close to optimal, in map units
+ * @returns {{x: number, y: number}}
+ */
+export function getPolygonVisualCenter(polygon, precision = 1) {
+  const { minX, minY, maxX, maxY } = getPolygonBounds(polygon);
+  const cellSize = Math.min(maxX - minX, maxY - minY);
+  if (cellSize === 0) return { x: minX, y: minY };
+
+  const makeCell = (x, y, half) => {
+    const d = signedDistanceToPolygon({ x, y }, polygon);
+    return { x, y, half, d, max: d + half * Math.SQRT2 };
+  };
+
+  // Start from the centroid, then search a grid of square cells, splitting promising ones
+  const centroid = calculatePolygonCentroid(polygon);
+  let best = makeCell(centroid.x, centroid.y, 0);
+  const queue = [];
+  for (let x = minX; x < maxX; x += cellSize) {
+    for (let y = minY; y < maxY; y += cellSize) {
+      queue.push(makeCell(x + cellSize / 2, y + cellSize / 2, cellSize / 2));
+    }
+  }
+
+  while (queue.length > 0) {
+    queue.sort((a, b) => a.max - b.max);
+    const cell = queue.pop();
+    if (cell.d > best.d) best = cell;
+    if (cell.max - best.d <= precision) continue;
+
+    const half = cell.half / 2;
+    queue.push(
+      makeCell(cell.x - half, cell.y - half, half),
+      makeCell(cell.x + half, cell.y - half, half),
+      makeCell(cell.x - half, cell.y + half, half),
+      makeCell(cell.x + half, cell.y + half, half)
+    );
+  }
+
+  return { x: best.x, y: best.y };
+}
+
 /**
  * Convert polygon array to flat points array for Konva
  * @param {Array<{x: number, y: number}>} polygon - Array of polygon vertices
@@ -64,6 +127,77 @@ export function isPointInPolygon(point, polygon) {
   return inside;
 }
 
+/**
+ * @typedef {Object} Bounds
+ * @property {number} minX
+ * @property {number} minY
+ * @property {number} maxX
+ * @property {number} maxY
+ */
+
+/**
+ * Get the axis-aligned bounding box of a polygon
+ * @param {Array<{x: number, y: number}>} polygon - Array of polygon vertices
+ * @returns {Bounds}
+ */
+export function getPolygonBounds(polygon) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+
+  for (const point of polygon) {
+    if (point.x < minX) minX = point.x;
+    if (point.y < minY) minY = point.y;
+    if (point.x > maxX) maxX = point.x;
+    if (point.y > maxY) maxY = point.y;
+  }
+
+  return { minX, minY, maxX, maxY };
+}
+
+/**
+ * Check whether two bounding boxes overlap
+ * @param {Bounds} a
+ * @param {Bounds} b
+ * @returns {boolean}
+ */
+export function boundsIntersect(a, b) {
+  return a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+}
+
+/**
+ * Convert a rectangle given by two opposite corners into a polygon
+ * @param {{x: number, y: number}} a - One corner
+ * @param {{x: number, y: number}} b - The opposite corner
+ * @returns {Array<{x: number, y: number}>} Four vertices, clockwise
+ */
+export function rectToPolygon(a, b) {
+  const minX = Math.min(a.x, b.x);
+  const maxX = Math.max(a.x, b.x);
+  const minY = Math.min(a.y, b.y);
+  const maxY = Math.max(a.y, b.y);
+  return [
+    { x: minX, y: minY },
+    { x: maxX, y: minY },
+    { x: maxX, y: maxY },
+    { x: minX, y: maxY }
+  ];
+}
+
+/**
+ * Find the tiles whose centroid lies inside a selection polygon (box or lasso)
+ * @param {Array<{id: number, polygon: Array<{x: number, y: number}>, centroid?: {x: number, y: number}}>} tiles - Tile geometry, with precomputed centroids where available
+ * @param {Array<{x: number, y: number}>} selection - Selection polygon vertices
+ * @returns {number[]} IDs of the enclosed tiles
+ */
+export function getTilesInPolygon(tiles, selection) {
+  if (selection.length < 3) return [];
+  return tiles
+    .filter(tile => isPointInPolygon(tile.centroid || calculatePolygonCentroid(tile.polygon), selection))
+    .map(tile => tile.id);
+}
+
 /**
  * Constrain a point to stay within a polygon boundary
  * If point is outside, find the closest point on the polygon edge
@@ -99,6 +233,24 @@ export function constrainPointToPolygon(point, polygon) {
   return closestPoint;
 }
 
+/**
+ * Distance from a point to a polygon's boundary: positive inside, negative outside
+ * @param {{x: number, y: number}} point
+ * @param {Array<{x: number, y: number}>} polygon
+ * @returns {number}
+ */
+function signedDistanceToPolygon(point, polygon) {
+  let minDist = Infinity;
+  const n = polygon.length;
+
+  for (let i = 0; i < n; i++) {
+    const j = (i + 1) % n;
+    minDist = Math.min(minDist, distance(point, closestPointOnSegment(point, polygon[i], polygon[j])));
+  }
+
+  return isPointInPolygon(point, polygon) ? minDist : -minDist;
+}
+
 /**
  * Find the closest point on a line segment to a given point
  * @param {{x: number, y: number}} point
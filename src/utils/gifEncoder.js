@@ -0,0 +1,275 @@
+/**
+ * Animated GIF encoder for map exports.
+ *
+ * Map frames use few colors (alliance fills, tile borders, labels), so a
+ * single global palette of up to 256 colors chosen up front works well:
+ * pixels are mapped to the nearest palette entry without dithering. Each
+ * frame after the first only stores the rectangle that changed.
+ */
+
+const MAX_COLORS = 256;
+
+/**
+ * Parse '#rrggbb' into [r, g, b]
+ * @param {string} hex
+ * @returns {number[]|null}
+ */
+function parseHexColor(hex) {
+  const match = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+  if (!match) return null;
+  const value = parseInt(match[1], 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+/**
+ * Choose a palette: the given colors first, then the most common colors in sample frames
+ * @param {Uint8ClampedArray[]} samples - RGBA pixel data
+ * @param {string[]} [requiredColors] - Hex colors that must be exact (e.g. alliance colors)
+ * @returns {number[][]} Up to 256 [r, g, b] entries
+ */
+export function buildGifPalette(samples, requiredColors = []) {
+  const palette = [];
+  const seen = new Set();
+  const add = (r, g, b) => {
+    const key = (r << 16) | (g << 8) | b;
+    if (seen.has(key) || palette.length >= MAX_COLORS) return;
+    seen.add(key);
+    palette.push([r, g, b]);
+  };
+
+  requiredColors.forEach(hex => {
+    const rgb = parseHexColor(hex);
+    if (rgb) add(...rgb);
+  });
+
+  const counts = new Map();
+  for (const pixels of samples) {
+    for (let i = 0; i < pixels.length; i += 4) {
+      const key = (pixels[i] << 16) | (pixels[i + 1] << 8) | pixels[i + 2];
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+  [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([key]) => add((key >> 16) & 0xff, (key >> 8) & 0xff, key & 0xff));
+
+  return palette.length > 0 ? palette : [[0, 0, 0]];
+}
+
+/**
+ * Pack LZW codes into GIF image data sub-blocks
+ */
+class CodeWriter {
+  constructor() {
+    this.bytes = [];
+    this.block = [];
+    this.buffer = 0;
+    this.bitCount = 0;
+  }
+
+  write(code, size) {
+    this.buffer |= code << this.bitCount;
+    this.bitCount += size;
+    while (this.bitCount >= 8) {
+      this._pushByte(this.buffer & 0xff);
+      this.buffer >>>= 8;
+      this.bitCount -= 8;
+    }
+  }
+
+  _pushByte(byte) {
+    this.block.push(byte);
+    if (this.block.length === 255) this._flushBlock();
+  }
+
+  _flushBlock() {
+    if (this.block.length === 0) return;
+    this.bytes.push(this.block.length, ...this.block);
+    this.block = [];
+  }
+
+  finish() {
+    if (this.bitCount > 0) this._pushByte(this.buffer & 0xff);
+    this._flushBlock();
+    this.bytes.push(0); // Block terminator
+    return this.bytes;
+  }
+}
+
+/**
+ * LZW-compress palette indices the way GIF expects
+ * @param {Uint8Array} indices
+ * @param {number} minCodeSize
+ * @returns {number[]} Sub-blocked image data
+ */
+function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const writer = new CodeWriter();
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+
+  writer.write(clearCode, codeSize);
+  let current = indices[0];
+
+  for (let i = 1; i < indices.length; i++) {
+    const index = indices[i];
+    const key = (current << 8) | index;
+    const existing = table.get(key);
+    if (existing !== undefined) {
+      current = existing;
+      continue;
+    }
+
+    writer.write(current, codeSize);
+    if (nextCode === 4096) {
+      writer.write(clearCode, codeSize);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    current = index;
+  }
+
+  writer.write(current, codeSize);
+  writer.write(endCode, codeSize);
+  return writer.finish();
+}
+
+export class GifEncoder {
+  /**
+   * @param {Object} options
+   * @param {number} options.width
+   * @param {number} options.height
+   * @param {number[][]} options.palette - From buildGifPalette
+   * @param {number} [options.loop] - Times to repeat; 0 loops forever
+   */
+  constructor({ width, height, palette, loop = 0 }) {
+    this._width = width;
+    this._height = height;
+    this._palette = palette;
+    this._nearest = new Map();
+    this._previous = null;
+    this._minCodeSize = Math.max(2, Math.ceil(Math.log2(MAX_COLORS)));
+    this._chunks = [];
+
+    palette.forEach(([r, g, b], index) => {
+      this._nearest.set((r << 16) | (g << 8) | b, index);
+    });
+
+    const header = [];
+    const pushWord = (value) => header.push(value & 0xff, (value >> 8) & 0xff);
+    header.push(...[...'GIF89a'].map(c => c.charCodeAt(0)));
+    pushWord(width);
+    pushWord(height);
+    header.push(0xf7, 0, 0); // Global color table of 256 entries
+    for (let i = 0; i < MAX_COLORS; i++) {
+      header.push(...(palette[i] || [0, 0, 0]));
+    }
+    // NETSCAPE2.0 application extension: loop count
+    header.push(0x21, 0xff, 0x0b, ...[...'NETSCAPE2.0'].map(c => c.charCodeAt(0)), 0x03, 0x01);
+    pushWord(loop);
+    header.push(0);
+    this._chunks.push(new Uint8Array(header));
+  }
+
+  _indexOf(r, g, b) {
+    const key = (r << 16) | (g << 8) | b;
+    let index = this._nearest.get(key);
+    if (index === undefined) {
+      let best = Infinity;
+      this._palette.forEach(([pr, pg, pb], i) => {
+        const dist = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+        if (dist < best) {
+          best = dist;
+          index = i;
+        }
+      });
+      this._nearest.set(key, index);
+    }
+    return index;
+  }
+
+  /**
+   * Append a frame
+   * @param {Uint8ClampedArray} pixels - RGBA data, width × height
+   * @param {number} delayMs - How long the frame shows
+   */
+  addFrame(pixels, delayMs) {
+    const width = this._width;
+    const height = this._height;
+    const indices = new Uint8Array(width * height);
+    for (let i = 0, p = 0; i < indices.length; i++, p += 4) {
+      indices[i] = this._indexOf(pixels[p], pixels[p + 1], pixels[p + 2]);
+    }
+
+    // Only store the part that differs from the previous frame
+    let left = 0;
+    let top = 0;
+    let right = width - 1;
+    let bottom = height - 1;
+    if (this._previous) {
+      left = width;
+      top = height;
+      right = -1;
+      bottom = -1;
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const i = y * width + x;
+          if (indices[i] !== this._previous[i]) {
+            if (x < left) left = x;
+            if (x > right) right = x;
+            if (y < top) top = y;
+            if (y > bottom) bottom = y;
+          }
+        }
+      }
+      if (right < 0) {
+        left = 0;
+        top = 0;
+        right = 0;
+        bottom = 0;
+      }
+    }
+    this._previous = indices;
+
+    const rectWidth = right - left + 1;
+    const rectHeight = bottom - top + 1;
+    const rect = new Uint8Array(rectWidth * rectHeight);
+    for (let y = 0; y < rectHeight; y++) {
+      rect.set(indices.subarray((top + y) * width + left, (top + y) * width + left + rectWidth), y * rectWidth);
+    }
+
+    const delay = Math.round(delayMs / 10); // GIF delays are in hundredths of a second
+    const frame = [
+      0x21, 0xf9, 0x04, 0x04, delay & 0xff, (delay >> 8) & 0xff, 0, 0, // Graphic control: keep previous frame
+      0x2c,
+      left & 0xff, left >> 8, top & 0xff, top >> 8,
+      rectWidth & 0xff, rectWidth >> 8, rectHeight & 0xff, rectHeight >> 8,
+      0, // No local color table
+      this._minCodeSize,
+      ...lzwEncode(rect, this._minCodeSize),
+    ];
+    this._chunks.push(new Uint8Array(frame));
+  }
+
+  /**
+   * Finish the file
+   * @returns {Uint8Array}
+   */
+  finish() {
+    this._chunks.push(new Uint8Array([0x3b]));
+    const total = this._chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const output = new Uint8Array(total);
+    let offset = 0;
+    for (const chunk of this._chunks) {
+      output.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return output;
+  }
+}
@@ -0,0 +1,367 @@
+/**
+ * Draw the map to a plain canvas or an SVG document for image export,
+ * independent of the on-screen Konva stage (viewport, zoom and UI overlays
+ * don't apply). Both renderers share one layout so they match.
+ */
+
+import { getTileRenderData } from './tileRenderData.js';
+import { getContrastingTextColor } from './colorUtils.js';
+
+export const MAP_IMAGE_COLORS = {
+  background: '#36393f',
+  tile: '#f8f9fa',
+  tileStroke: 'rgba(0, 0, 0, 0.15)',
+  text: '#dcddde',
+  mutedText: '#b9bbbe',
+  highlight: '#facc15',
+  marked: '#ffffff',
+};
+
+const PADDING = 12;
+const HEADER_HEIGHT = 36;
+const LEGEND_ROW_HEIGHT = 22;
+const LEGEND_ITEM_WIDTH = 170;
+
+/**
+ * @typedef {Object} MapImageOptions
+ * @property {import('../data/interfaces.js').TileGeometry} tileGeometry
+ * @property {Map<number, {color: string}>} tileClaims
+ * @property {Map<number, import('../data/interfaces.js').TileData>} [tiles] - For tile numbers and icons
+ * @property {number|null} [highlightTileId] - Outlined in yellow, e.g. the tile a time-lapse frame changed
+ * @property {Iterable<number>} [tileIds] - Only draw these tiles, cropped to them (default: all)
+ * @property {Set<number>} [markedTileIds] - Outlined with a dashed line, e.g. planned moves
+ * @property {string} [title] - Shown in a header band above the map
+ * @property {string} [subtitle] - Shown on the right of the header band
+ * @property {Array<{label: string, color: string, value?: string|number}>} [legend] - Shown below the map
+ * @property {number} [scale] - Pixels per map unit
+ */
+
+/**
+ * Tiles an image includes
+ * @param {import('../data/interfaces.js').TileGeometry} tileGeometry
+ * @param {Iterable<number>} [tileIds]
+ */
+function getImageTiles(tileGeometry, tileIds) {
+  const renderData = getTileRenderData(tileGeometry);
+  if (!tileIds) return renderData.tiles;
+  const included = new Set(tileIds);
+  return renderData.tiles.filter(tile => included.has(tile.id));
+}
+
+/**
+ * Area of the map covered by tiles, in map units
+ * @param {import('../data/interfaces.js').TileGeometry} tileGeometry
+ * @param {Iterable<number>} [tileIds] - Only these tiles (default: all)
+ * @returns {import('./geometryUtils.js').Bounds}
+ */
+export function getMapContentBounds(tileGeometry, tileIds) {
+  return getImageTiles(tileGeometry, tileIds).reduce((bounds, tile) => ({
+    minX: Math.min(bounds.minX, tile.bbox.minX),
+    minY: Math.min(bounds.minY, tile.bbox.minY),
+    maxX: Math.max(bounds.maxX, tile.bbox.maxX),
+    maxY: Math.max(bounds.maxY, tile.bbox.maxY),
+  }), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+}
+
+/**
+ * Legend entries for the alliances holding tiles, most tiles first
+ * @param {Map<number, {allianceId: string, allianceName: string, color: string}>} tileClaims
+ * @param {Iterable<number>} [tileIds] - Only count these tiles (default: all)
+ * @returns {Array<{label: string, color: string, value: number}>}
+ */
+export function buildClaimLegend(tileClaims, tileIds) {
+  const included = tileIds ? new Set(tileIds) : null;
+  const entries = new Map();
+  tileClaims.forEach((claim, tileId) => {
+    if (included && !included.has(tileId)) return;
+    const key = claim.allianceId ?? claim.color;
+    const entry = entries.get(key) || { label: claim.allianceName || 'Unknown alliance', color: claim.color, value: 0 };
+    entry.value++;
+    entries.set(key, entry);
+  });
+  return [...entries.values()].sort((a, b) => b.value - a.value || a.label.localeCompare(b.label));
+}
+
+/**
+ * Pixel size and placement of everything in an exported map image
+ * @param {MapImageOptions} options
+ */
+export function measureMapImage({ tileGeometry, tileIds, title, subtitle, legend, scale = 1 }) {
+  const bounds = getMapContentBounds(tileGeometry, tileIds);
+  const mapWidth = Math.ceil((bounds.maxX - bounds.minX) * scale);
+  const mapHeight = Math.ceil((bounds.maxY - bounds.minY) * scale);
+  // Wide enough for the header even when a small region is exported
+  const width = Math.max(mapWidth, title || subtitle ? 2 * LEGEND_ITEM_WIDTH : 0) + PADDING * 2;
+  const legendColumns = Math.max(1, Math.floor((width - PADDING * 2) / LEGEND_ITEM_WIDTH));
+  const legendRows = legend?.length ? Math.ceil(legend.length / legendColumns) : 0;
+  const mapTop = PADDING + (title || subtitle ? HEADER_HEIGHT : 0);
+  const height = mapTop + mapHeight + PADDING +
+    (legendRows ? legendRows * LEGEND_ROW_HEIGHT + PADDING : 0);
+  return {
+    width,
+    height,
+    legendRows,
+    legendColumns,
+    legendTop: mapTop + mapHeight + PADDING,
+    mapTop,
+    mapLeft: PADDING + Math.floor((width - PADDING * 2 - mapWidth) / 2),
+    bounds,
+  };
+}
+
+/**
+ * Where a tile's number and icon go, matching TileLabel on the map
+ * @returns {{x: number, y: number, number: string|null, icon: string|null}|null}
+ */
+function getTileLabel(tile, tiles) {
+  const tileData = tiles?.get(tile.id);
+  if (!tileData) return null;
+  const hasNumber = tileData.number !== undefined && tileData.number !== '' && tileData.number !== null;
+  if (!hasNumber && !tileData.icon) return null;
+
+  const offset = tileData.labelOffset || { x: 0, y: 0 };
+  return {
+    x: tile.centroid.x + offset.x,
+    y: tile.centroid.y + offset.y,
+    number: hasNumber ? String(tileData.number) : null,
+    icon: tileData.icon || null,
+  };
+}
+
+function getLegendLabel(item) {
+  return item.value !== undefined ? `${item.label} (${item.value})` : item.label;
+}
+
+/**
+ * Draw the map to a new canvas
+ * @param {MapImageOptions} options
+ * @returns {HTMLCanvasElement}
+ */
+export function renderMapImage(options) {
+  const {
+    tileGeometry, tileClaims, tiles, tileIds, markedTileIds,
+    highlightTileId = null, title, subtitle, legend, scale = 1,
+  } = options;
+  const { width, height, legendColumns, legendTop, mapTop, mapLeft, bounds } = measureMapImage(options);
+  const imageTiles = getImageTiles(tileGeometry, tileIds);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  ctx.fillStyle = MAP_IMAGE_COLORS.background;
+  ctx.fillRect(0, 0, width, height);
+
+  if (title || subtitle) {
+    const headerY = PADDING + HEADER_HEIGHT / 2 - 4;
+    ctx.textBaseline = 'middle';
+    ctx.font = 'bold 18px Arial';
+    ctx.fillStyle = MAP_IMAGE_COLORS.text;
+    ctx.textAlign = 'left';
+    if (title) ctx.fillText(title, PADDING, headerY);
+    ctx.font = '13px Arial';
+    ctx.fillStyle = MAP_IMAGE_COLORS.mutedText;
+    ctx.textAlign = 'right';
+    if (subtitle) ctx.fillText(subtitle, width - PADDING, headerY);
+  }
+
+  // Map, in map units from here on
+  ctx.save();
+  ctx.translate(mapLeft - bounds.minX * scale, mapTop - bounds.minY * scale);
+  ctx.scale(scale, scale);
+
+  const tracePath = (points) => {
+    ctx.beginPath();
+    ctx.moveTo(points[0], points[1]);
+    for (let i = 2; i < points.length; i += 2) {
+      ctx.lineTo(points[i], points[i + 1]);
+    }
+    ctx.closePath();
+  };
+
+  ctx.lineJoin = 'round';
+  for (const tile of imageTiles) {
+    tracePath(tile.points);
+    ctx.fillStyle = tileClaims?.get(tile.id)?.color || MAP_IMAGE_COLORS.tile;
+    ctx.fill();
+    ctx.strokeStyle = MAP_IMAGE_COLORS.tileStroke;
+    ctx.lineWidth = 1;
+    ctx.stroke();
+  }
+
+  if (markedTileIds?.size) {
+    ctx.setLineDash([6, 4]);
+    ctx.strokeStyle = MAP_IMAGE_COLORS.marked;
+    ctx.lineWidth = 2.5;
+    for (const tile of imageTiles) {
+      if (!markedTileIds.has(tile.id)) continue;
+      tracePath(tile.points);
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+  }
+
+  const highlighted = imageTiles.find(tile => tile.id === highlightTileId);
+  if (highlighted) {
+    tracePath(highlighted.points);
+    ctx.strokeStyle = MAP_IMAGE_COLORS.highlight;
+    ctx.lineWidth = 4;
+    ctx.stroke();
+  }
+
+  // Tile numbers and icons, positioned the way the map's labels are
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  for (const tile of imageTiles) {
+    const label = getTileLabel(tile, tiles);
+    if (!label) continue;
+    if (label.number) {
+      ctx.font = 'bold 18px Arial';
+      ctx.fillStyle = getContrastingTextColor(tileClaims?.get(tile.id)?.color || MAP_IMAGE_COLORS.tile);
+      ctx.fillText(label.number, label.x, label.y);
+    }
+    if (label.icon) {
+      ctx.font = '20px Arial';
+      ctx.fillText(label.icon, label.x, label.number ? label.y + 15 : label.y);
+    }
+  }
+  ctx.restore();
+
+  if (legend?.length) {
+    ctx.textBaseline = 'middle';
+    ctx.font = '13px Arial';
+    legend.forEach((item, index) => {
+      const x = PADDING + (index % legendColumns) * LEGEND_ITEM_WIDTH;
+      const y = legendTop + Math.floor(index / legendColumns) * LEGEND_ROW_HEIGHT + LEGEND_ROW_HEIGHT / 2;
+      ctx.fillStyle = item.color;
+      ctx.fillRect(x, y - 6, 12, 12);
+      ctx.textAlign = 'left';
+      ctx.fillStyle = MAP_IMAGE_COLORS.text;
+      ctx.fillText(fitText(ctx, getLegendLabel(item), LEGEND_ITEM_WIDTH - 24), x + 18, y);
+    });
+  }
+
+  return canvas;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Draw the map as a vector SVG document, laid out like renderMapImage
+ * @param {MapImageOptions} options
+ * @returns {string} SVG markup
+ */
+export function renderMapSvg(options) {
+  const {
+    tileGeometry, tileClaims, tiles, tileIds, markedTileIds,
+    highlightTileId = null, title, subtitle, legend, scale = 1,
+  } = options;
+  const { width, height, legendColumns, legendTop, mapTop, mapLeft, bounds } = measureMapImage(options);
+  const imageTiles = getImageTiles(tileGeometry, tileIds);
+  const toPath = (points) => {
+    let d = `M${points[0]} ${points[1]}`;
+    for (let i = 2; i < points.length; i += 2) {
+      d += `L${points[i]} ${points[i + 1]}`;
+    }
+    return `${d}Z`;
+  };
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Arial, sans-serif">`,
+    `<rect width="${width}" height="${height}" fill="${MAP_IMAGE_COLORS.background}"/>`,
+  ];
+
+  if (title || subtitle) {
+    const headerY = PADDING + HEADER_HEIGHT / 2 - 4;
+    if (title) {
+      parts.push(`<text x="${PADDING}" y="${headerY}" dominant-baseline="middle" font-size="18" font-weight="bold" fill="${MAP_IMAGE_COLORS.text}">${escapeXml(title)}</text>`);
+    }
+    if (subtitle) {
+      parts.push(`<text x="${width - PADDING}" y="${headerY}" dominant-baseline="middle" text-anchor="end" font-size="13" fill="${MAP_IMAGE_COLORS.mutedText}">${escapeXml(subtitle)}</text>`);
+    }
+  }
+
+  parts.push(`<g transform="translate(${mapLeft - bounds.minX * scale} ${mapTop - bounds.minY * scale}) scale(${scale})" stroke-linejoin="round">`);
+  for (const tile of imageTiles) {
+    const fill = tileClaims?.get(tile.id)?.color || MAP_IMAGE_COLORS.tile;
+    parts.push(`<path id="tile-${tile.id}" d="${toPath(tile.points)}" fill="${fill}" stroke="${MAP_IMAGE_COLORS.tileStroke}" stroke-width="1"/>`);
+  }
+  for (const tile of imageTiles) {
+    if (!markedTileIds?.has(tile.id)) continue;
+    parts.push(`<path d="${toPath(tile.points)}" fill="none" stroke="${MAP_IMAGE_COLORS.marked}" stroke-width="2.5" stroke-dasharray="6 4"/>`);
+  }
+  const highlighted = imageTiles.find(tile => tile.id === highlightTileId);
+  if (highlighted) {
+    parts.push(`<path d="${toPath(highlighted.points)}" fill="none" stroke="${MAP_IMAGE_COLORS.highlight}" stroke-width="4"/>`);
+  }
+  for (const tile of imageTiles) {
+    const label = getTileLabel(tile, tiles);
+    if (!label) continue;
+    if (label.number) {
+      const color = getContrastingTextColor(tileClaims?.get(tile.id)?.color || MAP_IMAGE_COLORS.tile);
+      parts.push(`<text x="${label.x}" y="${label.y}" dominant-baseline="hanging" font-size="18" font-weight="bold" fill="${color}">${escapeXml(label.number)}</text>`);
+    }
+    if (label.icon) {
+      parts.push(`<text x="${label.x}" y="${label.number ? label.y + 15 : label.y}" dominant-baseline="hanging" font-size="20">${escapeXml(label.icon)}</text>`);
+    }
+  }
+  parts.push('</g>');
+
+  // SVG text doesn't shrink to fit, so legend labels are measured on a scratch canvas
+  const measureCtx = legend?.length ? document.createElement('canvas').getContext('2d') : null;
+  if (measureCtx) measureCtx.font = '13px Arial';
+  legend?.forEach((item, index) => {
+    const x = PADDING + (index % legendColumns) * LEGEND_ITEM_WIDTH;
+    const y = legendTop + Math.floor(index / legendColumns) * LEGEND_ROW_HEIGHT + LEGEND_ROW_HEIGHT / 2;
+    parts.push(`<rect x="${x}" y="${y - 6}" width="12" height="12" fill="${item.color}"/>`);
+    parts.push(`<text x="${x + 18}" y="${y}" dominant-baseline="middle" font-size="13" fill="${MAP_IMAGE_COLORS.text}">${escapeXml(fitText(measureCtx, getLegendLabel(item), LEGEND_ITEM_WIDTH - 24))}</text>`);
+  });
+
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+/**
+ * Shorten text with an ellipsis until it fits a width
+ */
+function fitText(ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  let fitted = text;
+  while (fitted.length > 1 && ctx.measureText(`${fitted}…`).width > maxWidth) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}…`;
+}
+
+/**
+ * Encode a canvas as PNG bytes
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Promise<Blob>}
+ */
+export function canvasToPngBlob(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode image'))), 'image/png');
+  });
+}
+
+/**
+ * Save a blob through the browser's download prompt
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Revoking in the same tick can cancel the download in Firefox and Safari
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,90 @@
+/**
+ * Differences between two map states (tile claims at the end of two days)
+ */
+
+/**
+ * @typedef {'gained'|'lost'|'changed'} TileChangeType
+ * gained: unclaimed before, claimed after; lost: claimed before, unclaimed after;
+ * changed: held by a different alliance after
+ */
+
+/**
+ * How each kind of change is marked on the map and in lists
+ * @type {Record<TileChangeType, {label: string, badge: string, color: string}>}
+ */
+export const TILE_CHANGE_STYLES = {
+  gained: { label: 'Gained', badge: '+', color: '#57f287' },
+  lost: { label: 'Lost', badge: '−', color: '#ed4245' },
+  changed: { label: 'Changed hands', badge: '⇄', color: '#fee75c' },
+};
+
+/**
+ * @typedef {Object} TileChange
+ * @property {number} tileId
+ * @property {TileChangeType} type
+ * @property {Object|null} before - Claim before, null if unclaimed
+ * @property {Object|null} after - Claim after, null if unclaimed
+ */
+
+/**
+ * Compare two map states tile by tile
+ * @param {Map<number, {allianceId: string}>} before - tileId -> claim
+ * @param {Map<number, {allianceId: string}>} after - tileId -> claim
+ * @returns {Map<number, TileChange>} Only tiles whose owner differs
+ */
+export function diffMapStates(before, after) {
+  const changes = new Map();
+
+  after.forEach((claim, tileId) => {
+    const previous = before.get(tileId);
+    if (!previous) {
+      changes.set(tileId, { tileId, type: 'gained', before: null, after: claim });
+    } else if (previous.allianceId !== claim.allianceId) {
+      changes.set(tileId, { tileId, type: 'changed', before: previous, after: claim });
+    }
+  });
+
+  before.forEach((claim, tileId) => {
+    if (!after.has(tileId)) {
+      changes.set(tileId, { tileId, type: 'lost', before: claim, after: null });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Group changes by the alliances involved. A tile that changed hands appears
+ * under both alliances: as gained for the new owner and lost for the old one.
+ * @param {Map<number, TileChange>} changes
+ * @returns {Array<{allianceId: string, allianceName: string, color: string, gained: TileChange[], lost: TileChange[]}>}
+ *   Sorted by net tiles gained, biggest winners first
+ */
+export function groupChangesByAlliance(changes) {
+  const groups = new Map();
+
+  const getGroup = (claim) => {
+    let group = groups.get(claim.allianceId);
+    if (!group) {
+      group = {
+        allianceId: claim.allianceId,
+        allianceName: claim.allianceName || 'Unknown alliance',
+        color: claim.color,
+        gained: [],
+        lost: [],
+      };
+      groups.set(claim.allianceId, group);
+    }
+    return group;
+  };
+
+  changes.forEach((change) => {
+    if (change.after) getGroup(change.after).gained.push(change);
+    if (change.before) getGroup(change.before).lost.push(change);
+  });
+
+  return [...groups.values()].sort((a, b) =>
+    (b.gained.length - b.lost.length) - (a.gained.length - a.lost.length) ||
+    a.allianceName.localeCompare(b.allianceName)
+  );
+}
@@ -0,0 +1,12 @@
+/**
+ * Whether an error means the backend couldn't be reached (as opposed to the
+ * backend rejecting the request). Supabase surfaces fetch failures as errors
+ * whose message contains the underlying TypeError.
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+export function isNetworkError(error) {
+  if (!error) return false;
+  const message = `${error.message || ''} ${error.details || ''}`;
+  return /Failed to fetch|NetworkError|Load failed|fetch failed|Network request failed/i.test(message);
+}
@@ -0,0 +1,134 @@
+/**
+ * Side-by-side comparison of two planner sequences
+ */
+
+import { DEFAULT_RULESET, isCapExempt } from '../config/ruleset.js';
+
+/**
+ * Split a planner sequence into days at its new_day markers
+ * @param {Array} sequence - Planner sequence ({type: 'move'|'new_day', ...})
+ * @returns {Array<Array>} Moves for each day, in order
+ */
+export function splitSequenceByDay(sequence) {
+  const days = [[]];
+  for (const item of sequence) {
+    if (item.type === 'new_day') {
+      days.push([]);
+    } else {
+      days[days.length - 1].push(item);
+    }
+  }
+  return days;
+}
+
+/**
+ * Claims at the end of every day of a plan
+ * @param {Object} params
+ * @param {Map} params.baseClaims - Claims the plan starts from (tileId -> claim)
+ * @param {Array} params.sequence - Planner sequence
+ * @param {(allianceId: string) => {name: string, color: string}|null} params.getAlliance - Alliance lookup for claim colors
+ * @param {number} [params.dayCount] - Pad the result to this many days (a finished plan keeps its last state)
+ * @returns {Map[]} One claims map per day
+ */
+export function computeDailyClaims({ baseClaims, sequence, getAlliance, dayCount }) {
+  const days = splitSequenceByDay(sequence);
+  const claims = new Map(baseClaims);
+  const result = [];
+
+  for (let day = 0; day < Math.max(days.length, dayCount ?? 0); day++) {
+    for (const item of days[day] || []) {
+      if (item.action === 'claim') {
+        const moveAlliance = getAlliance(item.allianceId);
+        claims.set(item.tileId, {
+          allianceId: item.allianceId,
+          allianceName: moveAlliance?.name || 'Unknown alliance',
+          color: moveAlliance?.color || '#666666',
+          isPlanned: true,
+        });
+      } else if (item.action === 'clear') {
+        claims.delete(item.tileId);
+      }
+    }
+    result.push(new Map(claims));
+  }
+
+  return result;
+}
+
+/**
+ * Tile count and highest tile number held by each alliance
+ * @param {Map} claims - tileId -> claim
+ * @param {Map} allTileData - Map of all tile data (tileId -> tileData)
+ * @param {import('../config/ruleset.js').Ruleset} [ruleset] - Cap-exempt numbers don't count as "highest"
+ * @returns {Map<string, {allianceId: string, allianceName: string, color: string, tileCount: number, highestNumber: number}>}
+ */
+export function summarizeClaims(claims, allTileData, ruleset = DEFAULT_RULESET) {
+  const summary = new Map();
+  claims.forEach((claim, tileId) => {
+    let entry = summary.get(claim.allianceId);
+    if (!entry) {
+      entry = {
+        allianceId: claim.allianceId,
+        allianceName: claim.allianceName,
+        color: claim.color,
+        tileCount: 0,
+        highestNumber: 0,
+      };
+      summary.set(claim.allianceId, entry);
+    }
+    entry.tileCount++;
+    const tileNumber = parseInt(allTileData.get(tileId)?.number, 10);
+    if (!isNaN(tileNumber) && tileNumber > 0 && !isCapExempt(ruleset, tileNumber)) {
+      entry.highestNumber = Math.max(entry.highestNumber, tileNumber);
+    }
+  });
+  return summary;
+}
+
+/**
+ * Tiles whose owner differs between two claim maps
+ * @param {Map} claimsA
+ * @param {Map} claimsB
+ * @returns {Map<number, {a: Object|null, b: Object|null}>}
+ */
+export function diffClaims(claimsA, claimsB) {
+  const diff = new Map();
+  const tileIds = new Set([...claimsA.keys(), ...claimsB.keys()]);
+  for (const tileId of tileIds) {
+    const a = claimsA.get(tileId) || null;
+    const b = claimsB.get(tileId) || null;
+    if (a?.allianceId !== b?.allianceId) {
+      diff.set(tileId, { a, b });
+    }
+  }
+  return diff;
+}
+
+/**
+ * Compare two plans day by day from the same starting claims. Only plans
+ * made from the same base day share a starting map; callers pass that day's state.
+ * @param {Object} params
+ * @param {Map} params.baseClaims - Claims on the plans' shared base day
+ * @param {Array} params.sequenceA - First plan's sequence
+ * @param {Array} params.sequenceB - Second plan's sequence
+ * @param {Map} params.allTileData - Map of all tile data (tileId -> tileData)
+ * @param {(allianceId: string) => {name: string, color: string}|null} params.getAlliance - Alliance lookup
+ * @param {import('../config/ruleset.js').Ruleset} [params.ruleset]
+ * @returns {Array<{claimsA: Map, claimsB: Map, summaryA: Map, summaryB: Map, diff: Map}>} One entry per day
+ */
+export function comparePlans({ baseClaims, sequenceA, sequenceB, allTileData, getAlliance, ruleset = DEFAULT_RULESET }) {
+  const dayCount = Math.max(splitSequenceByDay(sequenceA).length, splitSequenceByDay(sequenceB).length);
+  const daysA = computeDailyClaims({ baseClaims, sequence: sequenceA, getAlliance, dayCount });
+  const daysB = computeDailyClaims({ baseClaims, sequence: sequenceB, getAlliance, dayCount });
+
+  return daysA.map((claimsA, day) => {
+    const claimsB = daysB[day];
+    return {
+      claimsA,
+      claimsB,
+      summaryA: summarizeClaims(claimsA, allTileData, ruleset),
+      summaryB: summarizeClaims(claimsB, allTileData, ruleset),
+      diff: diffClaims(claimsA, claimsB),
+    };
+  });
+}
@@ -0,0 +1,362 @@
+/**
+ * Plan URL encoding
+ *
+ * v1 (current): "1." followed by base64url of a binary payload
+ *   varint  baseDay
+ *   string  title
+ *   string  notes
+ *   varint  alliance count, then per alliance:
+ *     byte    flags (bit 0: id is a UUID, bit 1: color is #RRGGBB)
+ *     16 bytes UUID | string id
+ *     string  name
+ *     3 bytes RGB | string color
+ *   varint  step count, then per step:
+ *     varint  0 for new_day, otherwise 1 + allianceIndex * 2 + (clear ? 1 : 0)
+ *     varint  tileId (moves only)
+ *   4 bytes CRC32 of everything above (big-endian)
+ * Strings are a varint byte length followed by UTF-8 bytes.
+ *
+ * v0 (legacy): base64 of comma separated "c:tileId:allianceId", "x:tileId:allianceId" or "d"
+ */
+
+export const PLAN_FORMAT_VERSION = 1;
+
+const V1_PREFIX = '1.';
+const FLAG_UUID_ID = 1;
+const FLAG_HEX_COLOR = 2;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * @typedef {Object} PlanAlliance
+ * @property {string} id - Alliance ID
+ * @property {string} name - Alliance name when the plan was saved
+ * @property {string} color - Alliance color when the plan was saved
+ */
+
+/**
+ * @typedef {Object} DecodedPlan
+ * @property {number} version - Format version the plan was written in
+ * @property {number|null} baseDay - Day the plan was made against (null for v0 plans)
+ * @property {string} title - Plan title
+ * @property {string} notes - Plan notes
+ * @property {PlanAlliance[]} alliances - Alliances referenced by the plan (empty for v0 plans)
+ * @property {Array} sequence - Planner sequence ({id, type, action?, tileId?, allianceId?})
+ */
+
+let crcTable = null;
+
+/**
+ * CRC32 (IEEE) of a byte array
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Growable byte buffer for writing the v1 payload
+ */
+class ByteWriter {
+  constructor() {
+    this.bytes = [];
+  }
+
+  byte(value) {
+    this.bytes.push(value & 0xff);
+  }
+
+  varint(value) {
+    let remaining = Math.max(0, Math.floor(value));
+    while (remaining >= 0x80) {
+      this.bytes.push((remaining & 0x7f) | 0x80);
+      remaining = Math.floor(remaining / 0x80);
+    }
+    this.bytes.push(remaining);
+  }
+
+  raw(bytes) {
+    for (const b of bytes) this.bytes.push(b);
+  }
+
+  string(value) {
+    const encoded = new TextEncoder().encode(value || '');
+    this.varint(encoded.length);
+    this.raw(encoded);
+  }
+
+  toUint8Array() {
+    return Uint8Array.from(this.bytes);
+  }
+}
+
+/**
+ * Reader over the v1 payload; throws when reading past the end
+ */
+class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.offset = 0;
+  }
+
+  byte() {
+    if (this.offset >= this.bytes.length) {
+      throw new Error('Plan data is truncated');
+    }
+    return this.bytes[this.offset++];
+  }
+
+  varint() {
+    let value = 0;
+    let multiplier = 1;
+    for (;;) {
+      const b = this.byte();
+      value += (b & 0x7f) * multiplier;
+      if (!(b & 0x80)) return value;
+      multiplier *= 0x80;
+      if (multiplier > 2 ** 49) {
+        throw new Error('Plan data has an invalid number');
+      }
+    }
+  }
+
+  raw(length) {
+    if (this.offset + length > this.bytes.length) {
+      throw new Error('Plan data is truncated');
+    }
+    const slice = this.bytes.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return slice;
+  }
+
+  string() {
+    const length = this.varint();
+    return new TextDecoder().decode(this.raw(length));
+  }
+}
+
+function uuidToBytes(uuid) {
+  const hex = uuid.replace(/-/g, '');
+  const bytes = new Uint8Array(16);
+  for (let i = 0; i < 16; i++) {
+    bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+  }
+  return bytes;
+}
+
+function bytesToUuid(bytes) {
+  const hex = [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+/**
+ * Encode a plan for URL sharing (always writes the current version)
+ * @param {Object} plan
+ * @param {Array} plan.sequence - Planner sequence ({type, action?, tileId?, allianceId?})
+ * @param {number} [plan.baseDay] - Day the plan was made against
+ * @param {string} [plan.title] - Plan title
+ * @param {string} [plan.notes] - Plan notes
+ * @param {Array<{id: string, name?: string, color?: string}>} [plan.alliances] - Known alliances, used for names/colors
+ * @returns {string} Encoded plan, or '' for an empty plan
+ */
+export function encodePlannerState({ sequence, baseDay = 0, title = '', notes = '', alliances = [] }) {
+  if (sequence.length === 0 && !title && !notes) return '';
+
+  // Dictionary of the alliances the plan actually uses, in first-use order
+  const dictionary = [];
+  const indexById = new Map();
+  for (const item of sequence) {
+    if (item.type !== 'move' || indexById.has(item.allianceId)) continue;
+    const known = alliances.find(a => a.id === item.allianceId);
+    indexById.set(item.allianceId, dictionary.length);
+    dictionary.push({ id: item.allianceId, name: known?.name || '', color: known?.color || '' });
+  }
+
+  const writer = new ByteWriter();
+  writer.varint(baseDay || 0);
+  writer.string(title);
+  writer.string(notes);
+
+  writer.varint(dictionary.length);
+  for (const entry of dictionary) {
+    const isUuid = UUID_PATTERN.test(entry.id);
+    const isHexColor = HEX_COLOR_PATTERN.test(entry.color);
+    writer.byte((isUuid ? FLAG_UUID_ID : 0) | (isHexColor ? FLAG_HEX_COLOR : 0));
+    if (isUuid) {
+      writer.raw(uuidToBytes(entry.id));
+    } else {
+      writer.string(entry.id);
+    }
+    writer.string(entry.name);
+    if (isHexColor) {
+      const rgb = parseInt(entry.color.slice(1), 16);
+      writer.raw([(rgb >> 16) & 0xff, (rgb >> 8) & 0xff, rgb & 0xff]);
+    } else {
+      writer.string(entry.color);
+    }
+  }
+
+  writer.varint(sequence.length);
+  for (const item of sequence) {
+    if (item.type === 'new_day') {
+      writer.varint(0);
+      continue;
+    }
+    writer.varint(1 + indexById.get(item.allianceId) * 2 + (item.action === 'clear' ? 1 : 0));
+    writer.varint(item.tileId);
+  }
+
+  const checksum = crc32(writer.toUint8Array());
+  writer.raw([(checksum >>> 24) & 0xff, (checksum >>> 16) & 0xff, (checksum >>> 8) & 0xff, checksum & 0xff]);
+
+  return V1_PREFIX + toBase64Url(writer.toUint8Array());
+}
+
+/**
+ * Decode a v1 payload
+ * @param {string} payload - base64url text after the version prefix
+ * @returns {DecodedPlan}
+ * @throws {Error} When the data is truncated or the checksum doesn't match
+ */
+function decodeV1(payload) {
+  const bytes = fromBase64Url(payload);
+  if (bytes.length < 4) {
+    throw new Error('Plan data is truncated');
+  }
+
+  const body = bytes.subarray(0, bytes.length - 4);
+  const tail = bytes.subarray(bytes.length - 4);
+  const expected = ((tail[0] << 24) | (tail[1] << 16) | (tail[2] << 8) | tail[3]) >>> 0;
+  if (crc32(body) !== expected) {
+    throw new Error('Plan checksum does not match (the link may be cut off)');
+  }
+
+  const reader = new ByteReader(body);
+  const baseDay = reader.varint();
+  const title = reader.string();
+  const notes = reader.string();
+
+  const allianceCount = reader.varint();
+  const alliances = [];
+  for (let i = 0; i < allianceCount; i++) {
+    const flags = reader.byte();
+    const id = flags & FLAG_UUID_ID ? bytesToUuid(reader.raw(16)) : reader.string();
+    const name = reader.string();
+    let color;
+    if (flags & FLAG_HEX_COLOR) {
+      const [r, g, b] = reader.raw(3);
+      color = `#${[r, g, b].map(c => c.toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+    } else {
+      color = reader.string();
+    }
+    alliances.push({ id, name, color });
+  }
+
+  const stepCount = reader.varint();
+  const sequence = [];
+  for (let index = 0; index < stepCount; index++) {
+    const header = reader.varint();
+    if (header === 0) {
+      sequence.push({ id: `day-${index}`, type: 'new_day' });
+      continue;
+    }
+    const allianceIndex = (header - 1) >> 1;
+    if (allianceIndex >= alliances.length) {
+      throw new Error('Plan step references an unknown alliance');
+    }
+    sequence.push({
+      id: `move-${index}`,
+      type: 'move',
+      action: (header - 1) & 1 ? 'clear' : 'claim',
+      tileId: reader.varint(),
+      allianceId: alliances[allianceIndex].id,
+    });
+  }
+
+  return {
+    version: 1,
+    baseDay: baseDay || null,
+    title,
+    notes,
+    alliances,
+    sequence,
+  };
+}
+
+/**
+ * Decode a legacy v0 plan (base64 of "c:tileId:allianceId" / "x:..." / "d" parts)
+ * @param {string} encoded
+ * @returns {DecodedPlan}
+ */
+function decodeV0(encoded) {
+  const decoded = atob(encoded);
+  const sequence = decoded.split(',').map((part, index) => {
+    if (part === 'd') {
+      return { id: `day-${index}`, type: 'new_day' };
+    }
+    const [action, tileId, allianceId] = part.split(':');
+    return {
+      id: `move-${index}`,
+      type: 'move',
+      action: action === 'c' ? 'claim' : 'clear',
+      tileId: parseInt(tileId, 10),
+      allianceId,
+    };
+  });
+
+  return {
+    version: 0,
+    baseDay: null,
+    title: '',
+    notes: '',
+    alliances: [],
+    sequence,
+  };
+}
+
+/**
+ * Decode a plan from the URL, accepting both v1 and legacy v0 plans
+ * @param {string} encoded
+ * @returns {DecodedPlan|null} The plan, or null when empty or unreadable
+ */
+export function decodePlannerState(encoded) {
+  if (!encoded) return null;
+
+  try {
+    if (encoded.startsWith(V1_PREFIX)) {
+      return decodeV1(encoded.slice(V1_PREFIX.length));
+    }
+    return decodeV0(encoded);
+  } catch (e) {
+    console.error('Failed to decode planner state:', e);
+    return null;
+  }
+}
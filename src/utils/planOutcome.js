@@ -0,0 +1,89 @@
+/**
+ * Plan vs. reality: compare a saved plan's claims with what actually happened
+ */
+
+import { splitSequenceByDay } from './planComparison.js';
+
+/**
+ * Outcome of a single planned claim
+ */
+export const OUTCOMES = {
+  ON_SCHEDULE: 'on_schedule', // Held by the planned alliance at the end of its planned day
+  LATE: 'late',               // Held by the planned alliance on a later day
+  TAKEN: 'taken',             // Held by another alliance instead
+  MISSED: 'missed',           // Never claimed by anyone
+  PENDING: 'pending',         // Planned day hasn't finished yet
+};
+
+/**
+ * Days a plan covers, as game days
+ * @param {Array} sequence - Planner sequence
+ * @param {number} baseDay - Game day of the plan's first day
+ * @returns {number[]}
+ */
+export function getPlanDays(sequence, baseDay) {
+  return splitSequenceByDay(sequence).map((_, index) => baseDay + index);
+}
+
+/**
+ * Evaluate every planned claim against historical map states
+ * @param {Object} params
+ * @param {Array} params.sequence - Planner sequence
+ * @param {number} params.baseDay - Game day of the plan's first day
+ * @param {Map<number, Map>} params.mapStates - Game day -> tile claims at the end of that day
+ * @param {number} params.lastFinishedDay - Latest day whose outcome is final (days after it are pending)
+ * @returns {{entries: Array<{tileId: number, allianceId: string, plannedDay: number, outcome: string, actualDay: number|null, actualOwner: Object|null}>, counts: Object<string, number>}}
+ */
+export function evaluatePlanOutcome({ sequence, baseDay, mapStates, lastFinishedDay }) {
+  const observedDays = [...mapStates.keys()].filter(day => day <= lastFinishedDay).sort((a, b) => a - b);
+  const entries = [];
+
+  splitSequenceByDay(sequence).forEach((moves, index) => {
+    const plannedDay = baseDay + index;
+
+    for (const move of moves) {
+      if (move.action !== 'claim') continue;
+
+      const entry = {
+        tileId: move.tileId,
+        allianceId: move.allianceId,
+        plannedDay,
+        outcome: OUTCOMES.MISSED,
+        actualDay: null,
+        actualOwner: null,
+      };
+
+      if (plannedDay > lastFinishedDay) {
+        entry.outcome = OUTCOMES.PENDING;
+        entries.push(entry);
+        continue;
+      }
+
+      // Walk forward from the planned day; the first day we hold the tile decides on-time vs. late
+      for (const day of observedDays) {
+        if (day < plannedDay) continue;
+        const owner = mapStates.get(day).get(move.tileId);
+        if (owner?.allianceId === move.allianceId) {
+          entry.outcome = day === plannedDay ? OUTCOMES.ON_SCHEDULE : OUTCOMES.LATE;
+          entry.actualDay = day;
+          entry.actualOwner = owner;
+          break;
+        }
+        if (owner && !entry.actualOwner) {
+          entry.outcome = OUTCOMES.TAKEN;
+          entry.actualDay = day;
+          entry.actualOwner = owner;
+        }
+      }
+
+      entries.push(entry);
+    }
+  });
+
+  const counts = Object.fromEntries(Object.values(OUTCOMES).map(outcome => [outcome, 0]));
+  for (const entry of entries) {
+    counts[entry.outcome]++;
+  }
+
+  return { entries, counts };
+}
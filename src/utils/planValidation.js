@@ -0,0 +1,79 @@
+/**
+ * Replays a planner sequence through the claim rules engine
+ */
+
+import { validateClaim, validateClear, CLAIM_RULES } from './claimRulesEngine.js';
+import { DEFAULT_RULESET } from '../config/ruleset.js';
+
+/**
+ * Validate every step of a planner sequence against the claiming rules.
+ * Steps are applied in order even when they break a rule, so later steps are
+ * judged against the plan as drawn. Move counts reset at each new_day marker.
+ *
+ * @param {Object} params
+ * @param {Array} params.sequence - Planner sequence ({type: 'move'|'new_day', action?, tileId?, allianceId?})
+ * @param {Map} params.baseClaims - Claims the plan starts from (tileId -> {allianceId, ...})
+ * @param {Map} params.allTileData - Map of all tile data (tileId -> tileData)
+ * @param {Map} params.adjacencyMap - The adjacency map
+ * @param {Array} params.allAlliances - Known alliances, used for claim names
+ * @param {Object} [params.initialMovesUsed] - Moves already spent on the first day, by alliance ID
+ * @param {import('../config/ruleset.js').Ruleset} [params.ruleset] - Season ruleset (daily moves, tile cap)
+ * @returns {Array<Object|null>} One { valid, error, rule } per step, null for new_day markers
+ */
+export function validatePlanSequence({
+  sequence,
+  baseClaims,
+  allTileData,
+  adjacencyMap,
+  allAlliances,
+  initialMovesUsed = {},
+  ruleset = DEFAULT_RULESET,
+}) {
+  const claims = new Map(baseClaims);
+  let movesUsed = { ...initialMovesUsed };
+
+  return sequence.map(item => {
+    if (item.type === 'new_day') {
+      movesUsed = {};
+      return null;
+    }
+
+    if (item.action === 'clear') {
+      const result = validateClear({
+        tileId: item.tileId,
+        tileClaims: claims,
+        userAllianceId: item.allianceId,
+      });
+      claims.delete(item.tileId);
+      return result.valid ? result : { ...result, rule: CLAIM_RULES.CLAIMED };
+    }
+
+    const ownedTileIds = new Set();
+    claims.forEach((claim, tileId) => {
+      if (claim.allianceId === item.allianceId) {
+        ownedTileIds.add(tileId);
+      }
+    });
+
+    const used = movesUsed[item.allianceId] || 0;
+    const result = validateClaim({
+      tileId: item.tileId,
+      tileData: allTileData.get(item.tileId),
+      ownedTileIds,
+      allTileData,
+      tileClaims: claims,
+      adjacencyMap,
+      movesRemaining: ruleset.maxMovesPerDay - used,
+      ruleset,
+    });
+
+    const moveAlliance = allAlliances.find(a => a.id === item.allianceId);
+    claims.set(item.tileId, {
+      allianceId: item.allianceId,
+      allianceName: moveAlliance?.name || 'Unknown',
+    });
+    movesUsed[item.allianceId] = used + 1;
+
+    return result;
+  });
+}
@@ -0,0 +1,118 @@
+/**
+ * Season time-lapse: replay real map history as a sequence of single-tile changes.
+ *
+ * Frames only describe their change; the map state for a frame is rebuilt
+ * from the previous day's end state, so memory doesn't grow with
+ * frames × claimed tiles.
+ */
+
+import { diffMapStates } from './mapStateDiff.js';
+
+/**
+ * @typedef {Object} TimelapseFrame
+ * @property {number} day - Game day the frame belongs to
+ * @property {number|null} tileId - Tile that changed in this frame, null for a day with no changes
+ * @property {'claim'|'clear'|null} action
+ * @property {Object|null} claim - The new claim, for claim frames
+ * @property {boolean} isDayEnd - Last frame of its day (the map then equals the day's end state)
+ */
+
+/**
+ * Turn end-of-day map states into one frame per tile change. Within a day,
+ * clears (which carry no timestamp) come first, then claims in claimedAt order.
+ * @param {Array<{day: number, claims: Map<number, Object>}>} dayStates - Ordered by day
+ * @returns {TimelapseFrame[]}
+ */
+export function buildTimelapseFrames(dayStates) {
+  const frames = [];
+  let previousClaims = new Map();
+
+  for (const { day, claims: dayClaims } of dayStates) {
+    const changes = [...diffMapStates(previousClaims, dayClaims).values()];
+    const clears = changes
+      .filter(change => change.type === 'lost')
+      .sort((a, b) => a.tileId - b.tileId);
+    const claimed = changes
+      .filter(change => change.after)
+      .sort((a, b) => (a.after.claimedAt || '').localeCompare(b.after.claimedAt || '') || a.tileId - b.tileId);
+
+    const dayStart = frames.length;
+    for (const change of [...clears, ...claimed]) {
+      frames.push({
+        day,
+        tileId: change.tileId,
+        action: change.after ? 'claim' : 'clear',
+        claim: change.after || null,
+        isDayEnd: false,
+      });
+    }
+
+    if (frames.length === dayStart) {
+      frames.push({ day, tileId: null, action: null, claim: null, isDayEnd: false });
+    }
+    frames[frames.length - 1].isDayEnd = true;
+    previousClaims = dayClaims;
+  }
+
+  return frames;
+}
+
+/**
+ * Map state after a frame: the previous day's end state with that day's
+ * changes up to the frame applied
+ * @param {Array<{day: number, claims: Map<number, Object>}>} dayStates - Ordered by day, as passed to buildTimelapseFrames
+ * @param {TimelapseFrame[]} frames - From buildTimelapseFrames(dayStates)
+ * @param {number} index - Frame index
+ * @returns {Map<number, Object>}
+ */
+export function getTimelapseClaims(dayStates, frames, index) {
+  const frame = frames[index];
+  const dayPosition = dayStates.findIndex(state => state.day === frame.day);
+  if (frame.isDayEnd) {
+    return dayStates[dayPosition].claims;
+  }
+
+  let dayStart = index;
+  while (dayStart > 0 && frames[dayStart - 1].day === frame.day) {
+    dayStart--;
+  }
+
+  const claims = new Map(dayPosition > 0 ? dayStates[dayPosition - 1].claims : []);
+  for (let i = dayStart; i <= index; i++) {
+    const { tileId, action, claim } = frames[i];
+    if (action === 'claim') {
+      claims.set(tileId, claim);
+    } else if (action === 'clear') {
+      claims.delete(tileId);
+    }
+  }
+  return claims;
+}
+
+/**
+ * Tiles held by each alliance at the end of every day
+ * @param {Array<{day: number, claims: Map<number, Object>}>} dayStates - Ordered by day
+ * @returns {Array<{allianceId: string, allianceName: string, color: string, counts: number[]}>}
+ *   counts[i] is the tile count at the end of dayStates[i]; sorted by peak count, largest first
+ */
+export function getAllianceTileSeries(dayStates) {
+  const series = new Map();
+
+  dayStates.forEach(({ claims }, index) => {
+    claims.forEach((claim) => {
+      let entry = series.get(claim.allianceId);
+      if (!entry) {
+        entry = {
+          allianceId: claim.allianceId,
+          allianceName: claim.allianceName || 'Unknown alliance',
+          color: claim.color,
+          counts: new Array(dayStates.length).fill(0),
+        };
+        series.set(claim.allianceId, entry);
+      }
+      entry.counts[index]++;
+    });
+  });
+
+  return [...series.values()].sort((a, b) => Math.max(...b.counts) - Math.max(...a.counts));
+}
@@ -0,0 +1,90 @@
+import { isPointInPolygon, boundsIntersect } from './geometryUtils.js';
+
+const DEFAULT_CELL_SIZE = 64;
+
+/**
+ * @typedef {Object} SpatialItem
+ * @property {number} id
+ * @property {Array<{x: number, y: number}>} polygon
+ * @property {import('./geometryUtils.js').Bounds} bbox
+ */
+
+/**
+ * Uniform grid over polygon bounding boxes. Answers "which tiles overlap this
+ * area" (viewport culling, box/lasso selection) and "which tile is under this
+ * point" (hit-testing) without scanning every tile.
+ */
+export class SpatialIndex {
+  /**
+   * @param {SpatialItem[]} items
+   * @param {number} [cellSize] - Grid cell size in map units
+   */
+  constructor(items, cellSize = DEFAULT_CELL_SIZE) {
+    this._cellSize = cellSize;
+    this._cells = new Map();
+    this._items = items;
+
+    items.forEach((item, order) => {
+      this._forEachCell(item.bbox, (key) => {
+        let cell = this._cells.get(key);
+        if (!cell) {
+          cell = [];
+          this._cells.set(key, cell);
+        }
+        cell.push(order);
+      });
+    });
+  }
+
+  _forEachCell(bbox, callback) {
+    const minCol = Math.floor(bbox.minX / this._cellSize);
+    const maxCol = Math.floor(bbox.maxX / this._cellSize);
+    const minRow = Math.floor(bbox.minY / this._cellSize);
+    const maxRow = Math.floor(bbox.maxY / this._cellSize);
+
+    for (let col = minCol; col <= maxCol; col++) {
+      for (let row = minRow; row <= maxRow; row++) {
+        callback(`${col},${row}`);
+      }
+    }
+  }
+
+  /**
+   * Items whose bounding box overlaps an area, in the order they were indexed
+   * @param {import('./geometryUtils.js').Bounds} bbox
+   * @returns {SpatialItem[]}
+   */
+  search(bbox) {
+    const found = new Set();
+    this._forEachCell(bbox, (key) => {
+      const cell = this._cells.get(key);
+      if (!cell) return;
+      for (const order of cell) {
+        if (!found.has(order) && boundsIntersect(this._items[order].bbox, bbox)) {
+          found.add(order);
+        }
+      }
+    });
+    return [...found].sort((a, b) => a - b).map(order => this._items[order]);
+  }
+
+  /**
+   * The item whose polygon contains a point
+   * @param {{x: number, y: number}} point
+   * @returns {SpatialItem|null} The topmost (last indexed) match
+   */
+  hitTest(point) {
+    const cell = this._cells.get(`${Math.floor(point.x / this._cellSize)},${Math.floor(point.y / this._cellSize)}`);
+    if (!cell) return null;
+
+    for (let i = cell.length - 1; i >= 0; i--) {
+      const item = this._items[cell[i]];
+      const { bbox } = item;
+      if (point.x >= bbox.minX && point.x <= bbox.maxX && point.y >= bbox.minY && point.y <= bbox.maxY &&
+          isPointInPolygon(point, item.polygon)) {
+        return item;
+      }
+    }
+    return null;
+  }
+}
@@ -0,0 +1,185 @@
+import { isSharedEdge } from './adjacencyUtils.js';
+import { calculatePolygonArea, calculatePolygonCentroid, getPolygonVisualCenter } from './geometryUtils.js';
+
+/**
+ * @typedef {Object} TerritoryOutline
+ * @property {number[]} points - Flat Konva points
+ * @property {boolean} closed - True when the whole tile outline is on the territory border
+ */
+
+/**
+ * @typedef {Object} Territory
+ * @property {string} key - Stable key for rendering
+ * @property {string} allianceId
+ * @property {string} allianceName
+ * @property {string} color
+ * @property {number[]} tileIds
+ * @property {TerritoryOutline[]} outlines - The territory's outer border, as runs of tile edges
+ * @property {{x: number, y: number}} labelPosition - Visual center for the alliance name
+ */
+
+// Visual centers only depend on the polygon, which never changes after load
+const visualCenterCache = new WeakMap();
+
+function getVisualCenter(polygon) {
+  let center = visualCenterCache.get(polygon);
+  if (!center) {
+    center = getPolygonVisualCenter(polygon);
+    visualCenterCache.set(polygon, center);
+  }
+  return center;
+}
+
+/**
+ * Group claimed tiles into territories: connected runs of adjacent tiles held by
+ * the same alliance
+ * @param {Map<number, {allianceId?: string, color: string}>} tileClaims
+ * @param {Map<number, Set<number>>} adjacencyMap
+ * @returns {number[][]} Tile IDs per territory, in discovery order
+ */
+function groupTerritoryTiles(tileClaims, adjacencyMap) {
+  const ownerOf = (tileId) => {
+    const claim = tileClaims.get(tileId);
+    return claim ? (claim.allianceId ?? claim.color) : null;
+  };
+
+  const visited = new Set();
+  const groups = [];
+
+  for (const tileId of tileClaims.keys()) {
+    if (visited.has(tileId)) continue;
+    const owner = ownerOf(tileId);
+    const group = [];
+    const queue = [tileId];
+    visited.add(tileId);
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      group.push(current);
+      for (const neighborId of adjacencyMap.get(current) || []) {
+        if (!visited.has(neighborId) && ownerOf(neighborId) === owner) {
+          visited.add(neighborId);
+          queue.push(neighborId);
+        }
+      }
+    }
+    groups.push(group);
+  }
+
+  return groups;
+}
+
+/**
+ * Trace the edges of one tile that lie on its territory's border. Edges shared
+ * with another tile of the same territory are dropped, and the remaining edges
+ * are joined into runs so corners are drawn as joins rather than caps.
+ * @param {Array<{x: number, y: number}>} polygon
+ * @param {Array<Array<{x: number, y: number}>>} neighborPolygons - Adjacent tiles in the same territory
+ * @returns {TerritoryOutline[]}
+ */
+function traceTileBorder(polygon, neighborPolygons) {
+  const n = polygon.length;
+  const onBorder = polygon.map((start, i) => {
+    const end = polygon[(i + 1) % n];
+    return !neighborPolygons.some(neighbor => isSharedEdge(start, end, neighbor));
+  });
+
+  if (onBorder.every(Boolean)) {
+    return [{ points: polygon.flatMap(point => [point.x, point.y]), closed: true }];
+  }
+
+  // Walk the ring starting just after an internal edge so every run is contiguous
+  const firstInternal = onBorder.indexOf(false);
+  const outlines = [];
+  let run = null;
+
+  for (let step = 1; step <= n; step++) {
+    const i = (firstInternal + step) % n;
+    if (!onBorder[i]) {
+      run = null;
+      continue;
+    }
+    if (!run) {
+      run = [polygon[i].x, polygon[i].y];
+      outlines.push({ points: run, closed: false });
+    }
+    const end = polygon[(i + 1) % n];
+    run.push(end.x, end.y);
+  }
+
+  return outlines;
+}
+
+/**
+ * Pick where a territory's name goes: the visual center of the member tile
+ * nearest the territory's area-weighted center
+ * @param {Array<{polygon: Array<{x: number, y: number}>, centroid?: {x: number, y: number}}>} members
+ * @returns {{x: number, y: number}}
+ */
+function getTerritoryLabelPosition(members) {
+  if (members.length === 1) {
+    return getVisualCenter(members[0].polygon);
+  }
+
+  let totalArea = 0;
+  let x = 0;
+  let y = 0;
+  const centroids = members.map(tile => tile.centroid || calculatePolygonCentroid(tile.polygon));
+  members.forEach((tile, i) => {
+    const area = calculatePolygonArea(tile.polygon);
+    totalArea += area;
+    x += centroids[i].x * area;
+    y += centroids[i].y * area;
+  });
+  const center = { x: x / totalArea, y: y / totalArea };
+
+  let nearest = 0;
+  let nearestDist = Infinity;
+  centroids.forEach((centroid, i) => {
+    const dist = Math.hypot(centroid.x - center.x, centroid.y - center.y);
+    if (dist < nearestDist) {
+      nearestDist = dist;
+      nearest = i;
+    }
+  });
+
+  return getVisualCenter(members[nearest].polygon);
+}
+
+/**
+ * Merge claimed tiles into alliance territories with their outer borders
+ * @param {Map<number, {id: number, polygon: Array<{x: number, y: number}>, centroid?: {x: number, y: number}}>} tilesById - Tile geometry by ID
+ * @param {Map<number, {allianceId?: string, allianceName?: string, color: string}>} tileClaims
+ * @param {Map<number, Set<number>>} adjacencyMap
+ * @returns {Territory[]}
+ */
+export function buildTerritories(tilesById, tileClaims, adjacencyMap) {
+  if (!tileClaims || tileClaims.size === 0 || !adjacencyMap) return [];
+
+  return groupTerritoryTiles(tileClaims, adjacencyMap)
+    .map(tileIds => {
+      const members = tileIds.map(id => tilesById.get(id)).filter(Boolean);
+      if (members.length === 0) return null;
+
+      const memberIds = new Set(tileIds);
+      const outlines = members.flatMap(tile => {
+        const neighborPolygons = [...(adjacencyMap.get(tile.id) || [])]
+          .filter(id => memberIds.has(id))
+          .map(id => tilesById.get(id)?.polygon)
+          .filter(Boolean);
+        return traceTileBorder(tile.polygon, neighborPolygons);
+      });
+
+      const claim = tileClaims.get(tileIds[0]);
+      return {
+        key: `${claim.allianceId ?? claim.color}-${tileIds[0]}`,
+        allianceId: claim.allianceId,
+        allianceName: claim.allianceName || '',
+        color: claim.color,
+        tileIds,
+        outlines,
+        labelPosition: getTerritoryLabelPosition(members),
+      };
+    })
+    .filter(Boolean);
+}
@@ -0,0 +1,100 @@
+/**
+ * Tile edit history helpers
+ *
+ * Tile edits are audited as structured before/after diffs of TileData so a
+ * tile's past versions can be shown and restored.
+ */
+
+import { DEFAULT_TILE_DATA } from '../data/interfaces.js';
+
+/**
+ * TileData fields tracked in history, in display order
+ * @type {Array<keyof import('../data/interfaces.js').TileData>}
+ */
+export const TILE_HISTORY_FIELDS = ['number', 'name', 'icon', 'color', 'comments', 'labelOffset'];
+
+const FIELD_LABELS = {
+  number: 'Number',
+  name: 'Name',
+  icon: 'Icon',
+  color: 'Color',
+  comments: 'Notes',
+  labelOffset: 'Label position',
+};
+
+/**
+ * @typedef {Object} TileFieldChange
+ * @property {*} before - Value before the edit (null when unset)
+ * @property {*} after - Value after the edit (null when unset)
+ */
+
+function normalize(value) {
+  return value === undefined || value === '' ? null : value;
+}
+
+function isSameValue(a, b) {
+  return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+/**
+ * Check whether tile data has nothing set beyond the defaults
+ * @param {import('../data/interfaces.js').TileData|null} data
+ * @returns {boolean}
+ */
+export function isEmptyTileData(data) {
+  return !data || TILE_HISTORY_FIELDS.every(field => !data[field] || isSameValue(data[field], DEFAULT_TILE_DATA[field]));
+}
+
+/**
+ * Diff two versions of a tile's data. A missing version (no data yet, or
+ * cleared) compares as the default tile data.
+ * @param {import('../data/interfaces.js').TileData|null} before - null when the tile had no data
+ * @param {import('../data/interfaces.js').TileData|null} after - null when the tile was cleared
+ * @returns {Object<string, TileFieldChange>} Changed fields only
+ */
+export function diffTileData(before, after) {
+  const changes = {};
+  for (const field of TILE_HISTORY_FIELDS) {
+    const oldValue = (before || DEFAULT_TILE_DATA)[field];
+    const newValue = (after || DEFAULT_TILE_DATA)[field];
+    if (!isSameValue(oldValue, newValue)) {
+      changes[field] = { before: normalize(oldValue), after: normalize(newValue) };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Check whether two versions of a tile's data are equivalent
+ * @param {import('../data/interfaces.js').TileData|null} a
+ * @param {import('../data/interfaces.js').TileData|null} b
+ * @returns {boolean}
+ */
+export function isSameTileData(a, b) {
+  return Object.keys(diffTileData(a, b)).length === 0;
+}
+
+/**
+ * Human-readable label for a tracked field
+ * @param {string} field
+ * @returns {string}
+ */
+export function getTileFieldLabel(field) {
+  return FIELD_LABELS[field] || field;
+}
+
+/**
+ * Format a tracked field's value for display
+ * @param {string} field
+ * @param {*} value
+ * @returns {string}
+ */
+export function formatTileFieldValue(field, value) {
+  if (value === null || value === undefined || value === '') {
+    return '—';
+  }
+  if (field === 'labelOffset') {
+    return `${Math.round(value.x)}, ${Math.round(value.y)}`;
+  }
+  return String(value);
+}
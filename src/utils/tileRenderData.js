@@ -0,0 +1,49 @@
+import { polygonToPoints, calculatePolygonCentroid, getPolygonBounds } from './geometryUtils.js';
+import { SpatialIndex } from './spatialIndex.js';
+
+/**
+ * @typedef {Object} TileRenderInfo
+ * @property {number} id
+ * @property {Object} tileInfo - The tile as loaded from geometry (what selection callbacks receive)
+ * @property {Array<{x: number, y: number}>} polygon
+ * @property {number[]} points - Flat Konva points
+ * @property {{x: number, y: number}} centroid
+ * @property {import('./geometryUtils.js').Bounds} bbox
+ */
+
+/**
+ * @typedef {Object} TileRenderData
+ * @property {TileRenderInfo[]} tiles - In geometry order (draw order)
+ * @property {Map<number, TileRenderInfo>} byId
+ * @property {SpatialIndex} index - For culling and hit-testing
+ */
+
+// Geometry never changes after load, so derived data is kept per geometry object
+const cache = new WeakMap();
+
+/**
+ * Get the per-tile data the map needs to draw, computed once per geometry
+ * @param {import('../data/interfaces.js').TileGeometry} tileGeometry
+ * @returns {TileRenderData}
+ */
+export function getTileRenderData(tileGeometry) {
+  let data = cache.get(tileGeometry);
+  if (data) return data;
+
+  const tiles = tileGeometry.tiles.map(tile => ({
+    id: tile.id,
+    tileInfo: tile,
+    polygon: tile.polygon,
+    points: polygonToPoints(tile.polygon),
+    centroid: calculatePolygonCentroid(tile.polygon),
+    bbox: getPolygonBounds(tile.polygon),
+  }));
+
+  data = {
+    tiles,
+    byId: new Map(tiles.map(tile => [tile.id, tile])),
+    index: new SpatialIndex(tiles),
+  };
+  cache.set(tileGeometry, data);
+  return data;
+}
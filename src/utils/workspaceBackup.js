@@ -0,0 +1,369 @@
+/**
+ * Workspace backup archive: one versioned JSON document holding tiles,
+ * comments, history, likes and saved plans, independent of the backend
+ * they came from.
+ *
+ * Maps are stored as [key, value] entry arrays, the same shape the
+ * localStorage repositories use. Comments, history and likes carry an ISO
+ * `createdAt` so their order survives backends and locales; display
+ * timestamps are locale-formatted and can't be relied on to parse.
+ */
+
+export const BACKUP_FORMAT = 'lastwar-map-workspace';
+export const BACKUP_VERSION = 1;
+
+/**
+ * @typedef {Object} WorkspaceData
+ * @property {Map<number, import('../data/interfaces.js').TileData>} tiles
+ * @property {Map<number, import('../data/interfaces.js').Comment[]>} comments
+ * @property {import('../data/interfaces.js').HistoryEntry[]} history - Most recent first
+ * @property {Map<number, import('../data/interfaces.js').Like[]>} likes
+ * @property {import('../data/interfaces.js').SavedPlan[]} plans
+ */
+
+/**
+ * @typedef {Object} SectionPreview
+ * @property {number} incoming - Records in the backup
+ * @property {number} added - Records that don't exist yet
+ * @property {number} identical - Records that already exist unchanged
+ * @property {number} conflicts - Records that exist with different content
+ */
+
+/**
+ * When a comment, history entry or vote was made
+ * @param {{createdAt?: string, timestamp?: string}} record
+ * @returns {number} Milliseconds since the epoch, or NaN when unknown
+ */
+export function getRecordTime(record) {
+  const time = Date.parse(record.createdAt ?? '');
+  return Number.isNaN(time) ? Date.parse(record.timestamp ?? '') : time;
+}
+
+/**
+ * Combine history lists into one, most recent first.
+ * Each list must already be most recent first. An entry with no usable time
+ * keeps its place after the entry before it in its own list.
+ * @param {...import('../data/interfaces.js').HistoryEntry[]} lists
+ * @returns {import('../data/interfaces.js').HistoryEntry[]}
+ */
+export function sortHistoryByTime(...lists) {
+  const timed = lists.flatMap((entries) => {
+    let previousTime = Infinity;
+    return entries.map((entry) => {
+      const time = getRecordTime(entry);
+      if (!Number.isNaN(time)) previousTime = time;
+      return { entry, time: previousTime };
+    });
+  });
+  // Array.prototype.sort is stable, so equal times keep their list order
+  return timed.sort((a, b) => b.time - a.time).map(({ entry }) => entry);
+}
+
+function withCreatedAt(record) {
+  if (record.createdAt) return record;
+  const time = getRecordTime(record);
+  return Number.isNaN(time) ? record : { ...record, createdAt: new Date(time).toISOString() };
+}
+
+const mapRecords = (map) => Array.from(map.entries(), ([tileId, records]) => [tileId, records.map(withCreatedAt)]);
+
+/**
+ * Build an archive from the current workspace
+ * @param {WorkspaceData} data
+ * @returns {Object} JSON-serializable archive
+ */
+export function createBackupArchive({ tiles, comments, history, likes, plans }) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    tiles: Array.from(tiles.entries()),
+    comments: mapRecords(comments),
+    history: history.map(withCreatedAt),
+    likes: mapRecords(likes),
+    plans: plans.map(plan => ({ ...plan })),
+  };
+}
+
+function isTileEntry(entry) {
+  return Array.isArray(entry) && entry.length === 2 && Number.isFinite(entry[0]);
+}
+
+function validateEntries(archive, key, isValidValue, errors) {
+  if (!Array.isArray(archive[key])) {
+    errors.push(`"${key}" must be a list`);
+    return;
+  }
+  archive[key].forEach((entry, index) => {
+    if (!isTileEntry(entry) || !isValidValue(entry[1])) {
+      errors.push(`${key}[${index}] is not a valid tile entry`);
+    }
+  });
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate a parsed or raw archive and convert it back to workspace data
+ * @param {string|Object} input - JSON text or parsed object
+ * @returns {{valid: true, data: WorkspaceData, exportedAt: string|null} | {valid: false, errors: string[]}}
+ */
+export function parseBackupArchive(input) {
+  let archive = input;
+  if (typeof input === 'string') {
+    try {
+      archive = JSON.parse(input);
+    } catch {
+      return { valid: false, errors: ['File is not valid JSON'] };
+    }
+  }
+
+  if (!isObject(archive) || archive.format !== BACKUP_FORMAT) {
+    return { valid: false, errors: ['File is not a workspace backup'] };
+  }
+  if (!Number.isInteger(archive.version) || archive.version > BACKUP_VERSION) {
+    return { valid: false, errors: [`Unsupported backup version ${archive.version}`] };
+  }
+
+  const errors = [];
+  validateEntries(archive, 'tiles', isObject, errors);
+  validateEntries(archive, 'comments', value => Array.isArray(value) && value.every(c => isObject(c) && typeof c.text === 'string'), errors);
+  validateEntries(archive, 'likes', value => Array.isArray(value) && value.every(l => isObject(l) && l.userId && ['like', 'dislike'].includes(l.type)), errors);
+
+  if (!Array.isArray(archive.history) || !archive.history.every(isObject)) {
+    errors.push('"history" must be a list of entries');
+  }
+  if (!Array.isArray(archive.plans)) {
+    errors.push('"plans" must be a list');
+  } else {
+    archive.plans.forEach((plan, index) => {
+      if (!isObject(plan) || typeof plan.name !== 'string' || !Array.isArray(plan.sequence)) {
+        errors.push(`plans[${index}] is missing a name or sequence`);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  return {
+    valid: true,
+    exportedAt: archive.exportedAt || null,
+    data: {
+      tiles: new Map(archive.tiles),
+      comments: new Map(archive.comments),
+      history: archive.history,
+      likes: new Map(archive.likes),
+      plans: archive.plans,
+    },
+  };
+}
+
+const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+// Display timestamps have whole seconds, so times are compared at that precision
+const timeKey = (record) => {
+  const time = getRecordTime(record);
+  return Number.isNaN(time) ? record.timestamp : Math.floor(time / 1000);
+};
+const commentKey = (comment) => `${comment.user}|${comment.text}|${timeKey(comment)}`;
+const historyKey = (entry) => `${timeKey(entry)}|${entry.action}|${entry.details}|${entry.user || ''}|${entry.tileId ?? ''}|${entry.day ?? ''}`;
+
+/**
+ * Plan fields that matter for conflict detection (IDs and timestamps are backend-specific)
+ */
+function planContent(plan) {
+  return { name: plan.name, notes: plan.notes || '', baseDay: plan.baseDay ?? null, sequence: plan.sequence };
+}
+
+function emptyPreview() {
+  return { incoming: 0, added: 0, identical: 0, conflicts: 0 };
+}
+
+/**
+ * Compare a backup against the current workspace
+ * @param {WorkspaceData} current
+ * @param {WorkspaceData} incoming
+ * @returns {{tiles: SectionPreview, comments: SectionPreview, history: SectionPreview, likes: SectionPreview, plans: SectionPreview, tileConflicts: number[], planConflicts: string[]}}
+ */
+export function previewBackupImport(current, incoming) {
+  const preview = {
+    tiles: emptyPreview(),
+    comments: emptyPreview(),
+    history: emptyPreview(),
+    likes: emptyPreview(),
+    plans: emptyPreview(),
+    tileConflicts: [],
+    planConflicts: [],
+  };
+
+  incoming.tiles.forEach((data, tileId) => {
+    preview.tiles.incoming++;
+    const existing = current.tiles.get(tileId);
+    if (!existing) {
+      preview.tiles.added++;
+    } else if (sameJson(existing, data)) {
+      preview.tiles.identical++;
+    } else {
+      preview.tiles.conflicts++;
+      preview.tileConflicts.push(tileId);
+    }
+  });
+
+  incoming.comments.forEach((tileComments, tileId) => {
+    const existingKeys = new Set((current.comments.get(tileId) || []).map(commentKey));
+    for (const comment of tileComments) {
+      preview.comments.incoming++;
+      if (existingKeys.has(commentKey(comment))) {
+        preview.comments.identical++;
+      } else {
+        preview.comments.added++;
+      }
+    }
+  });
+
+  const historyKeys = new Set(current.history.map(historyKey));
+  for (const entry of incoming.history) {
+    preview.history.incoming++;
+    if (historyKeys.has(historyKey(entry))) {
+      preview.history.identical++;
+    } else {
+      preview.history.added++;
+    }
+  }
+
+  incoming.likes.forEach((tileLikes, tileId) => {
+    const existing = current.likes.get(tileId) || [];
+    for (const like of tileLikes) {
+      preview.likes.incoming++;
+      const match = existing.find(l => l.userId === like.userId);
+      if (!match) {
+        preview.likes.added++;
+      } else if (match.type === like.type) {
+        preview.likes.identical++;
+      } else {
+        preview.likes.conflicts++;
+      }
+    }
+  });
+
+  for (const plan of incoming.plans) {
+    preview.plans.incoming++;
+    const existing = current.plans.find(p => p.id === plan.id);
+    if (!existing) {
+      preview.plans.added++;
+    } else if (sameJson(planContent(existing), planContent(plan))) {
+      preview.plans.identical++;
+    } else {
+      preview.plans.conflicts++;
+      preview.planConflicts.push(plan.name);
+    }
+  }
+
+  return preview;
+}
+
+/**
+ * Work out the workspace after an import.
+ *
+ * - `replace` discards the current workspace and uses the backup as-is.
+ * - `merge` keeps everything current and adds what's new from the backup;
+ *   `onConflict` decides whether a tile, vote or plan that differs keeps the
+ *   current version (`keep`) or takes the backup's (`overwrite`). Comments
+ *   and history are append-only, so they never conflict.
+ *
+ * Plans come back as operations because their IDs are assigned by the
+ * plan repository: `planUpserts` are saved (with `id` to overwrite, without
+ * to create) and `planDeletes` are removed.
+ *
+ * A merge also returns `added`: just the comments, history entries and votes
+ * it takes from the backup (including overwritten votes), so shared backends
+ * can insert those rather than rewriting every row. It is null for `replace`.
+ *
+ * @param {WorkspaceData} current
+ * @param {WorkspaceData} incoming
+ * @param {Object} options
+ * @param {'merge'|'replace'} options.mode
+ * @param {'keep'|'overwrite'} [options.onConflict]
+ * @returns {{tiles: Map, comments: Map, history: Array, likes: Map, planUpserts: Array, planDeletes: string[], added: {comments: Map, history: Array, likes: Map}|null}}
+ */
+export function mergeBackup(current, incoming, { mode, onConflict = 'keep' }) {
+  if (mode === 'replace') {
+    return {
+      tiles: new Map(incoming.tiles),
+      comments: new Map(incoming.comments),
+      history: [...incoming.history],
+      likes: new Map(incoming.likes),
+      planUpserts: incoming.plans.map(({ id, createdAt, updatedAt, ...plan }) => plan),
+      planDeletes: current.plans.map(plan => plan.id),
+      added: null,
+    };
+  }
+
+  const overwrite = onConflict === 'overwrite';
+
+  const tiles = new Map(current.tiles);
+  incoming.tiles.forEach((data, tileId) => {
+    if (!tiles.has(tileId) || overwrite) {
+      tiles.set(tileId, data);
+    }
+  });
+
+  const comments = new Map(current.comments);
+  const addedComments = new Map();
+  incoming.comments.forEach((tileComments, tileId) => {
+    const existing = comments.get(tileId) || [];
+    const existingKeys = new Set(existing.map(commentKey));
+    const added = tileComments.filter(comment => !existingKeys.has(commentKey(comment)));
+    if (added.length > 0) {
+      comments.set(tileId, [...existing, ...added]);
+      addedComments.set(tileId, added);
+    }
+  });
+
+  const historyKeys = new Set(current.history.map(historyKey));
+  const addedHistory = incoming.history.filter(entry => !historyKeys.has(historyKey(entry)));
+  const history = sortHistoryByTime(current.history, addedHistory);
+
+  const likes = new Map(current.likes);
+  const addedLikes = new Map();
+  incoming.likes.forEach((tileLikes, tileId) => {
+    const merged = [...(likes.get(tileId) || [])];
+    const added = [];
+    for (const like of tileLikes) {
+      const index = merged.findIndex(l => l.userId === like.userId);
+      if (index < 0) {
+        merged.push(like);
+        added.push(like);
+      } else if (overwrite && merged[index].type !== like.type) {
+        merged[index] = like;
+        added.push(like);
+      }
+    }
+    likes.set(tileId, merged);
+    if (added.length > 0) {
+      addedLikes.set(tileId, added);
+    }
+  });
+
+  const planUpserts = [];
+  for (const { createdAt, updatedAt, ...plan } of incoming.plans) {
+    const existing = current.plans.find(p => p.id === plan.id);
+    if (!existing) {
+      const { id, ...newPlan } = plan;
+      planUpserts.push(newPlan);
+    } else if (overwrite && !sameJson(planContent(existing), planContent(plan))) {
+      planUpserts.push(plan);
+    }
+  }
+
+  return {
+    tiles,
+    comments,
+    history,
+    likes,
+    planUpserts,
+    planDeletes: [],
+    added: { comments: addedComments, history: addedHistory, likes: addedLikes },
+  };
+}
@@ -0,0 +1,22 @@
+/**
+ * Web Worker running the expansion optimizer off the main thread
+ *
+ * Message in: the optimizeExpansion params (Maps and Sets survive structured cloning)
+ * Messages out: { type: 'progress', progress } while searching,
+ * then { type: 'result', result } or { type: 'error', error }
+ */
+
+import { optimizeExpansion } from '../utils/expansionOptimizer.js';
+
+self.onmessage = (event) => {
+  try {
+    const result = optimizeExpansion({
+      ...event.data,
+      onProgress: (progress) => self.postMessage({ type: 'progress', progress }),
+    });
+    self.postMessage({ type: 'result', result });
+  } catch (error) {
+    console.error('Auto-plan failed:', error);
+    self.postMessage({ type: 'error', error: error.message });
+  }
+};
@@ -0,0 +1,35 @@
+/**
+ * Web Worker encoding an animated GIF off the main thread
+ *
+ * Messages in: { type: 'start', width, height, palette }, then one
+ * { type: 'frame', pixels, delay } per frame (pixels: RGBA ArrayBuffer),
+ * then { type: 'finish' }
+ * Messages out: { type: 'frame-done', frames } after each frame,
+ * then { type: 'result', bytes } or { type: 'error', error }
+ */
+
+import { GifEncoder } from '../utils/gifEncoder.js';
+
+let encoder = null;
+let frameCount = 0;
+
+self.onmessage = (event) => {
+  const message = event.data;
+  try {
+    if (message.type === 'start') {
+      encoder = new GifEncoder({ width: message.width, height: message.height, palette: message.palette });
+      frameCount = 0;
+    } else if (message.type === 'frame') {
+      encoder.addFrame(new Uint8ClampedArray(message.pixels), message.delay);
+      frameCount++;
+      self.postMessage({ type: 'frame-done', frames: frameCount });
+    } else if (message.type === 'finish') {
+      const bytes = encoder.finish();
+      encoder = null;
+      self.postMessage({ type: 'result', bytes }, [bytes.buffer]);
+    }
+  } catch (error) {
+    console.error('GIF encoding failed:', error);
+    self.postMessage({ type: 'error', error: error.message });
+  }
+};